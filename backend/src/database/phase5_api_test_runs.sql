@@ -0,0 +1,30 @@
+-- Phase 5: Server-side API test execution
+-- Assertions on API configs and persisted run history
+
+-- 1. Assertion rules per API config (JSONPath, JSON Schema, header, latency)
+ALTER TABLE entry_api_configs ADD COLUMN IF NOT EXISTS assertions JSONB DEFAULT '[]';
+
+-- 2. API test runs (one row per executed config)
+CREATE TABLE IF NOT EXISTS api_test_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    config_id UUID NOT NULL REFERENCES entry_api_configs(id) ON DELETE CASCADE,
+    document_id UUID NOT NULL REFERENCES entry_documents(id) ON DELETE CASCADE,
+    batch_id UUID, -- Shared by all runs started from a single run-all request
+    run_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    passed BOOLEAN NOT NULL,
+    request JSONB, -- Resolved method, url, headers and body after variable substitution
+    response_status INTEGER,
+    response_headers JSONB,
+    response_body TEXT,
+    duration_ms INTEGER,
+    assertion_results JSONB DEFAULT '[]',
+    error TEXT,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_test_runs_config ON api_test_runs(config_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_api_test_runs_document ON api_test_runs(document_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_api_test_runs_batch ON api_test_runs(batch_id);
+
+COMMENT ON TABLE api_test_runs IS 'Server-side execution history for entry API test configurations';
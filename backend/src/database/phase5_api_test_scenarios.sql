@@ -0,0 +1,29 @@
+-- Phase 5: Chained API test scenarios
+-- Ordered groups of API configs that pass extracted values to later steps
+
+-- 1. Scenarios (steps are the member configs, ordered by order_index)
+CREATE TABLE IF NOT EXISTS api_test_scenarios (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    document_id UUID NOT NULL REFERENCES entry_documents(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    stop_on_failure BOOLEAN DEFAULT true, -- Skip remaining steps once a step fails
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_test_scenarios_document ON api_test_scenarios(document_id);
+
+-- 2. Scenario membership and extraction rules on API configs
+-- extractions: [{"variable": "token", "source": "body", "path": "$.data.token"}]
+ALTER TABLE entry_api_configs ADD COLUMN IF NOT EXISTS scenario_id UUID REFERENCES api_test_scenarios(id) ON DELETE SET NULL;
+ALTER TABLE entry_api_configs ADD COLUMN IF NOT EXISTS extractions JSONB DEFAULT '[]';
+
+CREATE INDEX IF NOT EXISTS idx_entry_api_configs_scenario ON entry_api_configs(scenario_id, order_index);
+
+-- 3. Link runs to the scenario they belong to and record captured values
+ALTER TABLE api_test_runs ADD COLUMN IF NOT EXISTS scenario_id UUID REFERENCES api_test_scenarios(id) ON DELETE SET NULL;
+ALTER TABLE api_test_runs ADD COLUMN IF NOT EXISTS extracted_variables JSONB DEFAULT '{}';
+
+COMMENT ON TABLE api_test_scenarios IS 'Ordered API test chains whose steps share extracted variables';
@@ -0,0 +1,21 @@
+-- Phase 5: Team glossary
+-- Canonical spellings of product and module names with the variants writers
+-- must not use, checked by the spelling_terminology quality rule
+
+CREATE TABLE IF NOT EXISTS glossary_terms (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    category_id UUID REFERENCES categories(id) ON DELETE CASCADE, -- NULL applies to every category
+    term VARCHAR(100) NOT NULL,
+    variants TEXT[] NOT NULL DEFAULT '{}', -- forbidden spellings, matched case-insensitively
+    case_sensitive BOOLEAN NOT NULL DEFAULT true, -- also flag the term itself written in another case
+    description TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One definition per term and scope; the global scope is keyed by the nil UUID
+CREATE UNIQUE INDEX IF NOT EXISTS idx_glossary_terms_scope_term
+    ON glossary_terms (COALESCE(category_id, '00000000-0000-0000-0000-000000000000'::uuid), lower(term));
+
+COMMENT ON TABLE glossary_terms IS 'Canonical product and module names per category subtree, with forbidden variants';
@@ -0,0 +1,23 @@
+-- Phase 5: Cell-based notebooks
+-- Ordered markdown/code cells in nbformat 4 shape, with stored outputs and .ipynb metadata
+
+-- 1. Cells and notebook-level ipynb fields
+-- cells: [{"id", "cell_type": "code" | "markdown" | "raw", "source", "metadata", "outputs", "execution_count"}]
+ALTER TABLE entry_notebooks ADD COLUMN IF NOT EXISTS cells JSONB DEFAULT '[]';
+ALTER TABLE entry_notebooks ADD COLUMN IF NOT EXISTS notebook_metadata JSONB DEFAULT '{}';
+ALTER TABLE entry_notebooks ADD COLUMN IF NOT EXISTS nbformat INTEGER DEFAULT 4;
+ALTER TABLE entry_notebooks ADD COLUMN IF NOT EXISTS nbformat_minor INTEGER DEFAULT 5;
+
+-- 2. Convert existing single-blob notebooks into one code cell
+UPDATE entry_notebooks
+SET cells = jsonb_build_array(jsonb_build_object(
+    'id', gen_random_uuid()::text,
+    'cell_type', 'code',
+    'source', content,
+    'metadata', '{}'::jsonb,
+    'outputs', '[]'::jsonb,
+    'execution_count', NULL
+))
+WHERE cells IS NULL OR cells = '[]'::jsonb;
+
+COMMENT ON COLUMN entry_notebooks.cells IS 'nbformat 4 cells; content mirrors the code cells for search and quality checks';
@@ -0,0 +1,29 @@
+-- Phase 5: Sandboxed notebook execution
+-- Persisted results of running use-case scripts so voters can see whether they work
+
+CREATE TABLE IF NOT EXISTS notebook_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    notebook_id UUID NOT NULL REFERENCES entry_notebooks(id) ON DELETE CASCADE,
+    document_id UUID NOT NULL REFERENCES entry_documents(id) ON DELETE CASCADE,
+    run_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    language VARCHAR(50) NOT NULL,
+    content_hash VARCHAR(64) NOT NULL, -- SHA-256 of the executed content, to tell if the notebook changed since
+    status VARCHAR(20) NOT NULL CHECK (status IN ('success', 'error', 'timeout')),
+    exit_code INTEGER,
+    signal VARCHAR(20),
+    stdout TEXT,
+    stderr TEXT,
+    truncated BOOLEAN DEFAULT false,
+    duration_ms INTEGER,
+    cell_outputs JSONB, -- per-cell outputs for cell notebooks (phase5_notebook_cells.sql)
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notebook_runs_notebook ON notebook_runs(notebook_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notebook_runs_document ON notebook_runs(document_id, created_at DESC);
+
+-- Per-cell outputs, for databases that created notebook_runs without them
+ALTER TABLE notebook_runs ADD COLUMN IF NOT EXISTS cell_outputs JSONB;
+
+COMMENT ON TABLE notebook_runs IS 'Execution history of entry notebooks run in the server-side sandbox';
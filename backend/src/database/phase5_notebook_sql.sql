@@ -0,0 +1,33 @@
+-- Phase 5: SQL notebook execution
+-- Per-function fixture scripts and a dedicated database role for the SQL sandbox
+
+-- 1. Fixture script run before a function's SQL notebooks, e.g. CREATE TABLE + INSERT sample rows
+CREATE TABLE IF NOT EXISTS notebook_sql_fixtures (
+    function_id UUID PRIMARY KEY REFERENCES functions(id) ON DELETE CASCADE,
+    script TEXT NOT NULL DEFAULT '',
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE notebook_sql_fixtures IS 'Seed scripts loaded into the throwaway schema of each SQL notebook run';
+
+-- 2. Sandbox role
+-- SQL notebooks connect through NOTEBOOK_SQL_DATABASE_URL. The role it uses must
+-- not own, or hold any privilege on, Codepedia's tables; the runner checks this
+-- and refuses to execute otherwise. To use this role, enable login with:
+--   ALTER ROLE codepedia_notebook LOGIN PASSWORD '...';
+-- or point NOTEBOOK_SQL_DATABASE_URL at a separate, empty database.
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'codepedia_notebook') THEN
+        CREATE ROLE codepedia_notebook NOLOGIN NOSUPERUSER NOCREATEDB NOCREATEROLE NOINHERIT;
+    END IF;
+
+    -- Each run creates (and rolls back) its own schema
+    EXECUTE format('GRANT CONNECT, CREATE, TEMPORARY ON DATABASE %I TO codepedia_notebook', current_database());
+END
+$$;
+
+REVOKE ALL ON ALL TABLES IN SCHEMA public FROM codepedia_notebook;
+REVOKE ALL ON ALL SEQUENCES IN SCHEMA public FROM codepedia_notebook;
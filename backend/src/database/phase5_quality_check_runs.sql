@@ -0,0 +1,48 @@
+-- Phase 5: Quality check history
+-- Every quality check run is kept, linked to the document version it evaluated,
+-- so writers can follow how quality changed across drafts
+
+-- 1. One row per run with the overall outcome
+CREATE TABLE IF NOT EXISTS quality_check_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    document_id UUID NOT NULL REFERENCES entry_documents(id) ON DELETE CASCADE,
+    document_version_id UUID REFERENCES document_versions(id) ON DELETE SET NULL,
+    version_number INTEGER, -- document_versions.version_number at the time of the run
+    content_hash VARCHAR(64) NOT NULL, -- SHA-256 of the checked title and content
+    overall_score INTEGER CHECK (overall_score >= 0 AND overall_score <= 100),
+    min_submit_score INTEGER,
+    can_submit BOOLEAN NOT NULL DEFAULT false,
+    error_count INTEGER NOT NULL DEFAULT 0,
+    warning_count INTEGER NOT NULL DEFAULT 0,
+    run_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_quality_check_runs_document ON quality_check_runs(document_id, created_at DESC);
+
+-- 2. Per-rule results belong to a run
+ALTER TABLE quality_checks ADD COLUMN IF NOT EXISTS run_id UUID REFERENCES quality_check_runs(id) ON DELETE CASCADE;
+ALTER TABLE quality_checks ADD COLUMN IF NOT EXISTS severity VARCHAR(20);
+
+CREATE INDEX IF NOT EXISTS idx_quality_checks_run ON quality_checks(run_id);
+
+-- 3. Existing results (only the latest run per document was kept) become one run each
+INSERT INTO quality_check_runs (document_id, content_hash, overall_score, can_submit, error_count, warning_count, created_at)
+SELECT qc.document_id,
+       '',
+       ROUND(AVG(COALESCE(qc.score, 0)))::int,
+       COUNT(*) FILTER (WHERE qc.status = 'error') = 0 AND ROUND(AVG(COALESCE(qc.score, 0))) >= 60,
+       COUNT(*) FILTER (WHERE qc.status = 'error'),
+       COUNT(*) FILTER (WHERE qc.status = 'warning'),
+       MAX(qc.checked_at)
+FROM quality_checks qc
+WHERE qc.run_id IS NULL
+  AND NOT EXISTS (SELECT 1 FROM quality_check_runs r WHERE r.document_id = qc.document_id)
+GROUP BY qc.document_id;
+
+UPDATE quality_checks qc
+SET run_id = r.id
+FROM quality_check_runs r
+WHERE qc.run_id IS NULL AND r.document_id = qc.document_id;
+
+COMMENT ON TABLE quality_check_runs IS 'History of quality check runs per document version';
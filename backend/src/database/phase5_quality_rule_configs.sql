@@ -0,0 +1,15 @@
+-- Phase 5: Configurable quality check rules
+-- Per-category overrides of the rule registry in services/quality-rules; a
+-- category's settings apply to its whole subtree unless a descendant overrides them
+
+CREATE TABLE IF NOT EXISTS quality_rule_configs (
+    category_id UUID PRIMARY KEY REFERENCES categories(id) ON DELETE CASCADE,
+    -- {"content_length": {"enabled": true, "severity": "error", "params": {"min_length": 300}}}
+    rules JSONB NOT NULL DEFAULT '{}',
+    min_submit_score INTEGER CHECK (min_submit_score >= 0 AND min_submit_score <= 100), -- NULL inherits (default 60)
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE quality_rule_configs IS 'Quality rule enable/severity/threshold overrides per category subtree';
@@ -0,0 +1,51 @@
+-- Phase 5: Similarity analysis
+-- Submissions are compared with the other writer's submission for the same task
+-- and with completed entries, to catch copying between writers who are supposed
+-- to work independently
+
+-- 1. MinHash signatures per submission, used to pre-filter completed entries
+CREATE TABLE IF NOT EXISTS submission_fingerprints (
+    submission_id UUID NOT NULL REFERENCES entry_submissions(id) ON DELETE CASCADE,
+    source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('document', 'code')),
+    signature BIGINT[] NOT NULL DEFAULT '{}',
+    shingle_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (submission_id, source_type)
+);
+
+-- 2. One report per submission pair and source type (submission_a_id < submission_b_id)
+CREATE TABLE IF NOT EXISTS similarity_reports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    task_id UUID NOT NULL REFERENCES wiki_tasks(id) ON DELETE CASCADE, -- task whose submission triggered the analysis
+    submission_a_id UUID NOT NULL REFERENCES entry_submissions(id) ON DELETE CASCADE,
+    submission_b_id UUID NOT NULL REFERENCES entry_submissions(id) ON DELETE CASCADE,
+    comparison_type VARCHAR(20) NOT NULL CHECK (comparison_type IN ('peer', 'completed_entry')),
+    source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('document', 'code')),
+    trigger VARCHAR(20) NOT NULL CHECK (trigger IN ('submission', 'voting_session', 'manual')),
+    similarity NUMERIC(4,3) NOT NULL DEFAULT 0, -- max(containment_a, containment_b)
+    jaccard NUMERIC(4,3) NOT NULL DEFAULT 0,
+    containment_a NUMERIC(4,3) NOT NULL DEFAULT 0, -- share of A's shingles found in B
+    containment_b NUMERIC(4,3) NOT NULL DEFAULT 0,
+    is_flagged BOOLEAN NOT NULL DEFAULT false,
+    passages JSONB NOT NULL DEFAULT '[]', -- [{ tokens, a_start, a_end, b_start, b_end, excerpt }]
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'dismissed', 'confirmed')),
+    review_note TEXT,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (submission_a_id, submission_b_id, source_type),
+    CHECK (submission_a_id < submission_b_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_similarity_reports_task ON similarity_reports(task_id);
+CREATE INDEX IF NOT EXISTS idx_similarity_reports_flagged ON similarity_reports(is_flagged, status);
+
+COMMENT ON TABLE similarity_reports IS 'Shingle overlap between submissions, flagged for admin review above SIMILARITY_FLAG_THRESHOLD';
+
+-- 3. Admins are notified of flagged reports
+ALTER TABLE task_notifications DROP CONSTRAINT IF EXISTS task_notifications_notification_type_check;
+ALTER TABLE task_notifications ADD CONSTRAINT task_notifications_notification_type_check CHECK (notification_type IN (
+    'task_assigned', 'task_accepted', 'content_submitted', 'voting_started',
+    'task_completed', 'deadline_reminder', 'task_overtime', 'similarity_flagged'
+));
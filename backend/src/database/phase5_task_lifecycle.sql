@@ -0,0 +1,29 @@
+-- Phase 5: Wiki task lifecycle
+-- Task status only changes through services/task-lifecycle.js, which
+-- enforces the legal transitions and records each one here.
+
+-- 1. The states the lifecycle uses; statuses nothing sets any more are folded in.
+-- overtime stays: tasks past their deadline keep it until they are submitted.
+UPDATE wiki_tasks SET status = 'in_progress' WHERE status = 'pending_submission';
+UPDATE wiki_tasks SET status = 'pending_reassignment' WHERE status = 'reassigned';
+
+ALTER TABLE wiki_tasks DROP CONSTRAINT IF EXISTS wiki_tasks_status_check;
+ALTER TABLE wiki_tasks ADD CONSTRAINT wiki_tasks_status_check CHECK (status IN (
+    'not_started', 'in_progress', 'overtime', 'pending_vote', 'voting', 'completed', 'pending_reassignment'
+));
+
+-- 2. History of every transition (NULL actor: the system, e.g. the voting scheduler)
+CREATE TABLE IF NOT EXISTS wiki_task_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    task_id UUID NOT NULL REFERENCES wiki_tasks(id) ON DELETE CASCADE,
+    action VARCHAR(30) NOT NULL,
+    from_status VARCHAR(30), -- NULL when the task was created
+    to_status VARCHAR(30) NOT NULL,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    details JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_wiki_task_events_task ON wiki_task_events(task_id, created_at);
+
+COMMENT ON TABLE wiki_task_events IS 'Status history of wiki tasks: each lifecycle transition, who triggered it and why';
@@ -0,0 +1,56 @@
+-- Phase 5: Background job scheduler
+-- Recurring jobs (services/scheduled-jobs.js) run inside the backend. Every
+-- instance polls scheduled_jobs; the one that claims a due job holds its
+-- lease (locked_until) while it runs, so a job never runs twice at once and
+-- a lease left by a crashed instance simply expires. Runs are kept in job_runs.
+
+-- 1. One row per job: its schedule, settings and lease
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    name VARCHAR(50) PRIMARY KEY,
+    description TEXT,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    interval_seconds INTEGER NOT NULL CHECK (interval_seconds >= 10),
+    lock_seconds INTEGER NOT NULL DEFAULT 600 CHECK (lock_seconds > 0), -- lease length; a run longer than this may overlap
+    config JSONB NOT NULL DEFAULT '{}',
+    next_run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_by VARCHAR(100), -- instance holding the lease
+    locked_until TIMESTAMP WITH TIME ZONE,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_status VARCHAR(20),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO scheduled_jobs (name, description, interval_seconds, config) VALUES
+    ('deadline_reminders', 'Remind task participants as the task deadline approaches', 900, '{"offsets_hours": [72, 24]}'),
+    ('mark_overtime', 'Mark tasks whose deadline has passed without submissions as overtime', 300, '{}'),
+    ('advance_submitted_tasks', 'Move tasks where every writer has submitted to pending vote', 300, '{}'),
+    ('close_voting_sessions', 'Close, extend or escalate voting sessions past their deadline and send voting reminders', 60, '{}')
+ON CONFLICT (name) DO NOTHING;
+
+-- 2. Outcome of every run (NULL triggered_by: started by the schedule)
+CREATE TABLE IF NOT EXISTS job_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    job_name VARCHAR(50) NOT NULL REFERENCES scheduled_jobs(name) ON DELETE CASCADE,
+    instance_id VARCHAR(100) NOT NULL,
+    triggered_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed')),
+    result JSONB,
+    error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job_name, started_at DESC);
+
+-- 3. Deadline reminders already sent, per task deadline and offset
+CREATE TABLE IF NOT EXISTS task_deadline_reminders (
+    task_id UUID NOT NULL REFERENCES wiki_tasks(id) ON DELETE CASCADE,
+    deadline TIMESTAMP WITH TIME ZONE NOT NULL,
+    offset_hours INTEGER NOT NULL,
+    sent_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (task_id, deadline, offset_hours)
+);
+
+COMMENT ON TABLE scheduled_jobs IS 'Recurring background jobs with their schedule, settings and the lease of the instance running them';
+COMMENT ON TABLE job_runs IS 'Log of background job runs and their outcome';
+COMMENT ON TABLE task_deadline_reminders IS 'Deadline reminders sent for each task deadline and reminder offset, so each goes out once';
@@ -0,0 +1,49 @@
+-- Phase 5: Any number of writers per wiki task
+-- Replaces wiki_tasks.writer1_id/writer2_id with wiki_task_assignments
+-- (services/task-writers.js). Each task sets how many independent writers
+-- it needs, and wiki-votes has one option per submitted version.
+
+-- 1. Writer count per task and its assignments, in slot order
+ALTER TABLE wiki_tasks ADD COLUMN IF NOT EXISTS writer_count INTEGER NOT NULL DEFAULT 2 CHECK (writer_count BETWEEN 1 AND 6);
+
+CREATE TABLE IF NOT EXISTS wiki_task_assignments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    task_id UUID NOT NULL REFERENCES wiki_tasks(id) ON DELETE CASCADE,
+    writer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    slot INTEGER NOT NULL CHECK (slot >= 1),
+    assigned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(task_id, writer_id),
+    UNIQUE(task_id, slot)
+);
+
+CREATE INDEX IF NOT EXISTS idx_wiki_task_assignments_writer ON wiki_task_assignments(writer_id);
+
+-- 2. Move the existing writers over, then drop the fixed columns
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'wiki_tasks' AND column_name = 'writer1_id'
+    ) THEN
+        INSERT INTO wiki_task_assignments (task_id, writer_id, slot)
+        SELECT id, writer1_id, 1 FROM wiki_tasks WHERE writer1_id IS NOT NULL
+        ON CONFLICT DO NOTHING;
+
+        INSERT INTO wiki_task_assignments (task_id, writer_id, slot)
+        SELECT id, writer2_id, 2 FROM wiki_tasks
+        WHERE writer2_id IS NOT NULL AND writer2_id IS DISTINCT FROM writer1_id
+        ON CONFLICT DO NOTHING;
+    END IF;
+END $$;
+
+ALTER TABLE wiki_tasks DROP COLUMN IF EXISTS writer1_id;
+ALTER TABLE wiki_tasks DROP COLUMN IF EXISTS writer2_id;
+
+-- 3. One wiki-votes option per version (version_a to version_f);
+-- phase5_voting_ties.sql widens wiki_vote_tie_decisions the same way
+ALTER TABLE wiki_votes DROP CONSTRAINT IF EXISTS wiki_votes_vote_option_check;
+ALTER TABLE wiki_votes ADD CONSTRAINT wiki_votes_vote_option_check
+    CHECK (vote_option = 'neither_satisfactory' OR vote_option ~ '^version_[a-f]$');
+
+COMMENT ON COLUMN wiki_tasks.writer_count IS 'How many independent writers the task has (1-6)';
+COMMENT ON TABLE wiki_task_assignments IS 'Writers assigned to a wiki task; slot orders them and their versions';
@@ -0,0 +1,33 @@
+-- Phase 5: Reviewer feedback on voting candidates
+-- Voters comment on each candidate with their ballot, optionally on a line
+-- range of its document (services/vote-feedback.js). Comments are revealed
+-- to authors when the session ends, and a digest is kept on the
+-- reassignment for the next round's writers.
+
+-- 1. Feedback threads; a reply has a parent and no ballot, category or lines
+CREATE TABLE IF NOT EXISTS vote_feedback (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    voting_session_id UUID NOT NULL REFERENCES voting_sessions(id) ON DELETE CASCADE,
+    candidate_id UUID NOT NULL REFERENCES voting_candidates(id) ON DELETE CASCADE,
+    vote_id BIGINT REFERENCES votes(id) ON DELETE CASCADE,
+    parent_id UUID REFERENCES vote_feedback(id) ON DELETE CASCADE,
+    author_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    category VARCHAR(20) CHECK (category IN ('accuracy', 'completeness', 'clarity', 'examples', 'formatting', 'other')),
+    comment TEXT NOT NULL,
+    line_start INTEGER,
+    line_end INTEGER,
+    excerpt TEXT, -- the quoted lines at the time of the comment
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((line_start IS NULL AND line_end IS NULL) OR (line_start >= 1 AND line_end >= line_start)),
+    CHECK (parent_id IS NOT NULL OR category IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vote_feedback_session ON vote_feedback(voting_session_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_vote_feedback_candidate ON vote_feedback(candidate_id);
+CREATE INDEX IF NOT EXISTS idx_vote_feedback_parent ON vote_feedback(parent_id);
+
+-- 2. Previous round's feedback, kept when reassignment deletes the candidates
+ALTER TABLE task_reassignments ADD COLUMN IF NOT EXISTS feedback_digest JSONB;
+
+COMMENT ON TABLE vote_feedback IS 'Reviewer comments on voting candidates, submitted with the ballot and revealed to authors after the session ends';
+COMMENT ON COLUMN task_reassignments.feedback_digest IS 'Feedback from the voting round that led to the reassignment, for the next writers';
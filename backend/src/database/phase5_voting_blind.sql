@@ -0,0 +1,8 @@
+-- Phase 5: Blind voting
+-- In a blind session voters see candidates as per-voter shuffled letters and
+-- the writers' identities are removed from voting payloads until it closes
+-- (services/voting-blind.js).
+
+ALTER TABLE voting_sessions ADD COLUMN IF NOT EXISTS blind BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN voting_sessions.blind IS 'Hide candidate authors from voters until the session closes';
@@ -0,0 +1,45 @@
+-- Phase 5: Voting deadlines, quorum and scheduled closing
+-- The voting scheduler (services/voting-scheduler.js) closes sessions at their
+-- deadline, extends or escalates sessions that miss quorum, and reminds
+-- eligible users who have not voted yet.
+
+-- 1. Voting window and quorum per session; NULL deadline means the admin closes it
+ALTER TABLE voting_sessions ADD COLUMN IF NOT EXISTS deadline TIMESTAMP WITH TIME ZONE;
+ALTER TABLE voting_sessions ADD COLUMN IF NOT EXISTS quorum_min_ballots INTEGER CHECK (quorum_min_ballots > 0);
+ALTER TABLE voting_sessions ADD COLUMN IF NOT EXISTS quorum_percent NUMERIC(5,2) CHECK (quorum_percent > 0 AND quorum_percent <= 100); -- of eligible voters
+ALTER TABLE voting_sessions ADD COLUMN IF NOT EXISTS quorum_action VARCHAR(20) NOT NULL DEFAULT 'extend'; -- at a deadline without quorum
+ALTER TABLE voting_sessions ADD COLUMN IF NOT EXISTS extension_hours INTEGER NOT NULL DEFAULT 48 CHECK (extension_hours > 0);
+ALTER TABLE voting_sessions ADD COLUMN IF NOT EXISTS max_extensions INTEGER NOT NULL DEFAULT 2 CHECK (max_extensions >= 0);
+ALTER TABLE voting_sessions ADD COLUMN IF NOT EXISTS extensions_used INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE voting_sessions ADD COLUMN IF NOT EXISTS reminder_hours INTEGER DEFAULT 24 CHECK (reminder_hours > 0); -- before the deadline; NULL sends none
+ALTER TABLE voting_sessions ADD COLUMN IF NOT EXISTS last_reminder_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE voting_sessions ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE voting_sessions ADD COLUMN IF NOT EXISTS closed_by VARCHAR(20); -- 'admin' or 'scheduler'
+
+ALTER TABLE voting_sessions DROP CONSTRAINT IF EXISTS voting_sessions_quorum_action_check;
+ALTER TABLE voting_sessions ADD CONSTRAINT voting_sessions_quorum_action_check
+    CHECK (quorum_action IN ('extend', 'escalate', 'close'));
+
+CREATE INDEX IF NOT EXISTS idx_voting_sessions_deadline ON voting_sessions(deadline) WHERE status = 'active';
+
+-- 2. Audit trail of what happened to a session and who did it (NULL actor: the scheduler)
+CREATE TABLE IF NOT EXISTS voting_session_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    voting_session_id UUID NOT NULL REFERENCES voting_sessions(id) ON DELETE CASCADE,
+    event_type VARCHAR(30) NOT NULL,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    details JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_voting_session_events_session ON voting_session_events(voting_session_id, created_at);
+
+-- 3. Reminder and escalation notifications
+ALTER TABLE task_notifications DROP CONSTRAINT IF EXISTS task_notifications_notification_type_check;
+ALTER TABLE task_notifications ADD CONSTRAINT task_notifications_notification_type_check CHECK (notification_type IN (
+    'task_assigned', 'task_accepted', 'content_submitted', 'voting_started',
+    'task_completed', 'deadline_reminder', 'task_overtime', 'similarity_flagged',
+    'voting_reminder', 'voting_escalated'
+));
+
+COMMENT ON TABLE voting_session_events IS 'Audit trail of voting sessions: scheduling changes, reminders, extensions, escalations and closing';
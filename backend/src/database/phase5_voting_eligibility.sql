@@ -0,0 +1,28 @@
+-- Phase 5: Voter eligibility and conflict-of-interest rules
+-- services/voting-eligibility.js decides who may vote in a session from its
+-- eligibility settings and the admin-maintained allow/deny lists.
+
+-- 1. Eligibility settings per session
+-- exclude_authors: writers of candidate documents may not vote
+-- exclude_annotator: the task's code annotator may not vote
+-- roles: only these user roles may vote (empty: all roles)
+-- category_id: only users who worked on a task in this category or its subcategories may vote
+ALTER TABLE voting_sessions ADD COLUMN IF NOT EXISTS eligibility JSONB NOT NULL
+    DEFAULT '{"exclude_authors": true, "exclude_annotator": false, "roles": [], "category_id": null}';
+
+-- 2. Allow/deny lists; deny always wins, allow overrides the role and category restrictions
+CREATE TABLE IF NOT EXISTS voting_session_voter_lists (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    voting_session_id UUID NOT NULL REFERENCES voting_sessions(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    list_type VARCHAR(10) NOT NULL CHECK (list_type IN ('allow', 'deny')),
+    reason TEXT,
+    added_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT unique_voter_list_entry UNIQUE (voting_session_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_voting_session_voter_lists_user ON voting_session_voter_lists(user_id);
+
+COMMENT ON COLUMN voting_sessions.eligibility IS 'Voter eligibility rules: exclude_authors, exclude_annotator, roles, category_id';
+COMMENT ON TABLE voting_session_voter_lists IS 'Per-session voters admitted (allow) or excluded (deny) by an administrator';
@@ -0,0 +1,22 @@
+-- Phase 5: Alternative voting methods
+-- Ranked-choice (instant runoff), Borda count and score voting for sessions
+-- with more than two candidates. Full ballots are kept so results can be recounted.
+
+-- 1. Method chosen when the session is created, and the tally stored when it ends
+-- method_config: {"max_score"} for score voting, '{}' otherwise
+-- tally: winner, per-candidate totals and, for irv, every elimination round
+ALTER TABLE voting_sessions ADD COLUMN IF NOT EXISTS voting_method VARCHAR(20) NOT NULL DEFAULT 'plurality';
+ALTER TABLE voting_sessions ADD COLUMN IF NOT EXISTS method_config JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE voting_sessions ADD COLUMN IF NOT EXISTS tally JSONB;
+
+ALTER TABLE voting_sessions DROP CONSTRAINT IF EXISTS voting_sessions_voting_method_check;
+ALTER TABLE voting_sessions ADD CONSTRAINT voting_sessions_voting_method_check
+    CHECK (voting_method IN ('plurality', 'irv', 'borda', 'score'));
+
+-- 2. The complete ballot behind each vote; candidate_id keeps the voter's top choice
+-- ballot: {"rankings": [candidate_id, ...]} for irv/borda, {"scores": {candidate_id: n}} for score,
+-- NULL for plurality and "none satisfied" votes
+ALTER TABLE votes ADD COLUMN IF NOT EXISTS ballot JSONB;
+
+COMMENT ON COLUMN voting_sessions.tally IS 'Result computed when the session ended; GET /api/voting-sessions/:id/recount recomputes it from votes.ballot';
+COMMENT ON COLUMN votes.ballot IS 'Full ranking or scores of the ballot, kept for audited recounts';
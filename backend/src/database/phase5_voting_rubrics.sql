@@ -0,0 +1,45 @@
+-- Phase 5: Rubric scoring in voting sessions
+-- Voters score every candidate on a configurable rubric alongside their choice.
+-- The code readability criterion is the reverse code-quality signal: it is
+-- aggregated per function and per category.
+
+-- 1. Admin-maintained rubric
+CREATE TABLE IF NOT EXISTS voting_rubric_criteria (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    key VARCHAR(50) NOT NULL UNIQUE,
+    label VARCHAR(100) NOT NULL,
+    description TEXT,
+    max_score INTEGER NOT NULL DEFAULT 5 CHECK (max_score BETWEEN 2 AND 10),
+    weight NUMERIC(4,2) NOT NULL DEFAULT 1 CHECK (weight > 0), -- share in the overall rubric score
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    order_index INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO voting_rubric_criteria (key, label, description, order_index) VALUES
+('accuracy', '准确性', '描述与代码的实际行为一致，没有错误信息', 1),
+('completeness', '完整性', '覆盖参数、返回值、异常和边界情况', 2),
+('clarity', '清晰度', '结构清楚、表达易懂，示例有帮助', 3),
+('code_readability', '代码可读性', '被记录的代码本身是否易读易懂（用于统计代码质量）', 4)
+ON CONFLICT (key) DO NOTHING;
+
+-- 2. Criteria in effect for a session: [{"key", "label", "description", "max_score", "weight"}]
+ALTER TABLE voting_sessions ADD COLUMN IF NOT EXISTS rubric JSONB NOT NULL DEFAULT '[]';
+
+-- 3. One score per ballot, candidate and criterion
+CREATE TABLE IF NOT EXISTS vote_rubric_scores (
+    vote_id BIGINT NOT NULL REFERENCES votes(id) ON DELETE CASCADE,
+    candidate_id UUID NOT NULL REFERENCES voting_candidates(id) ON DELETE CASCADE,
+    criterion_key VARCHAR(50) NOT NULL,
+    score INTEGER NOT NULL CHECK (score >= 1),
+    max_score INTEGER NOT NULL, -- scale at voting time, for normalizing
+    PRIMARY KEY (vote_id, candidate_id, criterion_key),
+    CHECK (score <= max_score)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vote_rubric_scores_candidate ON vote_rubric_scores(candidate_id);
+CREATE INDEX IF NOT EXISTS idx_vote_rubric_scores_criterion ON vote_rubric_scores(criterion_key);
+
+COMMENT ON TABLE voting_rubric_criteria IS 'Rubric voters score each candidate on; sessions snapshot the active criteria';
+COMMENT ON TABLE vote_rubric_scores IS 'Rubric scores given with each ballot; code_readability feeds function and category code quality';
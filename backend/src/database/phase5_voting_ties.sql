@@ -0,0 +1,44 @@
+-- Phase 5: Tie resolution
+-- A session whose count ends level goes to tie_pending instead of picking a
+-- winner. An admin resolves it with a runoff session between the tied
+-- candidates or a deciding vote with a written justification.
+
+-- 1. Tie state and how it was resolved
+ALTER TABLE voting_sessions DROP CONSTRAINT IF EXISTS voting_sessions_status_check;
+ALTER TABLE voting_sessions ADD CONSTRAINT voting_sessions_status_check
+    CHECK (status IN ('active', 'tie_pending', 'completed', 'cancelled'));
+
+ALTER TABLE voting_sessions ADD COLUMN IF NOT EXISTS runoff_of UUID REFERENCES voting_sessions(id) ON DELETE SET NULL;
+ALTER TABLE voting_sessions ADD COLUMN IF NOT EXISTS tie_resolution JSONB; -- { method: 'runoff' | 'admin_decision', ... }
+
+CREATE INDEX IF NOT EXISTS idx_voting_sessions_runoff_of ON voting_sessions(runoff_of) WHERE runoff_of IS NOT NULL;
+
+-- 2. Deciding votes on tied wiki-votes tasks (the older two-version voting)
+CREATE TABLE IF NOT EXISTS wiki_vote_tie_decisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    task_id UUID NOT NULL REFERENCES wiki_tasks(id) ON DELETE CASCADE,
+    decided_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    vote_option VARCHAR(20) NOT NULL,
+    justification TEXT NOT NULL,
+    results JSONB NOT NULL, -- vote counts at the time of the decision
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_wiki_vote_tie_decisions_task ON wiki_vote_tie_decisions(task_id);
+
+-- One option per writer version (version_a to version_f), matching wiki_votes
+ALTER TABLE wiki_vote_tie_decisions DROP CONSTRAINT IF EXISTS wiki_vote_tie_decisions_vote_option_check;
+ALTER TABLE wiki_vote_tie_decisions ADD CONSTRAINT wiki_vote_tie_decisions_vote_option_check
+    CHECK (vote_option = 'neither_satisfactory' OR vote_option ~ '^version_[a-f]$');
+
+-- 3. Admin notification for tied sessions
+ALTER TABLE task_notifications DROP CONSTRAINT IF EXISTS task_notifications_notification_type_check;
+ALTER TABLE task_notifications ADD CONSTRAINT task_notifications_notification_type_check CHECK (notification_type IN (
+    'task_assigned', 'task_accepted', 'content_submitted', 'voting_started',
+    'task_completed', 'deadline_reminder', 'task_overtime', 'similarity_flagged',
+    'voting_reminder', 'voting_escalated', 'voting_tied'
+));
+
+COMMENT ON COLUMN voting_sessions.runoff_of IS 'The tied session this runoff decides';
+COMMENT ON COLUMN voting_sessions.tie_resolution IS 'How a tie was resolved: runoff session or admin deciding vote with justification';
+COMMENT ON TABLE wiki_vote_tie_decisions IS 'Admin deciding votes on tied wiki-votes tasks, with justification';
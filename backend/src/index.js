@@ -24,6 +24,12 @@ const qualityCheckRoutes = require('./routes/quality-checks');
 const votingSessionRoutes = require('./routes/voting-sessions');
 const documentVoteRoutes = require('./routes/document-votes');
 const taskReassignmentRoutes = require('./routes/task-reassignments');
+const similarityRoutes = require('./routes/similarity');
+const glossaryRoutes = require('./routes/glossary');
+const votingRubricRoutes = require('./routes/voting-rubrics');
+const scheduledJobRoutes = require('./routes/scheduled-jobs');
+const mockRoutes = require('./routes/mock');
+const { startJobScheduler } = require('./services/job-scheduler');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -31,7 +37,7 @@ const PORT = process.env.PORT || 3001;
 app.use(helmet());
 app.use(cors());
 app.use(morgan('combined'));
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // API imports (OpenAPI, HAR) can exceed the 100kb default
 app.use(express.urlencoded({ extended: true }));
 
 app.use('/api/auth', authRoutes);
@@ -54,6 +60,11 @@ app.use('/api/quality-checks', qualityCheckRoutes);
 app.use('/api/voting-sessions', votingSessionRoutes);
 app.use('/api/document-votes', documentVoteRoutes);
 app.use('/api/task-reassignments', taskReassignmentRoutes);
+app.use('/api/similarity', similarityRoutes);
+app.use('/api/glossary', glossaryRoutes);
+app.use('/api/voting-rubrics', votingRubricRoutes);
+app.use('/api/scheduled-jobs', scheduledJobRoutes);
+app.use('/mock', mockRoutes);
 
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -66,4 +77,5 @@ app.use((err, req, res, next) => {
 
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Codepedia backend server running on port ${PORT}`);
+  startJobScheduler();
 });
\ No newline at end of file
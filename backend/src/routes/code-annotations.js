@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { writersColumn, writerIdsColumn } = require('../services/task-writers');
 
 const router = express.Router();
 
@@ -12,10 +13,8 @@ router.get('/task/:taskId', authenticateToken, async (req, res) => {
 
     // Verify user has access to this task
     const taskResult = await db.query(`
-      SELECT wt.*, u1.username as writer1_username, u2.username as writer2_username, u3.username as code_annotator_username
+      SELECT wt.*, ${writersColumn()} as writers, ${writerIdsColumn()} as writer_ids, u3.username as code_annotator_username
       FROM wiki_tasks wt
-      LEFT JOIN users u1 ON wt.writer1_id = u1.id
-      LEFT JOIN users u2 ON wt.writer2_id = u2.id
       LEFT JOIN users u3 ON wt.code_annotator_id = u3.id
       WHERE wt.id = $1
     `, [taskId]);
@@ -29,8 +28,7 @@ router.get('/task/:taskId', authenticateToken, async (req, res) => {
 
     // Check if user has access to view annotations
     const hasAccess = req.user.role === 'admin' || 
-                     task.writer1_id === userId || 
-                     task.writer2_id === userId || 
+                     task.writer_ids.includes(userId) || 
                      task.code_annotator_id === userId;
 
     if (!hasAccess) {
@@ -146,7 +144,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     const userId = req.user.id;
 
     const result = await db.query(`
-      SELECT ca.*, wt.title as task_title, wt.writer1_id, wt.writer2_id, wt.code_annotator_id,
+      SELECT ca.*, wt.title as task_title, ${writerIdsColumn()} as writer_ids, wt.code_annotator_id,
              f.name as function_name, c.name as category_name, c.path as category_path,
              u.username as annotator_username
       FROM code_annotations ca
@@ -165,8 +163,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
     // Check if user has access to view this annotation
     const hasAccess = req.user.role === 'admin' || 
-                     annotation.writer1_id === userId || 
-                     annotation.writer2_id === userId || 
+                     annotation.writer_ids.includes(userId) || 
                      annotation.code_annotator_id === userId;
 
     if (!hasAccess) {
@@ -2,6 +2,12 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { buildBallot } = require('../services/voting-methods');
+const { rubricScoreRows } = require('../services/voting-rubrics');
+const { voterEligibility } = require('../services/voting-eligibility');
+const { pendingVoterIds } = require('../services/voting-lifecycle');
+const { isBlind, presentCandidates } = require('../services/voting-blind');
+const { feedbackRows, validComment, feedbackRevealed, feedbackThreads } = require('../services/vote-feedback');
 
 const router = express.Router();
 
@@ -10,7 +16,12 @@ router.post('/', [
   authenticateToken,
   body('voting_session_id').isUUID(),
   body('choice_type').isIn(['candidate', 'none_satisfied']),
-  body('candidate_id').optional().isUUID()
+  body('candidate_id').optional({ nullable: true }).isUUID(),
+  body('rankings').optional().isArray(),
+  body('rankings.*').isUUID(),
+  body('scores').optional().isObject(),
+  body('rubric_scores').optional().isObject(),
+  body('feedback').optional().isArray()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -18,7 +29,7 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { voting_session_id, choice_type, candidate_id } = req.body;
+    const { voting_session_id, choice_type } = req.body;
 
     // 验证投票会话是否存在且为活跃状态
     const sessionCheck = await db.query(`
@@ -40,41 +51,93 @@ router.post('/', [
       return res.status(400).json({ error: 'You have already voted in this session' });
     }
 
-    // 如果选择了候选项，验证候选项是否存在
-    if (choice_type === 'candidate' && candidate_id) {
-      const candidateCheck = await db.query(`
-        SELECT * FROM voting_candidates 
-        WHERE id = $1 AND voting_session_id = $2
-      `, [candidate_id, voting_session_id]);
+    const session = sessionCheck.rows[0];
 
-      if (candidateCheck.rows.length === 0) {
-        return res.status(400).json({ error: 'Invalid candidate' });
-      }
+    // 检查投票资格：候选文档作者、被排除的注释者以及不符合角色/分类限制的用户不能投票
+    const eligibility = await voterEligibility(db, session, req.user);
+    if (!eligibility.eligible) {
+      return res.status(403).json({ error: eligibility.reason });
     }
 
-    // 如果选择"都不满意"，candidate_id应该为null
-    const finalCandidateId = choice_type === 'none_satisfied' ? null : candidate_id;
+    // 按会话的计票方式校验选票：多数票只需候选项，排序复选需要排名，评分投票需要给每个候选项打分
+    const candidates = await db.query(`
+      SELECT vc.id, ed.content as document_content
+      FROM voting_candidates vc
+      JOIN entry_submissions es ON vc.submission_id = es.id
+      JOIN entry_documents ed ON es.document_id = ed.id
+      WHERE vc.voting_session_id = $1
+    `, [voting_session_id]);
 
-    // 提交投票
-    const voteResult = await db.query(`
-      INSERT INTO votes (voting_session_id, voter_id, candidate_id, choice_type)
-      VALUES ($1, $2, $3, $4)
-      RETURNING *
-    `, [voting_session_id, req.user.id, finalCandidateId, choice_type]);
-
-    // 如果是选择候选项，更新候选项的投票计数
-    if (choice_type === 'candidate' && candidate_id) {
-      await db.query(`
-        UPDATE voting_candidates 
-        SET vote_count = vote_count + 1 
-        WHERE id = $1
-      `, [candidate_id]);
+    const candidateIds = candidates.rows.map(candidate => candidate.id);
+    const documents = new Map(candidates.rows.map(candidate => [candidate.id, candidate.document_content]));
+
+    // 会话设置了评分细则时，每张选票都要为每个候选项的每一项打分（包括选择"都不满意"的选票）
+    // 对候选项的反馈意见（可选，可指定文档行范围）随选票一起提交
+    let vote;
+    let rubricRows;
+    let feedback;
+    try {
+      vote = buildBallot(session.voting_method, candidateIds, req.body, session.method_config);
+      rubricRows = rubricScoreRows(session.rubric || [], candidateIds, req.body.rubric_scores);
+      feedback = feedbackRows(documents, req.body.feedback);
+    } catch (ballotError) {
+      return res.status(400).json({ error: ballotError.message });
     }
 
-    res.status(201).json({
-      message: 'Vote submitted successfully',
-      vote: voteResult.rows[0]
-    });
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      // 提交投票，完整选票一并保存以便重新计票
+      const voteResult = await client.query(`
+        INSERT INTO votes (voting_session_id, voter_id, candidate_id, choice_type, ballot)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [voting_session_id, req.user.id, vote.candidate_id, choice_type, vote.ballot]);
+
+      const savedVote = voteResult.rows[0];
+
+      // 保存评分细则
+      for (const row of rubricRows) {
+        await client.query(`
+          INSERT INTO vote_rubric_scores (vote_id, candidate_id, criterion_key, score, max_score)
+          VALUES ($1, $2, $3, $4, $5)
+        `, [savedVote.id, row.candidate_id, row.criterion_key, row.score, row.max_score]);
+      }
+
+      // 保存反馈意见
+      for (const row of feedback) {
+        await client.query(`
+          INSERT INTO vote_feedback (
+            voting_session_id, candidate_id, vote_id, author_id, category, comment, line_start, line_end, excerpt
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        `, [
+          voting_session_id, row.candidate_id, savedVote.id, req.user.id,
+          row.category, row.comment, row.line_start, row.line_end, row.excerpt
+        ]);
+      }
+
+      // 如果是选择候选项，更新首选候选项的投票计数
+      if (vote.candidate_id) {
+        await client.query(`
+          UPDATE voting_candidates 
+          SET vote_count = vote_count + 1 
+          WHERE id = $1
+        `, [vote.candidate_id]);
+      }
+
+      await client.query('COMMIT');
+
+      res.status(201).json({
+        message: 'Vote submitted successfully',
+        vote: savedVote
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
   } catch (error) {
     console.error('Error submitting vote:', error);
     if (error.constraint === 'unique_document_vote_per_session') {
@@ -104,13 +167,16 @@ router.get('/session/:sessionId/statistics', authenticateToken, async (req, res)
 
     const session = sessionCheck.rows[0];
 
-    // 获取候选项信息
-    const candidates = await db.query(`
+    // 获取候选项信息（按创建顺序编号，匿名投票进行中隐藏作者）
+    const candidateRows = await db.query(`
       SELECT * FROM voting_candidates 
       WHERE voting_session_id = $1 
-      ORDER BY vote_count DESC, created_at
+      ORDER BY created_at, id
     `, [sessionId]);
 
+    const candidates = await presentCandidates(db, session, req.user.id, candidateRows.rows);
+    candidates.sort((a, b) => b.vote_count - a.vote_count);
+
     // 获取投票统计
     const voteStats = await db.query(`
       SELECT 
@@ -131,19 +197,16 @@ router.get('/session/:sessionId/statistics', authenticateToken, async (req, res)
       WHERE voting_session_id = $1
     `, [sessionId]);
 
-    // 获取还未投票的用户（仅管理员可见）
+    // 获取有投票资格但还未投票的用户（仅管理员可见）
     let pendingVoters = [];
     if (req.user.role === 'admin') {
+      const pendingIds = await pendingVoterIds(db, session);
       const pendingResult = await db.query(`
-        SELECT u.username 
-        FROM users u 
-        WHERE u.id NOT IN (
-          SELECT voter_id 
-          FROM votes 
-          WHERE voting_session_id = $1
-        )
-        ORDER BY u.username
-      `, [sessionId]);
+        SELECT username 
+        FROM users 
+        WHERE id = ANY($1)
+        ORDER BY username
+      `, [pendingIds]);
       pendingVoters = pendingResult.rows.map(row => row.username);
     }
 
@@ -165,7 +228,7 @@ router.get('/session/:sessionId/statistics', authenticateToken, async (req, res)
     });
 
     // 合并候选项信息和投票统计
-    const candidatesWithStats = candidates.rows.map(candidate => ({
+    const candidatesWithStats = candidates.map(candidate => ({
       ...candidate,
       vote_count: candidateStats[candidate.id]?.vote_count || 0,
       voters: candidateStats[candidate.id]?.voters || []
@@ -177,6 +240,7 @@ router.get('/session/:sessionId/statistics', authenticateToken, async (req, res)
         title: session.title,
         task_title: session.task_title,
         status: session.status,
+        blind: isBlind(session),
         started_at: session.started_at,
         ended_at: session.ended_at
       },
@@ -206,7 +270,7 @@ router.get('/my-votes', authenticateToken, async (req, res) => {
         vs.status as session_status,
         wt.title as task_title,
         wt.function_name,
-        vc.author_name as candidate_author_name
+        CASE WHEN vs.blind AND vs.status = 'active' THEN NULL ELSE vc.author_name END as candidate_author_name
       FROM votes v
       JOIN voting_sessions vs ON v.voting_session_id = vs.id
       JOIN wiki_tasks wt ON vs.task_id = wt.id
@@ -222,7 +286,7 @@ router.get('/my-votes', authenticateToken, async (req, res) => {
   }
 });
 
-// 获取活跃的投票会话（用户参与）
+// 获取活跃的投票会话（用户参与）；不显示用户没有投票资格的会话
 router.get('/active-sessions', authenticateToken, async (req, res) => {
   try {
     const result = await db.query(`
@@ -246,7 +310,15 @@ router.get('/active-sessions', authenticateToken, async (req, res) => {
       ORDER BY vs.created_at DESC
     `, [req.user.id]);
 
-    res.json(result.rows);
+    // 已投票的会话仍然显示，便于查看自己的选择
+    const sessions = [];
+    for (const session of result.rows) {
+      if (session.has_voted || (await voterEligibility(db, session, req.user)).eligible) {
+        sessions.push(session);
+      }
+    }
+
+    res.json(sessions);
   } catch (error) {
     console.error('Error fetching active voting sessions:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -279,7 +351,7 @@ router.get('/session/:sessionId/candidates-content', authenticateToken, async (r
       JOIN entry_submissions es ON vc.submission_id = es.id
       JOIN entry_documents ed ON es.document_id = ed.id
       WHERE vc.voting_session_id = $1
-      ORDER BY vc.created_at
+      ORDER BY vc.created_at, vc.id
     `, [sessionId]);
 
     // 为每个候选项获取API配置和笔记本
@@ -293,11 +365,27 @@ router.get('/session/:sessionId/candidates-content', authenticateToken, async (r
         ORDER BY order_index, created_at
       `, [candidate.document_id]);
 
-      // 获取笔记本
+      // 获取笔记本及其最近一次沙箱运行结果
       const notebooks = await db.query(`
-        SELECT * FROM entry_notebooks 
-        WHERE document_id = $1 
-        ORDER BY order_index, created_at
+        SELECT en.*,
+          CASE WHEN lr.id IS NULL THEN NULL ELSE json_build_object(
+            'status', lr.status,
+            'exit_code', lr.exit_code,
+            'stdout', lr.stdout,
+            'stderr', lr.stderr,
+            'duration_ms', lr.duration_ms,
+            'created_at', lr.created_at,
+            'is_current', lr.content_hash = encode(sha256(convert_to(en.content, 'UTF8')), 'hex')
+          ) END as last_run
+        FROM entry_notebooks en
+        LEFT JOIN LATERAL (
+          SELECT * FROM notebook_runs nr
+          WHERE nr.notebook_id = en.id
+          ORDER BY nr.created_at DESC
+          LIMIT 1
+        ) lr ON true
+        WHERE en.document_id = $1 
+        ORDER BY en.order_index, en.created_at
       `, [candidate.document_id]);
 
       candidatesWithContent.push({
@@ -316,9 +404,12 @@ router.get('/session/:sessionId/candidates-content', authenticateToken, async (r
       });
     }
 
+    // 候选项按当前用户看到的版本字母排序；匿名投票进行中去除作者信息
+    const session = sessionCheck.rows[0];
     res.json({
       session_id: sessionId,
-      candidates: candidatesWithContent
+      blind: isBlind(session),
+      candidates: await presentCandidates(db, session, req.user.id, candidatesWithContent)
     });
   } catch (error) {
     console.error('Error fetching candidates content:', error);
@@ -326,6 +417,93 @@ router.get('/session/:sessionId/candidates-content', authenticateToken, async (r
   }
 });
 
+// 获取候选项的反馈意见；投票进行中只能看到自己的反馈（管理员除外），结束后对所有人（包括作者）公开
+router.get('/session/:sessionId/feedback', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const sessionCheck = await db.query(`
+      SELECT * FROM voting_sessions WHERE id = $1
+    `, [sessionId]);
+
+    if (sessionCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Voting session not found' });
+    }
+
+    const session = sessionCheck.rows[0];
+    const revealed = feedbackRevealed(session, req.user);
+
+    const result = await db.query(`
+      SELECT vf.*, u.username as reviewer_name
+      FROM vote_feedback vf
+      JOIN users u ON vf.author_id = u.id
+      WHERE vf.voting_session_id = $1
+      ORDER BY vf.created_at
+    `, [sessionId]);
+
+    const threads = feedbackThreads(result.rows)
+      .filter(thread => revealed || thread.author_id === req.user.id);
+
+    res.json({
+      session_id: sessionId,
+      revealed,
+      threads
+    });
+  } catch (error) {
+    console.error('Error fetching vote feedback:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 回复反馈意见（投票结束后）；回复挂在原反馈下，不再嵌套
+router.post('/feedback/:feedbackId/replies', [
+  authenticateToken,
+  body('comment').isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { feedbackId } = req.params;
+
+    const feedbackCheck = await db.query(`
+      SELECT vf.*, vs.status as session_status
+      FROM vote_feedback vf
+      JOIN voting_sessions vs ON vf.voting_session_id = vs.id
+      WHERE vf.id = $1
+    `, [feedbackId]);
+
+    if (feedbackCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Feedback not found' });
+    }
+
+    const parent = feedbackCheck.rows[0];
+    if (parent.session_status === 'active') {
+      return res.status(400).json({ error: 'Feedback can be discussed once voting has ended' });
+    }
+
+    let comment;
+    try {
+      comment = validComment(req.body.comment);
+    } catch (commentError) {
+      return res.status(400).json({ error: commentError.message });
+    }
+
+    const result = await db.query(`
+      INSERT INTO vote_feedback (voting_session_id, candidate_id, parent_id, author_id, comment)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [parent.voting_session_id, parent.candidate_id, parent.parent_id || parent.id, req.user.id, comment]);
+
+    res.status(201).json({ ...result.rows[0], reviewer_name: req.user.username });
+  } catch (error) {
+    console.error('Error replying to vote feedback:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // 删除投票（仅用于开发/测试，生产环境应禁用）
 router.delete('/:voteId', authenticateToken, async (req, res) => {
   try {
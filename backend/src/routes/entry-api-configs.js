@@ -1,10 +1,26 @@
+const crypto = require('crypto');
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { runConfig, runScenario, EXTRACTION_SOURCES } = require('../services/api-test-runner');
+const { importApiConfigs, SUPPORTED_FORMATS } = require('../services/api-importers');
+const { exportApiConfigs, EXPORT_FORMATS } = require('../services/api-exporters');
+const { writerIdsColumn } = require('../services/task-writers');
+const { checkDocumentAccess } = require('../services/document-access');
 
 const router = express.Router();
 
+// Extraction rules: { variable, source: 'body' | 'header' | 'status', path }
+const extractionValidators = [
+  body('extractions').optional().isArray(),
+  body('extractions.*').isObject(),
+  body('extractions.*.variable').isString().trim().isLength({ min: 1, max: 100 }),
+  body('extractions.*.source').optional().isIn(EXTRACTION_SOURCES),
+  body('extractions.*.path').optional().isString(),
+  body('extractions.*.name').optional().isString()
+];
+
 // Get API configs for a document
 router.get('/document/:documentId', authenticateToken, async (req, res) => {
   try {
@@ -12,7 +28,7 @@ router.get('/document/:documentId', authenticateToken, async (req, res) => {
     
     // Check document access
     const docCheck = await db.query(`
-      SELECT ed.writer_id, wt.writer1_id, wt.writer2_id, wt.code_annotator_id
+      SELECT ed.writer_id, ${writerIdsColumn()} as writer_ids, wt.code_annotator_id
       FROM entry_documents ed
       JOIN wiki_tasks wt ON ed.task_id = wt.id
       WHERE ed.id = $1
@@ -25,8 +41,7 @@ router.get('/document/:documentId', authenticateToken, async (req, res) => {
     const doc = docCheck.rows[0];
     const canAccess = req.user.role === 'admin' || 
                      req.user.id === doc.writer_id || 
-                     req.user.id === doc.writer1_id || 
-                     req.user.id === doc.writer2_id || 
+                     doc.writer_ids.includes(req.user.id) || 
                      req.user.id === doc.code_annotator_id;
 
     if (!canAccess) {
@@ -59,6 +74,8 @@ router.post('/', [
   body('expected_status').optional().isInt({ min: 100, max: 599 }),
   body('expected_response').optional(),
   body('environment_vars').optional().isObject(),
+  body('assertions').optional().isArray(),
+  ...extractionValidators,
   body('order_index').optional().isInt({ min: 0 })
 ], async (req, res) => {
   try {
@@ -78,6 +95,8 @@ router.post('/', [
       expected_status,
       expected_response,
       environment_vars = {},
+      assertions = [],
+      extractions = [],
       order_index = 0
     } = req.body;
 
@@ -94,12 +113,14 @@ router.post('/', [
     const result = await db.query(`
       INSERT INTO entry_api_configs (
         document_id, name, method, endpoint, headers, body_type, 
-        body_content, expected_status, expected_response, environment_vars, order_index
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        body_content, expected_status, expected_response, environment_vars, assertions,
+        extractions, order_index
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
       RETURNING *
     `, [
       document_id, name, method, endpoint, JSON.stringify(headers), body_type,
-      body_content, expected_status, expected_response, JSON.stringify(environment_vars), order_index
+      body_content, expected_status, expected_response, JSON.stringify(environment_vars),
+      JSON.stringify(assertions), JSON.stringify(extractions), order_index
     ]);
 
     res.status(201).json(result.rows[0]);
@@ -121,6 +142,8 @@ router.put('/:configId', [
   body('expected_status').optional().isInt({ min: 100, max: 599 }),
   body('expected_response').optional(),
   body('environment_vars').optional().isObject(),
+  body('assertions').optional().isArray(),
+  ...extractionValidators,
   body('order_index').optional().isInt({ min: 0 })
 ], async (req, res) => {
   try {
@@ -140,6 +163,8 @@ router.put('/:configId', [
       expected_status,
       expected_response,
       environment_vars,
+      assertions,
+      extractions,
       order_index
     } = req.body;
 
@@ -199,6 +224,14 @@ router.put('/:configId', [
       updates.push(`environment_vars = $${paramIndex++}`);
       values.push(JSON.stringify(environment_vars));
     }
+    if (assertions !== undefined) {
+      updates.push(`assertions = $${paramIndex++}`);
+      values.push(JSON.stringify(assertions));
+    }
+    if (extractions !== undefined) {
+      updates.push(`extractions = $${paramIndex++}`);
+      values.push(JSON.stringify(extractions));
+    }
     if (order_index !== undefined) {
       updates.push(`order_index = $${paramIndex++}`);
       values.push(order_index);
@@ -304,4 +337,640 @@ router.put('/document/:documentId/reorder', [
   }
 });
 
+// Import API configs from OpenAPI 3, Postman v2.1, HAR or cURL
+// With dry_run the parsed configs are returned for preview without being saved
+router.post('/document/:documentId/import', [
+  authenticateToken,
+  body('format').optional().isIn(['auto', ...SUPPORTED_FORMATS]),
+  body('content').exists(),
+  body('dry_run').optional().isBoolean(),
+  body('selected').optional().isArray(),
+  body('selected.*').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { documentId } = req.params;
+    const { format = 'auto', content, dry_run = false, selected } = req.body;
+
+    // Check document ownership
+    const docCheck = await db.query('SELECT writer_id FROM entry_documents WHERE id = $1', [documentId]);
+    if (docCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    if (docCheck.rows[0].writer_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    let imported;
+    try {
+      imported = importApiConfigs(format, content);
+    } catch (parseError) {
+      return res.status(400).json({ error: parseError.message });
+    }
+
+    if (dry_run) {
+      return res.json(imported);
+    }
+
+    const toCreate = Array.isArray(selected)
+      ? imported.configs.filter((config, index) => selected.includes(index))
+      : imported.configs;
+
+    if (toCreate.length === 0) {
+      return res.status(400).json({ error: 'No API configs selected for import' });
+    }
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      const orderResult = await client.query(
+        'SELECT COALESCE(MAX(order_index), -1) + 1 as next_index FROM entry_api_configs WHERE document_id = $1',
+        [documentId]
+      );
+      let orderIndex = orderResult.rows[0].next_index;
+
+      const created = [];
+      for (const config of toCreate) {
+        const result = await client.query(`
+          INSERT INTO entry_api_configs (
+            document_id, name, method, endpoint, headers, body_type, 
+            body_content, expected_status, expected_response, environment_vars, order_index
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+          RETURNING *
+        `, [
+          documentId, config.name, config.method, config.endpoint, JSON.stringify(config.headers),
+          config.body_type, config.body_content, config.expected_status, config.expected_response,
+          JSON.stringify(config.environment_vars), orderIndex++
+        ]);
+        created.push(result.rows[0]);
+      }
+
+      await client.query('COMMIT');
+      res.status(201).json({
+        format: imported.format,
+        warnings: imported.warnings,
+        configs: created
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Error importing API configs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Run a single API config on the server and record the result
+router.post('/:configId/run', [
+  authenticateToken,
+  body('base_url').optional().isString().trim(),
+  body('environment_vars').optional().isObject(),
+  body('timeout_ms').optional().isInt({ min: 100, max: 60000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { configId } = req.params;
+    const { base_url, environment_vars, timeout_ms } = req.body;
+
+    const configResult = await db.query('SELECT * FROM entry_api_configs WHERE id = $1', [configId]);
+    if (configResult.rows.length === 0) {
+      return res.status(404).json({ error: 'API config not found' });
+    }
+
+    const config = configResult.rows[0];
+    const access = await checkDocumentAccess(config.document_id, req.user);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const result = await runConfig(config, {
+      baseUrl: base_url,
+      variables: environment_vars,
+      timeoutMs: timeout_ms
+    });
+    const run = await saveTestRun(config, result, req.user.id, null);
+
+    res.json(run);
+  } catch (error) {
+    console.error('Error running API config:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Run every API config of a document in order
+router.post('/document/:documentId/run-all', [
+  authenticateToken,
+  body('base_url').optional().isString().trim(),
+  body('environment_vars').optional().isObject(),
+  body('timeout_ms').optional().isInt({ min: 100, max: 60000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { documentId } = req.params;
+    const { base_url, environment_vars, timeout_ms } = req.body;
+
+    const access = await checkDocumentAccess(documentId, req.user);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const configsResult = await db.query(`
+      SELECT * FROM entry_api_configs 
+      WHERE document_id = $1 
+      ORDER BY order_index ASC, created_at ASC
+    `, [documentId]);
+
+    const batchId = crypto.randomUUID();
+    const runs = [];
+    // Values extracted by earlier steps, keyed by scenario
+    const scenarioVariables = {};
+
+    // Run sequentially so latency measurements are not skewed by concurrency
+    for (const config of configsResult.rows) {
+      const chained = (config.scenario_id && scenarioVariables[config.scenario_id]) || {};
+      const result = await runConfig(config, {
+        baseUrl: base_url,
+        variables: { ...environment_vars, ...chained },
+        timeoutMs: timeout_ms
+      });
+      if (config.scenario_id) {
+        scenarioVariables[config.scenario_id] = { ...chained, ...result.extracted };
+      }
+      runs.push(await saveTestRun(config, result, req.user.id, batchId));
+    }
+
+    res.json({
+      batch_id: batchId,
+      total: runs.length,
+      passed: runs.filter(run => run.passed).length,
+      failed: runs.filter(run => !run.passed).length,
+      runs
+    });
+  } catch (error) {
+    console.error('Error running API configs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get run history for an API config
+router.get('/:configId/runs', authenticateToken, async (req, res) => {
+  try {
+    const { configId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const configResult = await db.query('SELECT document_id FROM entry_api_configs WHERE id = $1', [configId]);
+    if (configResult.rows.length === 0) {
+      return res.status(404).json({ error: 'API config not found' });
+    }
+
+    const access = await checkDocumentAccess(configResult.rows[0].document_id, req.user);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const result = await db.query(`
+      SELECT atr.*, u.username as run_by_username
+      FROM api_test_runs atr
+      LEFT JOIN users u ON atr.run_by = u.id
+      WHERE atr.config_id = $1
+      ORDER BY atr.created_at DESC
+      LIMIT $2
+    `, [configId, limit]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching API test runs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get pass/fail history for all configs of a document
+router.get('/document/:documentId/runs', authenticateToken, async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const access = await checkDocumentAccess(documentId, req.user);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const result = await db.query(`
+      SELECT atr.id, atr.config_id, atr.batch_id, atr.passed, atr.response_status,
+             atr.duration_ms, atr.error, atr.started_at, atr.created_at,
+             eac.name as config_name, eac.method, eac.endpoint,
+             u.username as run_by_username
+      FROM api_test_runs atr
+      JOIN entry_api_configs eac ON atr.config_id = eac.id
+      LEFT JOIN users u ON atr.run_by = u.id
+      WHERE atr.document_id = $1
+      ORDER BY atr.created_at DESC
+      LIMIT $2
+    `, [documentId, limit]);
+
+    const summary = await db.query(`
+      SELECT COUNT(*) as total_runs,
+             COUNT(CASE WHEN passed THEN 1 END) as passed_runs,
+             MAX(created_at) as last_run_at
+      FROM api_test_runs
+      WHERE document_id = $1
+    `, [documentId]);
+
+    res.json({
+      summary: {
+        total_runs: parseInt(summary.rows[0].total_runs),
+        passed_runs: parseInt(summary.rows[0].passed_runs),
+        last_run_at: summary.rows[0].last_run_at
+      },
+      runs: result.rows
+    });
+  } catch (error) {
+    console.error('Error fetching document API test runs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the test scenarios of a document with their ordered steps
+router.get('/document/:documentId/scenarios', authenticateToken, async (req, res) => {
+  try {
+    const { documentId } = req.params;
+
+    const access = await checkDocumentAccess(documentId, req.user);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const scenariosResult = await db.query(`
+      SELECT * FROM api_test_scenarios
+      WHERE document_id = $1
+      ORDER BY created_at ASC
+    `, [documentId]);
+
+    const stepsResult = await db.query(`
+      SELECT id, scenario_id, name, method, endpoint, extractions, order_index
+      FROM entry_api_configs
+      WHERE document_id = $1 AND scenario_id IS NOT NULL
+      ORDER BY order_index ASC, created_at ASC
+    `, [documentId]);
+
+    res.json(scenariosResult.rows.map(scenario => ({
+      ...scenario,
+      steps: stepsResult.rows.filter(step => step.scenario_id === scenario.id)
+    })));
+  } catch (error) {
+    console.error('Error fetching API test scenarios:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a test scenario from existing API configs (steps run in order_index order)
+router.post('/document/:documentId/scenarios', [
+  authenticateToken,
+  body('name').isLength({ min: 1 }).trim(),
+  body('description').optional().isString(),
+  body('stop_on_failure').optional().isBoolean(),
+  body('config_ids').isArray({ min: 1 }),
+  body('config_ids.*').isUUID()
+], async (req, res) => {
+  const client = await db.getClient();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { documentId } = req.params;
+    const { name, description, stop_on_failure = true, config_ids } = req.body;
+
+    const docCheck = await client.query('SELECT writer_id FROM entry_documents WHERE id = $1', [documentId]);
+    if (docCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (docCheck.rows[0].writer_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    await client.query('BEGIN');
+
+    const scenarioResult = await client.query(`
+      INSERT INTO api_test_scenarios (document_id, name, description, stop_on_failure, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [documentId, name, description, stop_on_failure, req.user.id]);
+
+    const scenario = scenarioResult.rows[0];
+    const stepsResult = await assignScenarioSteps(client, scenario, config_ids);
+
+    if (stepsResult.error) {
+      await client.query('ROLLBACK');
+      return res.status(stepsResult.status).json({ error: stepsResult.error, conflicts: stepsResult.conflicts });
+    }
+
+    await client.query('COMMIT');
+
+    res.status(201).json({ ...scenario, steps: stepsResult.steps });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error creating API test scenario:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Update a test scenario; config_ids replaces its steps
+router.put('/scenarios/:scenarioId', [
+  authenticateToken,
+  body('name').optional().isLength({ min: 1 }).trim(),
+  body('description').optional().isString(),
+  body('stop_on_failure').optional().isBoolean(),
+  body('config_ids').optional().isArray({ min: 1 }),
+  body('config_ids.*').optional().isUUID()
+], async (req, res) => {
+  const client = await db.getClient();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { scenarioId } = req.params;
+    const { name, description, stop_on_failure, config_ids } = req.body;
+
+    const ownerCheck = await client.query(`
+      SELECT ats.*, ed.writer_id FROM api_test_scenarios ats
+      JOIN entry_documents ed ON ats.document_id = ed.id
+      WHERE ats.id = $1
+    `, [scenarioId]);
+
+    if (ownerCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Scenario not found' });
+    }
+
+    if (ownerCheck.rows[0].writer_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    await client.query('BEGIN');
+
+    const scenarioResult = await client.query(`
+      UPDATE api_test_scenarios
+      SET name = COALESCE($1, name),
+          description = COALESCE($2, description),
+          stop_on_failure = COALESCE($3, stop_on_failure),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING *
+    `, [name, description, stop_on_failure, scenarioId]);
+
+    const scenario = scenarioResult.rows[0];
+    let steps;
+
+    if (config_ids !== undefined) {
+      await client.query('UPDATE entry_api_configs SET scenario_id = NULL WHERE scenario_id = $1', [scenarioId]);
+      const stepsResult = await assignScenarioSteps(client, scenario, config_ids);
+
+      if (stepsResult.error) {
+        await client.query('ROLLBACK');
+        return res.status(stepsResult.status).json({ error: stepsResult.error, conflicts: stepsResult.conflicts });
+      }
+      steps = stepsResult.steps;
+    } else {
+      const stepsResult = await client.query(`
+        SELECT id, scenario_id, name, method, endpoint, extractions, order_index
+        FROM entry_api_configs
+        WHERE scenario_id = $1
+        ORDER BY order_index ASC, created_at ASC
+      `, [scenarioId]);
+      steps = stepsResult.rows;
+    }
+
+    await client.query('COMMIT');
+
+    res.json({ ...scenario, steps });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating API test scenario:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a test scenario (its configs are kept and become standalone)
+router.delete('/scenarios/:scenarioId', authenticateToken, async (req, res) => {
+  try {
+    const { scenarioId } = req.params;
+
+    const ownerCheck = await db.query(`
+      SELECT ed.writer_id FROM api_test_scenarios ats
+      JOIN entry_documents ed ON ats.document_id = ed.id
+      WHERE ats.id = $1
+    `, [scenarioId]);
+
+    if (ownerCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Scenario not found' });
+    }
+
+    if (ownerCheck.rows[0].writer_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    await db.query('DELETE FROM api_test_scenarios WHERE id = $1', [scenarioId]);
+    res.json({ message: 'Scenario deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting API test scenario:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Run a scenario as a unit, passing extracted variables from step to step
+router.post('/scenarios/:scenarioId/run', [
+  authenticateToken,
+  body('base_url').optional().isString().trim(),
+  body('environment_vars').optional().isObject(),
+  body('timeout_ms').optional().isInt({ min: 100, max: 60000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { scenarioId } = req.params;
+    const { base_url, environment_vars, timeout_ms } = req.body;
+
+    const scenarioResult = await db.query('SELECT * FROM api_test_scenarios WHERE id = $1', [scenarioId]);
+    if (scenarioResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Scenario not found' });
+    }
+
+    const scenario = scenarioResult.rows[0];
+    const access = await checkDocumentAccess(scenario.document_id, req.user);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const configsResult = await db.query(`
+      SELECT * FROM entry_api_configs
+      WHERE scenario_id = $1
+      ORDER BY order_index ASC, created_at ASC
+    `, [scenarioId]);
+
+    if (configsResult.rows.length === 0) {
+      return res.status(400).json({ error: 'Scenario has no steps' });
+    }
+
+    const outcome = await runScenario(configsResult.rows, {
+      baseUrl: base_url,
+      variables: environment_vars,
+      timeoutMs: timeout_ms,
+      stopOnFailure: scenario.stop_on_failure
+    });
+
+    const batchId = crypto.randomUUID();
+    const steps = [];
+
+    for (const step of outcome.steps) {
+      steps.push({
+        config_id: step.config.id,
+        config_name: step.config.name,
+        skipped: step.skipped,
+        run: step.skipped ? null : await saveTestRun(step.config, step.result, req.user.id, batchId)
+      });
+    }
+
+    res.json({
+      batch_id: batchId,
+      scenario_id: scenario.id,
+      passed: outcome.passed,
+      variables: outcome.variables,
+      steps
+    });
+  } catch (error) {
+    console.error('Error running API test scenario:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Export a document's API configs as a Postman collection, OpenAPI fragment or cURL script
+router.get('/document/:documentId/export/:format', authenticateToken, async (req, res) => {
+  try {
+    const { documentId, format } = req.params;
+
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+      return res.status(400).json({
+        error: `Unsupported format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const access = await checkDocumentAccess(documentId, req.user);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const docResult = await db.query('SELECT title FROM entry_documents WHERE id = $1', [documentId]);
+    const configsResult = await db.query(`
+      SELECT * FROM entry_api_configs
+      WHERE document_id = $1
+      ORDER BY order_index, created_at
+    `, [documentId]);
+
+    const exported = exportApiConfigs(format, docResult.rows[0].title, configsResult.rows);
+
+    res.setHeader('Content-Type', `${exported.contentType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(exported.filename)}`);
+    res.send(exported.body);
+  } catch (error) {
+    console.error('Error exporting API configs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Attach configs to a scenario; they must all belong to the scenario's document
+// and to no other scenario. Returns { steps } or { status, error } for the route.
+async function assignScenarioSteps(client, scenario, configIds) {
+  const taken = await client.query(`
+    SELECT eac.id, eac.name, ats.id as scenario_id, ats.name as scenario_name
+    FROM entry_api_configs eac
+    JOIN api_test_scenarios ats ON eac.scenario_id = ats.id
+    WHERE eac.id = ANY($1::uuid[]) AND eac.scenario_id <> $2
+    FOR UPDATE OF eac
+  `, [configIds, scenario.id]);
+
+  if (taken.rows.length > 0) {
+    return {
+      status: 409,
+      error: `Already a step of another scenario: ${taken.rows.map(row => `"${row.name}" (${row.scenario_name})`).join(', ')}. Remove it from that scenario first.`,
+      conflicts: taken.rows
+    };
+  }
+
+  const result = await client.query(`
+    UPDATE entry_api_configs
+    SET scenario_id = $1
+    WHERE id = ANY($2::uuid[]) AND document_id = $3
+    RETURNING id, scenario_id, name, method, endpoint, extractions, order_index, created_at
+  `, [scenario.id, configIds, scenario.document_id]);
+
+  if (result.rows.length !== new Set(configIds).size) {
+    return { status: 400, error: 'All steps must be API configs of the same document' };
+  }
+
+  const steps = result.rows.sort((a, b) => (a.order_index - b.order_index) || (a.created_at - b.created_at));
+  return { steps };
+}
+
+async function saveTestRun(config, result, userId, batchId) {
+  const insertResult = await db.query(`
+    INSERT INTO api_test_runs (
+      config_id, document_id, batch_id, scenario_id, run_by, passed, request,
+      response_status, response_headers, response_body, duration_ms,
+      assertion_results, extracted_variables, error, started_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+    RETURNING *
+  `, [
+    config.id,
+    config.document_id,
+    batchId,
+    config.scenario_id || null,
+    userId,
+    result.passed,
+    JSON.stringify(result.request),
+    result.response ? result.response.status : null,
+    result.response ? JSON.stringify(result.response.headers) : null,
+    result.response ? result.response.body : null,
+    result.response ? result.response.duration_ms : null,
+    JSON.stringify(result.assertions),
+    JSON.stringify(result.extracted || {}),
+    result.error,
+    result.started_at
+  ]);
+
+  return {
+    ...insertResult.rows[0],
+    config_name: config.name
+  };
+}
+
 module.exports = router;
\ No newline at end of file
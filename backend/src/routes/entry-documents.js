@@ -2,6 +2,9 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { analyzeSubmission } = require('../services/similarity-analysis');
+const { canTransition, transitionTask } = require('../services/task-lifecycle');
+const { writerIdsColumn } = require('../services/task-writers');
 
 const router = express.Router();
 
@@ -236,15 +239,23 @@ router.post('/:documentId/submit', authenticateToken, async (req, res) => {
         submitted_at: new Date().toISOString()
       };
 
-      await client.query(`
+      const submissionResult = await client.query(`
         INSERT INTO entry_submissions (document_id, submitted_by, submission_content)
         VALUES ($1, $2, $3)
+        RETURNING id
       `, [documentId, req.user.id, JSON.stringify(submissionContent)]);
 
       // Update wiki_tasks status based on submission progress
-      await updateTaskStatus(client, document.task_id);
+      await updateTaskStatus(client, document.task_id, req.user);
 
       await client.query('COMMIT');
+
+      // Compare with the other writer's submission and completed entries in the
+      // background; the submission itself stands even if the analysis fails
+      analyzeSubmission(submissionResult.rows[0].id, 'submission').catch((analysisError) => {
+        console.error('Error analyzing submission similarity:', analysisError);
+      });
+
       res.json({ message: 'Document submitted successfully' });
     } catch (error) {
       await client.query('ROLLBACK');
@@ -265,8 +276,8 @@ router.get('/task/:taskId', authenticateToken, async (req, res) => {
     
     // Only admin or assigned writers can view
     const taskCheck = await db.query(`
-      SELECT writer1_id, writer2_id, code_annotator_id 
-      FROM wiki_tasks WHERE id = $1
+      SELECT ${writerIdsColumn()} as writer_ids, wt.code_annotator_id 
+      FROM wiki_tasks wt WHERE wt.id = $1
     `, [taskId]);
     
     if (taskCheck.rows.length === 0) {
@@ -275,8 +286,7 @@ router.get('/task/:taskId', authenticateToken, async (req, res) => {
 
     const task = taskCheck.rows[0];
     const canView = req.user.role === 'admin' || 
-                   req.user.id === task.writer1_id || 
-                   req.user.id === task.writer2_id || 
+                   task.writer_ids.includes(req.user.id) || 
                    req.user.id === task.code_annotator_id;
 
     if (!canView) {
@@ -298,54 +308,29 @@ router.get('/task/:taskId', authenticateToken, async (req, res) => {
   }
 });
 
-// Helper function to update wiki_tasks status based on submission progress
-async function updateTaskStatus(client, taskId) {
-  try {
-    // Get task info and submission counts
-    const taskResult = await client.query(`
-      SELECT wt.*, 
-             COUNT(ed.id) as total_docs,
-             COUNT(CASE WHEN ed.is_submitted = true THEN 1 END) as submitted_docs
-      FROM wiki_tasks wt
-      LEFT JOIN entry_documents ed ON wt.id = ed.task_id
-      WHERE wt.id = $1
-      GROUP BY wt.id
-    `, [taskId]);
+// Helper function to move the wiki task on as writers submit: the first
+// submission starts it, one from every writer makes it ready for voting
+async function updateTaskStatus(client, taskId, actor) {
+  // Lock the task first so two writers submitting together both see each other
+  const taskResult = await client.query('SELECT status, writer_count FROM wiki_tasks WHERE id = $1 FOR UPDATE', [taskId]);
 
-    if (taskResult.rows.length === 0) {
-      return;
-    }
+  if (taskResult.rows.length === 0) {
+    return;
+  }
 
-    const task = taskResult.rows[0];
-    const submittedCount = parseInt(task.submitted_docs);
-    const totalDocs = parseInt(task.total_docs);
-    
-    let newStatus = task.status;
-
-    // Determine new status based on submission progress
-    if (submittedCount === 0) {
-      newStatus = 'not_started';
-    } else if (submittedCount < 2) {
-      // At least one document submitted, but not both writers
-      newStatus = 'in_progress';
-    } else if (submittedCount >= 2) {
-      // Both writers have submitted documents
-      newStatus = 'pending_vote';
-    }
+  const submitted = await client.query(`
+    SELECT COUNT(*) as count FROM entry_documents
+    WHERE task_id = $1 AND is_submitted = true
+  `, [taskId]);
 
-    // Only update if status has changed
-    if (newStatus !== task.status) {
-      await client.query(`
-        UPDATE wiki_tasks 
-        SET status = $1, updated_at = CURRENT_TIMESTAMP 
-        WHERE id = $2
-      `, [newStatus, taskId]);
-      
-      console.log(`Updated task ${taskId} status from ${task.status} to ${newStatus} (${submittedCount}/${totalDocs} docs submitted)`);
-    }
-  } catch (error) {
-    console.error('Error updating task status:', error);
-    // Don't throw error to avoid breaking the main transaction
+  const { status, writer_count } = taskResult.rows[0];
+  const submittedCount = parseInt(submitted.rows[0].count);
+  const details = { submissions: submittedCount };
+
+  if (submittedCount >= writer_count && canTransition(status, 'submissions_ready')) {
+    await transitionTask(client, taskId, 'submissions_ready', { actor, details });
+  } else if (submittedCount >= 1 && canTransition(status, 'start')) {
+    await transitionTask(client, taskId, 'start', { actor, details });
   }
 }
 
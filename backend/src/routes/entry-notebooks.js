@@ -1,7 +1,24 @@
+const crypto = require('crypto');
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { executeNotebook, EXECUTABLE_LANGUAGES } = require('../services/notebook-executor');
+const { executeSqlNotebook, parseScript } = require('../services/notebook-sql-runner');
+const {
+  normalizeCells,
+  cellsToContent,
+  contentToCells,
+  mergeContentIntoCells,
+  fromIpynb,
+  toIpynb,
+  buildCellScript,
+  applyCellOutputs,
+  applyRunOutputs,
+  stripMarkers
+} = require('../services/notebook-cells');
+const { writerIdsColumn } = require('../services/task-writers');
+const { checkDocumentAccess } = require('../services/document-access');
 
 const router = express.Router();
 
@@ -12,7 +29,7 @@ router.get('/document/:documentId', authenticateToken, async (req, res) => {
     
     // Check document access
     const docCheck = await db.query(`
-      SELECT ed.writer_id, wt.writer1_id, wt.writer2_id, wt.code_annotator_id
+      SELECT ed.writer_id, ${writerIdsColumn()} as writer_ids, wt.code_annotator_id
       FROM entry_documents ed
       JOIN wiki_tasks wt ON ed.task_id = wt.id
       WHERE ed.id = $1
@@ -25,8 +42,7 @@ router.get('/document/:documentId', authenticateToken, async (req, res) => {
     const doc = docCheck.rows[0];
     const canAccess = req.user.role === 'admin' || 
                      req.user.id === doc.writer_id || 
-                     req.user.id === doc.writer1_id || 
-                     req.user.id === doc.writer2_id || 
+                     doc.writer_ids.includes(req.user.id) || 
                      req.user.id === doc.code_annotator_id;
 
     if (!canAccess) {
@@ -34,12 +50,27 @@ router.get('/document/:documentId', authenticateToken, async (req, res) => {
     }
 
     const result = await db.query(`
-      SELECT * FROM entry_notebooks 
-      WHERE document_id = $1 
-      ORDER BY order_index ASC, created_at ASC
+      SELECT en.*, row_to_json(lr) as last_run
+      FROM entry_notebooks en
+      LEFT JOIN LATERAL (
+        SELECT nr.id, nr.status, nr.exit_code, nr.stdout, nr.stderr, nr.truncated,
+               nr.duration_ms, nr.content_hash, nr.created_at
+        FROM notebook_runs nr
+        WHERE nr.notebook_id = en.id
+        ORDER BY nr.created_at DESC
+        LIMIT 1
+      ) lr ON true
+      WHERE en.document_id = $1 
+      ORDER BY en.order_index ASC, en.created_at ASC
     `, [documentId]);
 
-    res.json(result.rows);
+    res.json(result.rows.map(notebook => ({
+      ...notebook,
+      last_run: notebook.last_run && {
+        ...notebook.last_run,
+        is_current: notebook.last_run.content_hash === contentHash(notebook.content)
+      }
+    })));
   } catch (error) {
     console.error('Error fetching notebooks:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -53,6 +84,7 @@ router.post('/', [
   body('title').isLength({ min: 1 }).trim(),
   body('language').isIn(['python', 'javascript', 'sql', 'bash', 'shell']),
   body('content').optional(),
+  body('cells').optional().isArray(),
   body('description').optional().trim(),
   body('order_index').optional().isInt({ min: 0 })
 ], async (req, res) => {
@@ -66,11 +98,19 @@ router.post('/', [
       document_id,
       title,
       language,
-      content = '',
       description,
       order_index = 0
     } = req.body;
 
+    // Cells are the source of truth; plain content becomes a single code cell
+    let cells;
+    try {
+      cells = req.body.cells ? normalizeCells(req.body.cells) : contentToCells(req.body.content);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const content = cellsToContent(cells);
+
     // Check document ownership
     const docCheck = await db.query('SELECT writer_id FROM entry_documents WHERE id = $1', [document_id]);
     if (docCheck.rows.length === 0) {
@@ -82,10 +122,10 @@ router.post('/', [
     }
 
     const result = await db.query(`
-      INSERT INTO entry_notebooks (document_id, title, language, content, description, order_index)
-      VALUES ($1, $2, $3, $4, $5, $6)
+      INSERT INTO entry_notebooks (document_id, title, language, content, cells, description, order_index)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
       RETURNING *
-    `, [document_id, title, language, content, description, order_index]);
+    `, [document_id, title, language, content, JSON.stringify(cells), description, order_index]);
 
     res.status(201).json(result.rows[0]);
   } catch (error) {
@@ -100,6 +140,7 @@ router.put('/:notebookId', [
   body('title').optional().isLength({ min: 1 }).trim(),
   body('language').optional().isIn(['python', 'javascript', 'sql', 'bash', 'shell']),
   body('content').optional(),
+  body('cells').optional().isArray(),
   body('description').optional().trim(),
   body('order_index').optional().isInt({ min: 0 })
 ], async (req, res) => {
@@ -110,11 +151,20 @@ router.put('/:notebookId', [
     }
 
     const { notebookId } = req.params;
-    const { title, language, content, description, order_index } = req.body;
+    const { title, language, description, order_index } = req.body;
+
+    let cells;
+    try {
+      if (req.body.cells !== undefined) {
+        cells = normalizeCells(req.body.cells);
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
     // Check ownership via document
     const ownerCheck = await db.query(`
-      SELECT ed.writer_id FROM entry_notebooks en
+      SELECT ed.writer_id, en.cells FROM entry_notebooks en
       JOIN entry_documents ed ON en.document_id = ed.id
       WHERE en.id = $1
     `, [notebookId]);
@@ -127,6 +177,11 @@ router.put('/:notebookId', [
       return res.status(403).json({ error: 'Access denied' });
     }
 
+    // Clients that only know the flat content column keep the markdown cells
+    if (cells === undefined && req.body.content !== undefined) {
+      cells = mergeContentIntoCells(ownerCheck.rows[0].cells, req.body.content);
+    }
+
     // Build update query dynamically
     const updates = [];
     const values = [];
@@ -140,9 +195,11 @@ router.put('/:notebookId', [
       updates.push(`language = $${paramIndex++}`);
       values.push(language);
     }
-    if (content !== undefined) {
+    if (cells !== undefined) {
+      updates.push(`cells = $${paramIndex++}`);
+      values.push(JSON.stringify(cells));
       updates.push(`content = $${paramIndex++}`);
-      values.push(content);
+      values.push(cellsToContent(cells));
     }
     if (description !== undefined) {
       updates.push(`description = $${paramIndex++}`);
@@ -253,13 +310,303 @@ router.put('/document/:documentId/reorder', [
   }
 });
 
+// Run a notebook in the sandbox and store the result
+router.post('/:notebookId/run', authenticateToken, async (req, res) => {
+  try {
+    const { notebookId } = req.params;
+
+    const notebookResult = await db.query('SELECT * FROM entry_notebooks WHERE id = $1', [notebookId]);
+    if (notebookResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Notebook not found' });
+    }
+
+    const notebook = notebookResult.rows[0];
+    const access = await checkDocumentAccess(notebook.document_id, req.user);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    if (!EXECUTABLE_LANGUAGES.includes(notebook.language) && notebook.language !== 'sql') {
+      return res.status(400).json({ error: `Execution is not supported for ${notebook.language} notebooks` });
+    }
+
+    // Code cells run as one script so they share state like a Jupyter kernel;
+    // markers printed between cells split the output back per cell
+    const codeCells = (notebook.cells || []).filter(cell => cell.cell_type === 'code');
+    const marker = `__CODEPEDIA_CELL_${crypto.randomBytes(8).toString('hex')}`;
+
+    let result;
+    let cells = null;
+    try {
+      if (notebook.language === 'sql') {
+        // SQL cells run statement by statement in a rolled-back sandbox schema
+        // seeded with the function's fixture tables
+        cells = codeCells.length > 0 ? notebook.cells : contentToCells(notebook.content);
+        const fixtureResult = await db.query(`
+          SELECT f.script
+          FROM notebook_sql_fixtures f
+          JOIN wiki_tasks wt ON wt.function_id = f.function_id
+          JOIN entry_documents ed ON ed.task_id = wt.id
+          WHERE ed.id = $1
+        `, [notebook.document_id]);
+
+        result = await executeSqlNotebook(cells, fixtureResult.rows[0] ? fixtureResult.rows[0].script : '');
+        cells = applyCellOutputs(cells, result.cell_outputs);
+      } else {
+        const script = codeCells.length > 0
+          ? buildCellScript(notebook.language, notebook.cells, marker)
+          : notebook.content;
+        result = await executeNotebook(notebook.language, script);
+        cells = codeCells.length > 0 ? applyRunOutputs(notebook.cells, result, marker) : null;
+      }
+    } catch (error) {
+      if (error.code === 'SANDBOX_BUSY') {
+        return res.status(429).json({ error: error.message });
+      }
+      if (error.code === 'SQL_STATEMENT_NOT_ALLOWED') {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error.code === 'SANDBOX_UNAVAILABLE' || error.code === 'SQL_SANDBOX_UNAVAILABLE' || error.code === 'SQL_SANDBOX_UNSAFE') {
+        return res.status(503).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    // Outputs are saved into the notebook only for its editors; other viewers
+    // (reviewers, voters) get them in the run record
+    if (cells && (access.document.writer_id === req.user.id || req.user.role === 'admin')) {
+      await db.query('UPDATE entry_notebooks SET cells = $1 WHERE id = $2', [JSON.stringify(cells), notebook.id]);
+    }
+
+    const runResult = await db.query(`
+      INSERT INTO notebook_runs (
+        notebook_id, document_id, run_by, language, content_hash, status,
+        exit_code, signal, stdout, stderr, truncated, duration_ms, started_at, cell_outputs
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      RETURNING *
+    `, [
+      notebook.id,
+      notebook.document_id,
+      req.user.id,
+      notebook.language,
+      contentHash(notebook.content),
+      result.status,
+      result.exit_code,
+      result.signal,
+      stripMarkers(result.stdout, marker),
+      stripMarkers(result.stderr, marker),
+      result.truncated,
+      result.duration_ms,
+      result.started_at,
+      cells && JSON.stringify(Object.fromEntries(
+        cells.filter(cell => cell.cell_type === 'code').map(cell => [cell.id, cell.outputs])
+      ))
+    ]);
+
+    res.json({ ...runResult.rows[0], cells, is_current: true });
+  } catch (error) {
+    console.error('Error running notebook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get run history for a notebook
+router.get('/:notebookId/runs', authenticateToken, async (req, res) => {
+  try {
+    const { notebookId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const notebookResult = await db.query('SELECT document_id, content FROM entry_notebooks WHERE id = $1', [notebookId]);
+    if (notebookResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Notebook not found' });
+    }
+
+    const notebook = notebookResult.rows[0];
+    const access = await checkDocumentAccess(notebook.document_id, req.user);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const result = await db.query(`
+      SELECT nr.*, u.username as run_by_username
+      FROM notebook_runs nr
+      LEFT JOIN users u ON nr.run_by = u.id
+      WHERE nr.notebook_id = $1
+      ORDER BY nr.created_at DESC
+      LIMIT $2
+    `, [notebookId, limit]);
+
+    // is_current tells whether the run used the notebook's present content
+    const currentHash = contentHash(notebook.content);
+    res.json(result.rows.map(run => ({ ...run, is_current: run.content_hash === currentHash })));
+  } catch (error) {
+    console.error('Error fetching notebook runs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the SQL fixture script that seeds sandbox runs of a function's SQL notebooks
+router.get('/fixtures/:functionId', authenticateToken, async (req, res) => {
+  try {
+    const { functionId } = req.params;
+
+    const result = await db.query(`
+      SELECT f.*, u.username as updated_by_username
+      FROM notebook_sql_fixtures f
+      LEFT JOIN users u ON f.updated_by = u.id
+      WHERE f.function_id = $1
+    `, [functionId]);
+
+    res.json(result.rows[0] || { function_id: functionId, script: '' });
+  } catch (error) {
+    console.error('Error fetching SQL fixture:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create or replace a function's SQL fixture (admins and the function's writers)
+router.put('/fixtures/:functionId', [
+  authenticateToken,
+  body('script').isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { functionId } = req.params;
+    const { script } = req.body;
+
+    const functionCheck = await db.query('SELECT id FROM functions WHERE id = $1', [functionId]);
+    if (functionCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Function not found' });
+    }
+
+    if (req.user.role !== 'admin') {
+      const writerCheck = await db.query(`
+        SELECT 1 FROM wiki_tasks wt
+        JOIN wiki_task_assignments wta ON wta.task_id = wt.id
+        WHERE wt.function_id = $1 AND wta.writer_id = $2
+        LIMIT 1
+      `, [functionId, req.user.id]);
+
+      if (writerCheck.rows.length === 0) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+    }
+
+    try {
+      parseScript(script);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const result = await db.query(`
+      INSERT INTO notebook_sql_fixtures (function_id, script, updated_by)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (function_id) DO UPDATE
+      SET script = EXCLUDED.script, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [functionId, script, req.user.id]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error saving SQL fixture:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Import a Jupyter .ipynb file as a new notebook
+router.post('/import', [
+  authenticateToken,
+  body('document_id').isUUID(),
+  body('notebook').exists(),
+  body('title').optional().isLength({ min: 1 }).trim(),
+  body('order_index').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { document_id, title, order_index = 0 } = req.body;
+
+    const docCheck = await db.query('SELECT writer_id FROM entry_documents WHERE id = $1', [document_id]);
+    if (docCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (docCheck.rows[0].writer_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    let imported;
+    try {
+      imported = fromIpynb(req.body.notebook);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const result = await db.query(`
+      INSERT INTO entry_notebooks (
+        document_id, title, language, content, cells, notebook_metadata,
+        nbformat, nbformat_minor, order_index
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [
+      document_id,
+      title || imported.title || 'Imported notebook',
+      imported.language,
+      cellsToContent(imported.cells),
+      JSON.stringify(imported.cells),
+      JSON.stringify(imported.metadata),
+      imported.nbformat,
+      imported.nbformat_minor,
+      order_index
+    ]);
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error('Error importing notebook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Export a notebook as a Jupyter .ipynb file
+router.get('/:notebookId/export', authenticateToken, async (req, res) => {
+  try {
+    const { notebookId } = req.params;
+
+    const notebookResult = await db.query('SELECT * FROM entry_notebooks WHERE id = $1', [notebookId]);
+    if (notebookResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Notebook not found' });
+    }
+
+    const notebook = notebookResult.rows[0];
+    const access = await checkDocumentAccess(notebook.document_id, req.user);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const filename = `${notebook.title.replace(/[^\w\u4e00-\u9fa5-]+/g, '_')}.ipynb`;
+    res.setHeader('Content-Type', 'application/x-ipynb+json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`);
+    res.send(JSON.stringify(toIpynb(notebook), null, 1));
+  } catch (error) {
+    console.error('Error exporting notebook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get supported languages
 router.get('/languages', authenticateToken, async (req, res) => {
   try {
     const languages = [
-      { value: 'python', label: 'Python', extension: '.py', example: '# Python script example\nprint("Hello, World!")' },
-      { value: 'javascript', label: 'JavaScript', extension: '.js', example: '// JavaScript example\nconsole.log("Hello, World!");' },
-      { value: 'sql', label: 'SQL', extension: '.sql', example: '-- SQL example\nSELECT * FROM users;' },
+      { value: 'python', label: 'Python', extension: '.py', executable: true, example: '# Python script example\nprint("Hello, World!")' },
+      { value: 'javascript', label: 'JavaScript', extension: '.js', executable: true, example: '// JavaScript example\nconsole.log("Hello, World!");' },
+      { value: 'sql', label: 'SQL', extension: '.sql', executable: true, example: '-- SQL example (runs against this function\'s fixture tables)\nSELECT 1 AS answer;' },
       { value: 'bash', label: 'Bash', extension: '.sh', example: '#!/bin/bash\n# Bash script example\necho "Hello, World!"' },
       { value: 'shell', label: 'Shell', extension: '.sh', example: '#!/bin/sh\n# Shell script example\necho "Hello, World!"' }
     ];
@@ -271,4 +618,8 @@ router.get('/languages', authenticateToken, async (req, res) => {
   }
 });
 
+function contentHash(content) {
+  return crypto.createHash('sha256').update(content || '').digest('hex');
+}
+
 module.exports = router;
\ No newline at end of file
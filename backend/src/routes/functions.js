@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { writersColumn } = require('../services/task-writers');
 
 const router = express.Router();
 
@@ -97,13 +98,10 @@ router.get('/:id', authenticateToken, async (req, res) => {
       SELECT wt.id, wt.title, wt.status, wt.deadline, wt.created_at,
              u1.username as assigned_by_username,
              u2.username as code_annotator_username,
-             u3.username as writer1_username,
-             u4.username as writer2_username
+             ${writersColumn()} as writers
       FROM wiki_tasks wt
       LEFT JOIN users u1 ON wt.assigned_by = u1.id
       LEFT JOIN users u2 ON wt.code_annotator_id = u2.id
-      LEFT JOIN users u3 ON wt.writer1_id = u3.id
-      LEFT JOIN users u4 ON wt.writer2_id = u4.id
       WHERE wt.function_id = $1
       ORDER BY wt.created_at DESC
     `, [id]);
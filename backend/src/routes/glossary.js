@@ -0,0 +1,175 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { loadGlossary } = require('../services/glossary');
+
+const router = express.Router();
+
+const termValidators = [
+  body('term').isString().trim().isLength({ min: 1, max: 100 }),
+  body('variants').optional().isArray(),
+  body('variants.*').isString().trim().isLength({ min: 1, max: 100 }),
+  body('category_id').optional({ nullable: true }).isUUID(),
+  body('case_sensitive').optional().isBoolean(),
+  body('description').optional({ nullable: true }).trim()
+];
+
+// List glossary terms; category_id=... limits to one category, scope=global to terms without one
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { category_id, scope } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (scope === 'global') {
+      conditions.push('gt.category_id IS NULL');
+    } else if (category_id) {
+      params.push(category_id);
+      conditions.push(`gt.category_id = $${params.length}`);
+    }
+
+    const result = await db.query(`
+      SELECT gt.*, c.name as category_name, u.username as created_by_username
+      FROM glossary_terms gt
+      LEFT JOIN categories c ON gt.category_id = c.id
+      LEFT JOIN users u ON gt.created_by = u.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY c.name NULLS FIRST, lower(gt.term)
+    `, params);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching glossary terms:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Terms in effect for a category: global terms plus those of the category and its ancestors
+router.get('/effective/:categoryId', authenticateToken, async (req, res) => {
+  try {
+    res.json(await loadGlossary(db, req.params.categoryId));
+  } catch (error) {
+    console.error('Error fetching effective glossary:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a term (admin only)
+router.post('/', [
+  authenticateToken,
+  requireRole('admin'),
+  ...termValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { term, variants = [], category_id = null, case_sensitive = true, description = null } = req.body;
+
+    const problem = await validateTerm(term, variants, category_id);
+    if (problem) {
+      return res.status(problem.status).json({ error: problem.error });
+    }
+
+    const result = await db.query(`
+      INSERT INTO glossary_terms (category_id, term, variants, case_sensitive, description, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [category_id, term, uniqueVariants(variants), case_sensitive, description, req.user.id]);
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'This term is already defined for that scope' });
+    }
+    console.error('Error creating glossary term:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a term (admin only)
+router.put('/:termId', [
+  authenticateToken,
+  requireRole('admin'),
+  ...termValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { termId } = req.params;
+    const { term, variants = [], category_id = null, case_sensitive = true, description = null } = req.body;
+
+    const problem = await validateTerm(term, variants, category_id);
+    if (problem) {
+      return res.status(problem.status).json({ error: problem.error });
+    }
+
+    const result = await db.query(`
+      UPDATE glossary_terms
+      SET category_id = $1,
+          term = $2,
+          variants = $3,
+          case_sensitive = $4,
+          description = $5,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $6
+      RETURNING *
+    `, [category_id, term, uniqueVariants(variants), case_sensitive, description, termId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Glossary term not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'This term is already defined for that scope' });
+    }
+    console.error('Error updating glossary term:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a term (admin only)
+router.delete('/:termId', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await db.query('DELETE FROM glossary_terms WHERE id = $1 RETURNING id', [req.params.termId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Glossary term not found' });
+    }
+
+    res.json({ message: 'Glossary term deleted' });
+  } catch (error) {
+    console.error('Error deleting glossary term:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Returns { status, error } when the term cannot be saved
+async function validateTerm(term, variants, categoryId) {
+  if (variants.some(variant => variant.trim() === term)) {
+    return { status: 400, error: 'A variant cannot be the term itself' };
+  }
+
+  if (categoryId) {
+    const categoryResult = await db.query('SELECT id FROM categories WHERE id = $1', [categoryId]);
+    if (categoryResult.rows.length === 0) {
+      return { status: 404, error: 'Category not found' };
+    }
+  }
+
+  return null;
+}
+
+function uniqueVariants(variants) {
+  return [...new Set(variants.map(variant => variant.trim()).filter(Boolean))];
+}
+
+module.exports = router;
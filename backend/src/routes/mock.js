@@ -0,0 +1,72 @@
+const express = require('express');
+const db = require('../config/database');
+const { compileRoutes, matchRoute, buildMockResponse } = require('../services/mock-server');
+
+const router = express.Router();
+
+// Serve the winning document's API configs as a mock API:
+// /mock/:functionId/<endpoint path> answers with expected_status and expected_response.
+// No authentication, so frontend dev servers can call it directly; only the
+// request/response contract of completed (voted) entries is exposed.
+router.all('/:functionId/*', async (req, res) => {
+  try {
+    const { functionId } = req.params;
+
+    if (!/^[0-9a-f-]{36}$/i.test(functionId)) {
+      return res.status(404).json({ error: 'Function not found' });
+    }
+
+    // req.params[0] is already decoded; matchRoute decodes each parameter
+    // itself so an encoded slash stays inside one path segment
+    const path = req.path.slice(functionId.length + 1) || '/';
+
+    const configsResult = await db.query(`
+      SELECT eac.*
+      FROM entry_api_configs eac
+      WHERE eac.document_id = (
+        SELECT es.document_id
+        FROM wiki_tasks wt
+        JOIN voting_candidates vc ON vc.voting_session_id = wt.voting_session_id AND vc.is_winner = true
+        JOIN entry_submissions es ON vc.submission_id = es.id
+        WHERE wt.function_id = $1 AND wt.status = 'completed'
+        ORDER BY wt.created_at DESC
+        LIMIT 1
+      )
+      ORDER BY eac.order_index, eac.created_at
+    `, [functionId]);
+
+    if (configsResult.rows.length === 0) {
+      return res.status(404).json({ error: 'No mock available: this function has no winning document with API configs' });
+    }
+
+    const routes = compileRoutes(configsResult.rows);
+    const { match, allowed } = matchRoute(routes, req.method, path);
+
+    if (!match) {
+      if (allowed.length > 0) {
+        res.setHeader('Allow', allowed.join(', '));
+        return res.status(405).json({ error: `Method ${req.method} not allowed for ${path}`, allowed });
+      }
+
+      return res.status(404).json({
+        error: `No mock configured for ${req.method} ${path}`,
+        routes: routes.map(route => ({ method: route.method, path: route.path, name: route.config.name }))
+      });
+    }
+
+    const mock = buildMockResponse(match.route.config, { ...req.query, ...match.params });
+
+    res.setHeader('X-Mock-Config', encodeURIComponent(match.route.config.name));
+    res.status(mock.status);
+
+    if (mock.json !== undefined) {
+      return res.json(mock.json);
+    }
+    res.type('text/plain').send(mock.text);
+  } catch (error) {
+    console.error('Error serving mock response:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
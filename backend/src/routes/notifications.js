@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { runJobNow } = require('../services/job-scheduler');
 
 const router = express.Router();
 
@@ -227,66 +228,25 @@ router.get('/stats', [
   }
 });
 
-// Schedule deadline reminders (admin only - could be called by cron job)
+// Send due deadline reminders now instead of waiting for the deadline_reminders
+// job; the reminder offsets are that job's settings (admin only)
 router.post('/schedule-deadline-reminders', [
   authenticateToken,
   requireRole(['admin'])
 ], async (req, res) => {
   try {
-    const { days_before = 1 } = req.body;
-
-    // Find tasks approaching deadline
-    const approachingTasks = await db.query(`
-      SELECT wt.*, f.name as function_name
-      FROM wiki_tasks wt
-      JOIN functions f ON wt.function_id = f.id
-      WHERE wt.deadline IS NOT NULL 
-        AND wt.status IN ('not_started', 'in_progress')
-        AND wt.deadline <= NOW() + INTERVAL '${days_before} days'
-        AND wt.deadline > NOW()
-        AND NOT EXISTS (
-          SELECT 1 FROM task_notifications tn 
-          WHERE tn.task_id = wt.id 
-            AND tn.notification_type = 'deadline_reminder'
-            AND tn.created_at > NOW() - INTERVAL '24 hours'
-        )
-    `);
-
-    const client = await db.getClient();
-    try {
-      await client.query('BEGIN');
-
-      let reminderCount = 0;
-      for (const task of approachingTasks.rows) {
-        const deadline = new Date(task.deadline);
-        const usersToNotify = [task.writer1_id, task.writer2_id, task.code_annotator_id].filter(Boolean);
-
-        for (const userId of usersToNotify) {
-          await client.query(
-            'INSERT INTO task_notifications (task_id, recipient_id, notification_type, title, message) VALUES ($1, $2, $3, $4, $5)',
-            [
-              task.id, 
-              userId, 
-              'deadline_reminder',
-              'Task Deadline Reminder',
-              `The task "${task.title}" is due on ${deadline.toLocaleDateString()}. Please complete your work soon.`
-            ]
-          );
-          reminderCount++;
-        }
-      }
-
-      await client.query('COMMIT');
-      res.json({
-        message: `${reminderCount} deadline reminders sent for ${approachingTasks.rows.length} tasks`
-      });
-    } catch (error) {
-      await client.query('ROLLBACK');
-      throw error;
-    } finally {
-      client.release();
+    const run = await runJobNow('deadline_reminders', req.user.id);
+    if (run.status === 'failed') {
+      return res.status(500).json({ error: run.error });
     }
+
+    res.json({
+      message: `${run.result.notifications} deadline reminders sent for ${run.result.tasks} tasks`
+    });
   } catch (error) {
+    if (error.code === 'JOB_RUNNING') {
+      return res.status(409).json({ error: 'Deadline reminders are already being sent' });
+    }
     console.error('Error scheduling deadline reminders:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -1,6 +1,16 @@
+const crypto = require('crypto');
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  listRules,
+  validateRuleOverrides,
+  resolveConfig,
+  runQualityChecks,
+  summarizeChecks
+} = require('../services/quality-rules');
+const { writerIdsColumn } = require('../services/task-writers');
 
 const router = express.Router();
 
@@ -11,9 +21,10 @@ router.post('/document/:documentId/check', authenticateToken, async (req, res) =
 
     // Check document ownership
     const docResult = await db.query(`
-      SELECT ed.*, wt.title as task_title
+      SELECT ed.*, wt.title as task_title, f.category_id
       FROM entry_documents ed
       JOIN wiki_tasks wt ON ed.task_id = wt.id
+      JOIN functions f ON wt.function_id = f.id
       WHERE ed.id = $1
     `, [documentId]);
     
@@ -36,25 +47,55 @@ router.post('/document/:documentId/check', authenticateToken, async (req, res) =
     const apiConfigs = apiResult.rows;
     const notebooks = notebookResult.rows;
 
-    // Perform quality checks
-    const checks = await performQualityChecks(document, apiConfigs, notebooks);
+    // Run the rules in effect for the document's category
+    const config = await loadQualityConfig(document.category_id);
+    const checks = await runQualityChecks({ document, apiConfigs, notebooks, db }, config);
     
-    // Save check results
+    const summary = summarizeChecks(checks, config);
+
+    // Keep every run, linked to the latest saved version of the document when
+    // that version is what was checked; a newer unsaved draft gets no version
     const client = await db.getClient();
+    let run;
     try {
       await client.query('BEGIN');
-      
-      // Clear previous checks
-      await client.query('DELETE FROM quality_checks WHERE document_id = $1', [documentId]);
-      
-      // Insert new checks
+
+      const versionResult = await client.query(`
+        SELECT id, version_number, title, content FROM document_versions
+        WHERE document_id = $1
+        ORDER BY version_number DESC
+        LIMIT 1
+      `, [documentId]);
+      const latestVersion = versionResult.rows[0];
+      const version = latestVersion && contentHash(latestVersion) === contentHash(document) ? latestVersion : null;
+
+      const runResult = await client.query(`
+        INSERT INTO quality_check_runs (
+          document_id, document_version_id, version_number, content_hash, overall_score,
+          min_submit_score, can_submit, error_count, warning_count, run_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING *
+      `, [
+        documentId,
+        version ? version.id : null,
+        version ? version.version_number : null,
+        contentHash(document),
+        summary.overall_score,
+        summary.min_submit_score,
+        summary.can_submit,
+        summary.blocking_issues.length,
+        summary.warnings.length,
+        req.user.id
+      ]);
+      run = runResult.rows[0];
+
       for (const check of checks) {
         await client.query(`
-          INSERT INTO quality_checks (document_id, check_type, status, message, details, score)
-          VALUES ($1, $2, $3, $4, $5, $6)
-        `, [documentId, check.type, check.status, check.message, JSON.stringify(check.details), check.score]);
+          INSERT INTO quality_checks (document_id, run_id, check_type, status, severity, message, details, score)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [documentId, run.id, check.type, check.status, check.severity, check.message, JSON.stringify(check.details), check.score]);
       }
-      
+
       await client.query('COMMIT');
     } catch (error) {
       await client.query('ROLLBACK');
@@ -63,17 +104,10 @@ router.post('/document/:documentId/check', authenticateToken, async (req, res) =
       client.release();
     }
 
-    // Calculate overall score
-    const overallScore = calculateOverallScore(checks);
-    const hasBlockingIssues = checks.some(check => check.status === 'error');
-
     res.json({
+      run,
       checks,
-      overall_score: overallScore,
-      can_submit: !hasBlockingIssues && overallScore >= 60,
-      blocking_issues: checks.filter(check => check.status === 'error'),
-      warnings: checks.filter(check => check.status === 'warning'),
-      passed: checks.filter(check => check.status === 'pass')
+      ...summary
     });
   } catch (error) {
     console.error('Error performing quality check:', error);
@@ -81,14 +115,14 @@ router.post('/document/:documentId/check', authenticateToken, async (req, res) =
   }
 });
 
-// Get quality check history for document
+// Get quality check history for document: every run with its score and rule results
 router.get('/document/:documentId/history', authenticateToken, async (req, res) => {
   try {
     const { documentId } = req.params;
 
     // Check document access
     const docCheck = await db.query(`
-      SELECT ed.writer_id, wt.writer1_id, wt.writer2_id, wt.code_annotator_id
+      SELECT ed.title, ed.content, ed.writer_id, ${writerIdsColumn()} as writer_ids, wt.code_annotator_id
       FROM entry_documents ed
       JOIN wiki_tasks wt ON ed.task_id = wt.id
       WHERE ed.id = $1
@@ -101,327 +135,258 @@ router.get('/document/:documentId/history', authenticateToken, async (req, res)
     const doc = docCheck.rows[0];
     const canAccess = req.user.role === 'admin' || 
                      req.user.id === doc.writer_id || 
-                     req.user.id === doc.writer1_id || 
-                     req.user.id === doc.writer2_id || 
+                     doc.writer_ids.includes(req.user.id) || 
                      req.user.id === doc.code_annotator_id;
 
     if (!canAccess) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    const result = await db.query(`
-      SELECT * FROM quality_checks 
-      WHERE document_id = $1 
-      ORDER BY checked_at DESC
-    `, [documentId]);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
 
-    res.json(result.rows);
+    // Runs newest first, each with its per-rule results
+    const result = await db.query(`
+      SELECT r.*, u.username as run_by_username,
+             COALESCE(
+               (SELECT json_agg(qc ORDER BY qc.check_type)
+                FROM quality_checks qc
+                WHERE qc.run_id = r.id),
+               '[]'
+             ) as checks
+      FROM quality_check_runs r
+      LEFT JOIN users u ON r.run_by = u.id
+      WHERE r.document_id = $1
+      ORDER BY r.created_at DESC
+      LIMIT $2
+    `, [documentId, limit]);
+
+    // is_current tells whether the run checked the document as it is now
+    const currentHash = contentHash(doc);
+    res.json(result.rows.map(run => ({ ...run, is_current: run.content_hash === currentHash })));
   } catch (error) {
     console.error('Error fetching quality check history:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Quality check implementation
-async function performQualityChecks(document, apiConfigs, notebooks) {
-  const checks = [];
-
-  // 1. Document content checks
-  checks.push(...checkDocumentContent(document));
-  
-  // 2. API configuration checks
-  checks.push(...checkApiConfigurations(apiConfigs));
-  
-  // 3. Notebook checks
-  checks.push(...checkNotebooks(notebooks));
-  
-  // 4. Integration checks
-  checks.push(...checkIntegration(document, apiConfigs, notebooks));
-
-  return checks;
-}
+// Run the line-level rules (markdown structure, links, readability) on unsaved
+// editor content; nothing is stored
+router.post('/document/:documentId/lint', [
+  authenticateToken,
+  body('content').isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-function checkDocumentContent(document) {
-  const checks = [];
-  const content = document.content || '';
-  const title = document.title || '';
-
-  // Check title
-  if (!title || title.trim() === '' || title === 'Untitled Document') {
-    checks.push({
-      type: 'document_title',
-      status: 'error',
-      message: 'Document must have a meaningful title',
-      details: { current_title: title },
-      score: 0
-    });
-  } else {
-    checks.push({
-      type: 'document_title',
-      status: 'pass',
-      message: 'Document has a valid title',
-      details: { title_length: title.length },
-      score: 100
-    });
-  }
+    const { documentId } = req.params;
 
-  // Check content length
-  if (content.length < 100) {
-    checks.push({
-      type: 'content_length',
-      status: 'error',
-      message: 'Document content is too short (minimum 100 characters)',
-      details: { current_length: content.length, minimum_required: 100 },
-      score: 0
-    });
-  } else if (content.length < 500) {
-    checks.push({
-      type: 'content_length',
-      status: 'warning',
-      message: 'Document content could be more comprehensive',
-      details: { current_length: content.length, recommended_minimum: 500 },
-      score: 60
-    });
-  } else {
-    checks.push({
-      type: 'content_length',
-      status: 'pass',
-      message: 'Document content has adequate length',
-      details: { content_length: content.length },
-      score: 100
-    });
-  }
+    const docResult = await db.query(`
+      SELECT ed.*, f.category_id
+      FROM entry_documents ed
+      JOIN wiki_tasks wt ON ed.task_id = wt.id
+      JOIN functions f ON wt.function_id = f.id
+      WHERE ed.id = $1
+    `, [documentId]);
+
+    if (docResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
 
-  // Check for required sections
-  const requiredSections = ['overview', 'implementation', 'usage'];
-  const foundSections = [];
-  
-  requiredSections.forEach(section => {
-    const regex = new RegExp(`#.*${section}`, 'i');
-    if (regex.test(content)) {
-      foundSections.push(section);
+    const document = docResult.rows[0];
+    if (document.writer_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied' });
     }
-  });
-
-  if (foundSections.length === 0) {
-    checks.push({
-      type: 'document_structure',
-      status: 'warning',
-      message: 'Consider adding structured sections (Overview, Implementation, Usage)',
-      details: { found_sections: foundSections, recommended_sections: requiredSections },
-      score: 40
-    });
-  } else {
-    checks.push({
-      type: 'document_structure',
-      status: 'pass',
-      message: `Document has good structure with ${foundSections.length} key sections`,
-      details: { found_sections: foundSections },
-      score: 80 + (foundSections.length * 6)
-    });
+
+    const config = await loadQualityConfig(document.category_id);
+    const lineRuleIds = listRules().filter(rule => rule.reports_lines).map(rule => rule.id);
+    const lineConfig = {
+      ...config,
+      rules: Object.fromEntries(lineRuleIds.map(id => [id, config.rules[id]]))
+    };
+
+    const checks = await runQualityChecks({
+      document: { ...document, content: req.body.content },
+      apiConfigs: [],
+      notebooks: [],
+      db
+    }, lineConfig);
+
+    const issues = checks
+      .flatMap(check => (check.details.issues || []).map(issue => ({ ...issue, check_type: check.check_type })))
+      .sort((a, b) => a.line - b.line || (a.column || 0) - (b.column || 0));
+
+    res.json({ checks, issues });
+  } catch (error) {
+    console.error('Error linting document:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
+});
 
-  // Check for code blocks
-  const codeBlockCount = (content.match(/```/g) || []).length / 2;
-  if (codeBlockCount === 0) {
-    checks.push({
-      type: 'code_examples',
-      status: 'warning',
-      message: 'Consider adding code examples to illustrate implementation',
-      details: { code_blocks_found: 0 },
-      score: 50
-    });
-  } else {
-    checks.push({
-      type: 'code_examples',
-      status: 'pass',
-      message: `Document includes ${codeBlockCount} code examples`,
-      details: { code_blocks_found: codeBlockCount },
-      score: Math.min(100, 70 + (codeBlockCount * 10))
-    });
+// List the registered quality rules with their built-in defaults
+router.get('/rules', authenticateToken, async (req, res) => {
+  try {
+    res.json(listRules());
+  } catch (error) {
+    console.error('Error fetching quality rules:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
+});
 
-  return checks;
-}
+// Get the rule settings in effect for a document
+router.get('/document/:documentId/config', authenticateToken, async (req, res) => {
+  try {
+    const { documentId } = req.params;
 
-function checkApiConfigurations(apiConfigs) {
-  const checks = [];
+    const docResult = await db.query(`
+      SELECT ed.writer_id, ed.is_submitted, ${writerIdsColumn()} as writer_ids, wt.code_annotator_id, f.category_id
+      FROM entry_documents ed
+      JOIN wiki_tasks wt ON ed.task_id = wt.id
+      JOIN functions f ON wt.function_id = f.id
+      WHERE ed.id = $1
+    `, [documentId]);
 
-  if (apiConfigs.length === 0) {
-    checks.push({
-      type: 'api_coverage',
-      status: 'error',
-      message: 'No API test configurations found. At least one API test is required.',
-      details: { config_count: 0 },
-      score: 0
-    });
-  } else {
-    checks.push({
-      type: 'api_coverage',
-      status: 'pass',
-      message: `${apiConfigs.length} API test configurations provided`,
-      details: { config_count: apiConfigs.length },
-      score: Math.min(100, 60 + (apiConfigs.length * 20))
-    });
+    if (docResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
 
-    // Check API config completeness
-    let completeConfigs = 0;
-    let incompleteConfigs = [];
-
-    apiConfigs.forEach(config => {
-      const isComplete = config.name && 
-                        config.method && 
-                        config.endpoint && 
-                        config.expected_status;
-      
-      if (isComplete) {
-        completeConfigs++;
-      } else {
-        incompleteConfigs.push({
-          id: config.id,
-          name: config.name,
-          missing: []
-        });
-        
-        if (!config.name) incompleteConfigs[incompleteConfigs.length - 1].missing.push('name');
-        if (!config.method) incompleteConfigs[incompleteConfigs.length - 1].missing.push('method');
-        if (!config.endpoint) incompleteConfigs[incompleteConfigs.length - 1].missing.push('endpoint');
-        if (!config.expected_status) incompleteConfigs[incompleteConfigs.length - 1].missing.push('expected_status');
-      }
-    });
+    const doc = docResult.rows[0];
+    const canAccess = req.user.role === 'admin' ||
+                     req.user.id === doc.writer_id ||
+                     doc.writer_ids.includes(req.user.id) ||
+                     req.user.id === doc.code_annotator_id ||
+                     doc.is_submitted;
 
-    if (incompleteConfigs.length > 0) {
-      checks.push({
-        type: 'api_completeness',
-        status: 'warning',
-        message: `${incompleteConfigs.length} API configurations are incomplete`,
-        details: { incomplete_configs: incompleteConfigs },
-        score: Math.max(30, 100 - (incompleteConfigs.length * 20))
-      });
-    } else {
-      checks.push({
-        type: 'api_completeness',
-        status: 'pass',
-        message: 'All API configurations are complete',
-        details: { complete_count: completeConfigs },
-        score: 100
-      });
+    if (!canAccess) {
+      return res.status(403).json({ error: 'Access denied' });
     }
+
+    res.json(await loadQualityConfig(doc.category_id));
+  } catch (error) {
+    console.error('Error fetching document quality config:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
+});
 
-  return checks;
-}
+// Get a category's own rule overrides and the resulting effective settings (admin only)
+router.get('/config/category/:categoryId', [
+  authenticateToken,
+  requireRole('admin')
+], async (req, res) => {
+  try {
+    const { categoryId } = req.params;
 
-function checkNotebooks(notebooks) {
-  const checks = [];
+    const categoryResult = await db.query('SELECT id, name FROM categories WHERE id = $1', [categoryId]);
+    if (categoryResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
 
-  if (notebooks.length === 0) {
-    checks.push({
-      type: 'notebook_coverage',
-      status: 'warning',
-      message: 'No use case scripts provided. Consider adding practical examples.',
-      details: { notebook_count: 0 },
-      score: 50
-    });
-  } else {
-    checks.push({
-      type: 'notebook_coverage',
-      status: 'pass',
-      message: `${notebooks.length} use case script(s) provided`,
-      details: { notebook_count: notebooks.length },
-      score: Math.min(100, 70 + (notebooks.length * 15))
-    });
+    const overrideResult = await db.query('SELECT * FROM quality_rule_configs WHERE category_id = $1', [categoryId]);
 
-    // Check notebook content quality
-    let qualityScores = [];
-    
-    notebooks.forEach(notebook => {
-      let score = 50; // Base score
-      
-      if (notebook.content && notebook.content.length > 100) score += 20;
-      if (notebook.description && notebook.description.length > 20) score += 15;
-      if (notebook.content && notebook.content.includes('import')) score += 10;
-      if (notebook.content && notebook.content.includes('def ') || notebook.content.includes('function')) score += 15;
-      
-      qualityScores.push(score);
+    res.json({
+      category: categoryResult.rows[0],
+      overrides: overrideResult.rows[0] || { category_id: categoryId, rules: {}, min_submit_score: null },
+      effective: await loadQualityConfig(categoryId)
     });
+  } catch (error) {
+    console.error('Error fetching category quality config:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    const avgQuality = qualityScores.reduce((a, b) => a + b, 0) / qualityScores.length;
-    
-    if (avgQuality < 70) {
-      checks.push({
-        type: 'notebook_quality',
-        status: 'warning',
-        message: 'Notebook content could be more comprehensive',
-        details: { average_score: Math.round(avgQuality) },
-        score: Math.round(avgQuality)
-      });
-    } else {
-      checks.push({
-        type: 'notebook_quality',
-        status: 'pass',
-        message: 'Notebooks have good content quality',
-        details: { average_score: Math.round(avgQuality) },
-        score: Math.round(avgQuality)
-      });
+// Enable, disable and tune rules for a category subtree (admin only)
+router.put('/config/category/:categoryId', [
+  authenticateToken,
+  requireRole('admin'),
+  body('rules').optional().isObject(),
+  body('min_submit_score').optional({ nullable: true }).isInt({ min: 0, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
-  }
 
-  return checks;
-}
+    const { categoryId } = req.params;
+    const { rules = {}, min_submit_score = null } = req.body;
 
-function checkIntegration(document, apiConfigs, notebooks) {
-  const checks = [];
-  const content = document.content || '';
-
-  // Check if document references APIs
-  const hasApiReferences = apiConfigs.some(config => 
-    content.toLowerCase().includes(config.endpoint.toLowerCase()) ||
-    content.toLowerCase().includes(config.name.toLowerCase())
-  );
-
-  if (apiConfigs.length > 0 && !hasApiReferences) {
-    checks.push({
-      type: 'api_integration',
-      status: 'warning',
-      message: 'Document should reference the configured API endpoints',
-      details: { api_count: apiConfigs.length, references_found: false },
-      score: 60
-    });
-  } else if (hasApiReferences) {
-    checks.push({
-      type: 'api_integration',
-      status: 'pass',
-      message: 'Document properly integrates with API configurations',
-      details: { references_found: true },
-      score: 100
+    try {
+      validateRuleOverrides(rules);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const categoryResult = await db.query('SELECT id FROM categories WHERE id = $1', [categoryId]);
+    if (categoryResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const result = await db.query(`
+      INSERT INTO quality_rule_configs (category_id, rules, min_submit_score, updated_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (category_id) DO UPDATE
+      SET rules = EXCLUDED.rules,
+          min_submit_score = EXCLUDED.min_submit_score,
+          updated_by = EXCLUDED.updated_by,
+          updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [categoryId, JSON.stringify(rules), min_submit_score, req.user.id]);
+
+    res.json({
+      overrides: result.rows[0],
+      effective: await loadQualityConfig(categoryId)
     });
+  } catch (error) {
+    console.error('Error saving category quality config:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
+});
 
-  // Check consistency between sections
-  const hasBothApiAndNotebooks = apiConfigs.length > 0 && notebooks.length > 0;
-  if (hasBothApiAndNotebooks) {
-    checks.push({
-      type: 'content_consistency',
-      status: 'pass',
-      message: 'Complete documentation with APIs and use cases',
-      details: { 
-        has_documentation: content.length > 100,
-        has_apis: apiConfigs.length > 0,
-        has_notebooks: notebooks.length > 0
-      },
-      score: 100
-    });
+// Remove a category's overrides so it inherits from its parent again (admin only)
+router.delete('/config/category/:categoryId', [
+  authenticateToken,
+  requireRole('admin')
+], async (req, res) => {
+  try {
+    const { categoryId } = req.params;
+
+    const result = await db.query('DELETE FROM quality_rule_configs WHERE category_id = $1 RETURNING category_id', [categoryId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No quality config for this category' });
+    }
+
+    res.json({ message: 'Quality config removed', effective: await loadQualityConfig(categoryId) });
+  } catch (error) {
+    console.error('Error deleting category quality config:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
+});
 
-  return checks;
+function contentHash(document) {
+  return crypto.createHash('sha256').update(`${document.title || ''}\n${document.content || ''}`).digest('hex');
 }
 
-function calculateOverallScore(checks) {
-  if (checks.length === 0) return 0;
-  
-  const totalScore = checks.reduce((sum, check) => sum + (check.score || 0), 0);
-  return Math.round(totalScore / checks.length);
+// Effective rule settings for a category: its own overrides on top of its ancestors'
+async function loadQualityConfig(categoryId) {
+  if (!categoryId) return resolveConfig();
+
+  const result = await db.query(`
+    WITH RECURSIVE ancestors AS (
+      SELECT id, parent_id, 0 AS depth FROM categories WHERE id = $1
+      UNION ALL
+      SELECT c.id, c.parent_id, a.depth + 1
+      FROM categories c
+      JOIN ancestors a ON c.id = a.parent_id
+    )
+    SELECT qrc.*
+    FROM ancestors a
+    JOIN quality_rule_configs qrc ON qrc.category_id = a.id
+    ORDER BY a.depth DESC
+  `, [categoryId]);
+
+  return resolveConfig(result.rows);
 }
 
 module.exports = router;
\ No newline at end of file
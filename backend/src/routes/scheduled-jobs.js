@@ -0,0 +1,119 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { JOBS } = require('../services/scheduled-jobs');
+const { runJobNow } = require('../services/job-scheduler');
+
+const router = express.Router();
+
+// List background jobs with their schedule and last outcome (admin only)
+router.get('/', [authenticateToken, requireRole('admin')], async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT sj.*, COALESCE(sj.locked_until > NOW(), false) as running
+      FROM scheduled_jobs sj
+      ORDER BY sj.name
+    `);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching scheduled jobs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Recent job runs, optionally for one job (admin only)
+router.get('/runs', [
+  authenticateToken,
+  requireRole('admin'),
+  query('job').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { job = null, limit = 50 } = req.query;
+    const result = await db.query(`
+      SELECT jr.*, u.username as triggered_by_username
+      FROM job_runs jr
+      LEFT JOIN users u ON jr.triggered_by = u.id
+      WHERE $1::varchar IS NULL OR jr.job_name = $1
+      ORDER BY jr.started_at DESC
+      LIMIT $2
+    `, [job, parseInt(limit)]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching job runs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change a job's schedule or settings (admin only)
+router.put('/:name', [
+  authenticateToken,
+  requireRole('admin'),
+  body('enabled').optional().isBoolean(),
+  body('interval_seconds').optional().isInt({ min: 10, max: 604800 }),
+  body('lock_seconds').optional().isInt({ min: 10, max: 86400 }),
+  body('config').optional().isObject()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name } = req.params;
+    const { enabled = null, interval_seconds = null, lock_seconds = null, config = null } = req.body;
+
+    const configError = config && JOBS[name] && JOBS[name].validateConfig && JOBS[name].validateConfig(config);
+    if (configError) {
+      return res.status(400).json({ error: configError });
+    }
+
+    // A shorter interval takes effect from now rather than after the next run
+    const result = await db.query(`
+      UPDATE scheduled_jobs
+      SET enabled = COALESCE($2, enabled),
+          interval_seconds = COALESCE($3, interval_seconds),
+          lock_seconds = COALESCE($4, lock_seconds),
+          config = COALESCE($5, config),
+          next_run_at = LEAST(next_run_at, NOW() + make_interval(secs => COALESCE($3, interval_seconds))),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE name = $1
+      RETURNING *
+    `, [name, enabled, interval_seconds, lock_seconds, config]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error updating scheduled job:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Run a job now, outside its schedule (admin only)
+router.post('/:name/run', [authenticateToken, requireRole('admin')], async (req, res) => {
+  try {
+    res.json(await runJobNow(req.params.name, req.user.id));
+  } catch (error) {
+    if (error.code === 'JOB_NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.code === 'JOB_RUNNING') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error running scheduled job:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { analyzeTask, submissionText } = require('../services/similarity-analysis');
+
+const router = express.Router();
+
+// Report summary columns with the authors and tasks of both submissions
+const REPORT_COLUMNS = `
+  sr.id, sr.task_id, sr.submission_a_id, sr.submission_b_id, sr.comparison_type, sr.source_type,
+  sr.trigger, sr.similarity, sr.jaccard, sr.containment_a, sr.containment_b, sr.is_flagged,
+  jsonb_array_length(sr.passages) as passage_count,
+  sr.status, sr.review_note, sr.reviewed_by, sr.reviewed_at, sr.created_at, sr.updated_at,
+  wt.title as task_title,
+  user_a.username as author_a, task_a.title as task_a_title,
+  user_b.username as author_b, task_b.title as task_b_title
+`;
+
+const REPORT_JOINS = `
+  FROM similarity_reports sr
+  JOIN wiki_tasks wt ON sr.task_id = wt.id
+  JOIN entry_submissions es_a ON sr.submission_a_id = es_a.id
+  JOIN entry_documents ed_a ON es_a.document_id = ed_a.id
+  JOIN wiki_tasks task_a ON ed_a.task_id = task_a.id
+  LEFT JOIN users user_a ON es_a.submitted_by = user_a.id
+  JOIN entry_submissions es_b ON sr.submission_b_id = es_b.id
+  JOIN entry_documents ed_b ON es_b.document_id = ed_b.id
+  JOIN wiki_tasks task_b ON ed_b.task_id = task_b.id
+  LEFT JOIN users user_b ON es_b.submitted_by = user_b.id
+`;
+
+// List similarity reports (admin only); flagged reports first
+router.get('/reports', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { flagged, status, limit = 100 } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (flagged !== undefined) {
+      params.push(flagged === 'true');
+      conditions.push(`sr.is_flagged = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`sr.status = $${params.length}`);
+    }
+    params.push(Math.min(parseInt(limit) || 100, 500));
+
+    const result = await db.query(`
+      SELECT ${REPORT_COLUMNS}
+      ${REPORT_JOINS}
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY sr.is_flagged DESC, sr.updated_at DESC
+      LIMIT $${params.length}
+    `, params);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching similarity reports:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reports for one task (admin only)
+router.get('/task/:taskId', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const result = await db.query(`
+      SELECT ${REPORT_COLUMNS}
+      ${REPORT_JOINS}
+      WHERE sr.task_id = $1 OR task_a.id = $1 OR task_b.id = $1
+      ORDER BY sr.is_flagged DESC, sr.similarity DESC
+    `, [taskId]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching task similarity reports:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Report with both compared texts, so the matching passages can be highlighted (admin only)
+router.get('/reports/:reportId', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { reportId } = req.params;
+
+    const result = await db.query(`
+      SELECT ${REPORT_COLUMNS}, sr.passages,
+             es_a.submission_content as content_a, es_b.submission_content as content_b,
+             reviewer.username as reviewed_by_username
+      ${REPORT_JOINS}
+      LEFT JOIN users reviewer ON sr.reviewed_by = reviewer.id
+      WHERE sr.id = $1
+    `, [reportId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const { content_a, content_b, ...report } = result.rows[0];
+    res.json({
+      ...report,
+      text_a: submissionText(content_a, report.source_type),
+      text_b: submissionText(content_b, report.source_type)
+    });
+  } catch (error) {
+    console.error('Error fetching similarity report:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record the admin's decision on a report
+router.put('/reports/:reportId/review', [
+  authenticateToken,
+  requireRole('admin'),
+  body('status').isIn(['open', 'dismissed', 'confirmed']),
+  body('review_note').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reportId } = req.params;
+    const { status, review_note } = req.body;
+    const reopened = status === 'open';
+
+    const result = await db.query(`
+      UPDATE similarity_reports
+      SET status = $1,
+          review_note = $2,
+          reviewed_by = $3,
+          reviewed_at = $4,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+      RETURNING *
+    `, [status, review_note || null, reopened ? null : req.user.id, reopened ? null : new Date(), reportId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error reviewing similarity report:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Re-run the analysis for every submission of a task (admin only)
+router.post('/task/:taskId/analyze', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const taskCheck = await db.query('SELECT id FROM wiki_tasks WHERE id = $1', [taskId]);
+    if (taskCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const summary = await analyzeTask(taskId, 'manual');
+    res.json(summary);
+  } catch (error) {
+    console.error('Error analyzing task similarity:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
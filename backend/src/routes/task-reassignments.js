@@ -1,16 +1,44 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { feedbackDigest } = require('../services/vote-feedback');
+const { transitionTask } = require('../services/task-lifecycle');
+const {
+  MAX_WRITERS,
+  writersColumn,
+  writerIdsColumn,
+  taskWriterIds,
+  setTaskWriters,
+  writersError
+} = require('../services/task-writers');
+const { recommendWriters, autoAssignWriters } = require('../services/writer-recommendations');
 
 const router = express.Router();
 
+// 自动分配的任务不需要 writer_ids
+function isAutoAssign(req, path) {
+  const match = path.match(/^reassignments\[(\d+)\]/);
+  const input = match ? req.body.reassignments[match[1]] : req.body;
+  return input && (input.auto_assign === true || input.auto_assign === 'true');
+}
+
+// 按推荐结果选出撰写者，人数默认沿用上一轮；上一轮的撰写者不会被选中
+function autoAssignForTask(queryable, task, writerCount) {
+  return autoAssignWriters(queryable, {
+    functionId: task.function_id,
+    codeAnnotatorId: task.code_annotator_id,
+    taskId: task.id
+  }, writerCount || task.writer_count);
+}
+
 // 获取需要重新分配的任务
 router.get('/pending', [authenticateToken, requireRole('admin')], async (req, res) => {
   try {
     const result = await db.query(`
       SELECT 
         wt.*,
+        ${writersColumn()} as writers,
         vs.title as voting_session_title,
         vs.ended_at as voting_ended_at,
         COUNT(tr.id) as reassignment_count
@@ -51,13 +79,49 @@ router.get('/task/:taskId/history', authenticateToken, async (req, res) => {
   }
 });
 
+// 获取上一轮投票的反馈摘要（当前撰写者、代码标注者和管理员可见）
+router.get('/task/:taskId/feedback-digest', authenticateToken, async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const taskCheck = await db.query(`
+      SELECT ${writerIdsColumn()} as writer_ids, wt.code_annotator_id FROM wiki_tasks wt WHERE wt.id = $1
+    `, [taskId]);
+
+    if (taskCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const task = taskCheck.rows[0];
+    const isParticipant = [...task.writer_ids, task.code_annotator_id].includes(req.user.id);
+    if (req.user.role !== 'admin' && !isParticipant) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const result = await db.query(`
+      SELECT id, round_number, reason, reassigned_at, feedback_digest
+      FROM task_reassignments
+      WHERE task_id = $1 AND feedback_digest IS NOT NULL
+      ORDER BY round_number DESC
+      LIMIT 1
+    `, [taskId]);
+
+    res.json(result.rows[0] || null);
+  } catch (error) {
+    console.error('Error fetching feedback digest:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // 重新分配任务
 router.post('/', [
   authenticateToken,
   requireRole('admin'),
   body('task_id').isUUID(),
-  body('writer1_id').isUUID(),
-  body('writer2_id').isUUID(),
+  body('auto_assign').optional().isBoolean().toBoolean(),
+  body('writer_count').optional().isInt({ min: 1, max: MAX_WRITERS }).toInt(),
+  body('writer_ids').if((value, { path, req }) => !isAutoAssign(req, path)).isArray({ min: 1, max: MAX_WRITERS }),
+  body('writer_ids.*').if((value, { path, req }) => !isAutoAssign(req, path)).isUUID(),
   body('new_deadline').isISO8601().toDate(),
   body('reason').optional().trim()
 ], async (req, res) => {
@@ -67,7 +131,7 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { task_id, writer1_id, writer2_id, new_deadline, reason } = req.body;
+    const { task_id, auto_assign, writer_count, new_deadline, reason } = req.body;
 
     // 验证任务是否存在且状态为待重新分配
     const taskCheck = await db.query(`
@@ -80,26 +144,12 @@ router.post('/', [
     }
 
     const task = taskCheck.rows[0];
+    const writer_ids = auto_assign ? await autoAssignForTask(db, task, writer_count) : req.body.writer_ids;
 
-    // 验证新的分配用户存在且不是管理员
-    const usersCheck = await db.query(`
-      SELECT id, username, role FROM users 
-      WHERE id IN ($1, $2) AND status = 'active'
-    `, [writer1_id, writer2_id]);
-
-    if (usersCheck.rows.length !== 2) {
-      return res.status(400).json({ error: 'Invalid user assignments' });
-    }
-
-    // 检查是否有管理员被分配为撰写者
-    const hasAdmin = usersCheck.rows.some(user => user.role === 'admin');
-    if (hasAdmin) {
-      return res.status(400).json({ error: 'Administrators cannot be assigned as writers' });
-    }
-
-    // 不能分配给同一个人
-    if (writer1_id === writer2_id) {
-      return res.status(400).json({ error: 'Cannot assign the same person as both writers' });
+    // 验证新的撰写者存在、互不相同且不是管理员；人数可以与上一轮不同
+    const writerError = await writersError(db, writer_ids);
+    if (writerError) {
+      return res.status(400).json({ error: writerError });
     }
 
     const client = await db.getClient();
@@ -114,29 +164,32 @@ router.post('/', [
       `, [task_id]);
       const nextRound = roundResult.rows[0].next_round;
 
+      // 删除候选文档前保存上一轮投票的反馈摘要，供新的撰写者参考
+      const digest = await feedbackDigest(client, task_id);
+      const oldWriterIds = await taskWriterIds(client, task_id);
+
       // 记录重新分配历史
       await client.query(`
         INSERT INTO task_reassignments (
           task_id, round_number, reason, old_assignees, new_assignees, 
-          old_deadline, new_deadline, reassigned_by
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          old_deadline, new_deadline, reassigned_by, feedback_digest
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
       `, [
         task_id,
         nextRound,
         reason || '投票结果为"都不满意"',
         JSON.stringify({
-          writer1_id: task.writer1_id,
-          writer2_id: task.writer2_id,
+          writer_ids: oldWriterIds,
           code_annotator_id: task.code_annotator_id
         }),
         JSON.stringify({
-          writer1_id: writer1_id,
-          writer2_id: writer2_id,
+          writer_ids,
           code_annotator_id: task.code_annotator_id // 保持代码标注者不变
         }),
         task.deadline,
         new_deadline,
-        req.user.id
+        req.user.id,
+        digest
       ]);
 
       // 删除原有的文档提交记录和相关内容
@@ -190,28 +243,23 @@ router.post('/', [
       `, [task_id]);
 
       // 重置任务状态和分配
-      await client.query(`
-        UPDATE wiki_tasks 
-        SET 
-          status = 'not_started',
-          writer1_id = $1,
-          writer2_id = $2,
-          deadline = $3,
-          voting_session_id = NULL,
-          updated_at = CURRENT_TIMESTAMP
-        WHERE id = $4
-      `, [writer1_id, writer2_id, new_deadline, task_id]);
+      await setTaskWriters(client, task_id, writer_ids);
+      await transitionTask(client, task_id, 'reassign', {
+        actor: req.user,
+        changes: { writer_count: writer_ids.length, deadline: new_deadline, voting_session_id: null },
+        details: { round_number: nextRound, reason: reason || null }
+      });
 
       // 创建通知给新的撰写者
-      const newWriters = usersCheck.rows;
-      for (const writer of newWriters) {
+      for (const writerId of writer_ids) {
         await client.query(`
           INSERT INTO notifications (user_id, title, message, type, is_read)
           VALUES ($1, $2, $3, $4, false)
         `, [
-          writer.id,
+          writerId,
           '任务重新分配通知',
-          `您被分配了新的文档撰写任务："${task.title}"，截止时间：${new_deadline.toISOString().split('T')[0]}`,
+          `您被分配了新的文档撰写任务："${task.title}"，截止时间：${new_deadline.toISOString().split('T')[0]}` +
+            (digest.total_comments > 0 ? `。上一轮投票留下了 ${digest.total_comments} 条反馈意见，请在撰写前查看` : ''),
           'task_assignment'
         ]);
       }
@@ -222,12 +270,9 @@ router.post('/', [
       const updatedTask = await db.query(`
         SELECT 
           wt.*,
-          u1.username as writer1_username,
-          u2.username as writer2_username,
+          ${writersColumn()} as writers,
           u3.username as code_annotator_username
         FROM wiki_tasks wt
-        LEFT JOIN users u1 ON wt.writer1_id = u1.id
-        LEFT JOIN users u2 ON wt.writer2_id = u2.id
         LEFT JOIN users u3 ON wt.code_annotator_id = u3.id
         WHERE wt.id = $1
       `, [task_id]);
@@ -244,25 +289,51 @@ router.post('/', [
       client.release();
     }
   } catch (error) {
+    if (error.code === 'NOT_ENOUGH_WRITERS') {
+      return res.status(409).json({ error: error.message });
+    }
     console.error('Error reassigning task:', error);
+    if (error.code === 'INVALID_TASK_TRANSITION') {
+      return res.status(409).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// 获取可分配的用户列表
-router.get('/available-writers', [authenticateToken, requireRole('admin')], async (req, res) => {
+// 获取可分配的用户列表；指定 task_id 时按推荐顺序返回，并排除有利益冲突的用户
+router.get('/available-writers', [
+  authenticateToken,
+  requireRole('admin'),
+  query('task_id').optional().isUUID()
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.query.task_id) {
+      const taskResult = await db.query('SELECT id, function_id, code_annotator_id FROM wiki_tasks WHERE id = $1', [req.query.task_id]);
+      if (taskResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Task not found' });
+      }
+
+      const task = taskResult.rows[0];
+      const { recommendations } = await recommendWriters(db, {
+        functionId: task.function_id,
+        codeAnnotatorId: task.code_annotator_id,
+        taskId: task.id
+      });
+      return res.json(recommendations.map(writer => ({ ...writer, active_task_count: writer.open_tasks })));
+    }
+
     const result = await db.query(`
       SELECT 
         id, username, email, 
-        COUNT(CASE WHEN wt.status IN ('not_started', 'in_progress') THEN 1 END) as active_task_count
+        COUNT(CASE WHEN wt.status IN ('not_started', 'in_progress', 'overtime') THEN 1 END) as active_task_count
       FROM users u
-      LEFT JOIN (
-        SELECT writer1_id as writer_id FROM wiki_tasks 
-        UNION ALL 
-        SELECT writer2_id as writer_id FROM wiki_tasks
-      ) wt_writers ON u.id = wt_writers.writer_id
-      LEFT JOIN wiki_tasks wt ON (wt.writer1_id = u.id OR wt.writer2_id = u.id)
+      LEFT JOIN wiki_task_assignments wta ON wta.writer_id = u.id
+      LEFT JOIN wiki_tasks wt ON wt.id = wta.task_id
       WHERE u.role != 'admin' AND u.status = 'active'
       GROUP BY u.id, u.username, u.email
       ORDER BY active_task_count ASC, u.username ASC
@@ -281,8 +352,10 @@ router.post('/batch-reassign', [
   requireRole('admin'),
   body('reassignments').isArray(),
   body('reassignments.*.task_id').isUUID(),
-  body('reassignments.*.writer1_id').isUUID(),
-  body('reassignments.*.writer2_id').isUUID(),
+  body('reassignments.*.auto_assign').optional().isBoolean().toBoolean(),
+  body('reassignments.*.writer_count').optional().isInt({ min: 1, max: MAX_WRITERS }).toInt(),
+  body('reassignments.*.writer_ids').if((value, { path, req }) => !isAutoAssign(req, path)).isArray({ min: 1, max: MAX_WRITERS }),
+  body('reassignments.*.writer_ids.*').if((value, { path, req }) => !isAutoAssign(req, path)).isUUID(),
   body('reassignments.*.new_deadline').isISO8601().toDate(),
   body('reassignments.*.reason').optional().trim()
 ], async (req, res) => {
@@ -300,7 +373,7 @@ router.post('/batch-reassign', [
       await client.query('BEGIN');
 
       for (const reassignment of reassignments) {
-        const { task_id, writer1_id, writer2_id, new_deadline, reason } = reassignment;
+        const { task_id, auto_assign, writer_count, new_deadline, reason } = reassignment;
 
         try {
           // 验证任务状态
@@ -319,18 +392,16 @@ router.post('/batch-reassign', [
           }
 
           const task = taskCheck.rows[0];
+          // 同一批次中先分配的任务已计入撰写者的工作量
+          const writer_ids = auto_assign ? await autoAssignForTask(client, task, writer_count) : reassignment.writer_ids;
 
           // 验证用户
-          const usersCheck = await client.query(`
-            SELECT id, username FROM users 
-            WHERE id IN ($1, $2) AND status = 'active' AND role != 'admin'
-          `, [writer1_id, writer2_id]);
-
-          if (usersCheck.rows.length !== 2 || writer1_id === writer2_id) {
+          const writerError = await writersError(client, writer_ids);
+          if (writerError) {
             results.push({
               task_id,
               success: false,
-              error: 'Invalid user assignments'
+              error: writerError
             });
             continue;
           }
@@ -343,29 +414,32 @@ router.post('/batch-reassign', [
           `, [task_id]);
           const nextRound = roundResult.rows[0].next_round;
 
+          // 保存上一轮投票的反馈摘要
+          const digest = await feedbackDigest(client, task_id);
+          const oldWriterIds = await taskWriterIds(client, task_id);
+
           // 记录历史
           await client.query(`
             INSERT INTO task_reassignments (
               task_id, round_number, reason, old_assignees, new_assignees, 
-              old_deadline, new_deadline, reassigned_by
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+              old_deadline, new_deadline, reassigned_by, feedback_digest
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
           `, [
             task_id,
             nextRound,
             reason || '批量重新分配',
             JSON.stringify({
-              writer1_id: task.writer1_id,
-              writer2_id: task.writer2_id,
+              writer_ids: oldWriterIds,
               code_annotator_id: task.code_annotator_id
             }),
             JSON.stringify({
-              writer1_id: writer1_id,
-              writer2_id: writer2_id,
+              writer_ids,
               code_annotator_id: task.code_annotator_id
             }),
             task.deadline,
             new_deadline,
-            req.user.id
+            req.user.id,
+            digest
           ]);
 
           // 清理旧内容和更新任务（简化版，实际应用中需要更详细的清理）
@@ -373,16 +447,12 @@ router.post('/batch-reassign', [
             DELETE FROM entry_submissions WHERE task_id = $1
           `, [task_id]);
 
-          await client.query(`
-            UPDATE wiki_tasks 
-            SET 
-              status = 'not_started',
-              writer1_id = $1,
-              writer2_id = $2,
-              deadline = $3,
-              voting_session_id = NULL
-            WHERE id = $4
-          `, [writer1_id, writer2_id, new_deadline, task_id]);
+          await setTaskWriters(client, task_id, writer_ids);
+          await transitionTask(client, task_id, 'reassign', {
+            actor: req.user,
+            changes: { writer_count: writer_ids.length, deadline: new_deadline, voting_session_id: null },
+            details: { round_number: nextRound, reason: reason || null, batch: true }
+          });
 
           results.push({
             task_id,
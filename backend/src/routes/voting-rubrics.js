@@ -0,0 +1,199 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { CODE_READABILITY_KEY } = require('../services/voting-rubrics');
+
+const router = express.Router();
+
+const criterionValidators = [
+  body('label').isString().trim().isLength({ min: 1, max: 100 }),
+  body('description').optional({ nullable: true }).trim(),
+  body('max_score').optional().isInt({ min: 2, max: 10 }),
+  body('weight').optional().isFloat({ gt: 0, max: 99 }),
+  body('is_active').optional().isBoolean(),
+  body('order_index').optional().isInt()
+];
+
+// Code readability ratings from completed sessions, normalized to 0-1, one row per rating
+const READABILITY_RATINGS_SQL = `
+  SELECT f.id as function_id, f.category_id, vs.id as voting_session_id,
+         vrs.score::numeric / vrs.max_score as normalized, v.voted_at
+  FROM vote_rubric_scores vrs
+  JOIN votes v ON vrs.vote_id = v.id
+  JOIN voting_sessions vs ON v.voting_session_id = vs.id
+  JOIN wiki_tasks wt ON vs.task_id = wt.id
+  JOIN functions f ON wt.function_id = f.id
+  WHERE vrs.criterion_key = $1 AND vs.status = 'completed'
+`;
+
+// List rubric criteria; active=true for the ones new sessions will use
+router.get('/criteria', authenticateToken, async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT * FROM voting_rubric_criteria
+      ${req.query.active === 'true' ? 'WHERE is_active = true' : ''}
+      ORDER BY order_index, created_at
+    `);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching rubric criteria:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a criterion (admin only)
+router.post('/criteria', [
+  authenticateToken,
+  requireRole('admin'),
+  body('key').matches(/^[a-z][a-z0-9_]{1,49}$/),
+  ...criterionValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { key, label, description = null, max_score = 5, weight = 1, is_active = true, order_index = 0 } = req.body;
+
+    const result = await db.query(`
+      INSERT INTO voting_rubric_criteria (key, label, description, max_score, weight, is_active, order_index)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [key, label, description, max_score, weight, is_active, order_index]);
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A criterion with this key already exists' });
+    }
+    console.error('Error creating rubric criterion:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a criterion (admin only); the key is fixed because stored scores refer to it
+router.put('/criteria/:criterionId', [
+  authenticateToken,
+  requireRole('admin'),
+  ...criterionValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { label, description = null, max_score = 5, weight = 1, is_active = true, order_index = 0 } = req.body;
+
+    const result = await db.query(`
+      UPDATE voting_rubric_criteria
+      SET label = $1,
+          description = $2,
+          max_score = $3,
+          weight = $4,
+          is_active = $5,
+          order_index = $6,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $7
+      RETURNING *
+    `, [label, description, max_score, weight, is_active, order_index, req.params.criterionId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Rubric criterion not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error updating rubric criterion:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a criterion (admin only); code readability can only be deactivated
+router.delete('/criteria/:criterionId', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const criterion = await db.query('SELECT key FROM voting_rubric_criteria WHERE id = $1', [req.params.criterionId]);
+
+    if (criterion.rows.length === 0) {
+      return res.status(404).json({ error: 'Rubric criterion not found' });
+    }
+    if (criterion.rows[0].key === CODE_READABILITY_KEY) {
+      return res.status(400).json({ error: 'The code readability criterion feeds code quality statistics; deactivate it instead' });
+    }
+
+    await db.query('DELETE FROM voting_rubric_criteria WHERE id = $1', [req.params.criterionId]);
+    res.json({ message: 'Rubric criterion deleted' });
+  } catch (error) {
+    console.error('Error deleting rubric criterion:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Code readability per function (0-100), least readable first; category_id=... limits to one category
+router.get('/code-readability/functions', authenticateToken, async (req, res) => {
+  try {
+    const params = [CODE_READABILITY_KEY];
+    let categoryFilter = '';
+    if (req.query.category_id) {
+      params.push(req.query.category_id);
+      categoryFilter = `WHERE f.category_id = $${params.length}`;
+    }
+
+    const result = await db.query(`
+      WITH ratings AS (${READABILITY_RATINGS_SQL})
+      SELECT f.id as function_id, f.name as function_name,
+             c.id as category_id, c.name as category_name, c.path as category_path,
+             COUNT(r.*) as ratings,
+             COUNT(DISTINCT r.voting_session_id) as sessions,
+             ROUND(AVG(r.normalized) * 100, 1) as readability_score,
+             MAX(r.voted_at) as last_rated_at
+      FROM ratings r
+      JOIN functions f ON r.function_id = f.id
+      JOIN categories c ON f.category_id = c.id
+      ${categoryFilter}
+      GROUP BY f.id, f.name, c.id, c.name, c.path
+      ORDER BY readability_score, f.name
+    `, params);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching function code readability:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Code readability per category, including the functions of all subcategories
+router.get('/code-readability/categories', authenticateToken, async (req, res) => {
+  try {
+    const result = await db.query(`
+      WITH RECURSIVE subtree AS (
+        SELECT id as root_id, id FROM categories
+        UNION ALL
+        SELECT s.root_id, c.id
+        FROM categories c
+        JOIN subtree s ON c.parent_id = s.id
+      ),
+      ratings AS (${READABILITY_RATINGS_SQL})
+      SELECT c.id as category_id, c.name as category_name, c.path as category_path, c.parent_id,
+             COUNT(r.*) as ratings,
+             COUNT(DISTINCT r.function_id) as functions,
+             ROUND(AVG(r.normalized) * 100, 1) as readability_score,
+             ROUND(AVG(r.normalized) FILTER (WHERE r.category_id = c.id) * 100, 1) as direct_readability_score
+      FROM categories c
+      JOIN subtree s ON s.root_id = c.id
+      JOIN ratings r ON r.category_id = s.id
+      GROUP BY c.id, c.name, c.path, c.parent_id
+      ORDER BY c.path NULLS LAST, c.name
+    `, [CODE_READABILITY_KEY]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching category code readability:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -2,9 +2,42 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { exportApiConfigs, EXPORT_FORMATS } = require('../services/api-exporters');
+const { analyzeTask } = require('../services/similarity-analysis');
+const { VOTING_METHODS, methodConfig, tally, tiedCandidates, sameTally } = require('../services/voting-methods');
+const { rubricSnapshot, summarizeRubric } = require('../services/voting-rubrics');
+const {
+  QUORUM_ACTIONS,
+  logSessionEvent,
+  quorumStatus,
+  countBallots,
+  closeSession,
+  resolveTie
+} = require('../services/voting-lifecycle');
+const { runVotingScheduler } = require('../services/voting-scheduler');
+const { presentCandidates } = require('../services/voting-blind');
+const { transitionTask } = require('../services/task-lifecycle');
+const {
+  eligibilityConfig,
+  voterEligibility,
+  voterRoster,
+  eligibleVoterIds
+} = require('../services/voting-eligibility');
 
 const router = express.Router();
 
+// 投票期限与法定票数设置（创建会话和修改设置时共用）
+const scheduleValidators = [
+  body('quorum_min_ballots').optional({ nullable: true }).isInt({ min: 1 }),
+  body('quorum_percent').optional({ nullable: true }).isFloat({ gt: 0, max: 100 }),
+  body('quorum_action').optional().isIn(QUORUM_ACTIONS),
+  body('extension_hours').optional().isInt({ min: 1, max: 720 }),
+  body('max_extensions').optional().isInt({ min: 0, max: 10 }),
+  body('reminder_hours').optional({ nullable: true }).isInt({ min: 1, max: 720 })
+];
+
+const SCHEDULE_FIELDS = ['quorum_min_ballots', 'quorum_percent', 'quorum_action', 'extension_hours', 'max_extensions', 'reminder_hours'];
+
 // 获取所有投票会话（管理员专用）
 router.get('/', [authenticateToken, requireRole('admin')], async (req, res) => {
   try {
@@ -74,7 +107,14 @@ router.post('/', [
   requireRole('admin'),
   body('task_id').isUUID(),
   body('title').isLength({ min: 1 }).trim(),
-  body('description').optional().trim()
+  body('description').optional().trim(),
+  body('voting_method').optional().isIn(VOTING_METHODS),
+  body('method_config').optional().isObject(),
+  body('use_rubric').optional().isBoolean(),
+  body('duration_hours').optional({ nullable: true }).isInt({ min: 1, max: 720 }),
+  body('eligibility').optional().isObject(),
+  body('blind').optional().isBoolean(),
+  ...scheduleValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -82,11 +122,25 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { task_id, title, description } = req.body;
+    const {
+      task_id,
+      title,
+      description,
+      voting_method = 'plurality',
+      use_rubric = true,
+      blind = false,
+      duration_hours = null,
+      quorum_min_ballots = null,
+      quorum_percent = null,
+      quorum_action = 'extend',
+      extension_hours = 48,
+      max_extensions = 2,
+      reminder_hours = 24
+    } = req.body;
 
     // 检查任务是否存在且状态为pending_vote
     const taskCheck = await db.query(`
-      SELECT id, status FROM wiki_tasks 
+      SELECT id, status, writer_count FROM wiki_tasks 
       WHERE id = $1 AND status = 'pending_vote' AND voting_session_id IS NULL
     `, [task_id]);
 
@@ -104,8 +158,36 @@ router.post('/', [
       ORDER BY es.submitted_at
     `, [task_id]);
 
-    if (submissions.rows.length < 2) {
-      return res.status(400).json({ error: 'Task needs at least 2 submissions for voting' });
+    // 单人撰写的任务对唯一版本投票，多人撰写的任务至少需要两个版本
+    const minSubmissions = Math.min(taskCheck.rows[0].writer_count, 2);
+    if (submissions.rows.length < minSubmissions) {
+      return res.status(400).json({ error: `Task needs at least ${minSubmissions} submissions for voting` });
+    }
+
+    // 排序复选、Borda计数和评分投票仅适用于两个以上的候选版本
+    let config;
+    try {
+      config = methodConfig(voting_method, submissions.rows.length, req.body.method_config);
+    } catch (methodError) {
+      return res.status(400).json({ error: methodError.message });
+    }
+
+    let eligibility;
+    try {
+      eligibility = eligibilityConfig(req.body.eligibility);
+    } catch (eligibilityError) {
+      return res.status(400).json({ error: eligibilityError.message });
+    }
+
+    // 记录当前启用的评分细则，之后修改细则不影响进行中的投票
+    let rubric = [];
+    if (use_rubric) {
+      const criteria = await db.query(`
+        SELECT * FROM voting_rubric_criteria 
+        WHERE is_active = true 
+        ORDER BY order_index, created_at
+      `);
+      rubric = rubricSnapshot(criteria.rows);
     }
 
     const client = await db.getClient();
@@ -114,13 +196,35 @@ router.post('/', [
 
       // 创建投票会话
       const sessionResult = await client.query(`
-        INSERT INTO voting_sessions (task_id, title, description, created_by, status)
-        VALUES ($1, $2, $3, $4, 'active')
+        INSERT INTO voting_sessions (
+          task_id, title, description, created_by, status, voting_method, method_config, rubric,
+          deadline, quorum_min_ballots, quorum_percent, quorum_action, extension_hours, max_extensions, reminder_hours,
+          eligibility, blind
+        )
+        VALUES (
+          $1, $2, $3, $4, 'active', $5, $6, $7,
+          CASE WHEN $8::int IS NULL THEN NULL ELSE NOW() + make_interval(hours => $8::int) END,
+          $9, $10, $11, $12, $13, $14, $15, $16
+        )
         RETURNING *
-      `, [task_id, title, description, req.user.id]);
+      `, [
+        task_id, title, description, req.user.id, voting_method, config, JSON.stringify(rubric),
+        duration_hours, quorum_min_ballots, quorum_percent, quorum_action, extension_hours, max_extensions, reminder_hours,
+        eligibility, blind
+      ]);
 
       const votingSession = sessionResult.rows[0];
 
+      await logSessionEvent(client, votingSession.id, 'created', {
+        voting_method,
+        deadline: votingSession.deadline,
+        quorum_min_ballots,
+        quorum_percent,
+        quorum_action,
+        eligibility,
+        blind
+      }, req.user.id);
+
       // 创建投票候选项
       for (const submission of submissions.rows) {
         await client.query(`
@@ -130,27 +234,35 @@ router.post('/', [
       }
 
       // 更新任务状态
-      await client.query(`
-        UPDATE wiki_tasks 
-        SET status = 'voting', voting_session_id = $1 
-        WHERE id = $2
-      `, [votingSession.id, task_id]);
-
-      // 创建通知（通知所有用户）
-      const users = await client.query('SELECT id FROM users');
-      for (const user of users.rows) {
+      await transitionTask(client, task_id, 'start_voting', {
+        actor: req.user,
+        changes: { voting_session_id: votingSession.id },
+        details: { voting_session_id: votingSession.id }
+      });
+
+      // 创建通知（通知有投票资格的用户）
+      const voterIds = await eligibleVoterIds(client, votingSession);
+      for (const voterId of voterIds) {
         await client.query(`
           INSERT INTO voting_notifications (voting_session_id, user_id, notification_type, message)
           VALUES ($1, $2, 'voting_started', $3)
         `, [
           votingSession.id, 
-          user.id, 
+          voterId, 
           `"${title}"文档投票已开始，请前往投票页面参与投票`
         ]);
       }
 
       await client.query('COMMIT');
 
+      // 相似度分析：检查候选稿件之间以及与已完成词条的重复内容，失败不影响创建投票
+      let similarity = null;
+      try {
+        similarity = await analyzeTask(task_id, 'voting_session');
+      } catch (analysisError) {
+        console.error('Error analyzing submission similarity:', analysisError);
+      }
+
       // 返回完整的投票会话信息
       const fullSession = await db.query(`
         SELECT 
@@ -170,7 +282,10 @@ router.post('/', [
         GROUP BY vs.id
       `, [votingSession.id]);
 
-      res.status(201).json(fullSession.rows[0]);
+      res.status(201).json({
+        ...fullSession.rows[0],
+        similarity_flags: similarity ? similarity.flagged : null
+      });
     } catch (error) {
       await client.query('ROLLBACK');
       throw error;
@@ -179,6 +294,19 @@ router.post('/', [
     }
   } catch (error) {
     console.error('Error creating voting session:', error);
+    if (error.code === 'INVALID_TASK_TRANSITION') {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 立即执行一次投票定时任务：到期结束、延长或升级，并发送提醒（管理员专用）
+router.post('/scheduler/run', [authenticateToken, requireRole('admin')], async (req, res) => {
+  try {
+    res.json(await runVotingScheduler());
+  } catch (error) {
+    console.error('Error running voting scheduler:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -222,7 +350,7 @@ router.get('/:sessionId', authenticateToken, async (req, res) => {
 
     // 获取当前用户的投票状态
     const userVote = await db.query(`
-      SELECT choice_type, candidate_id, voted_at 
+      SELECT choice_type, candidate_id, ballot, voted_at 
       FROM votes 
       WHERE voting_session_id = $1 AND voter_id = $2
     `, [sessionId, req.user.id]);
@@ -230,8 +358,46 @@ router.get('/:sessionId', authenticateToken, async (req, res) => {
     const sessionData = result.rows[0];
     sessionData.user_vote = userVote.rows[0] || null;
 
+    // 候选项按当前用户看到的版本字母排序；匿名投票进行中去除作者信息
+    sessionData.candidates = await presentCandidates(db, sessionData, req.user.id, sessionData.candidates);
+
+    // 进行中的投票显示法定票数进度和当前用户的投票资格
+    if (sessionData.status === 'active') {
+      sessionData.quorum = await quorumStatus(db, sessionData);
+      sessionData.voter_eligibility = await voterEligibility(db, sessionData, req.user);
+    }
+
+    // 当前用户给出的评分细则
+    if (sessionData.user_vote && sessionData.rubric.length > 0) {
+      const userScores = await db.query(`
+        SELECT vrs.candidate_id, vrs.criterion_key, vrs.score
+        FROM vote_rubric_scores vrs
+        JOIN votes v ON vrs.vote_id = v.id
+        WHERE v.voting_session_id = $1 AND v.voter_id = $2
+      `, [sessionId, req.user.id]);
+
+      sessionData.user_vote.rubric_scores = {};
+      for (const row of userScores.rows) {
+        const scores = sessionData.user_vote.rubric_scores[row.candidate_id] || {};
+        scores[row.criterion_key] = row.score;
+        sessionData.user_vote.rubric_scores[row.candidate_id] = scores;
+      }
+    }
+
+    // 平票待处理：列出平票候选项和已发起的决选投票
+    if (sessionData.status === 'tie_pending' || sessionData.tie_resolution) {
+      sessionData.tied_candidate_ids = tiedCandidates(sessionData.tally);
+      const runoffs = await db.query(`
+        SELECT id, title, status, started_at, ended_at 
+        FROM voting_sessions 
+        WHERE runoff_of = $1 
+        ORDER BY started_at
+      `, [sessionId]);
+      sessionData.runoff_sessions = runoffs.rows;
+    }
+
     // 如果投票已结束，获取投票统计
-    if (sessionData.status === 'completed') {
+    if (sessionData.status === 'completed' || sessionData.status === 'tie_pending') {
       const stats = await db.query(`
         SELECT 
           choice_type,
@@ -243,6 +409,21 @@ router.get('/:sessionId', authenticateToken, async (req, res) => {
       `, [sessionId]);
 
       sessionData.vote_statistics = stats.rows;
+
+      // 各候选项的评分细则平均分
+      if (sessionData.rubric.length > 0) {
+        const rubricStats = await db.query(`
+          SELECT vrs.candidate_id, vrs.criterion_key,
+                 ROUND(AVG(vrs.score), 2) as average_score,
+                 COUNT(*) as ratings
+          FROM vote_rubric_scores vrs
+          JOIN votes v ON vrs.vote_id = v.id
+          WHERE v.voting_session_id = $1
+          GROUP BY vrs.candidate_id, vrs.criterion_key
+        `, [sessionId]);
+
+        sessionData.rubric_summary = summarizeRubric(sessionData.rubric, rubricStats.rows);
+      }
     }
 
     res.json(sessionData);
@@ -252,112 +433,584 @@ router.get('/:sessionId', authenticateToken, async (req, res) => {
   }
 });
 
-// 结束投票会话（管理员专用）
-router.post('/:sessionId/end', [authenticateToken, requireRole('admin')], async (req, res) => {
+// 结束投票会话（管理员专用）；未达到法定票数时需传 force: true
+router.post('/:sessionId/end', [
+  authenticateToken,
+  requireRole('admin'),
+  body('force').optional().isBoolean()
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { sessionId } = req.params;
 
-    // 检查投票会话是否存在且为活跃状态
-    const sessionCheck = await db.query(`
-      SELECT * FROM voting_sessions 
-      WHERE id = $1 AND status = 'active'
-    `, [sessionId]);
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
 
-    if (sessionCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Active voting session not found' });
+      // 锁定会话，避免与定时任务同时结束同一投票
+      const sessionCheck = await client.query(`
+        SELECT * FROM voting_sessions 
+        WHERE id = $1 AND status = 'active'
+        FOR UPDATE
+      `, [sessionId]);
+
+      if (sessionCheck.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Active voting session not found' });
+      }
+
+      const session = sessionCheck.rows[0];
+
+      const quorum = await quorumStatus(client, session);
+      if (!quorum.met && req.body.force !== true) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: `Quorum not reached: ${quorum.ballots} of ${quorum.required} required ballots. Pass force: true to end anyway.`,
+          quorum
+        });
+      }
+
+      // 按会话的计票方式统计全部选票并结束投票；平票时进入待处理状态
+      const { status, result, tiedCandidateIds } = await closeSession(client, session, { closedBy: 'admin', actorId: req.user.id, quorum });
+
+      await client.query('COMMIT');
+
+      const tie = status === 'tie_pending';
+      res.json({
+        message: tie
+          ? 'Voting ended in a tie; start a runoff or cast a deciding vote'
+          : 'Voting session ended successfully',
+        status,
+        result: {
+          is_none_satisfied_winner: result.none_satisfied_wins,
+          winner_candidate_id: tie ? null : result.winner_candidate_id,
+          tied_candidate_ids: tiedCandidateIds,
+          total_votes: result.total_ballots,
+          voting_method: session.voting_method,
+          tally: result
+        }
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Error ending voting session:', error);
+    if (error.code === 'INVALID_TASK_TRANSITION' || error.code === 'NO_DECISION') {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 修改投票期限和法定票数设置（管理员专用）
+router.put('/:sessionId/schedule', [
+  authenticateToken,
+  requireRole('admin'),
+  body('deadline').optional({ nullable: true }).isISO8601(),
+  ...scheduleValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { sessionId } = req.params;
+
+    if (req.body.deadline && new Date(req.body.deadline) <= new Date()) {
+      return res.status(400).json({ error: 'Deadline must be in the future' });
+    }
+
+    // 只更新请求中提供的字段
+    const changes = {};
+    for (const field of ['deadline', ...SCHEDULE_FIELDS]) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'No schedule settings provided' });
+    }
+
+    const params = [sessionId];
+    const assignments = Object.entries(changes).map(([field, value]) => {
+      params.push(value);
+      return `${field} = $${params.length}`;
+    });
+
+    // 修改期限后重新发送提醒，并解除升级状态
+    if (changes.deadline !== undefined) {
+      assignments.push('last_reminder_at = NULL', 'escalated_at = NULL');
     }
 
     const client = await db.getClient();
     try {
       await client.query('BEGIN');
 
-      // 统计投票结果
-      const voteStats = await client.query(`
-        SELECT 
-          choice_type,
-          candidate_id,
-          COUNT(*) as vote_count
-        FROM votes 
-        WHERE voting_session_id = $1
-        GROUP BY choice_type, candidate_id
-        ORDER BY vote_count DESC
+      const result = await client.query(`
+        UPDATE voting_sessions 
+        SET ${assignments.join(', ')} 
+        WHERE id = $1 AND status = 'active'
+        RETURNING *
+      `, params);
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Active voting session not found' });
+      }
+
+      await logSessionEvent(client, sessionId, 'schedule_updated', changes, req.user.id);
+      await client.query('COMMIT');
+
+      const session = result.rows[0];
+      res.json({ ...session, quorum: await quorumStatus(db, session) });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Error updating voting schedule:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 延长投票期限（管理员专用）
+router.post('/:sessionId/extend', [
+  authenticateToken,
+  requireRole('admin'),
+  body('hours').isInt({ min: 1, max: 720 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { sessionId } = req.params;
+    const hours = parseInt(req.body.hours);
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      const sessionCheck = await client.query(`
+        SELECT * FROM voting_sessions 
+        WHERE id = $1 AND status = 'active'
+        FOR UPDATE
       `, [sessionId]);
 
-      // 分析结果
-      let winnerCandidateId = null;
-      let isNoneSatisfiedWinner = false;
-      
-      const candidateVotes = voteStats.rows.filter(stat => stat.choice_type === 'candidate');
-      const noneSatisfiedVotes = voteStats.rows.find(stat => stat.choice_type === 'none_satisfied');
-      
-      const maxCandidateVotes = candidateVotes.length > 0 ? candidateVotes[0].vote_count : 0;
-      const noneSatisfiedCount = noneSatisfiedVotes ? noneSatisfiedVotes.vote_count : 0;
-
-      if (noneSatisfiedCount > maxCandidateVotes) {
-        isNoneSatisfiedWinner = true;
-      } else if (candidateVotes.length > 0) {
-        winnerCandidateId = candidateVotes[0].candidate_id;
+      if (sessionCheck.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Active voting session not found' });
       }
 
-      // 更新候选项投票数和获胜状态
-      for (const candidate of candidateVotes) {
-        const isWinner = candidate.candidate_id === winnerCandidateId;
-        await client.query(`
-          UPDATE voting_candidates 
-          SET vote_count = $1, is_winner = $2
-          WHERE id = $3
-        `, [candidate.vote_count, isWinner, candidate.candidate_id]);
+      const session = sessionCheck.rows[0];
+      if (!session.deadline) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'This session has no deadline; set one with PUT /schedule' });
       }
 
-      // 结束投票会话
-      await client.query(`
+      // 已过期的会话从当前时间起延长
+      const result = await client.query(`
         UPDATE voting_sessions 
-        SET status = 'completed', ended_at = CURRENT_TIMESTAMP 
+        SET deadline = GREATEST(deadline, NOW()) + make_interval(hours => $2), 
+            last_reminder_at = NULL, 
+            escalated_at = NULL 
         WHERE id = $1
+        RETURNING *
+      `, [sessionId, hours]);
+
+      await logSessionEvent(client, sessionId, 'extended', {
+        reason: 'admin',
+        hours,
+        previous_deadline: session.deadline,
+        deadline: result.rows[0].deadline
+      }, req.user.id);
+
+      await client.query('COMMIT');
+      res.json(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Error extending voting session:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 查看投票资格设置及每个用户的资格（管理员专用）
+router.get('/:sessionId/eligibility', [authenticateToken, requireRole('admin')], async (req, res) => {
+  try {
+    const sessionResult = await db.query('SELECT * FROM voting_sessions WHERE id = $1', [req.params.sessionId]);
+
+    if (sessionResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Voting session not found' });
+    }
+
+    const session = sessionResult.rows[0];
+    res.json({
+      eligibility: eligibilityConfig(session.eligibility),
+      voters: await voterRoster(db, session)
+    });
+  } catch (error) {
+    console.error('Error fetching voter eligibility:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 修改投票资格设置（管理员专用）；已投出的选票不受影响
+router.put('/:sessionId/eligibility', [
+  authenticateToken,
+  requireRole('admin'),
+  body('exclude_authors').optional().isBoolean(),
+  body('exclude_annotator').optional().isBoolean(),
+  body('roles').optional().isArray(),
+  body('category_id').optional({ nullable: true }).isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { sessionId } = req.params;
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      const sessionCheck = await client.query(`
+        SELECT * FROM voting_sessions 
+        WHERE id = $1 AND status = 'active'
+        FOR UPDATE
+      `, [sessionId]);
+
+      if (sessionCheck.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Active voting session not found' });
+      }
+
+      // 只更新请求中提供的设置
+      const changes = {};
+      for (const field of ['exclude_authors', 'exclude_annotator', 'roles', 'category_id']) {
+        if (req.body[field] !== undefined) changes[field] = req.body[field];
+      }
+
+      let eligibility;
+      try {
+        eligibility = eligibilityConfig({ ...sessionCheck.rows[0].eligibility, ...changes });
+      } catch (eligibilityError) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: eligibilityError.message });
+      }
+
+      const result = await client.query(`
+        UPDATE voting_sessions SET eligibility = $2 WHERE id = $1 RETURNING *
+      `, [sessionId, eligibility]);
+
+      await logSessionEvent(client, sessionId, 'eligibility_updated', changes, req.user.id);
+      await client.query('COMMIT');
+
+      const session = result.rows[0];
+      res.json({
+        eligibility,
+        voters: await voterRoster(db, session),
+        quorum: await quorumStatus(db, session)
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Error updating voter eligibility:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 将用户加入允许或排除名单（管理员专用）
+router.put('/:sessionId/voter-lists/:userId', [
+  authenticateToken,
+  requireRole('admin'),
+  body('list_type').isIn(['allow', 'deny']),
+  body('reason').optional({ nullable: true }).trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { sessionId, userId } = req.params;
+    const { list_type, reason = null } = req.body;
+
+    const sessionCheck = await db.query(`
+      SELECT id FROM voting_sessions WHERE id = $1 AND status = 'active'
+    `, [sessionId]);
+
+    if (sessionCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Active voting session not found' });
+    }
+
+    const userCheck = await db.query('SELECT id FROM users WHERE id = $1', [userId]);
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        INSERT INTO voting_session_voter_lists (voting_session_id, user_id, list_type, reason, added_by)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (voting_session_id, user_id) 
+        DO UPDATE SET list_type = $3, reason = $4, added_by = $5, created_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `, [sessionId, userId, list_type, reason, req.user.id]);
+
+      await logSessionEvent(client, sessionId, list_type === 'allow' ? 'voter_allowed' : 'voter_denied', {
+        user_id: userId,
+        reason
+      }, req.user.id);
+
+      await client.query('COMMIT');
+      res.json(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Error updating voter list:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 将用户移出允许或排除名单（管理员专用）
+router.delete('/:sessionId/voter-lists/:userId', [authenticateToken, requireRole('admin')], async (req, res) => {
+  try {
+    const { sessionId, userId } = req.params;
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        DELETE FROM voting_session_voter_lists 
+        WHERE voting_session_id = $1 AND user_id = $2
+        RETURNING list_type
+      `, [sessionId, userId]);
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'User is not on a voter list for this session' });
+      }
+
+      await logSessionEvent(client, sessionId, 'voter_list_removed', {
+        user_id: userId,
+        list_type: result.rows[0].list_type
+      }, req.user.id);
+
+      await client.query('COMMIT');
+      res.json({ message: 'Voter list entry removed' });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Error removing voter list entry:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 平票处理：在平票的候选项之间发起决选投票（管理员专用）
+router.post('/:sessionId/tie/runoff', [
+  authenticateToken,
+  requireRole('admin'),
+  body('duration_hours').optional({ nullable: true }).isInt({ min: 1, max: 720 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { sessionId } = req.params;
+    const { duration_hours = null } = req.body;
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      const sessionCheck = await client.query(`
+        SELECT * FROM voting_sessions 
+        WHERE id = $1 AND status = 'tie_pending'
+        FOR UPDATE
       `, [sessionId]);
 
+      if (sessionCheck.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Tied voting session not found' });
+      }
+
       const session = sessionCheck.rows[0];
 
-      // 更新任务状态
-      if (isNoneSatisfiedWinner) {
-        // "都不满意"获胜，任务状态改为待重新分配
-        await client.query(`
-          UPDATE wiki_tasks 
-          SET status = 'pending_reassignment' 
-          WHERE id = $1
-        `, [session.task_id]);
-      } else {
-        // 某个版本获胜，任务完成
-        await client.query(`
-          UPDATE wiki_tasks 
-          SET status = 'completed' 
-          WHERE id = $1
-        `, [session.task_id]);
+      const openRunoff = await client.query(`
+        SELECT id FROM voting_sessions 
+        WHERE runoff_of = $1 AND status IN ('active', 'tie_pending')
+      `, [sessionId]);
+
+      if (openRunoff.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'A runoff for this session is already open', runoff_session_id: openRunoff.rows[0].id });
       }
 
-      // 通知所有用户投票结束
-      const users = await client.query('SELECT id FROM users');
-      const resultMessage = isNoneSatisfiedWinner 
-        ? `"${session.title}"投票结束，结果为"都不满意"，任务将重新分配`
-        : `"${session.title}"投票结束，已选出获胜版本`;
+      // 决选投票沿用原会话的投票资格、投票名单、匿名和法定票数设置，只在平票的候选项之间进行多数票投票
+      const runoffResult = await client.query(`
+        INSERT INTO voting_sessions (
+          task_id, title, description, created_by, status, voting_method, method_config, rubric,
+          deadline, quorum_min_ballots, quorum_percent, quorum_action, extension_hours, max_extensions, reminder_hours,
+          eligibility, blind, runoff_of
+        )
+        VALUES (
+          $1, $2, $3, $4, 'active', 'plurality', '{}', '[]',
+          CASE WHEN $5::int IS NULL THEN NULL ELSE NOW() + make_interval(hours => $5::int) END,
+          $6, $7, $8, $9, $10, $11, $12, $13, $14
+        )
+        RETURNING *
+      `, [
+        session.task_id, `${session.title}（决选）`, session.description, req.user.id, duration_hours,
+        session.quorum_min_ballots, session.quorum_percent, session.quorum_action, session.extension_hours,
+        session.max_extensions, session.reminder_hours, session.eligibility, session.blind, sessionId
+      ]);
+
+      const runoff = runoffResult.rows[0];
+      const tiedIds = tiedCandidates(session.tally);
 
-      for (const user of users.rows) {
+      await client.query(`
+        INSERT INTO voting_candidates (voting_session_id, submission_id, author_id, author_name)
+        SELECT $1, submission_id, author_id, author_name 
+        FROM voting_candidates 
+        WHERE id = ANY($2)
+        ORDER BY created_at, id
+      `, [runoff.id, tiedIds]);
+
+      await client.query(`
+        INSERT INTO voting_session_voter_lists (voting_session_id, user_id, list_type, reason, added_by)
+        SELECT $1, user_id, list_type, reason, added_by
+        FROM voting_session_voter_lists
+        WHERE voting_session_id = $2
+      `, [runoff.id, sessionId]);
+
+      await logSessionEvent(client, runoff.id, 'created', {
+        voting_method: 'plurality',
+        deadline: runoff.deadline,
+        runoff_of: sessionId
+      }, req.user.id);
+      await logSessionEvent(client, sessionId, 'runoff_started', {
+        runoff_session_id: runoff.id,
+        tied_candidate_ids: tiedIds
+      }, req.user.id);
+
+      const voterIds = await eligibleVoterIds(client, runoff);
+      for (const voterId of voterIds) {
         await client.query(`
           INSERT INTO voting_notifications (voting_session_id, user_id, notification_type, message)
-          VALUES ($1, $2, 'voting_ended', $3)
-        `, [sessionId, user.id, resultMessage]);
+          VALUES ($1, $2, 'voting_started', $3)
+        `, [runoff.id, voterId, `"${session.title}"平票，决选投票已开始，请前往投票页面参与投票`]);
       }
 
       await client.query('COMMIT');
+      res.status(201).json(runoff);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Error starting runoff voting:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-      res.json({
-        message: 'Voting session ended successfully',
-        result: {
-          is_none_satisfied_winner: isNoneSatisfiedWinner,
-          winner_candidate_id: winnerCandidateId,
-          total_votes: voteStats.rows.reduce((sum, stat) => sum + stat.vote_count, 0)
-        }
-      });
+// 平票处理：管理员投出决定票并说明理由（管理员专用）
+router.post('/:sessionId/tie/decide', [
+  authenticateToken,
+  requireRole('admin'),
+  body('candidate_id').isUUID(),
+  body('justification').isString().trim().isLength({ min: 10, max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { sessionId } = req.params;
+    const { candidate_id, justification } = req.body;
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      const sessionCheck = await client.query(`
+        SELECT * FROM voting_sessions 
+        WHERE id = $1 AND status = 'tie_pending'
+        FOR UPDATE
+      `, [sessionId]);
+
+      if (sessionCheck.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Tied voting session not found' });
+      }
+
+      const session = sessionCheck.rows[0];
+      const tiedIds = tiedCandidates(session.tally);
+
+      if (!tiedIds.includes(candidate_id)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'The deciding vote must go to one of the tied candidates' });
+      }
+
+      // 进行中的决选投票由管理员裁决取代
+      const openRunoffs = await client.query(`
+        UPDATE voting_sessions SET status = 'cancelled' 
+        WHERE runoff_of = $1 AND status = 'active' 
+        RETURNING id
+      `, [sessionId]);
+      for (const runoff of openRunoffs.rows) {
+        await logSessionEvent(client, runoff.id, 'cancelled', { reason: 'admin_decision' }, req.user.id);
+      }
+
+      const resolution = {
+        method: 'admin_decision',
+        winner_candidate_id: candidate_id,
+        tied_candidate_ids: tiedIds,
+        justification,
+        decided_by: req.user.id,
+        decided_at: new Date().toISOString()
+      };
+      await resolveTie(client, session, { candidateId: candidate_id, resolution, actorId: req.user.id });
+
+      await client.query('COMMIT');
+      res.json({ message: 'Tie resolved', tie_resolution: resolution });
     } catch (error) {
       await client.query('ROLLBACK');
       throw error;
@@ -365,7 +1018,68 @@ router.post('/:sessionId/end', [authenticateToken, requireRole('admin')], async
       client.release();
     }
   } catch (error) {
-    console.error('Error ending voting session:', error);
+    console.error('Error resolving voting tie:', error);
+    if (error.code === 'INVALID_TASK_TRANSITION') {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 投票会话的审计记录（管理员专用）
+router.get('/:sessionId/events', [authenticateToken, requireRole('admin')], async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT vse.*, u.username as actor_name
+      FROM voting_session_events vse
+      LEFT JOIN users u ON vse.actor_id = u.id
+      WHERE vse.voting_session_id = $1
+      ORDER BY vse.created_at, vse.id
+    `, [req.params.sessionId]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching voting session events:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 重新计票：根据保存的完整选票重新统计并与结束时的结果核对（管理员专用）
+router.get('/:sessionId/recount', [authenticateToken, requireRole('admin')], async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const sessionResult = await db.query('SELECT * FROM voting_sessions WHERE id = $1', [sessionId]);
+
+    if (sessionResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Voting session not found' });
+    }
+
+    const session = sessionResult.rows[0];
+    const { result } = await countBallots(db, session);
+
+    // 审计用的选票明细
+    const ballots = await db.query(`
+      SELECT v.id, u.username as voter_name, v.choice_type, v.candidate_id, v.ballot, v.voted_at
+      FROM votes v
+      JOIN users u ON v.voter_id = u.id
+      WHERE v.voting_session_id = $1
+      ORDER BY v.voted_at, v.id
+    `, [sessionId]);
+
+    res.json({
+      session_id: session.id,
+      status: session.status,
+      voting_method: session.voting_method,
+      method_config: session.method_config,
+      stored_tally: session.tally,
+      recount: result,
+      // 进行中的会话还没有已保存的结果，无从核对
+      matches: session.tally ? sameTally(session.tally, result) : null,
+      ballots: ballots.rows
+    });
+  } catch (error) {
+    console.error('Error recounting voting session:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -396,12 +1110,19 @@ router.post('/:sessionId/cancel', [authenticateToken, requireRole('admin')], asy
         WHERE id = $1
       `, [sessionId]);
 
-      // 恢复任务状态为待投票
-      await client.query(`
-        UPDATE wiki_tasks 
-        SET status = 'pending_vote', voting_session_id = NULL 
-        WHERE id = $1
-      `, [session.rows[0].task_id]);
+      // 取消决选投票时原会话仍待处理平票；否则恢复任务状态为待投票
+      const { runoff_of } = session.rows[0];
+      if (runoff_of) {
+        await logSessionEvent(client, runoff_of, 'runoff_cancelled', { runoff_session_id: sessionId }, req.user.id);
+      } else {
+        await transitionTask(client, session.rows[0].task_id, 'cancel_voting', {
+          actor: req.user,
+          changes: { voting_session_id: null },
+          details: { voting_session_id: sessionId }
+        });
+      }
+
+      await logSessionEvent(client, sessionId, 'cancelled', {}, req.user.id);
 
       await client.query('COMMIT');
 
@@ -414,6 +1135,9 @@ router.post('/:sessionId/cancel', [authenticateToken, requireRole('admin')], asy
     }
   } catch (error) {
     console.error('Error cancelling voting session:', error);
+    if (error.code === 'INVALID_TASK_TRANSITION') {
+      return res.status(409).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -444,6 +1168,7 @@ router.get('/function/:functionId/final-document', authenticateToken, async (req
       SELECT 
         vc.author_name,
         vc.author_id,
+        ed.id as document_id,
         ed.title as document_title,
         ed.content as document_content,
         ed.updated_at as document_updated_at
@@ -483,12 +1208,14 @@ router.get('/function/:functionId/final-document', authenticateToken, async (req
     // 获取任务分配信息
     const taskInfoResult = await db.query(`
       SELECT 
-        u1.username as writer1_name,
-        u2.username as writer2_name,
+        ARRAY(
+          SELECT u.username FROM wiki_task_assignments wta
+          JOIN users u ON wta.writer_id = u.id
+          WHERE wta.task_id = wt.id
+          ORDER BY wta.slot
+        ) as writer_names,
         u3.username as code_annotator_name
       FROM wiki_tasks wt
-      LEFT JOIN users u1 ON wt.writer1_id = u1.id
-      LEFT JOIN users u2 ON wt.writer2_id = u2.id
       LEFT JOIN users u3 ON wt.code_annotator_id = u3.id
       WHERE wt.id = $1
     `, [task.id]);
@@ -504,6 +1231,7 @@ router.get('/function/:functionId/final-document', authenticateToken, async (req
         ...taskInfo
       },
       final_document: {
+        id: winner.document_id,
         title: winner.document_title,
         content: winner.document_content,
         author_name: winner.author_name,
@@ -520,4 +1248,50 @@ router.get('/function/:functionId/final-document', authenticateToken, async (req
   }
 });
 
+// 导出获胜文档的API配置（Postman集合、OpenAPI片段或cURL脚本）
+router.get('/function/:functionId/final-document/export/:format', authenticateToken, async (req, res) => {
+  try {
+    const { functionId, format } = req.params;
+
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+      return res.status(400).json({
+        error: `Unsupported format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    // 获取该功能最近完成任务的获胜文档
+    const winnerResult = await db.query(`
+      SELECT ed.id as document_id, ed.title as document_title
+      FROM wiki_tasks wt
+      JOIN voting_candidates vc ON vc.voting_session_id = wt.voting_session_id AND vc.is_winner = true
+      JOIN entry_submissions es ON vc.submission_id = es.id
+      JOIN entry_documents ed ON es.document_id = ed.id
+      WHERE wt.function_id = $1 AND wt.status = 'completed'
+      ORDER BY wt.created_at DESC
+      LIMIT 1
+    `, [functionId]);
+
+    if (winnerResult.rows.length === 0) {
+      return res.status(404).json({ error: 'No winning document found' });
+    }
+
+    const winner = winnerResult.rows[0];
+
+    const apiConfigsResult = await db.query(`
+      SELECT * FROM entry_api_configs
+      WHERE document_id = $1
+      ORDER BY order_index, created_at
+    `, [winner.document_id]);
+
+    const exported = exportApiConfigs(format, winner.document_title, apiConfigsResult.rows);
+
+    res.setHeader('Content-Type', `${exported.contentType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(exported.filename)}`);
+    res.send(exported.body);
+  } catch (error) {
+    console.error('Error exporting final document API configs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
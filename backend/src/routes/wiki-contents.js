@@ -2,6 +2,8 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { canTransition, transitionTask } = require('../services/task-lifecycle');
+const { writerIdsColumn } = require('../services/task-writers');
 
 const router = express.Router();
 
@@ -13,7 +15,8 @@ router.get('/task/:taskId', authenticateToken, async (req, res) => {
 
     // Get task details to check access and status
     const taskResult = await db.query(`
-      SELECT wt.*, f.name as function_name, c.name as category_name
+      SELECT wt.*, f.name as function_name, c.name as category_name,
+             ${writerIdsColumn()} as writer_ids
       FROM wiki_tasks wt
       JOIN functions f ON wt.function_id = f.id
       JOIN categories c ON f.category_id = c.id
@@ -28,8 +31,7 @@ router.get('/task/:taskId', authenticateToken, async (req, res) => {
 
     // Check if user has access to this task
     const hasAccess = req.user.role === 'admin' || 
-                     task.writer1_id === userId || 
-                     task.writer2_id === userId || 
+                     task.writer_ids.includes(userId) || 
                      task.code_annotator_id === userId;
 
     if (!hasAccess) {
@@ -40,7 +42,7 @@ router.get('/task/:taskId', authenticateToken, async (req, res) => {
     let params = [taskId];
 
     // Content isolation during concurrent writing phase
-    if (task.status === 'in_progress' && req.user.role !== 'admin') {
+    if (['in_progress', 'overtime'].includes(task.status) && req.user.role !== 'admin') {
       // During writing phase, writers can only see their own content
       contentsQuery = `
         SELECT wc.id, wc.writer_id, wc.status, wc.submitted_at, wc.created_at, wc.updated_at,
@@ -95,10 +97,11 @@ router.post('/task/:taskId', [
     const userId = req.user.id;
 
     // Verify user is assigned as writer for this task
-    const taskResult = await db.query(
-      'SELECT * FROM wiki_tasks WHERE id = $1 AND (writer1_id = $2 OR writer2_id = $2)',
-      [taskId, userId]
-    );
+    const taskResult = await db.query(`
+      SELECT wt.* FROM wiki_tasks wt
+      JOIN wiki_task_assignments wta ON wta.task_id = wt.id
+      WHERE wt.id = $1 AND wta.writer_id = $2
+    `, [taskId, userId]);
 
     if (taskResult.rows.length === 0) {
       return res.status(404).json({ error: 'Task not found or you are not assigned as writer' });
@@ -106,8 +109,8 @@ router.post('/task/:taskId', [
 
     const task = taskResult.rows[0];
 
-    // Check if task is in correct status for writing
-    if (task.status !== 'in_progress') {
+    // Check if task is in correct status for writing (overdue tasks still accept late work)
+    if (!['in_progress', 'overtime'].includes(task.status)) {
       return res.status(400).json({ error: 'Task is not in writing phase' });
     }
 
@@ -185,32 +188,24 @@ router.post('/task/:taskId/submit', authenticateToken, async (req, res) => {
         ['submitted', taskId, userId]
       );
 
-      // Check if both writers have submitted or deadline has passed
+      // Check if every writer has submitted or deadline has passed
       const submittedCount = await client.query(
         'SELECT COUNT(*) as count FROM wiki_contents WHERE task_id = $1 AND status = $2',
         [taskId, 'submitted']
       );
 
-      const taskInfo = await client.query('SELECT deadline FROM wiki_tasks WHERE id = $1', [taskId]);
-      const deadline = taskInfo.rows[0].deadline;
+      const taskInfo = await client.query('SELECT status, deadline, writer_count FROM wiki_tasks WHERE id = $1 FOR UPDATE', [taskId]);
+      const { status, deadline, writer_count } = taskInfo.rows[0];
       const now = new Date();
       const deadlinePassed = deadline && new Date(deadline) <= now;
-
-      // If both submitted or deadline passed, move to voting phase
-      if (parseInt(submittedCount.rows[0].count) >= 2 || deadlinePassed) {
-        await client.query(
-          'UPDATE wiki_tasks SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-          ['pending_vote', taskId]
-        );
-
-        // Notify admin that voting can begin
-        const adminUsers = await client.query('SELECT id FROM users WHERE role = $1', ['admin']);
-        for (const admin of adminUsers.rows) {
-          await client.query(
-            'INSERT INTO task_notifications (task_id, recipient_id, notification_type, title, message) VALUES ($1, $2, $3, $4, $5)',
-            [taskId, admin.id, 'voting_started', 'Voting Phase Ready', 'Wiki content submissions are ready for voting']
-          );
-        }
+      const submitted = parseInt(submittedCount.rows[0].count);
+
+      // If all submitted or deadline passed, move to voting phase (admins are notified)
+      if ((submitted >= writer_count || deadlinePassed) && canTransition(status, 'submissions_ready')) {
+        await transitionTask(client, taskId, 'submissions_ready', {
+          actor: req.user,
+          details: { submissions: submitted, deadline_passed: Boolean(deadlinePassed) }
+        });
       }
 
       await client.query('COMMIT');
@@ -258,7 +253,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
     const result = await db.query(`
       SELECT wc.*, wt.title as task_title, wt.status as task_status, 
-             wt.writer1_id, wt.writer2_id, wt.code_annotator_id,
+             wt.code_annotator_id,
              f.name as function_name, c.name as category_name,
              u.username as writer_username
       FROM wiki_contents wc
@@ -282,7 +277,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
                      content.task_status === 'completed';
 
     // During writing phase, only show content to its author (unless admin)
-    if (content.task_status === 'in_progress' && content.writer_id !== userId && req.user.role !== 'admin') {
+    if (['in_progress', 'overtime'].includes(content.task_status) && content.writer_id !== userId && req.user.role !== 'admin') {
       return res.status(403).json({ error: 'Content not accessible during writing phase' });
     }
 
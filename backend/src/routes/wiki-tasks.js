@@ -1,7 +1,11 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { canTransition, logTaskEvent, transitionTask } = require('../services/task-lifecycle');
+const { MAX_WRITERS, writersColumn, setTaskWriters, writersError, versionVoteCounts } = require('../services/task-writers');
+const { SCORE_WEIGHTS, recommendWriters, autoAssignWriters } = require('../services/writer-recommendations');
+const { REDACTED, redactAuthors, blindTaskIds, taskWriterIdentities, anonymousWriters } = require('../services/voting-blind');
 
 const router = express.Router();
 
@@ -13,8 +17,7 @@ router.get('/', authenticateToken, async (req, res) => {
       SELECT wt.*, f.name as function_name, c.name as category_name, c.path as category_path,
              u1.username as assigned_by_username,
              u2.username as code_annotator_username,
-             u3.username as writer1_username,
-             u4.username as writer2_username,
+             ${writersColumn()} as writers,
              -- Count submissions
              COUNT(wc.id) as submission_count,
              -- Count votes if in voting phase
@@ -24,8 +27,6 @@ router.get('/', authenticateToken, async (req, res) => {
       JOIN categories c ON f.category_id = c.id
       LEFT JOIN users u1 ON wt.assigned_by = u1.id
       LEFT JOIN users u2 ON wt.code_annotator_id = u2.id
-      LEFT JOIN users u3 ON wt.writer1_id = u3.id
-      LEFT JOIN users u4 ON wt.writer2_id = u4.id
       LEFT JOIN wiki_contents wc ON wt.id = wc.task_id AND wc.status = 'submitted'
       LEFT JOIN wiki_votes wv ON wt.id = wv.task_id
       WHERE 1=1
@@ -44,7 +45,7 @@ router.get('/', authenticateToken, async (req, res) => {
 
     if (writer_id) {
       params.push(writer_id);
-      query += ` AND (wt.writer1_id = $${params.length} OR wt.writer2_id = $${params.length})`;
+      query += ` AND EXISTS (SELECT 1 FROM wiki_task_assignments wta WHERE wta.task_id = wt.id AND wta.writer_id = $${params.length})`;
     }
 
     if (assigned_by) {
@@ -53,29 +54,163 @@ router.get('/', authenticateToken, async (req, res) => {
     }
 
     query += `
-      GROUP BY wt.id, f.name, c.name, c.path, u1.username, u2.username, u3.username, u4.username
+      GROUP BY wt.id, f.name, c.name, c.path, u1.username, u2.username
       ORDER BY wt.created_at DESC
     `;
 
     const result = await db.query(query, params);
-    res.json(result.rows);
+
+    // Writers stay anonymous to other users while their task's voting is blind
+    if (req.user.role === 'admin') {
+      return res.json(result.rows);
+    }
+    const blindTasks = await blindTaskIds(db, result.rows.map(task => task.id));
+    res.json(result.rows.map(task => (
+      blindTasks.has(task.id) && !task.writers.some(writer => writer.id === req.user.id)
+        ? { ...task, writers: anonymousWriters(task.writers) }
+        : task
+    )));
   } catch (error) {
     console.error('Error fetching wiki tasks:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Input problems found while creating a task, by error code
+const CREATE_ERROR_STATUS = {
+  FUNCTION_NOT_FOUND: 404,
+  USER_NOT_FOUND: 404,
+  INVALID_WRITERS: 400,
+  ACTIVE_TASK_EXISTS: 400,
+  NOT_ENOUGH_WRITERS: 409
+};
+
+function createError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Creates one task in its own transaction. With auto_assign the writers are
+// the writer_count best recommendations instead of writer_ids.
+async function createTask(input, actor) {
+  const { function_id, title, description, code_annotator_id, auto_assign, deadline } = input;
+
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    // Verify function exists
+    const functionCheck = await client.query('SELECT id FROM functions WHERE id = $1', [function_id]);
+    if (functionCheck.rows.length === 0) {
+      throw createError('FUNCTION_NOT_FOUND', 'Function not found');
+    }
+
+    // Verify the annotator exists and the writers are distinct, active non-admins
+    const annotatorCheck = await client.query('SELECT id, role FROM users WHERE id = $1', [code_annotator_id]);
+    if (annotatorCheck.rows.length === 0) {
+      throw createError('USER_NOT_FOUND', 'One or more assigned users not found');
+    }
+
+    // Check if there's already an active task for this function
+    const activeTaskCheck = await client.query(
+      'SELECT id FROM wiki_tasks WHERE function_id = $1 AND status != $2',
+      [function_id, 'completed']
+    );
+    if (activeTaskCheck.rows.length > 0) {
+      throw createError('ACTIVE_TASK_EXISTS', 'This function already has an active wiki task');
+    }
+
+    const writer_ids = auto_assign
+      ? await autoAssignWriters(client, { functionId: function_id, codeAnnotatorId: code_annotator_id }, input.writer_count || 2)
+      : input.writer_ids;
+
+    const writerError = await writersError(client, writer_ids);
+    if (writerError) {
+      throw createError('INVALID_WRITERS', writerError);
+    }
+
+    // Create the task
+    const taskResult = await client.query(
+      `INSERT INTO wiki_tasks (function_id, title, description, code_annotator_id, writer_count, assigned_by, deadline) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+      [function_id, title, description, code_annotator_id, writer_ids.length, actor.id, deadline]
+    );
+
+    const task = taskResult.rows[0];
+    await setTaskWriters(client, task.id, writer_ids);
+
+    await logTaskEvent(client, task.id, 'create', {
+      toStatus: task.status,
+      actorId: actor.id,
+      details: auto_assign ? { auto_assigned: true } : {}
+    });
+
+    // Create notifications for all assigned users
+    const notifications = [
+      {
+        recipient_id: code_annotator_id,
+        type: 'task_assigned',
+        title: 'Code Annotation Task Assigned',
+        message: `You have been assigned to provide code annotations for "${title}"`
+      },
+      ...writer_ids.map(writerId => ({
+        recipient_id: writerId,
+        type: 'task_assigned',
+        title: 'Wiki Writing Task Assigned',
+        message: writer_ids.length > 1
+          ? `You have been assigned to write documentation for "${title}" as one of ${writer_ids.length} independent writers`
+          : `You have been assigned to write documentation for "${title}"`
+      }))
+    ];
+
+    for (const notification of notifications) {
+      await client.query(
+        'INSERT INTO task_notifications (task_id, recipient_id, notification_type, title, message) VALUES ($1, $2, $3, $4, $5)',
+        [task.id, notification.recipient_id, notification.type, notification.title, notification.message]
+      );
+    }
+
+    await client.query('COMMIT');
+    return { ...task, writer_ids };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Writers are either listed in writer_ids or, with auto_assign, picked
+// from the recommendations; writer_count says how many to pick
+const taskInputRules = (prefix = '') => [
+  body(`${prefix}function_id`).isUUID(),
+  body(`${prefix}title`).isLength({ min: 1 }).trim(),
+  body(`${prefix}description`).optional().trim(),
+  body(`${prefix}code_annotator_id`).isUUID(),
+  body(`${prefix}auto_assign`).optional().isBoolean().toBoolean(),
+  body(`${prefix}writer_count`).optional().isInt({ min: 1, max: MAX_WRITERS }).toInt(),
+  body(`${prefix}writer_ids`)
+    .if((value, { path, req }) => !autoAssignFor(req, path))
+    .isArray({ min: 1, max: MAX_WRITERS }),
+  body(`${prefix}writer_ids.*`)
+    .if((value, { path, req }) => !autoAssignFor(req, path))
+    .isUUID(),
+  body(`${prefix}deadline`).optional().isISO8601()
+];
+
+// The auto_assign flag of the task a writer_ids field belongs to
+function autoAssignFor(req, path) {
+  const match = path.match(/^tasks\[(\d+)\]/);
+  const input = match ? req.body.tasks[match[1]] : req.body;
+  return input && (input.auto_assign === true || input.auto_assign === 'true');
+}
+
 // Create new wiki task (admin only)
 router.post('/', [
   authenticateToken,
   requireRole(['admin']),
-  body('function_id').isUUID(),
-  body('title').isLength({ min: 1 }).trim(),
-  body('description').optional().trim(),
-  body('code_annotator_id').isUUID(),
-  body('writer1_id').isUUID(),
-  body('writer2_id').isUUID(),
-  body('deadline').optional().isISO8601()
+  ...taskInputRules()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -83,92 +218,101 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { function_id, title, description, code_annotator_id, writer1_id, writer2_id, deadline } = req.body;
-
-    // Verify function exists
-    const functionCheck = await db.query('SELECT id FROM functions WHERE id = $1', [function_id]);
-    if (functionCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Function not found' });
+    const task = await createTask(req.body, req.user);
+    res.status(201).json(task);
+  } catch (error) {
+    if (CREATE_ERROR_STATUS[error.code]) {
+      return res.status(CREATE_ERROR_STATUS[error.code]).json({ error: error.message });
     }
+    console.error('Error creating wiki task:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Verify all users exist and have appropriate roles
-    const userChecks = await Promise.all([
-      db.query('SELECT id, role FROM users WHERE id = $1', [code_annotator_id]),
-      db.query('SELECT id, role FROM users WHERE id = $1', [writer1_id]),
-      db.query('SELECT id, role FROM users WHERE id = $1', [writer2_id])
-    ]);
-
-    if (userChecks.some(result => result.rows.length === 0)) {
-      return res.status(404).json({ error: 'One or more assigned users not found' });
+// Create several wiki tasks at once (admin only). Each task is created on
+// its own, so one bad entry doesn't stop the rest; auto-assigned writers
+// already given a task in the batch count that task as open work.
+router.post('/batch', [
+  authenticateToken,
+  requireRole(['admin']),
+  body('tasks').isArray({ min: 1, max: 50 }),
+  ...taskInputRules('tasks.*.')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Verify writers are different people
-    if (writer1_id === writer2_id) {
-      return res.status(400).json({ error: 'Two different writers must be assigned' });
+    const results = [];
+    for (const input of req.body.tasks) {
+      try {
+        const task = await createTask(input, req.user);
+        results.push({ function_id: input.function_id, success: true, task });
+      } catch (error) {
+        if (!CREATE_ERROR_STATUS[error.code]) {
+          console.error('Error creating wiki task in batch:', error);
+        }
+        results.push({
+          function_id: input.function_id,
+          success: false,
+          error: CREATE_ERROR_STATUS[error.code] ? error.message : 'Internal server error'
+        });
+      }
     }
 
-    // Check if there's already an active task for this function
-    const activeTaskCheck = await db.query(
-      'SELECT id FROM wiki_tasks WHERE function_id = $1 AND status != $2',
-      [function_id, 'completed']
-    );
+    const successCount = results.filter(r => r.success).length;
+    res.json({
+      message: `Batch creation completed: ${successCount}/${results.length} successful`,
+      results
+    });
+  } catch (error) {
+    console.error('Error in batch task creation:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    if (activeTaskCheck.rows.length > 0) {
-      return res.status(400).json({ error: 'This function already has an active wiki task' });
+// Ranked writers for a new or reassigned task, with the users left out
+// for a conflict of interest (admin only)
+router.get('/writer-recommendations', [
+  authenticateToken,
+  requireRole(['admin']),
+  query('function_id').optional().isUUID(),
+  query('task_id').optional().isUUID(),
+  query('code_annotator_id').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    const client = await db.getClient();
-    try {
-      await client.query('BEGIN');
+    let { function_id, code_annotator_id = null } = req.query;
+    const { task_id = null } = req.query;
 
-      // Create the task
-      const taskResult = await client.query(
-        `INSERT INTO wiki_tasks (function_id, title, description, code_annotator_id, writer1_id, writer2_id, assigned_by, deadline) 
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
-        [function_id, title, description, code_annotator_id, writer1_id, writer2_id, req.user.id, deadline]
-      );
-
-      const task = taskResult.rows[0];
-
-      // Create notifications for all assigned users
-      const notifications = [
-        {
-          recipient_id: code_annotator_id,
-          type: 'task_assigned',
-          title: 'Code Annotation Task Assigned',
-          message: `You have been assigned to provide code annotations for "${title}"`
-        },
-        {
-          recipient_id: writer1_id,
-          type: 'task_assigned',
-          title: 'Wiki Writing Task Assigned',
-          message: `You have been assigned to write documentation for "${title}"`
-        },
-        {
-          recipient_id: writer2_id,
-          type: 'task_assigned',
-          title: 'Wiki Writing Task Assigned',
-          message: `You have been assigned to write documentation for "${title}"`
-        }
-      ];
-
-      for (const notification of notifications) {
-        await client.query(
-          'INSERT INTO task_notifications (task_id, recipient_id, notification_type, title, message) VALUES ($1, $2, $3, $4, $5)',
-          [task.id, notification.recipient_id, notification.type, notification.title, notification.message]
-        );
+    if (task_id) {
+      const taskResult = await db.query('SELECT function_id, code_annotator_id FROM wiki_tasks WHERE id = $1', [task_id]);
+      if (taskResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Task not found' });
       }
-
-      await client.query('COMMIT');
-      res.status(201).json(task);
-    } catch (error) {
-      await client.query('ROLLBACK');
-      throw error;
-    } finally {
-      client.release();
+      function_id = taskResult.rows[0].function_id;
+      code_annotator_id = taskResult.rows[0].code_annotator_id;
     }
+    if (!function_id) {
+      return res.status(400).json({ error: 'function_id or task_id is required' });
+    }
+
+    const ranking = await recommendWriters(db, {
+      functionId: function_id,
+      codeAnnotatorId: code_annotator_id,
+      taskId: task_id
+    });
+    res.json({ ...ranking, weights: SCORE_WEIGHTS });
   } catch (error) {
-    console.error('Error creating wiki task:', error);
+    if (error.code === 'FUNCTION_NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Error recommending writers:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -183,15 +327,12 @@ router.get('/:id', authenticateToken, async (req, res) => {
              c.name as category_name, c.path as category_path,
              u1.username as assigned_by_username,
              u2.username as code_annotator_username,
-             u3.username as writer1_username,
-             u4.username as writer2_username
+             ${writersColumn()} as writers
       FROM wiki_tasks wt
       JOIN functions f ON wt.function_id = f.id
       JOIN categories c ON f.category_id = c.id
       LEFT JOIN users u1 ON wt.assigned_by = u1.id
       LEFT JOIN users u2 ON wt.code_annotator_id = u2.id
-      LEFT JOIN users u3 ON wt.writer1_id = u3.id
-      LEFT JOIN users u4 ON wt.writer2_id = u4.id
       WHERE wt.id = $1
     `, [id]);
 
@@ -255,21 +396,24 @@ router.get('/:id', authenticateToken, async (req, res) => {
     // Get voting results if in voting phase
     let votingResults = null;
     if (task.status === 'pending_vote' || task.status === 'completed') {
-      const votesResult = await db.query(`
-        SELECT vote_option, COUNT(*) as count
-        FROM wiki_votes
-        WHERE task_id = $1
-        GROUP BY vote_option
-      `, [id]);
-      
-      votingResults = {
-        version_a: 0,
-        version_b: 0,
-        neither_satisfactory: 0
-      };
-      
-      votesResult.rows.forEach(row => {
-        votingResults[row.vote_option] = parseInt(row.count);
+      votingResults = await versionVoteCounts(db, id);
+    }
+
+    // While the task's voting is blind, only admins and the writers themselves
+    // see who wrote what
+    const hideWriters = req.user.role !== 'admin' &&
+                        !task.writers.some(writer => writer.id === currentUserId) &&
+                        (await blindTaskIds(db, [id])).has(id);
+
+    if (hideWriters) {
+      const identities = await taskWriterIdentities(db, id);
+      const anonymize = row => ({ ...redactAuthors(row, identities), writer_username: REDACTED });
+      return res.json({
+        task: { ...task, writers: anonymousWriters(task.writers) },
+        annotations: annotationsResult.rows,
+        contents: contentsResult.rows.map(anonymize),
+        acceptances: acceptancesResult.rows.map(anonymize),
+        votingResults
       });
     }
 
@@ -286,6 +430,26 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Get the status history of a wiki task
+router.get('/:id/events', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(`
+      SELECT wte.*, u.username as actor_username
+      FROM wiki_task_events wte
+      LEFT JOIN users u ON wte.actor_id = u.id
+      WHERE wte.task_id = $1
+      ORDER BY wte.created_at
+    `, [id]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching wiki task events:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Accept a wiki task (writers only)
 router.post('/:id/accept', [
   authenticateToken
@@ -295,10 +459,11 @@ router.post('/:id/accept', [
     const userId = req.user.id;
 
     // Check if user is assigned to this task
-    const taskResult = await db.query(
-      'SELECT * FROM wiki_tasks WHERE id = $1 AND (writer1_id = $2 OR writer2_id = $2)',
-      [id, userId]
-    );
+    const taskResult = await db.query(`
+      SELECT wt.* FROM wiki_tasks wt
+      JOIN wiki_task_assignments wta ON wta.task_id = wt.id
+      WHERE wt.id = $1 AND wta.writer_id = $2
+    `, [id, userId]);
 
     if (taskResult.rows.length === 0) {
       return res.status(404).json({ error: 'Task not found or you are not assigned to this task' });
@@ -306,7 +471,7 @@ router.post('/:id/accept', [
 
     const task = taskResult.rows[0];
 
-    if (task.status !== 'not_started' && task.status !== 'in_progress') {
+    if (!['not_started', 'in_progress', 'overtime'].includes(task.status)) {
       return res.status(400).json({ error: 'Task cannot be accepted in current status' });
     }
 
@@ -331,11 +496,10 @@ router.post('/:id/accept', [
       );
 
       // Update task status to in_progress if this is the first acceptance
-      if (task.status === 'not_started') {
-        await client.query(
-          'UPDATE wiki_tasks SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-          ['in_progress', id]
-        );
+      // (re-read under lock in case another writer accepted at the same time)
+      const current = await client.query('SELECT status FROM wiki_tasks WHERE id = $1 FOR UPDATE', [id]);
+      if (canTransition(current.rows[0].status, 'start')) {
+        await transitionTask(client, id, 'start', { actor: req.user, details: { reason: 'accepted' } });
       }
 
       await client.query('COMMIT');
@@ -361,17 +525,18 @@ router.get('/my/assigned', authenticateToken, async (req, res) => {
       SELECT wt.*, f.name as function_name, c.name as category_name, c.path as category_path,
              u1.username as assigned_by_username,
              CASE 
-               WHEN wt.writer1_id = $1 THEN 'writer1'
-               WHEN wt.writer2_id = $1 THEN 'writer2'
+               WHEN wta.writer_id IS NOT NULL THEN 'writer'
                WHEN wt.code_annotator_id = $1 THEN 'annotator'
                ELSE null
              END as my_role,
+             wta.slot as my_writer_slot,
              EXISTS(SELECT 1 FROM task_acceptances WHERE task_id = wt.id AND writer_id = $1) as accepted_by_me
       FROM wiki_tasks wt
       JOIN functions f ON wt.function_id = f.id
       JOIN categories c ON f.category_id = c.id
       LEFT JOIN users u1 ON wt.assigned_by = u1.id
-      WHERE wt.writer1_id = $1 OR wt.writer2_id = $1 OR wt.code_annotator_id = $1
+      LEFT JOIN wiki_task_assignments wta ON wta.task_id = wt.id AND wta.writer_id = $1
+      WHERE wta.writer_id IS NOT NULL OR wt.code_annotator_id = $1
       ORDER BY wt.created_at DESC
     `, [userId]);
 
@@ -2,6 +2,8 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { transitionTask } = require('../services/task-lifecycle');
+const { versionOption, versionOptions, versionVoteCounts } = require('../services/task-writers');
 
 const router = express.Router();
 
@@ -31,7 +33,7 @@ router.get('/task/:taskId', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Task is not in voting phase' });
     }
 
-    // Get the two submitted contents for voting
+    // Get the submitted contents for voting, in version order
     const contentsResult = await db.query(`
       SELECT wc.id, wc.feature_documentation, wc.api_testing, wc.use_case_scripts,
              wc.submitted_at, u.username as writer_username
@@ -42,22 +44,7 @@ router.get('/task/:taskId', authenticateToken, async (req, res) => {
     `, [taskId]);
 
     // Get voting results
-    const votesResult = await db.query(`
-      SELECT vote_option, COUNT(*) as count
-      FROM wiki_votes
-      WHERE task_id = $1
-      GROUP BY vote_option
-    `, [taskId]);
-
-    const votingResults = {
-      version_a: 0,
-      version_b: 0,
-      neither_satisfactory: 0
-    };
-
-    votesResult.rows.forEach(row => {
-      votingResults[row.vote_option] = parseInt(row.count);
-    });
+    const votingResults = await versionVoteCounts(db, taskId);
 
     // Check if current user has voted
     const userVoteResult = await db.query(
@@ -84,7 +71,7 @@ router.get('/task/:taskId', authenticateToken, async (req, res) => {
       votingResults: votingResults,
       userVote: userVoteResult.rows[0] || null,
       allVotes: allVotes,
-      totalVotes: votingResults.version_a + votingResults.version_b + votingResults.neither_satisfactory
+      totalVotes: Object.values(votingResults).reduce((sum, count) => sum + count, 0)
     });
   } catch (error) {
     console.error('Error fetching voting info:', error);
@@ -95,7 +82,7 @@ router.get('/task/:taskId', authenticateToken, async (req, res) => {
 // Submit a vote
 router.post('/task/:taskId/vote', [
   authenticateToken,
-  body('vote_option').isIn(['version_a', 'version_b', 'neither_satisfactory']),
+  body('vote_option').matches(/^(version_[a-f]|neither_satisfactory)$/),
   body('comments').optional().trim()
 ], async (req, res) => {
   try {
@@ -122,6 +109,16 @@ router.post('/task/:taskId/vote', [
       return res.status(400).json({ error: 'Task is not in voting phase' });
     }
 
+    // Only versions that were actually submitted can be voted for
+    const contentsCount = await db.query(
+      'SELECT COUNT(*) as count FROM wiki_contents WHERE task_id = $1 AND status = $2',
+      [taskId, 'submitted']
+    );
+
+    if (vote_option !== 'neither_satisfactory' && !versionOptions(parseInt(contentsCount.rows[0].count)).includes(vote_option)) {
+      return res.status(400).json({ error: 'There is no such version to vote for' });
+    }
+
     // Check if user has already voted
     const existingVote = await db.query(
       'SELECT id FROM wiki_votes WHERE task_id = $1 AND voter_id = $2',
@@ -208,57 +205,74 @@ router.post('/task/:taskId/start-voting', [
   }
 });
 
-// Complete voting and determine winner (admin only)
+// Complete voting and determine winner (admin only). A tie between the
+// leading versions needs a deciding vote: deciding_option plus a justification.
 router.post('/task/:taskId/complete-voting', [
   authenticateToken,
-  requireRole(['admin'])
+  requireRole(['admin']),
+  body('deciding_option').optional().matches(/^version_[a-f]$/),
+  body('justification').optional().isString().trim().isLength({ min: 10, max: 2000 })
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { taskId } = req.params;
 
     // Get voting results
-    const votesResult = await db.query(`
-      SELECT vote_option, COUNT(*) as count
-      FROM wiki_votes
-      WHERE task_id = $1
-      GROUP BY vote_option
-    `, [taskId]);
+    const votingResults = await versionVoteCounts(db, taskId);
 
-    const votingResults = {
-      version_a: 0,
-      version_b: 0,
-      neither_satisfactory: 0
-    };
-
-    votesResult.rows.forEach(row => {
-      votingResults[row.vote_option] = parseInt(row.count);
-    });
-
-    // Determine winner
+    // Determine winner: a single leading version wins, neither_satisfactory
+    // wins whenever it is level with the lead
     let winner = null;
-    const maxVotes = Math.max(votingResults.version_a, votingResults.version_b, votingResults.neither_satisfactory);
-    
-    if (votingResults.version_a === maxVotes && votingResults.version_a > votingResults.version_b && votingResults.version_a > votingResults.neither_satisfactory) {
-      winner = 'version_a';
-    } else if (votingResults.version_b === maxVotes && votingResults.version_b > votingResults.version_a && votingResults.version_b > votingResults.neither_satisfactory) {
-      winner = 'version_b';
-    } else if (votingResults.neither_satisfactory === maxVotes) {
+    let tieDecision = null;
+    const maxVotes = Math.max(...Object.values(votingResults));
+    const leadingVersions = Object.keys(votingResults)
+      .filter(option => option !== 'neither_satisfactory' && votingResults[option] === maxVotes);
+
+    if (votingResults.neither_satisfactory === maxVotes) {
       winner = 'neither_satisfactory';
+    } else if (leadingVersions.length === 1) {
+      winner = leadingVersions[0];
     } else {
-      // Handle tie case - could be admin decision or other logic
-      return res.status(400).json({ error: 'Voting resulted in a tie. Manual intervention required.' });
+      // Several versions are level: the admin's deciding vote settles it
+      const { deciding_option, justification } = req.body;
+      if (!deciding_option || !justification || !leadingVersions.includes(deciding_option)) {
+        return res.status(409).json({
+          error: 'Voting resulted in a tie. Cast a deciding vote for one of the tied versions with deciding_option and justification.',
+          tie: true,
+          tied_options: leadingVersions,
+          results: votingResults
+        });
+      }
+      winner = deciding_option;
+      tieDecision = { vote_option: deciding_option, justification };
     }
 
     const client = await db.getClient();
     try {
       await client.query('BEGIN');
 
+      if (tieDecision) {
+        await client.query(`
+          INSERT INTO wiki_vote_tie_decisions (task_id, decided_by, vote_option, justification, results)
+          VALUES ($1, $2, $3, $4, $5)
+        `, [taskId, req.user.id, tieDecision.vote_option, tieDecision.justification, votingResults]);
+      }
+
+      const notificationMessage = winner === 'neither_satisfactory' 
+        ? 'Voting completed. Neither version was satisfactory. Task will be reassigned.'
+        : `Voting completed. Version ${winner.slice(-1).toUpperCase()} was selected.`;
+
       if (winner === 'neither_satisfactory') {
-        // Mark task as needing reassignment
-        await client.query(
-          'UPDATE wiki_tasks SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-          ['not_started', taskId]
-        );
+        // Send the task to reassignment; writers and the annotator are notified
+        await transitionTask(client, taskId, 'reject_all', {
+          actor: req.user,
+          details: { results: votingResults, tie_decision: tieDecision },
+          message: notificationMessage
+        });
 
         // Delete existing contents for reassignment
         await client.query(
@@ -272,57 +286,35 @@ router.post('/task/:taskId/complete-voting', [
           [taskId, 'submitted']
         );
 
-        if (contents.rows.length >= 2) {
-          const winningIndex = winner === 'version_a' ? 0 : 1;
-          const winningContentId = contents.rows[winningIndex].id;
-          const losingContentId = contents.rows[1 - winningIndex].id;
-
+        const winningContent = contents.rows.find((content, index) => versionOption(index) === winner);
+        if (winningContent) {
           // Mark winner as selected
           await client.query(
             'UPDATE wiki_contents SET status = $1 WHERE id = $2',
-            ['selected', winningContentId]
+            ['selected', winningContent.id]
           );
 
-          // Mark loser as rejected
+          // Mark the other versions as rejected
           await client.query(
-            'UPDATE wiki_contents SET status = $1 WHERE id = $2',
-            ['rejected', losingContentId]
+            'UPDATE wiki_contents SET status = $1 WHERE task_id = $2 AND status = $3',
+            ['rejected', taskId, 'submitted']
           );
         }
 
-        // Mark task as completed
-        await client.query(
-          'UPDATE wiki_tasks SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-          ['completed', taskId]
-        );
-      }
-
-      // Notify relevant users
-      const taskInfo = await client.query(`
-        SELECT wt.*, f.name as function_name
-        FROM wiki_tasks wt
-        JOIN functions f ON wt.function_id = f.id
-        WHERE wt.id = $1
-      `, [taskId]);
-
-      const task = taskInfo.rows[0];
-      const notificationMessage = winner === 'neither_satisfactory' 
-        ? 'Voting completed. Neither version was satisfactory. Task will be reassigned.'
-        : `Voting completed. ${winner === 'version_a' ? 'First' : 'Second'} submission was selected.`;
-
-      const usersToNotify = [task.writer1_id, task.writer2_id, task.code_annotator_id].filter(Boolean);
-      for (const userId of usersToNotify) {
-        await client.query(
-          'INSERT INTO task_notifications (task_id, recipient_id, notification_type, title, message) VALUES ($1, $2, $3, $4, $5)',
-          [taskId, userId, 'task_completed', 'Voting Completed', notificationMessage]
-        );
+        // Mark task as completed; writers and the annotator are notified
+        await transitionTask(client, taskId, 'select_winner', {
+          actor: req.user,
+          details: { winner, results: votingResults, tie_decision: tieDecision },
+          message: notificationMessage
+        });
       }
 
       await client.query('COMMIT');
       res.json({ 
         message: 'Voting completed successfully',
         winner: winner,
-        results: votingResults
+        results: votingResults,
+        tie_decision: tieDecision
       });
     } catch (error) {
       await client.query('ROLLBACK');
@@ -332,6 +324,9 @@ router.post('/task/:taskId/complete-voting', [
     }
   } catch (error) {
     console.error('Error completing voting:', error);
+    if (error.code === 'INVALID_TASK_TRANSITION') {
+      return res.status(409).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -0,0 +1,333 @@
+// Convert entry_api_configs rows into formats other tools can run:
+// a Postman v2.1 collection, an OpenAPI 3 paths fragment and a cURL shell script
+const { parseJsonField } = require('./api-test-runner');
+
+const EXPORT_FORMATS = {
+  postman: { extension: 'postman_collection.json', contentType: 'application/json' },
+  openapi: { extension: 'openapi.json', contentType: 'application/json' },
+  curl: { extension: 'sh', contentType: 'text/x-shellscript' }
+};
+
+// Variables shared by all configs; the first definition of a name wins
+function collectVariables(configs) {
+  const variables = {};
+  for (const config of configs) {
+    for (const [key, value] of Object.entries(parseJsonField(config.environment_vars, {}))) {
+      if (!(key in variables)) variables[key] = value;
+    }
+  }
+  return variables;
+}
+
+function baseUrlVariable(variables) {
+  if ('base_url' in variables) return 'base_url';
+  if ('baseUrl' in variables) return 'baseUrl';
+  return 'base_url';
+}
+
+function isAbsolute(endpoint) {
+  return /^(https?:\/\/|\{\{)/i.test(endpoint);
+}
+
+function slugify(text) {
+  return String(text || 'api-tests')
+    .toLowerCase()
+    .replace(/[^a-z0-9\u4e00-\u9fa5]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'api-tests';
+}
+
+// ---- Postman v2.1 ----
+
+function toPostmanCollection(title, configs) {
+  const variables = collectVariables(configs);
+  const baseVar = baseUrlVariable(variables);
+  if (!(baseVar in variables)) variables[baseVar] = '';
+
+  const items = configs.map((config) => {
+    const headers = parseJsonField(config.headers, {});
+    const raw = isAbsolute(config.endpoint)
+      ? config.endpoint
+      : `{{${baseVar}}}/${config.endpoint.replace(/^\/+/, '')}`;
+
+    const request = {
+      method: config.method,
+      header: Object.entries(headers).map(([key, value]) => ({ key, value: String(value) })),
+      url: { raw }
+    };
+
+    if (config.body_type !== 'none' && config.body_content) {
+      if (config.body_type === 'form') {
+        const fields = parseJsonField(config.body_content, null);
+        request.body = fields && typeof fields === 'object'
+          ? { mode: 'urlencoded', urlencoded: Object.entries(fields).map(([key, value]) => ({ key, value: String(value) })) }
+          : { mode: 'raw', raw: config.body_content };
+      } else {
+        request.body = {
+          mode: 'raw',
+          raw: config.body_content,
+          ...(config.body_type === 'json' && { options: { raw: { language: 'json' } } })
+        };
+      }
+    }
+
+    // Translate expected_status into a Postman test so the collection is self-checking
+    const tests = [];
+    if (config.expected_status) {
+      tests.push(
+        `pm.test("Status code is ${config.expected_status}", function () {`,
+        `    pm.response.to.have.status(${parseInt(config.expected_status, 10)});`,
+        '});'
+      );
+    }
+
+    return {
+      name: config.name,
+      request,
+      ...(tests.length > 0 && {
+        event: [{ listen: 'test', script: { type: 'text/javascript', exec: tests } }]
+      }),
+      response: config.expected_response
+        ? [{
+          name: 'Expected response',
+          originalRequest: request,
+          code: config.expected_status || 200,
+          body: config.expected_response
+        }]
+        : []
+    };
+  });
+
+  return {
+    info: {
+      name: title,
+      schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json'
+    },
+    item: items,
+    variable: Object.entries(variables).map(([key, value]) => ({ key, value: String(value) }))
+  };
+}
+
+// ---- OpenAPI 3 paths fragment ----
+
+function toOpenApiFragment(title, configs) {
+  const variables = collectVariables(configs);
+  const baseVar = baseUrlVariable(variables);
+  const paths = {};
+
+  for (const config of configs) {
+    // Drop the scheme and host (which may itself be a {{placeholder}}) or a
+    // leading {{base_url}}, and any fragment
+    const endpoint = config.endpoint
+      .replace(/^https?:\/\/[^/?#]*/i, '')
+      .replace(/^\{\{\s*[\w.-]+\s*\}\}/, '')
+      .replace(/#.*$/, '');
+
+    const [pathPart, queryPart] = endpoint.split('?');
+    const pathParams = [];
+    // {{id}} placeholders become OpenAPI path templates {id}
+    const path = (pathPart.startsWith('/') ? pathPart : `/${pathPart}`)
+      .replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, name) => {
+        pathParams.push(name);
+        return `{${name}}`;
+      });
+
+    const parameters = pathParams.map(name => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: { type: 'string' },
+      ...(variables[name] !== undefined && { example: String(variables[name]) })
+    }));
+
+    for (const [name, value] of new URLSearchParams(queryPart || '')) {
+      parameters.push({ name, in: 'query', schema: { type: 'string' }, example: value });
+    }
+
+    const headers = parseJsonField(config.headers, {});
+    for (const [name, value] of Object.entries(headers)) {
+      if (name.toLowerCase() === 'content-type') continue;
+      parameters.push({ name, in: 'header', schema: { type: 'string' }, example: String(value) });
+    }
+
+    const operation = {
+      summary: config.name,
+      ...(parameters.length > 0 && { parameters }),
+      responses: {}
+    };
+
+    if (config.body_type !== 'none' && config.body_content) {
+      const contentTypeHeader = Object.keys(headers).find(name => name.toLowerCase() === 'content-type');
+      const contentType = contentTypeHeader ? headers[contentTypeHeader] : ({
+        json: 'application/json',
+        form: 'application/x-www-form-urlencoded'
+      }[config.body_type] || 'text/plain');
+      const example = config.body_type === 'raw'
+        ? config.body_content
+        : parseJsonField(config.body_content, config.body_content);
+
+      operation.requestBody = { content: { [contentType]: { example } } };
+    }
+
+    const status = String(config.expected_status || 200);
+    const expected = parseJsonField(config.expected_response, undefined);
+    operation.responses[status] = {
+      description: config.expected_response ? 'Expected response' : 'Successful response',
+      ...(config.expected_response && {
+        content: expected !== undefined && typeof expected === 'object'
+          ? { 'application/json': { example: expected } }
+          : { 'text/plain': { example: config.expected_response } }
+      })
+    };
+
+    paths[path] = paths[path] || {};
+    paths[path][config.method.toLowerCase()] = operation;
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: { title, version: '1.0.0' },
+    ...(variables[baseVar] && { servers: [{ url: String(variables[baseVar]) }] }),
+    paths
+  };
+}
+
+// ---- cURL shell script ----
+
+// Shell identifiers may not contain dots or dashes or start with a digit
+function shellVariableName(name) {
+  const variable = name.replace(/[^A-Za-z0-9_]/g, '_').toUpperCase();
+  return /^[0-9]/.test(variable) ? `_${variable}` : variable;
+}
+
+// Every {{name}} the requests use, including variables a scenario extracts
+// from an earlier response, which have no value in environment_vars
+function referencedVariables(configs) {
+  const names = new Set();
+  for (const config of configs) {
+    const headers = parseJsonField(config.headers, {});
+    const texts = [config.endpoint, ...Object.keys(headers), ...Object.values(headers), config.body_content];
+    for (const text of texts) {
+      for (const match of String(text || '').matchAll(/\{\{\s*([\w.-]+)\s*\}\}/g)) names.add(match[1]);
+    }
+  }
+  return names;
+}
+
+// Double-quote a string for bash, turning {{name}} placeholders into ${NAME}
+function shellQuote(text) {
+  const escaped = String(text).replace(/(["\\$`])/g, '\\$1');
+  return `"${escaped.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, name) => `\${${shellVariableName(name)}}`)}"`;
+}
+
+function toCurlScript(title, configs) {
+  const variables = collectVariables(configs);
+  const baseVar = baseUrlVariable(variables);
+  if (!(baseVar in variables)) variables[baseVar] = 'http://localhost:3000';
+
+  // set -u aborts on unset variables, so the rest default to empty
+  const declared = new Set(Object.keys(variables).map(shellVariableName));
+  const undeclared = [...new Set([...referencedVariables(configs)].map(shellVariableName))]
+    .filter(variable => !declared.has(variable));
+
+  const lines = [
+    '#!/usr/bin/env bash',
+    `# API tests exported from Codepedia: ${title.replace(/\n/g, ' ')}`,
+    '# Override any variable from the environment, e.g. BASE_URL=https://staging.example.com ./script.sh',
+    'set -u',
+    '',
+    ...Object.entries(variables).map(([name, value]) => {
+      const variable = shellVariableName(name);
+      return `${variable}="\${${variable}:-${String(value).replace(/(["\\$`}])/g, '\\$1')}}"`;
+    }),
+    ...undeclared.map(variable => `${variable}="\${${variable}:-}"`),
+    '',
+    'FAILED=0',
+    '',
+    'check_status() {',
+    '  local name="$1" expected="$2" actual="$3"',
+    '  if [ "$expected" = "$actual" ]; then',
+    '    echo "PASS  $name ($actual)"',
+    '  else',
+    '    echo "FAIL  $name (expected $expected, got $actual)"',
+    '    FAILED=$((FAILED + 1))',
+    '  fi',
+    '}',
+    ''
+  ];
+
+  for (const config of configs) {
+    const url = isAbsolute(config.endpoint)
+      ? config.endpoint
+      : `{{${baseVar}}}/${config.endpoint.replace(/^\/+/, '')}`;
+    const args = [`-X ${config.method}`];
+
+    for (const [name, value] of Object.entries(parseJsonField(config.headers, {}))) {
+      args.push(`-H ${shellQuote(`${name}: ${value}`)}`);
+    }
+
+    if (config.body_type !== 'none' && config.body_content) {
+      if (config.body_type === 'form') {
+        const fields = parseJsonField(config.body_content, null);
+        if (fields && typeof fields === 'object') {
+          Object.entries(fields).forEach(([key, value]) => {
+            args.push(`--data-urlencode ${shellQuote(`${key}=${value}`)}`);
+          });
+        } else {
+          args.push(`--data-raw ${shellQuote(config.body_content)}`);
+        }
+      } else {
+        if (config.body_type === 'json' && !Object.keys(parseJsonField(config.headers, {})).some(h => h.toLowerCase() === 'content-type')) {
+          args.push(`-H ${shellQuote('Content-Type: application/json')}`);
+        }
+        args.push(`--data-raw ${shellQuote(config.body_content)}`);
+      }
+    }
+
+    lines.push(`# ${config.name.replace(/\n/g, ' ')}`);
+    lines.push(`STATUS=$(curl -sS -o /dev/null -w '%{http_code}' \\`);
+    args.forEach(arg => lines.push(`  ${arg} \\`));
+    lines.push(`  ${shellQuote(url)})`);
+    lines.push(config.expected_status
+      ? `check_status ${shellQuote(config.name)} ${parseInt(config.expected_status, 10)} "$STATUS"`
+      : `echo "RUN   ${config.name.replace(/(["\\$`])/g, '\\$1')} ($STATUS)"`);
+    lines.push('');
+  }
+
+  lines.push('if [ "$FAILED" -gt 0 ]; then');
+  lines.push('  echo "$FAILED test(s) failed"');
+  lines.push('  exit 1');
+  lines.push('fi');
+  lines.push(`echo "All ${configs.length} request(s) completed"`);
+
+  return `${lines.join('\n')}\n`;
+}
+
+function exportApiConfigs(format, title, configs) {
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    throw new Error(`Unsupported export format "${format}"`);
+  }
+  const target = EXPORT_FORMATS[format];
+
+  let body;
+  if (format === 'postman') {
+    body = JSON.stringify(toPostmanCollection(title, configs), null, 2);
+  } else if (format === 'openapi') {
+    body = JSON.stringify(toOpenApiFragment(title, configs), null, 2);
+  } else {
+    body = toCurlScript(title, configs);
+  }
+
+  return {
+    body,
+    contentType: target.contentType,
+    filename: `${slugify(title)}.${target.extension}`
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  toPostmanCollection,
+  toOpenApiFragment,
+  toCurlScript,
+  exportApiConfigs
+};
@@ -0,0 +1,561 @@
+const yaml = require('js-yaml');
+
+// Convert external API descriptions into entry_api_configs rows.
+// Every importer returns { configs, warnings } where each config has the
+// columns accepted by POST /api/entry-api-configs (minus document_id/order_index).
+
+const SUPPORTED_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'];
+const SUPPORTED_FORMATS = ['openapi', 'postman', 'har', 'curl'];
+
+// Headers that describe the transport rather than the API contract
+const IGNORED_HEADERS = ['host', 'content-length', 'connection', 'accept-encoding', 'cookie', 'user-agent'];
+
+function parseDocument(content) {
+  if (content && typeof content === 'object') return content;
+  const text = String(content || '').trim();
+  if (text === '') throw new Error('Import content is empty');
+
+  try {
+    return JSON.parse(text);
+  } catch (jsonError) {
+    try {
+      return yaml.load(text);
+    } catch (yamlError) {
+      throw new Error('Import content is neither valid JSON nor YAML');
+    }
+  }
+}
+
+function detectFormat(content) {
+  if (typeof content === 'string' && /^\s*curl\s/i.test(content)) return 'curl';
+
+  const doc = parseDocument(content);
+  if (doc && typeof doc === 'object') {
+    if (doc.openapi || doc.swagger) return 'openapi';
+    if (doc.info && doc.item) return 'postman';
+    if (doc.log && Array.isArray(doc.log.entries)) return 'har';
+  }
+
+  throw new Error('Could not detect import format. Specify one of: ' + SUPPORTED_FORMATS.join(', '));
+}
+
+function bodyTypeFor(contentType) {
+  const type = (contentType || '').toLowerCase();
+  if (type.includes('json')) return 'json';
+  if (type.includes('x-www-form-urlencoded')) return 'form';
+  return 'raw';
+}
+
+function stringifyBody(body) {
+  if (body === undefined || body === null) return null;
+  return typeof body === 'string' ? body : JSON.stringify(body, null, 2);
+}
+
+function cleanHeaders(pairs) {
+  const headers = {};
+  for (const [name, value] of pairs) {
+    if (!name || name.startsWith(':') || IGNORED_HEADERS.includes(name.toLowerCase())) continue;
+    headers[name] = value;
+  }
+  return headers;
+}
+
+function makeConfig(fields, warnings) {
+  const method = (fields.method || 'GET').toUpperCase();
+  if (!SUPPORTED_METHODS.includes(method)) {
+    warnings.push(`Skipped "${fields.name || fields.endpoint}": method ${method} is not supported`);
+    return null;
+  }
+
+  return {
+    name: (fields.name || `${method} ${fields.endpoint}`).slice(0, 255),
+    method,
+    endpoint: (fields.endpoint || '/').slice(0, 500),
+    headers: fields.headers || {},
+    body_type: fields.body_content ? (fields.body_type || 'raw') : 'none',
+    body_content: fields.body_content || null,
+    expected_status: fields.expected_status || null,
+    expected_response: fields.expected_response || null,
+    environment_vars: fields.environment_vars || {}
+  };
+}
+
+// ---- OpenAPI 3 ----
+
+function resolveRef(doc, value) {
+  let current = value;
+  const seen = new Set();
+
+  while (current && current.$ref && typeof current.$ref === 'string' && current.$ref.startsWith('#/')) {
+    if (seen.has(current.$ref)) break;
+    seen.add(current.$ref);
+    current = current.$ref.slice(2).split('/').reduce(
+      (node, key) => (node ? node[key.replace(/~1/g, '/').replace(/~0/g, '~')] : undefined),
+      doc
+    );
+  }
+
+  return current;
+}
+
+// Build an example value from a schema when no explicit example is given
+function exampleFromSchema(doc, schema, depth = 0) {
+  const resolved = resolveRef(doc, schema);
+  if (!resolved || depth > 5) return null;
+  if (resolved.example !== undefined) return resolved.example;
+  if (resolved.default !== undefined) return resolved.default;
+  if (Array.isArray(resolved.enum) && resolved.enum.length > 0) return resolved.enum[0];
+
+  switch (resolved.type) {
+    case 'object': {
+      const result = {};
+      for (const [key, property] of Object.entries(resolved.properties || {})) {
+        result[key] = exampleFromSchema(doc, property, depth + 1);
+      }
+      return result;
+    }
+    case 'array':
+      return [exampleFromSchema(doc, resolved.items, depth + 1)];
+    case 'integer':
+    case 'number':
+      return 0;
+    case 'boolean':
+      return false;
+    case 'string':
+      return resolved.format === 'date-time' ? new Date(0).toISOString() : 'string';
+    default:
+      return resolved.properties ? exampleFromSchema(doc, { ...resolved, type: 'object' }, depth) : null;
+  }
+}
+
+// Synthesized schema examples are fine for request bodies but would make
+// poor expected responses, so callers can ask for explicit examples only
+function mediaExample(doc, media, explicitOnly = false) {
+  if (!media) return undefined;
+  if (media.example !== undefined) return media.example;
+  if (media.examples) {
+    const first = resolveRef(doc, Object.values(media.examples)[0]);
+    if (first && first.value !== undefined) return first.value;
+  }
+  if (explicitOnly) {
+    const schema = resolveRef(doc, media.schema);
+    return schema && schema.example !== undefined ? schema.example : undefined;
+  }
+  return media.schema ? exampleFromSchema(doc, media.schema) : undefined;
+}
+
+function importOpenApi(content) {
+  const doc = parseDocument(content);
+  const warnings = [];
+  const configs = [];
+
+  if (!doc || !doc.openapi) {
+    throw new Error(doc && doc.swagger ? 'Swagger 2.0 is not supported; convert to OpenAPI 3 first' : 'Not an OpenAPI 3 document');
+  }
+
+  const serverUrl = Array.isArray(doc.servers) && doc.servers[0] ? doc.servers[0].url : null;
+
+  for (const [path, pathItem] of Object.entries(doc.paths || {})) {
+    const item = resolveRef(doc, pathItem) || {};
+    const sharedParameters = item.parameters || [];
+
+    for (const [method, operation] of Object.entries(item)) {
+      if (['parameters', 'summary', 'description', 'servers', '$ref'].includes(method)) continue;
+
+      const parameters = [...sharedParameters, ...(operation.parameters || [])].map(p => resolveRef(doc, p));
+      const headers = {};
+      const query = [];
+
+      for (const parameter of parameters) {
+        if (!parameter) continue;
+        const schema = resolveRef(doc, parameter.schema);
+        const example = parameter.example !== undefined
+          ? parameter.example
+          : (schema && schema.example !== undefined ? schema.example : null);
+
+        if (parameter.in === 'header') {
+          headers[parameter.name] = example === null ? `{{${parameter.name}}}` : String(example);
+        } else if (parameter.in === 'query' && parameter.required) {
+          query.push(`${encodeURIComponent(parameter.name)}={{${parameter.name}}}`);
+        }
+      }
+
+      let bodyType;
+      let bodyContent = null;
+      const requestBody = resolveRef(doc, operation.requestBody);
+      if (requestBody && requestBody.content) {
+        const [contentType, media] = Object.entries(requestBody.content)[0];
+        bodyType = bodyTypeFor(contentType);
+        bodyContent = stringifyBody(mediaExample(doc, media));
+        headers['Content-Type'] = contentType;
+      }
+
+      const responseCodes = Object.keys(operation.responses || {});
+      const successCode = responseCodes.find(code => /^2\d\d$/.test(code));
+      let expectedResponse = null;
+      if (successCode) {
+        const response = resolveRef(doc, operation.responses[successCode]);
+        const jsonMedia = response && response.content && Object.entries(response.content)
+          .find(([type]) => type.includes('json'));
+        if (jsonMedia) {
+          const example = mediaExample(doc, jsonMedia[1], true);
+          expectedResponse = example === undefined ? null : stringifyBody(example);
+        }
+      }
+
+      // OpenAPI path templates {id} become runner variables {{id}}
+      const endpoint = path.replace(/\{([^}]+)\}/g, '{{$1}}') + (query.length > 0 ? `?${query.join('&')}` : '');
+
+      const config = makeConfig({
+        name: operation.summary || operation.operationId || `${method.toUpperCase()} ${path}`,
+        method,
+        endpoint,
+        headers,
+        body_type: bodyType,
+        body_content: bodyContent,
+        expected_status: successCode ? parseInt(successCode, 10) : null,
+        expected_response: expectedResponse,
+        environment_vars: serverUrl ? { base_url: serverUrl } : {}
+      }, warnings);
+
+      if (config) configs.push(config);
+    }
+  }
+
+  return { configs, warnings };
+}
+
+// ---- Postman collection v2.1 ----
+
+function postmanUrl(url) {
+  if (!url) return '';
+  if (typeof url === 'string') return url;
+  if (url.raw) return url.raw;
+
+  const host = Array.isArray(url.host) ? url.host.join('.') : (url.host || '');
+  const path = Array.isArray(url.path) ? url.path.join('/') : (url.path || '');
+  const query = (url.query || []).filter(q => !q.disabled).map(q => `${q.key}=${q.value || ''}`).join('&');
+  return `${url.protocol ? `${url.protocol}://` : ''}${host}/${path}${query ? `?${query}` : ''}`;
+}
+
+function postmanBody(body) {
+  if (!body || body.disabled) return { bodyType: 'none', bodyContent: null };
+
+  switch (body.mode) {
+    case 'raw': {
+      const language = body.options && body.options.raw && body.options.raw.language;
+      return { bodyType: language === 'json' ? 'json' : bodyTypeFor(language), bodyContent: body.raw || null };
+    }
+    case 'urlencoded':
+    case 'formdata': {
+      const fields = {};
+      for (const field of body[body.mode] || []) {
+        if (!field.disabled && field.type !== 'file') fields[field.key] = field.value || '';
+      }
+      return { bodyType: 'form', bodyContent: JSON.stringify(fields, null, 2) };
+    }
+    case 'graphql':
+      return { bodyType: 'json', bodyContent: JSON.stringify(body.graphql || {}, null, 2) };
+    default:
+      return { bodyType: 'none', bodyContent: null };
+  }
+}
+
+function importPostman(content) {
+  const collection = parseDocument(content);
+  const warnings = [];
+  const configs = [];
+
+  if (!collection || !Array.isArray(collection.item)) {
+    throw new Error('Not a Postman collection');
+  }
+
+  const schema = collection.info && collection.info.schema;
+  if (schema && !schema.includes('v2.1') && !schema.includes('v2.0')) {
+    warnings.push(`Collection schema ${schema} is not v2.1; import may be incomplete`);
+  }
+
+  const environmentVars = {};
+  for (const variable of collection.variable || []) {
+    if (variable.key && !variable.disabled) environmentVars[variable.key] = variable.value;
+  }
+
+  const walk = (items, prefix) => {
+    for (const item of items) {
+      if (Array.isArray(item.item)) {
+        walk(item.item, prefix ? `${prefix} / ${item.name}` : item.name);
+        continue;
+      }
+
+      const request = typeof item.request === 'string' ? { url: item.request, method: 'GET' } : item.request;
+      if (!request) continue;
+
+      const { bodyType, bodyContent } = postmanBody(request.body);
+      const headers = cleanHeaders((request.header || [])
+        .filter(header => !header.disabled)
+        .map(header => [header.key, header.value]));
+
+      // Postman saves example responses alongside the request
+      const example = Array.isArray(item.response) ? item.response[0] : null;
+
+      const config = makeConfig({
+        name: prefix ? `${prefix} / ${item.name}` : item.name,
+        method: request.method,
+        endpoint: postmanUrl(request.url),
+        headers,
+        body_type: bodyType,
+        body_content: bodyContent,
+        expected_status: example && example.code ? example.code : null,
+        expected_response: example && example.body ? example.body : null,
+        environment_vars: environmentVars
+      }, warnings);
+
+      if (config) configs.push(config);
+    }
+  };
+
+  walk(collection.item, '');
+  return { configs, warnings };
+}
+
+// ---- HAR ----
+
+function importHar(content) {
+  const har = parseDocument(content);
+  const warnings = [];
+  const configs = [];
+
+  if (!har || !har.log || !Array.isArray(har.log.entries)) {
+    throw new Error('Not a HAR file');
+  }
+
+  for (const entry of har.log.entries) {
+    const request = entry.request || {};
+    let url;
+    try {
+      url = new URL(request.url);
+    } catch (e) {
+      warnings.push(`Skipped entry with invalid URL "${request.url}"`);
+      continue;
+    }
+
+    const headers = cleanHeaders((request.headers || []).map(header => [header.name, header.value]));
+    const postData = request.postData;
+    let bodyType;
+    let bodyContent = null;
+
+    if (postData) {
+      bodyType = bodyTypeFor(postData.mimeType);
+      if (bodyType === 'form' && Array.isArray(postData.params) && postData.params.length > 0) {
+        const fields = {};
+        postData.params.forEach(param => { fields[param.name] = param.value || ''; });
+        bodyContent = JSON.stringify(fields, null, 2);
+      } else {
+        bodyContent = postData.text || null;
+      }
+    }
+
+    const response = entry.response || {};
+    const responseText = response.content && response.content.text && response.content.encoding !== 'base64'
+      ? response.content.text
+      : null;
+
+    const config = makeConfig({
+      name: `${request.method} ${url.pathname}`,
+      method: request.method,
+      endpoint: `${url.pathname}${url.search}`,
+      headers,
+      body_type: bodyType,
+      body_content: bodyContent,
+      expected_status: response.status || null,
+      expected_response: responseText && bodyTypeFor(response.content.mimeType) === 'json' ? responseText : null,
+      environment_vars: { base_url: url.origin }
+    }, warnings);
+
+    if (config) configs.push(config);
+  }
+
+  return { configs, warnings };
+}
+
+// ---- cURL ----
+
+// Split a shell command into arguments, honouring quotes and line continuations
+function shellSplit(command) {
+  const args = [];
+  let current = '';
+  let quote = null;
+  let hasToken = false;
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"' && i + 1 < command.length) {
+        current += command[++i];
+      } else {
+        current += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      hasToken = true;
+    } else if (char === '\\' && i + 1 < command.length) {
+      const next = command[++i];
+      if (next !== '\n' && next !== '\r') current += next;
+      hasToken = hasToken || (next !== '\n' && next !== '\r');
+    } else if (/\s/.test(char)) {
+      if (hasToken) {
+        args.push(current);
+        current = '';
+        hasToken = false;
+      }
+    } else {
+      current += char;
+      hasToken = true;
+    }
+  }
+
+  if (quote) throw new Error('Unterminated quote in cURL command');
+  if (hasToken) args.push(current);
+  return args;
+}
+
+function importCurl(content) {
+  const warnings = [];
+  const commands = String(content || '')
+    .split(/\n(?=\s*curl\s)/)
+    .map(command => command.trim())
+    .filter(Boolean);
+
+  if (commands.length === 0) throw new Error('No cURL command found');
+
+  const configs = [];
+
+  for (const command of commands) {
+    const args = shellSplit(command);
+    if (args[0] !== 'curl') {
+      warnings.push('Skipped text that does not start with "curl"');
+      continue;
+    }
+
+    let method = null;
+    let rawUrl = null;
+    let getWithData = false;
+    const headerPairs = [];
+    const data = [];
+
+    for (let i = 1; i < args.length; i++) {
+      const arg = args[i];
+      const next = () => args[++i];
+
+      if (arg === '-X' || arg === '--request') {
+        method = next();
+      } else if (arg.startsWith('-X') && arg.length > 2) {
+        method = arg.slice(2);
+      } else if (arg === '-H' || arg === '--header') {
+        const header = next() || '';
+        const separator = header.indexOf(':');
+        if (separator > 0) headerPairs.push([header.slice(0, separator).trim(), header.slice(separator + 1).trim()]);
+      } else if (['-d', '--data', '--data-raw', '--data-binary', '--data-ascii', '--data-urlencode'].includes(arg)) {
+        data.push(next());
+      } else if (arg === '--json') {
+        data.push(next());
+        headerPairs.push(['Content-Type', 'application/json'], ['Accept', 'application/json']);
+      } else if (arg === '-u' || arg === '--user') {
+        headerPairs.push(['Authorization', `Basic ${Buffer.from(next() || '').toString('base64')}`]);
+      } else if (arg === '-G' || arg === '--get') {
+        getWithData = true;
+      } else if (arg === '--url') {
+        rawUrl = next();
+      } else if (['-A', '--user-agent', '-e', '--referer', '-o', '--output', '-b', '--cookie', '--connect-timeout', '-m', '--max-time'].includes(arg)) {
+        next();
+      } else if (arg.startsWith('-')) {
+        // Flags such as -s, -k, -L, -i, -v and --compressed do not affect the request contract
+      } else if (!rawUrl) {
+        rawUrl = arg;
+      }
+    }
+
+    if (!rawUrl) {
+      warnings.push('Skipped cURL command without a URL');
+      continue;
+    }
+
+    let url;
+    try {
+      url = new URL(/^https?:\/\//i.test(rawUrl) ? rawUrl : `http://${rawUrl}`);
+    } catch (e) {
+      warnings.push(`Skipped cURL command with invalid URL "${rawUrl}"`);
+      continue;
+    }
+
+    const headers = cleanHeaders(headerPairs);
+    const contentTypeHeader = Object.keys(headers).find(name => name.toLowerCase() === 'content-type');
+    let bodyContent = data.length > 0 ? data.join('&') : null;
+    let endpoint = `${url.pathname}${url.search}`;
+
+    if (getWithData && bodyContent) {
+      endpoint += `${url.search ? '&' : '?'}${bodyContent}`;
+      bodyContent = null;
+    }
+
+    let bodyType = contentTypeHeader ? bodyTypeFor(headers[contentTypeHeader]) : null;
+    if (bodyContent && !bodyType) {
+      // curl -d defaults to application/x-www-form-urlencoded unless the payload is JSON
+      try {
+        JSON.parse(bodyContent);
+        bodyType = 'json';
+      } catch (e) {
+        bodyType = 'form';
+      }
+    }
+
+    if (bodyType === 'form' && bodyContent) {
+      bodyContent = JSON.stringify(Object.fromEntries(new URLSearchParams(bodyContent)), null, 2);
+    }
+
+    const config = makeConfig({
+      name: `${(method || (bodyContent ? 'POST' : 'GET')).toUpperCase()} ${url.pathname}`,
+      method: method || (bodyContent ? 'POST' : 'GET'),
+      endpoint,
+      headers,
+      body_type: bodyType,
+      body_content: bodyContent,
+      environment_vars: { base_url: url.origin }
+    }, warnings);
+
+    if (config) configs.push(config);
+  }
+
+  return { configs, warnings };
+}
+
+const importers = {
+  openapi: importOpenApi,
+  postman: importPostman,
+  har: importHar,
+  curl: importCurl
+};
+
+function importApiConfigs(format, content) {
+  const resolvedFormat = !format || format === 'auto' ? detectFormat(content) : format;
+  const importer = importers[resolvedFormat];
+
+  if (!importer) {
+    throw new Error(`Unsupported import format "${format}"`);
+  }
+
+  return {
+    format: resolvedFormat,
+    ...importer(content)
+  };
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  detectFormat,
+  importApiConfigs,
+  shellSplit
+};
@@ -0,0 +1,547 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const vm = require('vm');
+const Ajv = require('ajv');
+const jsonPath = require('./json-path');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const MAX_TIMEOUT_MS = 60000;
+const MAX_RESPONSE_BYTES = 256 * 1024;
+const EXTRACTION_SOURCES = ['body', 'header', 'status'];
+
+// `matches` assertions take user-supplied patterns, so both sides are capped
+// and the match runs under a time limit
+const MAX_PATTERN_LENGTH = 200;
+const MAX_MATCH_INPUT_LENGTH = 10000;
+const MATCH_TIMEOUT_MS = 100;
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges. Test
+// runs may only reach these on hosts listed in API_TEST_ALLOWED_HOSTS.
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6');
+}
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+// Replace {{name}} placeholders in strings, arrays and plain objects
+function substituteVariables(value, variables = {}) {
+  if (typeof value === 'string') {
+    return value.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, name) => (
+      Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : match
+    ));
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => substituteVariables(item, variables));
+  }
+
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[substituteVariables(key, variables)] = substituteVariables(item, variables);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+function parseJsonField(value, fallback) {
+  if (value === null || value === undefined || value === '') return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function allowedHosts() {
+  return (process.env.API_TEST_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return PRIVATE_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup that refuses private addresses. It is used for the connection
+// itself, so a host cannot pass a check and then resolve elsewhere.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Host "${hostname}" resolves to a private address (${blocked.address}); add it to API_TEST_ALLOWED_HOSTS to test it`));
+    }
+    callback(null, address, family);
+  });
+}
+
+function findHeader(headers, name) {
+  const target = name.toLowerCase();
+  const key = Object.keys(headers || {}).find(header => header.toLowerCase() === target);
+  return key === undefined ? undefined : headers[key];
+}
+
+// Build the concrete HTTP request for a config after variable substitution
+function buildRequest(config, options = {}) {
+  const variables = {
+    ...parseJsonField(config.environment_vars, {}),
+    ...(options.variables || {})
+  };
+
+  const baseUrl = options.baseUrl || variables.base_url || variables.baseUrl || '';
+  const endpoint = substituteVariables(config.endpoint || '', variables);
+  const rawUrl = /^https?:\/\//i.test(endpoint)
+    ? endpoint
+    : `${substituteVariables(baseUrl, variables).replace(/\/+$/, '')}/${endpoint.replace(/^\/+/, '')}`;
+
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (e) {
+    throw new Error(`Invalid request URL "${rawUrl}". Provide a base_url or an absolute endpoint.`);
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`Unsupported protocol "${url.protocol}"`);
+  }
+
+  // With an allowlist only the listed hosts are reachable, private or not;
+  // without one any public host is
+  const hosts = allowedHosts();
+  const hostname = url.hostname.toLowerCase();
+  if (hosts.length > 0 && !hosts.includes(hostname)) {
+    throw new Error(`Host "${url.hostname}" is not in API_TEST_ALLOWED_HOSTS`);
+  }
+
+  const literal = hostname.replace(/^\[(.*)\]$/, '$1');
+  if (!hosts.includes(hostname) && net.isIP(literal) && isPrivateAddress(literal)) {
+    throw new Error(`Host "${url.hostname}" is a private address; add it to API_TEST_ALLOWED_HOSTS to test it`);
+  }
+
+  const headers = substituteVariables(parseJsonField(config.headers, {}), variables);
+  const bodyType = config.body_type || 'json';
+  let body = null;
+
+  if (bodyType !== 'none' && config.body_content && config.method !== 'GET') {
+    const content = substituteVariables(config.body_content, variables);
+
+    if (bodyType === 'form') {
+      const formFields = parseJsonField(content, null);
+      body = formFields && typeof formFields === 'object'
+        ? new URLSearchParams(formFields).toString()
+        : content;
+      if (findHeader(headers, 'content-type') === undefined) {
+        headers['Content-Type'] = 'application/x-www-form-urlencoded';
+      }
+    } else {
+      body = content;
+      if (bodyType === 'json' && findHeader(headers, 'content-type') === undefined) {
+        headers['Content-Type'] = 'application/json';
+      }
+    }
+  }
+
+  return {
+    method: config.method,
+    url: url.toString(),
+    headers,
+    body,
+    variables
+  };
+}
+
+// Send a request with Node's http/https modules and capture the response
+function sendRequest(request, options = {}) {
+  const timeoutMs = Math.min(options.timeoutMs || DEFAULT_TIMEOUT_MS, MAX_TIMEOUT_MS);
+  const url = new URL(request.url);
+  const transport = url.protocol === 'https:' ? https : http;
+  const lookup = allowedHosts().includes(url.hostname.toLowerCase()) ? undefined : publicLookup;
+
+  return new Promise((resolve, reject) => {
+    const startedAt = process.hrtime.bigint();
+    const headers = { ...request.headers };
+
+    if (request.body !== null && request.body !== undefined) {
+      headers['Content-Length'] = Buffer.byteLength(request.body);
+    }
+
+    const req = transport.request(url, { method: request.method, headers, lookup }, (res) => {
+      const chunks = [];
+      let received = 0;
+      let truncated = false;
+
+      res.on('data', (chunk) => {
+        if (received < MAX_RESPONSE_BYTES) {
+          chunks.push(chunk.subarray(0, MAX_RESPONSE_BYTES - received));
+        }
+        received += chunk.length;
+        truncated = received > MAX_RESPONSE_BYTES;
+      });
+
+      res.on('end', () => {
+        const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        const body = Buffer.concat(chunks).toString('utf8');
+
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body,
+          json: truncated ? undefined : parseJsonField(body, undefined),
+          truncated,
+          duration_ms: Math.round(durationMs)
+        });
+      });
+
+      res.on('error', reject);
+    });
+
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(new Error(`Request timed out after ${timeoutMs}ms`));
+    });
+
+    req.on('error', reject);
+
+    if (request.body !== null && request.body !== undefined) {
+      req.write(request.body);
+    }
+    req.end();
+  });
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(key => deepEqual(a[key], b[key]));
+}
+
+// True when every field in `expected` is present with the same value in `actual`
+function isSubset(expected, actual) {
+  if (expected === null || typeof expected !== 'object') {
+    return deepEqual(expected, actual);
+  }
+  if (actual === null || typeof actual !== 'object' || Array.isArray(expected) !== Array.isArray(actual)) {
+    return false;
+  }
+  if (Array.isArray(expected)) {
+    return expected.length <= actual.length && expected.every((item, i) => isSubset(item, actual[i]));
+  }
+  return Object.keys(expected).every(key => isSubset(expected[key], actual[key]));
+}
+
+function matchesPattern(pattern, input) {
+  const source = String(pattern);
+  if (source.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`Pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+  }
+  if (input.length > MAX_MATCH_INPUT_LENGTH) {
+    throw new Error(`Value is longer than ${MAX_MATCH_INPUT_LENGTH} characters; use "contains" instead`);
+  }
+
+  try {
+    return vm.runInNewContext('new RegExp(pattern).test(input)', { pattern: source, input }, { timeout: MATCH_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw new Error(`Pattern took longer than ${MATCH_TIMEOUT_MS}ms to match`);
+    }
+    throw new Error(`Invalid pattern: ${error.message}`);
+  }
+}
+
+function compare(operator, actual, expected) {
+  switch (operator) {
+    case 'equals':
+      return deepEqual(actual, expected);
+    case 'not_equals':
+      return !deepEqual(actual, expected);
+    case 'exists':
+      return actual !== undefined;
+    case 'not_exists':
+      return actual === undefined;
+    case 'contains':
+      if (Array.isArray(actual)) return actual.some(item => deepEqual(item, expected));
+      if (typeof actual === 'string') return actual.includes(String(expected));
+      return isSubset(expected, actual);
+    case 'matches':
+      return typeof actual === 'string' && matchesPattern(expected, actual);
+    case 'gt':
+      return Number(actual) > Number(expected);
+    case 'gte':
+      return Number(actual) >= Number(expected);
+    case 'lt':
+      return Number(actual) < Number(expected);
+    case 'lte':
+      return Number(actual) <= Number(expected);
+    default:
+      throw new Error(`Unknown operator "${operator}"`);
+  }
+}
+
+// Assertions implied by the legacy expected_status / expected_response columns
+function implicitAssertions(config) {
+  const assertions = [];
+
+  if (config.expected_status) {
+    assertions.push({ type: 'status', equals: parseInt(config.expected_status, 10) });
+  }
+
+  if (config.expected_response && config.expected_response.trim() !== '') {
+    const expectedJson = parseJsonField(config.expected_response, undefined);
+    assertions.push(expectedJson !== undefined
+      ? { type: 'body', operator: 'contains', value: expectedJson }
+      : { type: 'body', operator: 'contains', value: config.expected_response.trim() });
+  }
+
+  return assertions;
+}
+
+function evaluateAssertion(assertion, response) {
+  const operator = assertion.operator || 'equals';
+
+  switch (assertion.type) {
+    case 'status': {
+      const expected = assertion.equals !== undefined ? assertion.equals : assertion.value;
+      return {
+        passed: response.status === Number(expected),
+        expected,
+        actual: response.status
+      };
+    }
+
+    case 'body': {
+      const actual = typeof assertion.value === 'object' && response.json !== undefined
+        ? response.json
+        : response.body;
+      return {
+        passed: compare(operator, actual, assertion.value),
+        expected: assertion.value,
+        actual: typeof actual === 'string' ? actual.slice(0, 500) : actual
+      };
+    }
+
+    case 'jsonpath': {
+      if (response.json === undefined) {
+        return { passed: false, expected: assertion.value, actual: null, message: 'Response body is not JSON' };
+      }
+      const actual = jsonPath.get(response.json, assertion.path);
+      return {
+        passed: compare(operator, actual, assertion.value),
+        expected: assertion.value,
+        actual
+      };
+    }
+
+    case 'json_schema': {
+      if (response.json === undefined) {
+        return { passed: false, expected: 'valid JSON', actual: null, message: 'Response body is not JSON' };
+      }
+      const validate = ajv.compile(assertion.schema || {});
+      const valid = validate(response.json);
+      return {
+        passed: valid,
+        expected: 'matches schema',
+        actual: valid ? 'valid' : ajv.errorsText(validate.errors),
+        errors: valid ? [] : validate.errors
+      };
+    }
+
+    case 'header': {
+      const actual = findHeader(response.headers, assertion.name || '');
+      const value = Array.isArray(actual) ? actual.join(', ') : actual;
+      return {
+        passed: compare(assertion.operator || (assertion.value === undefined ? 'exists' : 'equals'), value, assertion.value),
+        expected: assertion.value,
+        actual: value
+      };
+    }
+
+    case 'latency': {
+      const maxMs = Number(assertion.max_ms);
+      return {
+        passed: response.duration_ms <= maxMs,
+        expected: `<= ${maxMs}ms`,
+        actual: response.duration_ms
+      };
+    }
+
+    default:
+      throw new Error(`Unknown assertion type "${assertion.type}"`);
+  }
+}
+
+function evaluateAssertions(assertions, response) {
+  return assertions.map((assertion) => {
+    try {
+      return { ...assertion, ...evaluateAssertion(assertion, response) };
+    } catch (error) {
+      return { ...assertion, passed: false, message: error.message };
+    }
+  });
+}
+
+// Capture values from a response for later steps. Rules look like
+// { variable: 'token', source: 'body' | 'header' | 'status', path: '$.data.token' }
+function extractVariables(extractions, response) {
+  return extractions.map((rule) => {
+    const source = rule.source || 'body';
+    let value;
+
+    if (source === 'status') {
+      value = response.status;
+    } else if (source === 'header') {
+      const header = findHeader(response.headers, rule.path || rule.name || '');
+      value = Array.isArray(header) ? header.join(', ') : header;
+    } else if (rule.path) {
+      value = response.json === undefined ? undefined : jsonPath.get(response.json, rule.path);
+    } else {
+      value = response.body;
+    }
+
+    const found = value !== undefined && value !== null;
+    return {
+      ...rule,
+      source,
+      found,
+      value: found ? value : null,
+      ...(!found && { message: `Nothing found for ${source}${rule.path ? ` "${rule.path}"` : ''}` })
+    };
+  });
+}
+
+function extractedValues(extractions) {
+  const values = {};
+  for (const extraction of extractions) {
+    if (extraction.found && extraction.variable) {
+      values[extraction.variable] = typeof extraction.value === 'object'
+        ? JSON.stringify(extraction.value)
+        : extraction.value;
+    }
+  }
+  return values;
+}
+
+// Execute one API config and evaluate all of its assertions
+async function runConfig(config, options = {}) {
+  const startedAt = new Date();
+  let request;
+
+  try {
+    request = buildRequest(config, options);
+  } catch (error) {
+    return {
+      passed: false,
+      started_at: startedAt,
+      request: null,
+      response: null,
+      assertions: [],
+      extractions: [],
+      extracted: {},
+      error: error.message
+    };
+  }
+
+  const assertions = substituteVariables([
+    ...implicitAssertions(config),
+    ...parseJsonField(config.assertions, [])
+  ], request.variables);
+
+  let response;
+  try {
+    response = await sendRequest(request, { timeoutMs: options.timeoutMs });
+  } catch (error) {
+    return {
+      passed: false,
+      started_at: startedAt,
+      request: { method: request.method, url: request.url, headers: request.headers, body: request.body },
+      response: null,
+      assertions: assertions.map(assertion => ({ ...assertion, passed: false, message: 'Request failed' })),
+      extractions: [],
+      extracted: {},
+      error: error.message
+    };
+  }
+
+  const results = evaluateAssertions(assertions, response);
+  const extractions = extractVariables(parseJsonField(config.extractions, []), response);
+
+  return {
+    passed: results.every(result => result.passed) && extractions.every(extraction => extraction.found),
+    started_at: startedAt,
+    request: { method: request.method, url: request.url, headers: request.headers, body: request.body },
+    response: {
+      status: response.status,
+      headers: response.headers,
+      body: response.body,
+      truncated: response.truncated,
+      duration_ms: response.duration_ms
+    },
+    assertions: results,
+    extractions,
+    extracted: extractedValues(extractions),
+    error: null
+  };
+}
+
+// Run configs in order, feeding variables extracted by each step into the next.
+// With stopOnFailure, steps after the first failure are reported as skipped.
+async function runScenario(configs, options = {}) {
+  const variables = { ...(options.variables || {}) };
+  const steps = [];
+  let passed = true;
+
+  for (const config of configs) {
+    if (!passed && options.stopOnFailure) {
+      steps.push({ config, skipped: true, result: null });
+      continue;
+    }
+
+    const result = await runConfig(config, { ...options, variables });
+    Object.assign(variables, result.extracted);
+    steps.push({ config, skipped: false, result });
+
+    if (!result.passed) {
+      passed = false;
+    }
+  }
+
+  return { passed, variables, steps };
+}
+
+module.exports = {
+  EXTRACTION_SOURCES,
+  parseJsonField,
+  substituteVariables,
+  buildRequest,
+  sendRequest,
+  evaluateAssertions,
+  implicitAssertions,
+  extractVariables,
+  runConfig,
+  runScenario
+};
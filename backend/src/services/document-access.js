@@ -0,0 +1,35 @@
+const db = require('../config/database');
+const { writerIdsColumn } = require('./task-writers');
+
+// Writers, the annotator and admins can always access a document;
+// everyone else (reviewers, voters) once it has been submitted.
+// Returns { document } or { status, error } for the route to send.
+async function checkDocumentAccess(documentId, user) {
+  const docCheck = await db.query(`
+    SELECT ed.writer_id, ed.is_submitted, ${writerIdsColumn()} as writer_ids, wt.code_annotator_id
+    FROM entry_documents ed
+    JOIN wiki_tasks wt ON ed.task_id = wt.id
+    WHERE ed.id = $1
+  `, [documentId]);
+
+  if (docCheck.rows.length === 0) {
+    return { status: 404, error: 'Document not found' };
+  }
+
+  const doc = docCheck.rows[0];
+  const canAccess = user.role === 'admin' ||
+                   user.id === doc.writer_id ||
+                   doc.writer_ids.includes(user.id) ||
+                   user.id === doc.code_annotator_id ||
+                   doc.is_submitted;
+
+  if (!canAccess) {
+    return { status: 403, error: 'Access denied' };
+  }
+
+  return { document: doc };
+}
+
+module.exports = {
+  checkDocumentAccess
+};
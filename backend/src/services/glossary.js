@@ -0,0 +1,126 @@
+// Team glossary: canonical spellings of product and module names and the
+// variants writers must not use. Terms without a category apply everywhere;
+// a category's terms also apply to its subcategories, and a term defined on a
+// deeper category replaces the same term from further up (or the global one).
+const { proseLines } = require('./markdown-analysis');
+const { escapeRegExp } = require('./regexp');
+
+async function loadGlossary(db, categoryId) {
+  const result = await db.query(`
+    WITH RECURSIVE ancestors AS (
+      SELECT id, parent_id, 0 AS depth FROM categories WHERE id = $1
+      UNION ALL
+      SELECT c.id, c.parent_id, a.depth + 1
+      FROM categories c
+      JOIN ancestors a ON c.id = a.parent_id
+    )
+    SELECT gt.*, COALESCE(a.depth, 2147483647) AS scope_depth
+    FROM glossary_terms gt
+    LEFT JOIN ancestors a ON gt.category_id = a.id
+    WHERE gt.category_id IS NULL OR a.id IS NOT NULL
+    ORDER BY scope_depth, gt.term
+  `, [categoryId || null]);
+
+  const seen = new Set();
+  return result.rows.filter((term) => {
+    const key = term.term.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Whole-word, case-insensitive pattern that tolerates any whitespace inside multi-word terms
+function termPattern(text) {
+  const body = escapeRegExp(text.trim()).replace(/\s+/g, '\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}_])${body}(?![\\p{L}\\p{N}_])`, 'giu');
+}
+
+// Forbidden variants and wrongly cased canonical terms as line issues
+function findTerminologyIssues(content, terms) {
+  const issues = [];
+
+  for (const { line, text } of proseLines(content)) {
+    for (const term of terms) {
+      const candidates = [...(term.variants || [])];
+      if (term.case_sensitive) candidates.push(term.term);
+
+      const matched = new Set();
+      for (const candidate of candidates) {
+        const pattern = termPattern(candidate);
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+          if (match[0] === term.term || matched.has(match.index)) continue;
+          matched.add(match.index);
+
+          const isVariant = candidate !== term.term;
+          issues.push({
+            line,
+            column: match.index + 1,
+            length: match[0].length,
+            severity: isVariant ? 'error' : 'warning',
+            rule: 'terminology',
+            text: match[0],
+            message: isVariant
+              ? `Use the glossary term "${term.term}" instead of "${match[0]}"`
+              : `Write "${term.term}" with its glossary capitalisation`,
+            suggestions: [term.term]
+          });
+        }
+      }
+    }
+  }
+
+  return issues;
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+// Single-word glossary term a misspelled word is probably meant to be, if any
+function closestTerm(word, terms) {
+  const lower = word.toLowerCase();
+  const allowed = lower.length <= 5 ? 1 : 2;
+  let best = null;
+
+  for (const term of terms) {
+    if (/\s/.test(term.term.trim())) continue;
+    const distance = editDistance(lower, term.term.toLowerCase());
+    if (distance <= allowed && (!best || distance < best.distance)) {
+      best = { term: term.term, distance };
+    }
+  }
+  return best ? best.term : null;
+}
+
+// Lower-case words the spell checker should accept: every word of every term and variant
+function glossaryWords(terms) {
+  const words = new Set();
+  for (const term of terms) {
+    for (const text of [term.term, ...(term.variants || [])]) {
+      text.toLowerCase().split(/[^\p{L}\p{N}'’]+/u).filter(Boolean).forEach(word => words.add(word));
+    }
+  }
+  return words;
+}
+
+module.exports = {
+  loadGlossary,
+  findTerminologyIssues,
+  closestTerm,
+  glossaryWords
+};
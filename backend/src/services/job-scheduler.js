@@ -0,0 +1,131 @@
+// Runs the jobs in scheduled-jobs.js on the schedules kept in
+// scheduled_jobs. Every backend instance ticks; a job is run by whichever
+// instance claims it first, holding its lease until the run is recorded.
+const os = require('os');
+const crypto = require('crypto');
+const db = require('../config/database');
+const { JOBS } = require('./scheduled-jobs');
+
+const INTERVAL_MS = parseInt(process.env.JOB_SCHEDULER_INTERVAL_MS || '30000');
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+function jobError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Takes the job's lease if nobody holds it; unless forced, only when the
+// job is enabled and due
+async function claimJob(name, force = false) {
+  const result = await db.query(`
+    UPDATE scheduled_jobs
+    SET locked_by = $2, locked_until = NOW() + make_interval(secs => lock_seconds)
+    WHERE name = $1
+      AND (locked_until IS NULL OR locked_until < NOW())
+      ${force ? '' : 'AND enabled = true AND next_run_at <= NOW()'}
+    RETURNING *
+  `, [name, INSTANCE_ID]);
+
+  return result.rows[0] || null;
+}
+
+// Runs a claimed job, logs the outcome and schedules its next run
+async function runClaimedJob(job, triggeredBy = null) {
+  const run = await db.query(`
+    INSERT INTO job_runs (job_name, instance_id, triggered_by)
+    VALUES ($1, $2, $3)
+    RETURNING id
+  `, [job.name, INSTANCE_ID, triggeredBy]);
+
+  let status = 'succeeded';
+  let result = null;
+  let errorMessage = null;
+  try {
+    if (!JOBS[job.name]) {
+      throw new Error(`No handler for job ${job.name}`);
+    }
+    result = await JOBS[job.name].run(job.config || {});
+  } catch (error) {
+    console.error(`Error running job ${job.name}:`, error);
+    status = 'failed';
+    errorMessage = error.message;
+  }
+
+  const finished = await db.query(`
+    UPDATE job_runs
+    SET status = $2, result = $3, error = $4, finished_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [run.rows[0].id, status, result, errorMessage]);
+
+  await db.query(`
+    UPDATE scheduled_jobs
+    SET locked_by = NULL, locked_until = NULL,
+        last_run_at = $3, last_status = $4,
+        next_run_at = NOW() + make_interval(secs => interval_seconds)
+    WHERE name = $1 AND locked_by = $2
+  `, [job.name, INSTANCE_ID, finished.rows[0].started_at, status]);
+
+  return finished.rows[0];
+}
+
+// Runs every due job this instance manages to claim, one after another
+async function runDueJobs() {
+  const due = await db.query(`
+    SELECT name FROM scheduled_jobs
+    WHERE enabled = true AND next_run_at <= NOW()
+      AND (locked_until IS NULL OR locked_until < NOW())
+    ORDER BY next_run_at
+  `);
+
+  const runs = [];
+  for (const { name } of due.rows) {
+    const job = await claimJob(name);
+    if (job) runs.push(await runClaimedJob(job));
+  }
+  return runs;
+}
+
+// Runs a job immediately, whether or not it is enabled or due. Throws with
+// code JOB_NOT_FOUND, or JOB_RUNNING while another run holds the lease.
+async function runJobNow(name, triggeredBy) {
+  const exists = await db.query('SELECT 1 FROM scheduled_jobs WHERE name = $1', [name]);
+  if (exists.rows.length === 0) {
+    throw jobError('JOB_NOT_FOUND', 'Job not found');
+  }
+
+  const job = await claimJob(name, true);
+  if (!job) {
+    throw jobError('JOB_RUNNING', 'This job is already running');
+  }
+  return runClaimedJob(job, triggeredBy);
+}
+
+// Starts polling for due jobs; JOB_SCHEDULER_INTERVAL_MS=0 turns it off
+function startJobScheduler() {
+  if (!(INTERVAL_MS > 0)) return null;
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      // Each run is recorded in job_runs; failures are logged by runClaimedJob
+      await runDueJobs();
+    } catch (error) {
+      console.error('Error running job scheduler:', error);
+    } finally {
+      running = false;
+    }
+  }, INTERVAL_MS);
+
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  runDueJobs,
+  runJobNow,
+  startJobScheduler
+};
@@ -0,0 +1,94 @@
+// Minimal JSONPath support used by API test assertions.
+// Supports: $, .key, ['key'], [index], [*] and .* (e.g. "$.data.items[0].id")
+
+function tokenize(path) {
+  if (typeof path !== 'string' || path.trim() === '') {
+    throw new Error('JSONPath must be a non-empty string');
+  }
+
+  let expression = path.trim();
+  if (expression.startsWith('$')) {
+    expression = expression.slice(1);
+  } else if (!expression.startsWith('.') && !expression.startsWith('[')) {
+    expression = `.${expression}`;
+  }
+
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (char === '.') {
+      i++;
+      let key = '';
+      while (i < expression.length && expression[i] !== '.' && expression[i] !== '[') {
+        key += expression[i++];
+      }
+      if (key === '') {
+        throw new Error(`Invalid JSONPath "${path}": empty property name`);
+      }
+      tokens.push(key === '*' ? { wildcard: true } : { key });
+    } else if (char === '[') {
+      const end = expression.indexOf(']', i);
+      if (end === -1) {
+        throw new Error(`Invalid JSONPath "${path}": missing closing bracket`);
+      }
+      const inner = expression.slice(i + 1, end).trim();
+      i = end + 1;
+
+      if (inner === '*') {
+        tokens.push({ wildcard: true });
+      } else if (/^-?\d+$/.test(inner)) {
+        tokens.push({ index: parseInt(inner, 10) });
+      } else if (/^(['"]).*\1$/.test(inner)) {
+        tokens.push({ key: inner.slice(1, -1) });
+      } else {
+        throw new Error(`Invalid JSONPath "${path}": unsupported segment [${inner}]`);
+      }
+    } else {
+      throw new Error(`Invalid JSONPath "${path}": unexpected character "${char}"`);
+    }
+  }
+
+  return tokens;
+}
+
+// Return every value matched by the path
+function query(data, path) {
+  let current = [data];
+
+  for (const token of tokenize(path)) {
+    const next = [];
+
+    for (const value of current) {
+      if (value === null || typeof value !== 'object') continue;
+
+      if (token.wildcard) {
+        next.push(...(Array.isArray(value) ? value : Object.values(value)));
+      } else if (token.index !== undefined) {
+        if (!Array.isArray(value)) continue;
+        const index = token.index < 0 ? value.length + token.index : token.index;
+        if (index >= 0 && index < value.length) next.push(value[index]);
+      } else if (Object.prototype.hasOwnProperty.call(value, token.key)) {
+        next.push(value[token.key]);
+      }
+    }
+
+    current = next;
+  }
+
+  return current;
+}
+
+// Return the first matched value, or undefined when nothing matches
+function get(data, path) {
+  const matches = query(data, path);
+  return matches.length > 0 ? matches[0] : undefined;
+}
+
+module.exports = {
+  tokenize,
+  query,
+  get
+};
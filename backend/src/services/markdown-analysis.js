@@ -0,0 +1,510 @@
+// Line-aware markdown analysis shared by the markdown lint, link and
+// readability quality rules. Every issue carries a 1-based line (and column
+// where it makes sense) so the editor can highlight it.
+//
+// Issue shape: { line, column, severity: 'error' | 'warning' | 'info', rule, message }
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)/;
+const ATX_HEADING_PATTERN = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_UNDERLINE_PATTERN = /^ {0,3}(=+|-+)[ \t]*$/;
+const DEFINITION_PATTERN = /^ {0,3}\[([^\]]+)\]:\s*<?([^\s>]*)>?/;
+const INLINE_LINK_PATTERN = /(!?)\[((?:[^[\]]|\[[^\]]*\])*)\]\(\s*(<[^>]*>|[^\s)]*)(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*\)/g;
+const REFERENCE_LINK_PATTERN = /(!?)\[((?:[^[\]]|\[[^\]]*\])+)\]\[([^\]]*)\]/g;
+const HTML_IMAGE_PATTERN = /<img\b[^>]*>/gi;
+const HTML_ANCHOR_PATTERN = /<a\b[^>]*\b(?:name|id)\s*=\s*["']([^"']+)["'][^>]*>/gi;
+
+const HAN_PATTERN = /[㐀-鿿豈-﫿]/g;
+const ENGLISH_WORD_PATTERN = /[A-Za-z]+(?:'[A-Za-z]+)?/g;
+
+// Blank out inline code spans so their contents are not parsed as links,
+// keeping the line length (and therefore columns) unchanged
+function maskInlineCode(line) {
+  return line.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, match => ' '.repeat(match.length));
+}
+
+function isParagraphLine(line) {
+  return line.trim() !== '' &&
+    !/^ {0,3}(#|>|[-*+]\s|\d+[.)]\s|\||```|~~~)/.test(line) &&
+    !SETEXT_UNDERLINE_PATTERN.test(line);
+}
+
+// Plain heading text: link targets, emphasis markers and inline code ticks removed
+function headingText(raw) {
+  return raw
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_~`]+/g, '')
+    .trim();
+}
+
+// GitHub-style anchor slug; duplicates get -1, -2, ... suffixes
+function slugify(text, used) {
+  const base = text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, '')
+    .replace(/ /g, '-');
+  let slug = base;
+  let suffix = 0;
+  while (used.has(slug)) {
+    suffix++;
+    slug = `${base}-${suffix}`;
+  }
+  used.add(slug);
+  return slug;
+}
+
+// Split markdown into headings, fences, links, images and reference definitions.
+// Content inside fenced code blocks is ignored apart from the fences themselves.
+function parseMarkdown(content) {
+  const lines = String(content || '').split(/\r?\n/);
+  const headings = [];
+  const fences = [];
+  const links = [];
+  const definitions = new Map();
+  const anchors = new Set();
+  const usedSlugs = new Set();
+  const codeLines = new Set();
+  let openFence = null;
+
+  const addHeading = (level, raw, line) => {
+    const text = headingText(raw || '');
+    const slug = slugify(text, usedSlugs);
+    anchors.add(slug);
+    headings.push({ level, text, line, slug });
+  };
+
+  lines.forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+
+    if (openFence) {
+      codeLines.add(lineNumber);
+      const closing = rawLine.match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+      if (closing && closing[1][0] === openFence.marker[0] && closing[1].length >= openFence.marker.length) {
+        openFence.end_line = lineNumber;
+        fences.push(openFence);
+        openFence = null;
+      }
+      return;
+    }
+
+    const fence = rawLine.match(FENCE_PATTERN);
+    if (fence) {
+      codeLines.add(lineNumber);
+      openFence = { start_line: lineNumber, end_line: null, marker: fence[1], language: fence[2] || null };
+      return;
+    }
+
+    const heading = rawLine.match(ATX_HEADING_PATTERN);
+    if (heading) {
+      addHeading(heading[1].length, heading[2], lineNumber);
+    } else if (SETEXT_UNDERLINE_PATTERN.test(rawLine) && index > 0 && isParagraphLine(lines[index - 1]) &&
+               !codeLines.has(lineNumber - 1) && !headings.some(h => h.line === lineNumber - 1)) {
+      addHeading(rawLine.trim()[0] === '=' ? 1 : 2, lines[index - 1], lineNumber - 1);
+      return;
+    }
+
+    const definition = rawLine.match(DEFINITION_PATTERN);
+    if (definition) {
+      definitions.set(normalizeLabel(definition[1]), { url: definition[2], line: lineNumber });
+      return;
+    }
+
+    const line = maskInlineCode(rawLine);
+    let match;
+
+    INLINE_LINK_PATTERN.lastIndex = 0;
+    while ((match = INLINE_LINK_PATTERN.exec(line)) !== null) {
+      links.push({
+        type: match[1] ? 'image' : 'link',
+        text: match[2],
+        url: match[3].replace(/^<|>$/g, ''),
+        reference: null,
+        line: lineNumber,
+        column: match.index + 1
+      });
+    }
+
+    REFERENCE_LINK_PATTERN.lastIndex = 0;
+    while ((match = REFERENCE_LINK_PATTERN.exec(line)) !== null) {
+      links.push({
+        type: match[1] ? 'image' : 'link',
+        text: match[2],
+        url: null,
+        reference: normalizeLabel(match[3] || match[2]),
+        line: lineNumber,
+        column: match.index + 1
+      });
+    }
+
+    HTML_IMAGE_PATTERN.lastIndex = 0;
+    while ((match = HTML_IMAGE_PATTERN.exec(line)) !== null) {
+      const src = match[0].match(/\bsrc\s*=\s*["']([^"']*)["']/i);
+      const alt = match[0].match(/\balt\s*=\s*["']([^"']*)["']/i);
+      links.push({
+        type: 'image',
+        text: alt ? alt[1] : '',
+        url: src ? src[1] : '',
+        reference: null,
+        line: lineNumber,
+        column: match.index + 1
+      });
+    }
+
+    HTML_ANCHOR_PATTERN.lastIndex = 0;
+    while ((match = HTML_ANCHOR_PATTERN.exec(line)) !== null) {
+      anchors.add(match[1].toLowerCase());
+    }
+  });
+
+  if (openFence) {
+    fences.push(openFence);
+  }
+
+  return { lines, headings, fences, links, definitions, anchors, codeLines };
+}
+
+function normalizeLabel(label) {
+  return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Heading hierarchy, unclosed fences and empty sections
+function lintMarkdown(content, { maxHeadingJump = 1 } = {}) {
+  const { lines, headings, fences } = parseMarkdown(content);
+  const issues = [];
+
+  headings.forEach((heading, index) => {
+    if (!heading.text) {
+      issues.push({ line: heading.line, column: 1, severity: 'warning', rule: 'empty-heading', message: 'Heading has no text' });
+    }
+
+    const previous = headings[index - 1];
+    if (previous && heading.level - previous.level > maxHeadingJump) {
+      issues.push({
+        line: heading.line,
+        column: 1,
+        severity: 'warning',
+        rule: 'heading-increment',
+        message: `Heading level jumps from H${previous.level} to H${heading.level}; use H${previous.level + 1} instead`
+      });
+    }
+
+    if (heading.level === 1 && headings.slice(0, index).some(other => other.level === 1)) {
+      issues.push({
+        line: heading.line,
+        column: 1,
+        severity: 'warning',
+        rule: 'single-h1',
+        message: 'Only one top-level (H1) heading is expected; use H2 for sections'
+      });
+    }
+
+    // A section is empty when nothing but blank lines separates it from the
+    // next heading of the same or a higher level (or the end of the document)
+    const next = headings[index + 1];
+    const bodyEnd = next ? next.line - 1 : lines.length;
+    const hasBody = lines.slice(heading.line, bodyEnd).some(line => line.trim() !== '' && !SETEXT_UNDERLINE_PATTERN.test(line));
+    if (!hasBody && (!next || next.level <= heading.level)) {
+      issues.push({
+        line: heading.line,
+        column: 1,
+        severity: 'warning',
+        rule: 'empty-section',
+        message: `Section "${heading.text || '(untitled)'}" has no content`
+      });
+    }
+  });
+
+  fences.filter(fence => fence.end_line === null).forEach((fence) => {
+    issues.push({
+      line: fence.start_line,
+      column: 1,
+      severity: 'error',
+      rule: 'unclosed-fence',
+      message: `Code block opened with ${fence.marker} is never closed; the rest of the document renders as code`
+    });
+  });
+
+  return { issues: sortIssues(issues), headings: headings.length, code_blocks: fences.length };
+}
+
+function urlExtension(url) {
+  const path = url.split(/[?#]/)[0];
+  const match = path.match(/\.([A-Za-z0-9]+)$/);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// Links, in-page anchors, reference definitions and image references
+function validateLinks(content, { allowedSchemes = ['http', 'https', 'mailto'], imageExtensions = [] } = {}) {
+  const { links, definitions, anchors } = parseMarkdown(content);
+  const issues = [];
+  const issue = (link, severity, rule, message) => issues.push({ line: link.line, column: link.column, severity, rule, message });
+
+  for (const link of links) {
+    let url = link.url;
+    const label = link.type === 'image' ? 'Image' : 'Link';
+
+    if (link.reference !== null) {
+      const definition = definitions.get(link.reference);
+      if (!definition) {
+        issue(link, 'error', 'undefined-reference', `${label} reference [${link.reference}] has no definition`);
+        continue;
+      }
+      url = definition.url;
+    }
+
+    if (link.type === 'link' && !link.text.trim()) {
+      issue(link, 'warning', 'empty-link-text', 'Link has no text');
+    }
+    if (link.type === 'image' && !link.text.trim()) {
+      issue(link, 'warning', 'image-alt', 'Image has no alt text');
+    }
+
+    if (!url) {
+      issue(link, 'error', link.type === 'image' ? 'image-src' : 'empty-link', `${label} has no target`);
+      continue;
+    }
+
+    if (url.startsWith('#')) {
+      let anchor = url.slice(1);
+      try {
+        anchor = decodeURIComponent(anchor);
+      } catch {
+        // Keep the raw fragment
+      }
+      if (!anchors.has(anchor.toLowerCase())) {
+        issue(link, 'error', 'broken-anchor', `No heading matches the anchor ${url}`);
+      }
+      continue;
+    }
+
+    const scheme = url.match(/^([A-Za-z][A-Za-z0-9+.-]*):/);
+    if (scheme) {
+      const name = scheme[1].toLowerCase();
+      if (link.type === 'image' && name === 'data') {
+        if (!/^data:image\//i.test(url)) {
+          issue(link, 'error', 'image-src', 'Inline image data must be an image/* data URI');
+        }
+        continue;
+      }
+      if (!allowedSchemes.includes(name)) {
+        issue(link, 'error', 'invalid-url', `${label} uses an unsupported "${name}:" URL`);
+        continue;
+      }
+      if (name === 'http' || name === 'https') {
+        try {
+          new URL(url);
+        } catch {
+          issue(link, 'error', 'invalid-url', `${label} URL ${url} is malformed`);
+          continue;
+        }
+      }
+    } else if (url.startsWith('//')) {
+      issue(link, 'warning', 'invalid-url', `Protocol-relative URL ${url}; spell out https://`);
+    } else if (!url.startsWith('/')) {
+      // Relative file paths have nothing to resolve against in a published entry
+      issue(link, link.type === 'image' ? 'error' : 'warning', 'relative-path', `${label} target ${url} is a relative path that will not resolve in the published entry`);
+      continue;
+    }
+
+    if (link.type === 'image' && imageExtensions.length > 0) {
+      const extension = urlExtension(url);
+      if (extension && !imageExtensions.includes(extension)) {
+        issue(link, 'warning', 'image-type', `Image ${url} does not look like a supported image (.${extension})`);
+      }
+    }
+  }
+
+  return {
+    issues: sortIssues(issues),
+    links: links.filter(link => link.type === 'link').length,
+    images: links.filter(link => link.type === 'image').length
+  };
+}
+
+// Prose with code, markup and link targets removed, as [{ text, starts }] units
+// where starts maps text offsets to the line they came from. Paragraph lines
+// are joined; list items stand alone; tables, headings and code are skipped.
+function proseUnits(content) {
+  const { lines, codeLines, headings } = parseMarkdown(content);
+  const headingLines = new Set(headings.map(heading => heading.line));
+  const units = [];
+  let current = null;
+
+  const flush = () => {
+    if (current) units.push(current);
+    current = null;
+  };
+
+  lines.forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    if (codeLines.has(lineNumber) || headingLines.has(lineNumber) || SETEXT_UNDERLINE_PATTERN.test(rawLine) ||
+        DEFINITION_PATTERN.test(rawLine) || /^ {0,3}\|/.test(rawLine) || rawLine.trim() === '') {
+      flush();
+      return;
+    }
+
+    let text = maskInlineCode(rawLine)
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]*)\]\[[^\]]*\]/g, '$1')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/https?:\/\/\S+/g, ' ')
+      .replace(/[*_~]+/g, '')
+      .replace(/^\s*>\s?/, '')
+      .trim();
+
+    const listItem = text.match(/^(?:[-*+]|\d+[.)])\s+(.*)$/);
+    if (listItem) {
+      flush();
+      text = listItem[1];
+    }
+
+    if (!current) {
+      current = { text: '', starts: [] };
+    } else {
+      current.text += ' ';
+    }
+    current.starts.push({ offset: current.text.length, line: lineNumber });
+    current.text += text;
+
+    if (listItem) flush();
+  });
+  flush();
+
+  return units;
+}
+
+// Sentences with the line they start on. A sentence ends at Chinese sentence
+// punctuation, or at . ! ? followed by whitespace or the end of the unit.
+function splitSentences(units) {
+  const sentences = [];
+
+  for (const unit of units) {
+    const lineAt = offset => unit.starts.filter(start => start.offset <= offset).pop().line;
+    let start = 0;
+
+    for (let i = 0; i < unit.text.length; i++) {
+      const char = unit.text[i];
+      const ends = '。！？；'.includes(char) ||
+        ('.!?'.includes(char) && (i + 1 === unit.text.length || /\s/.test(unit.text[i + 1])));
+      if (ends || i + 1 === unit.text.length) {
+        const text = unit.text.slice(start, i + 1).trim();
+        if (text) {
+          const leading = unit.text.slice(start).search(/\S/);
+          sentences.push({ text, line: lineAt(start + Math.max(0, leading)) });
+        }
+        start = i + 1;
+      }
+    }
+  }
+
+  return sentences;
+}
+
+// Prose lines outside code blocks as [{ line, text }], with inline code, link
+// targets, HTML tags, URLs and reference definitions blanked to spaces so
+// columns still match the source
+function proseLines(content) {
+  const { lines, codeLines } = parseMarkdown(content);
+  const blank = match => ' '.repeat(match.length);
+
+  return lines
+    .map((rawLine, index) => ({ line: index + 1, raw: rawLine }))
+    .filter(({ line, raw }) => !codeLines.has(line) && !DEFINITION_PATTERN.test(raw))
+    .map(({ line, raw }) => ({
+      line,
+      text: maskInlineCode(raw)
+        .replace(/\]\([^)]*\)/g, match => `]${blank(match.slice(1))}`)
+        .replace(/<[^>]+>/g, blank)
+        .replace(/\b(?:https?|ftp|mailto):\S+/gi, blank)
+    }));
+}
+
+function countSyllables(word) {
+  const lower = word.toLowerCase().replace(/'/g, '');
+  if (lower.length <= 3) return 1;
+  const trimmed = lower.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+  const groups = trimmed.match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 1);
+}
+
+// Readability for English and Chinese prose. English sentences get the Flesch
+// reading ease score (0-100, higher is easier); Chinese sentences, which have
+// no widely used equivalent, are measured by characters per sentence.
+function measureReadability(content, {
+  maxSentenceWords = 35,
+  maxSentenceChars = 80
+} = {}) {
+  const sentences = splitSentences(proseUnits(content));
+  const english = { sentences: 0, words: 0, syllables: 0 };
+  const chinese = { sentences: 0, characters: 0 };
+  const issues = [];
+
+  for (const sentence of sentences) {
+    const words = sentence.text.match(ENGLISH_WORD_PATTERN) || [];
+    const hanCount = (sentence.text.match(HAN_PATTERN) || []).length;
+
+    // Mixed sentences count as Chinese when Han characters dominate; English
+    // terms inside them are read as roughly one character each
+    if (hanCount > 0 && hanCount >= words.length) {
+      const length = hanCount + words.length;
+      chinese.sentences++;
+      chinese.characters += length;
+      if (length > maxSentenceChars) {
+        issues.push({
+          line: sentence.line,
+          column: 1,
+          severity: 'info',
+          rule: 'long-sentence',
+          message: `Sentence is ${length} characters long (over ${maxSentenceChars}); consider splitting it`
+        });
+      }
+    } else if (words.length > 0) {
+      english.sentences++;
+      english.words += words.length;
+      english.syllables += words.reduce((sum, word) => sum + countSyllables(word), 0);
+      if (words.length > maxSentenceWords) {
+        issues.push({
+          line: sentence.line,
+          column: 1,
+          severity: 'info',
+          rule: 'long-sentence',
+          message: `Sentence has ${words.length} words (over ${maxSentenceWords}); consider splitting it`
+        });
+      }
+    }
+  }
+
+  const round = value => Math.round(value * 10) / 10;
+  const flesch = english.words > 0
+    ? round(Math.max(0, Math.min(100,
+      206.835 - 1.015 * (english.words / english.sentences) - 84.6 * (english.syllables / english.words))))
+    : null;
+
+  return {
+    issues: sortIssues(issues),
+    english: english.sentences > 0 ? {
+      sentences: english.sentences,
+      words: english.words,
+      average_words_per_sentence: round(english.words / english.sentences),
+      flesch_reading_ease: flesch
+    } : null,
+    chinese: chinese.sentences > 0 ? {
+      sentences: chinese.sentences,
+      characters: chinese.characters,
+      average_chars_per_sentence: round(chinese.characters / chinese.sentences)
+    } : null
+  };
+}
+
+function sortIssues(issues) {
+  return issues.sort((a, b) => a.line - b.line || (a.column || 0) - (b.column || 0));
+}
+
+module.exports = {
+  parseMarkdown,
+  proseLines,
+  slugify,
+  lintMarkdown,
+  validateLinks,
+  measureReadability
+};
@@ -0,0 +1,124 @@
+const { substituteVariables } = require('./api-test-runner');
+const { escapeRegExp } = require('./regexp');
+
+// Reduce a config endpoint to a path template: drop scheme/host, a leading
+// {{base_url}}-style variable and the query string
+function endpointPath(endpoint) {
+  let path = String(endpoint || '').trim();
+
+  if (/^https?:\/\//i.test(path)) {
+    path = path.replace(/^https?:\/\/[^/]+/i, '');
+  }
+  path = path.replace(/^\{\{\s*[\w.-]+\s*\}\}/, '');
+  path = path.split('?')[0].split('#')[0];
+
+  return `/${path.replace(/^\/+/, '').replace(/\/+$/, '')}`;
+}
+
+// Compile configs into matchable routes. Path parameters may be written as
+// {{name}}, {name} or :name and are captured by name.
+function compileRoutes(configs) {
+  return configs.map((config) => {
+    const path = endpointPath(config.endpoint);
+    const params = [];
+    const pattern = path.split('/').map((segment) => {
+      const match = segment.match(/^(?:\{\{\s*([\w.-]+)\s*\}\}|\{([\w.-]+)\}|:([\w.-]+))$/);
+      if (match) {
+        params.push(match[1] || match[2] || match[3]);
+        return '([^/]+)';
+      }
+      return escapeRegExp(segment);
+    }).join('/');
+
+    return {
+      config,
+      method: config.method.toUpperCase(),
+      path,
+      params,
+      regex: new RegExp(`^${pattern}/?$`)
+    };
+  });
+}
+
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Find the route for a still URL-encoded request path. Literal paths win over
+// parameterised ones; allowed lists the methods of every route whose path
+// matched. A path parameter that is not valid percent-encoding matches nothing.
+function matchRoute(routes, method, path) {
+  const normalized = `/${String(path || '').replace(/^\/+/, '')}`;
+  const candidates = [];
+
+  for (const route of routes) {
+    const match = normalized.match(route.regex);
+    if (!match) continue;
+
+    const values = match.slice(1).map(decodeParam);
+    if (values.includes(null)) continue;
+
+    const params = {};
+    route.params.forEach((name, index) => {
+      params[name] = values[index];
+    });
+    candidates.push({ route, params });
+  }
+
+  if (candidates.length === 0) {
+    return { match: null, allowed: [] };
+  }
+
+  const sameMethod = candidates
+    .filter(candidate => candidate.route.method === method.toUpperCase())
+    .sort((a, b) => a.route.params.length - b.route.params.length);
+
+  return {
+    match: sameMethod[0] || null,
+    allowed: [...new Set(candidates.map(candidate => candidate.route.method))]
+  };
+}
+
+// Build the mock response for a matched config. Path and query values can be
+// echoed into expected_response with {{name}} placeholders. A JSON response is
+// parsed before the values go in, so a value containing quotes stays a string
+// instead of breaking the document or adding keys.
+function buildMockResponse(config, variables = {}) {
+  const status = parseInt(config.expected_status, 10) || 200;
+  const template = config.expected_response || '';
+
+  if (!template) {
+    return { status, json: undefined, text: '' };
+  }
+
+  try {
+    const json = substituteVariables(JSON.parse(template), variables);
+    return { status, json, text: JSON.stringify(json) };
+  } catch (e) {
+    // Not JSON as written; unquoted placeholders like {"id": {{id}}} only
+    // become JSON once filled in, so try again with JSON-escaped values
+  }
+
+  const escaped = {};
+  for (const [name, value] of Object.entries(variables)) {
+    escaped[name] = JSON.stringify(String(value)).slice(1, -1);
+  }
+
+  try {
+    const text = substituteVariables(template, escaped);
+    return { status, json: JSON.parse(text), text };
+  } catch (e) {
+    return { status, json: undefined, text: substituteVariables(template, variables) };
+  }
+}
+
+module.exports = {
+  endpointPath,
+  compileRoutes,
+  matchRoute,
+  buildMockResponse
+};
@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+
+// Notebooks are stored as nbformat 4 cells in entry_notebooks.cells, with `source`
+// kept as a single string. Every other cell field (metadata, outputs, attachments,
+// unknown keys) is stored untouched so .ipynb files round-trip.
+
+const CELL_TYPES = ['code', 'markdown', 'raw'];
+const NBFORMAT = 4;
+const NBFORMAT_MINOR = 5;
+
+// ipynb kernels we can run or store, keyed by language_info.name / kernelspec.language
+const KERNEL_LANGUAGES = {
+  python: 'python',
+  python3: 'python',
+  javascript: 'javascript',
+  typescript: 'javascript',
+  sql: 'sql',
+  bash: 'bash',
+  sh: 'shell',
+  shell: 'shell'
+};
+
+const KERNELSPECS = {
+  python: { name: 'python3', display_name: 'Python 3', language: 'python' },
+  javascript: { name: 'javascript', display_name: 'JavaScript (Node.js)', language: 'javascript' },
+  sql: { name: 'sql', display_name: 'SQL', language: 'sql' },
+  bash: { name: 'bash', display_name: 'Bash', language: 'bash' },
+  shell: { name: 'bash', display_name: 'Shell', language: 'bash' }
+};
+
+function joinSource(source) {
+  return Array.isArray(source) ? source.join('') : String(source || '');
+}
+
+// nbformat stores multi-line strings as lists of lines that keep their newlines
+function splitSource(text) {
+  return String(text || '').match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+function normalizeCell(cell) {
+  if (!cell || typeof cell !== 'object') {
+    throw new Error('Each cell must be an object');
+  }
+  if (!CELL_TYPES.includes(cell.cell_type)) {
+    throw new Error(`Unsupported cell type "${cell.cell_type}"`);
+  }
+
+  const normalized = {
+    ...cell,
+    id: cell.id || crypto.randomUUID(),
+    source: joinSource(cell.source),
+    metadata: cell.metadata || {}
+  };
+
+  if (cell.cell_type === 'code') {
+    normalized.outputs = Array.isArray(cell.outputs) ? cell.outputs : [];
+    normalized.execution_count = cell.execution_count ?? null;
+  } else {
+    delete normalized.outputs;
+    delete normalized.execution_count;
+  }
+
+  return normalized;
+}
+
+function normalizeCells(cells) {
+  if (!Array.isArray(cells)) {
+    throw new Error('cells must be an array');
+  }
+  return cells.map(normalizeCell);
+}
+
+// The flat content column mirrors the code cells so quality checks, search and
+// the whole-notebook runner keep working on cell-based notebooks
+function cellsToContent(cells) {
+  return cells
+    .filter(cell => cell.cell_type === 'code')
+    .map(cell => cell.source.replace(/\n+$/, ''))
+    .join('\n\n');
+}
+
+function contentToCells(content) {
+  return [normalizeCell({ cell_type: 'code', source: content || '' })];
+}
+
+// Apply an edit of the flat content column to a cell-based notebook. Unchanged
+// content keeps the cells as they are; otherwise the code cells are replaced
+// by one cell holding the content, where the first code cell was, and the
+// markdown and raw cells stay in place.
+function mergeContentIntoCells(cells, content) {
+  if (!Array.isArray(cells) || cells.length === 0) {
+    return contentToCells(content);
+  }
+  if (cellsToContent(cells) === String(content || '').replace(/\n+$/, '')) {
+    return cells;
+  }
+
+  const [codeCell] = contentToCells(content);
+  const firstCode = cells.findIndex(cell => cell.cell_type === 'code');
+  const others = cells.filter(cell => cell.cell_type !== 'code');
+  const position = firstCode === -1
+    ? others.length
+    : cells.slice(0, firstCode).filter(cell => cell.cell_type !== 'code').length;
+
+  return [...others.slice(0, position), codeCell, ...others.slice(position)];
+}
+
+function fromIpynb(input) {
+  let notebook = input;
+  if (typeof input === 'string' || Buffer.isBuffer(input)) {
+    try {
+      notebook = JSON.parse(input.toString());
+    } catch (e) {
+      throw new Error('File is not valid JSON');
+    }
+  }
+
+  if (!notebook || typeof notebook !== 'object' || !Array.isArray(notebook.cells)) {
+    throw new Error('Not a Jupyter notebook: missing cells array');
+  }
+  if (notebook.nbformat !== NBFORMAT) {
+    throw new Error(`Unsupported nbformat ${notebook.nbformat}; only version 4 notebooks can be imported`);
+  }
+
+  const metadata = notebook.metadata || {};
+  const kernelLanguage = (metadata.language_info && metadata.language_info.name) ||
+    (metadata.kernelspec && metadata.kernelspec.language) ||
+    'python';
+  const language = KERNEL_LANGUAGES[String(kernelLanguage).toLowerCase()];
+
+  if (!language) {
+    throw new Error(`Unsupported notebook language "${kernelLanguage}"`);
+  }
+
+  const firstHeading = notebook.cells
+    .filter(cell => cell.cell_type === 'markdown')
+    .map(cell => joinSource(cell.source).match(/^#\s+(.+)$/m))
+    .find(Boolean);
+
+  return {
+    title: (metadata.title || (firstHeading && firstHeading[1]) || '').trim(),
+    language,
+    cells: normalizeCells(notebook.cells),
+    metadata,
+    nbformat: notebook.nbformat,
+    nbformat_minor: notebook.nbformat_minor
+  };
+}
+
+function toIpynb(notebook) {
+  const cells = Array.isArray(notebook.cells) && notebook.cells.length > 0
+    ? notebook.cells
+    : contentToCells(notebook.content);
+  const metadata = { ...(notebook.notebook_metadata || {}) };
+
+  if (!metadata.kernelspec && KERNELSPECS[notebook.language]) {
+    metadata.kernelspec = KERNELSPECS[notebook.language];
+  }
+  if (!metadata.language_info) {
+    metadata.language_info = { name: notebook.language };
+  }
+
+  return {
+    cells: cells.map((cell) => {
+      const exported = { ...cell, source: splitSource(cell.source) };
+      // Cell ids were introduced in nbformat 4.5
+      if ((notebook.nbformat_minor ?? NBFORMAT_MINOR) < 5) delete exported.id;
+      return exported;
+    }),
+    metadata,
+    nbformat: notebook.nbformat || NBFORMAT,
+    nbformat_minor: notebook.nbformat_minor ?? NBFORMAT_MINOR
+  };
+}
+
+// Join the code cells into one script that announces each cell before it
+// runs, so a single run can be split back into per-cell outputs. Python prints
+// a marker line to stdout and stderr; the JavaScript runner's __notebookCell
+// does the same and also tags output from callbacks the cell scheduled. The
+// leading newline keeps a marker on its own line after output that did not
+// end with one.
+function buildCellScript(language, cells, marker) {
+  return cells
+    .filter(cell => cell.cell_type === 'code')
+    .map((cell) => {
+      const tag = `${marker}:${cell.id}`;
+      const announce = language === 'python'
+        ? `print(${JSON.stringify(`\n${tag}`)}, flush=True); print(${JSON.stringify(`\n${tag}`)}, file=__import__('sys').stderr, flush=True)`
+        : `__notebookCell(${JSON.stringify(tag)});`;
+      return `${announce}\n${cell.source}`;
+    })
+    .join('\n');
+}
+
+// Output per cell id. A cell's tag can appear more than once when
+// asynchronous output came in after later cells had started.
+function splitByMarker(text, marker) {
+  const sections = {};
+  const pattern = new RegExp(`\\n${marker}:(\\S+)\\n`, 'g');
+  const output = String(text || '');
+  let current = null;
+  let start = 0;
+  let match;
+
+  const close = (end) => {
+    if (current !== null) sections[current] = (sections[current] || '') + output.slice(start, end);
+  };
+
+  while ((match = pattern.exec(output)) !== null) {
+    close(match.index);
+    current = match[1];
+    start = pattern.lastIndex;
+  }
+  close(output.length);
+
+  return sections;
+}
+
+function stripMarkers(text, marker) {
+  return String(text || '').replace(new RegExp(`\\n${marker}:\\S+\\n`, 'g'), '');
+}
+
+// Set the outputs of the code cells that ran, numbering them in run order.
+// Cells missing from outputsByCell never ran, so their outputs are cleared.
+function applyCellOutputs(cells, outputsByCell) {
+  let executionCount = 0;
+
+  return cells.map((cell) => {
+    if (cell.cell_type !== 'code') return cell;
+
+    if (!(cell.id in outputsByCell)) {
+      return { ...cell, outputs: [], execution_count: null };
+    }
+
+    executionCount++;
+    const outputs = outputsByCell[cell.id].map(output => (
+      output.output_type === 'execute_result' ? { ...output, execution_count: executionCount } : output
+    ));
+    return { ...cell, outputs, execution_count: executionCount };
+  });
+}
+
+// Attach a run's stdout/stderr to the code cells as nbformat stream outputs.
+// Cells after a failing cell print no marker, so they count as not run.
+function applyRunOutputs(cells, run, marker) {
+  const stdout = splitByMarker(run.stdout, marker);
+  const stderr = splitByMarker(run.stderr, marker);
+  const outputsByCell = {};
+
+  for (const cell of cells) {
+    if (cell.cell_type !== 'code' || (!(cell.id in stdout) && !(cell.id in stderr))) continue;
+
+    const outputs = [];
+    if (stdout[cell.id]) {
+      outputs.push({ output_type: 'stream', name: 'stdout', text: splitSource(stdout[cell.id]) });
+    }
+    if (stderr[cell.id]) {
+      outputs.push({ output_type: 'stream', name: 'stderr', text: splitSource(stderr[cell.id]) });
+    }
+    outputsByCell[cell.id] = outputs;
+  }
+
+  return applyCellOutputs(cells, outputsByCell);
+}
+
+module.exports = {
+  CELL_TYPES,
+  normalizeCells,
+  cellsToContent,
+  contentToCells,
+  mergeContentIntoCells,
+  fromIpynb,
+  toIpynb,
+  buildCellScript,
+  applyCellOutputs,
+  applyRunOutputs,
+  stripMarkers
+};
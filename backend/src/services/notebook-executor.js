@@ -0,0 +1,271 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Limits can be tuned per deployment; every run gets a fresh child process
+const TIMEOUT_MS = parseInt(process.env.NOTEBOOK_TIMEOUT_MS) || 10000;
+const MEMORY_MB = parseInt(process.env.NOTEBOOK_MEMORY_MB) || 128;
+const MAX_OUTPUT_BYTES = parseInt(process.env.NOTEBOOK_MAX_OUTPUT_BYTES) || 64 * 1024;
+const MAX_CONCURRENT_RUNS = parseInt(process.env.NOTEBOOK_MAX_CONCURRENT_RUNS) || 2;
+const PYTHON_BIN = process.env.NOTEBOOK_PYTHON_BIN || 'python3';
+
+// The runners' own guards can be escaped from inside the script, so every run
+// also goes through sandbox/isolate.sh: fresh mount, network and pid
+// namespaces, a read-only root with only the work dir writable, and an
+// unprivileged user without capabilities. 'none' turns this off for
+// development machines that can't create namespaces.
+const ISOLATION = process.env.NOTEBOOK_ISOLATION || 'namespace';
+const SANDBOX_UID = parseInt(process.env.NOTEBOOK_SANDBOX_UID) || 65534;
+
+const SANDBOX_DIR = path.join(__dirname, 'sandbox');
+const JS_RUNNER = path.join(SANDBOX_DIR, 'js-runner.js');
+const PY_RUNNER = path.join(SANDBOX_DIR, 'py-runner.py');
+const ISOLATE_SCRIPT = path.join(SANDBOX_DIR, 'isolate.sh');
+
+// System directories visible (read-only) inside the isolated root
+const SYSTEM_PATHS = ['/usr', '/bin', '/lib', '/lib64', '/sbin'];
+
+const EXECUTABLE_LANGUAGES = ['javascript', 'python'];
+
+// js-runner.js exits with this code when the vm timeout fires
+const TIMEOUT_EXIT_CODE = 124;
+
+let activeRuns = 0;
+
+function sandboxError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Installation prefix of an interpreter outside the system directories,
+// e.g. /opt/node or a pyenv version, which has to be mounted as well
+function runtimePrefix(executable) {
+  const prefix = path.dirname(path.dirname(executable));
+  return SYSTEM_PATHS.some(dir => prefix === dir || prefix.startsWith(`${dir}/`)) ? null : prefix;
+}
+
+// Run a short setup command without blocking the event loop.
+// Resolves with { status, stdout, stderr, error }; never rejects.
+function probe(command, args) {
+  return new Promise((resolve) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'], timeout: 5000 });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.setEncoding('utf8').on('data', (chunk) => { stdout += chunk; });
+    child.stderr.setEncoding('utf8').on('data', (chunk) => { stderr += chunk; });
+    child.on('error', (error) => resolve({ status: null, stdout, stderr, error }));
+    child.on('close', (status) => resolve({ status, stdout, stderr }));
+  });
+}
+
+// PYTHON_BIN may be a shim, so ask the interpreter where it really lives
+let python = null;
+async function resolvePython() {
+  if (!python) {
+    const result = await probe(PYTHON_BIN, ['-c', 'import os, sys; print(os.path.realpath(sys.executable)); print(sys.base_prefix)']);
+    const [executable, prefix] = result.stdout.trim().split('\n');
+    if (result.status !== 0 || !executable) {
+      throw sandboxError('SANDBOX_UNAVAILABLE', `Python interpreter "${PYTHON_BIN}" is not available`);
+    }
+    python = { executable, prefix: runtimePrefix(executable) ? prefix : null };
+  }
+  return python;
+}
+
+async function buildCommand(language) {
+  if (language === 'javascript') {
+    return {
+      command: process.execPath,
+      runtimePrefix: runtimePrefix(fs.realpathSync(process.execPath)),
+      args: [
+        '--no-warnings',
+        `--max-old-space-size=${MEMORY_MB}`,
+        '--experimental-permission',
+        `--allow-fs-read=${JS_RUNNER}`,
+        JS_RUNNER,
+        String(TIMEOUT_MS)
+      ]
+    };
+  }
+
+  // RLIMIT_AS counts address space rather than resident memory, so Python gets
+  // headroom over MEMORY_MB; the CPU rlimit backs up the wall-clock kill
+  const { executable, prefix } = ISOLATION === 'none' ? { executable: PYTHON_BIN, prefix: null } : await resolvePython();
+  return {
+    command: executable,
+    runtimePrefix: prefix,
+    args: ['-I', '-B', PY_RUNNER, String(MEMORY_MB * 4), String(Math.ceil(TIMEOUT_MS / 1000) + 1)]
+  };
+}
+
+// Wraps a runner command in the namespaces set up by isolate.sh. As root the
+// run drops to SANDBOX_UID; otherwise a user namespace maps only the server's
+// own (unprivileged) user.
+function isolate({ command, args, runtimePrefix: prefix }, baseDir) {
+  const asRoot = process.getuid() === 0;
+  return {
+    command: 'unshare',
+    args: [
+      '--mount', '--net', '--pid', '--ipc', '--uts', '--fork', '--kill-child',
+      ...(asRoot ? [] : ['--user', '--map-root-user']),
+      'sh', ISOLATE_SCRIPT, baseDir,
+      asRoot ? String(SANDBOX_UID) : '-', asRoot ? String(SANDBOX_UID) : '-',
+      ...SYSTEM_PATHS, ...(prefix ? [prefix] : []), SANDBOX_DIR,
+      '--', command, ...args
+    ]
+  };
+}
+
+// Checked once before the first run: if namespaces can't be created here,
+// runs are refused rather than executed without isolation
+let isolationChecked = false;
+async function checkIsolation() {
+  if (ISOLATION === 'none' || isolationChecked) return;
+
+  const baseDir = makeBaseDir();
+  try {
+    const { command, args } = isolate({ command: 'true', args: [] }, baseDir);
+    const result = await probe(command, args);
+    if (result.status !== 0) {
+      throw sandboxError(
+        'SANDBOX_UNAVAILABLE',
+        'Notebook isolation is not available on this server: ' + ((result.stderr || '').trim() || (result.error && result.error.message) || 'unshare failed')
+      );
+    }
+    isolationChecked = true;
+  } finally {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  }
+}
+
+// <base>/work is the script's working directory; <base>/root is where
+// isolate.sh mounts the read-only root
+function makeBaseDir() {
+  const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codepedia-notebook-'));
+  fs.mkdirSync(path.join(baseDir, 'work'));
+  fs.mkdirSync(path.join(baseDir, 'root'));
+  if (ISOLATION !== 'none' && process.getuid() === 0) {
+    fs.chownSync(path.join(baseDir, 'work'), SANDBOX_UID, SANDBOX_UID);
+  }
+  return baseDir;
+}
+
+// Collect a stream up to MAX_OUTPUT_BYTES, remembering whether anything was dropped
+function collect(stream) {
+  const output = { chunks: [], bytes: 0, truncated: false };
+
+  stream.on('data', (chunk) => {
+    const remaining = MAX_OUTPUT_BYTES - output.bytes;
+    if (remaining <= 0) {
+      output.truncated = true;
+      return;
+    }
+    if (chunk.length > remaining) {
+      output.truncated = true;
+      chunk = chunk.subarray(0, remaining);
+    }
+    output.chunks.push(chunk);
+    output.bytes += chunk.length;
+  });
+
+  return output;
+}
+
+// Run a notebook script in a sandboxed child process.
+// Resolves with { status, exit_code, signal, stdout, stderr, truncated, timed_out, duration_ms, started_at }
+// where status is 'success', 'error' or 'timeout'.
+async function executeNotebook(language, code) {
+  if (!EXECUTABLE_LANGUAGES.includes(language)) {
+    const error = new Error(`Execution is not supported for ${language} notebooks`);
+    error.code = 'UNSUPPORTED_LANGUAGE';
+    throw error;
+  }
+
+  if (activeRuns >= MAX_CONCURRENT_RUNS) {
+    const error = new Error('Too many notebook runs in progress, please retry shortly');
+    error.code = 'SANDBOX_BUSY';
+    throw error;
+  }
+
+  activeRuns++;
+  const baseDir = makeBaseDir();
+  const workDir = path.join(baseDir, 'work');
+
+  try {
+    await checkIsolation();
+    const runner = await buildCommand(language);
+
+    return await new Promise((resolve, reject) => {
+      const { command, args } = ISOLATION === 'none' ? runner : isolate(runner, baseDir);
+      const startedAt = new Date();
+      const start = process.hrtime.bigint();
+
+      const child = spawn(command, args, {
+        cwd: workDir,
+        // Keep server secrets (DB credentials, JWT secret) out of the child environment
+        env: {
+          PATH: process.env.PATH,
+          LANG: 'C.UTF-8',
+          HOME: ISOLATION === 'none' ? workDir : '/work',
+          TMPDIR: ISOLATION === 'none' ? workDir : '/work',
+          PYTHONIOENCODING: 'utf-8'
+        },
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+
+      const stdout = collect(child.stdout);
+      const stderr = collect(child.stderr);
+      let timedOut = false;
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGKILL');
+      }, TIMEOUT_MS + 500);
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      child.on('close', (exitCode, signal) => {
+        clearTimeout(timer);
+        const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+        let status = exitCode === 0 ? 'success' : 'error';
+        if (timedOut || signal === 'SIGXCPU' || exitCode === TIMEOUT_EXIT_CODE) status = 'timeout';
+
+        resolve({
+          status,
+          exit_code: exitCode,
+          signal,
+          stdout: Buffer.concat(stdout.chunks).toString('utf8'),
+          stderr: Buffer.concat(stderr.chunks).toString('utf8') +
+            (timedOut ? `\nExecution timed out after ${TIMEOUT_MS}ms` : '') +
+            (signal && !timedOut ? `\nProcess terminated by ${signal}` : ''),
+          truncated: stdout.truncated || stderr.truncated,
+          timed_out: status === 'timeout',
+          duration_ms: Math.round(durationMs),
+          started_at: startedAt
+        });
+      });
+
+      child.stdin.on('error', () => {
+        // The child may exit before reading all of stdin; its exit status is reported instead
+      });
+      child.stdin.end(code || '');
+    });
+  } finally {
+    activeRuns--;
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  EXECUTABLE_LANGUAGES,
+  ISOLATION,
+  TIMEOUT_MS,
+  MEMORY_MB,
+  executeNotebook
+};
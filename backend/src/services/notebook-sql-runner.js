@@ -0,0 +1,382 @@
+const crypto = require('crypto');
+const { Pool } = require('pg');
+
+// SQL notebooks run over their own connection (NOTEBOOK_SQL_DATABASE_URL) as a
+// role that must not be able to see Codepedia's tables. Each run creates a
+// throwaway schema inside a transaction, seeds it with the function's fixture
+// script and always rolls back, so nothing a notebook does is ever kept.
+const SQL_DATABASE_URL = process.env.NOTEBOOK_SQL_DATABASE_URL;
+const TIMEOUT_MS = parseInt(process.env.NOTEBOOK_TIMEOUT_MS) || 10000;
+const MAX_ROWS = parseInt(process.env.NOTEBOOK_SQL_MAX_ROWS) || 200;
+const MAX_CONCURRENT_RUNS = parseInt(process.env.NOTEBOOK_MAX_CONCURRENT_RUNS) || 2;
+
+// Statements that would end the sandbox transaction, change the session's
+// identity or talk to the server outside the query protocol
+const FORBIDDEN_STATEMENT = /^(BEGIN|START\s+TRANSACTION|COMMIT|END|ROLLBACK|ABORT|SAVEPOINT|RELEASE|PREPARE\s+TRANSACTION|COMMIT\s+PREPARED|ROLLBACK\s+PREPARED|SET\s+(SESSION\s+|LOCAL\s+)?(ROLE|SESSION\s+AUTHORIZATION|TRANSACTION)|RESET\s+(ROLE|SESSION\s+AUTHORIZATION|ALL)|DISCARD|COPY|LISTEN|UNLISTEN|NOTIFY|LOAD|VACUUM|CHECKPOINT)\b/i;
+
+// Queries that can be read through a cursor, so only MAX_ROWS rows are fetched
+const CURSOR_STATEMENT = /^(SELECT|VALUES|TABLE|WITH)\b/i;
+const DATA_MODIFYING = /\b(INSERT|UPDATE|DELETE|MERGE|INTO)\b/i;
+const CURSOR_PREFIX = 'DECLARE notebook_cursor NO SCROLL CURSOR FOR ';
+
+let pool = null;
+let sandboxVerified = false;
+let activeRuns = 0;
+
+function sandboxError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function getPool() {
+  if (!SQL_DATABASE_URL) {
+    throw sandboxError('SQL_SANDBOX_UNAVAILABLE', 'SQL execution is not configured on this server');
+  }
+  if (!pool) {
+    // query_timeout backs up statement_timeout, which a notebook could change with set_config()
+    pool = new Pool({ connectionString: SQL_DATABASE_URL, max: MAX_CONCURRENT_RUNS, query_timeout: TIMEOUT_MS + 1000 });
+    pool.on('error', (err) => {
+      console.error('Unexpected error on idle SQL sandbox client', err);
+    });
+  }
+  return pool;
+}
+
+// Split a script into statements on top-level semicolons, skipping over
+// quoted strings, quoted identifiers, dollar-quoted bodies and comments.
+// Each statement starts at its first token and records the line it is on.
+function splitStatements(sql) {
+  const text = String(sql || '');
+  const statements = [];
+  let start = null;
+  let line = 1;
+  let startLine = 1;
+  let i = 0;
+
+  const begin = () => {
+    if (start === null) {
+      start = i;
+      startLine = line;
+    }
+  };
+  const advance = (count) => {
+    for (let k = 0; k < count && i < text.length; k++, i++) {
+      if (text[i] === '\n') line++;
+    }
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+    const next = text[i + 1];
+
+    if (char === '-' && next === '-') {
+      const end = text.indexOf('\n', i);
+      advance((end === -1 ? text.length : end) - i);
+    } else if (char === '/' && next === '*') {
+      // Block comments nest in PostgreSQL
+      let depth = 0;
+      do {
+        if (text[i] === '/' && text[i + 1] === '*') {
+          depth++;
+          advance(2);
+        } else if (text[i] === '*' && text[i + 1] === '/') {
+          depth--;
+          advance(2);
+        } else {
+          advance(1);
+        }
+      } while (depth > 0 && i < text.length);
+    } else if (char === ';') {
+      if (start !== null) {
+        statements.push({ text: text.slice(start, i).trim(), line: startLine });
+        start = null;
+      }
+      advance(1);
+    } else if (/\s/.test(char)) {
+      advance(1);
+    } else {
+      begin();
+      if (char === '\'' || char === '"') {
+        // E'' strings also allow backslash escapes
+        const escapes = char === '\'' && /[eE]/.test(text[i - 1] || '') && !/[\w$]/.test(text[i - 2] || '');
+        advance(1);
+        while (i < text.length) {
+          if (escapes && text[i] === '\\') {
+            advance(2);
+          } else if (text[i] === char && text[i + 1] === char) {
+            advance(2);
+          } else if (text[i] === char) {
+            advance(1);
+            break;
+          } else {
+            advance(1);
+          }
+        }
+      } else if (char === '$' && !/[\w$]/.test(text[i - 1] || '')) {
+        const tag = text.slice(i).match(/^\$([A-Za-z_][A-Za-z0-9_]*)?\$/);
+        if (tag) {
+          const close = text.indexOf(tag[0], i + tag[0].length);
+          advance(close === -1 ? text.length - i : close + tag[0].length - i);
+        } else {
+          advance(1);
+        }
+      } else {
+        advance(1);
+      }
+    }
+  }
+
+  if (start !== null) {
+    statements.push({ text: text.slice(start).trim(), line: startLine });
+  }
+  return statements;
+}
+
+// Reject statements the sandbox cannot allow; returns the parsed statements
+function parseScript(sql) {
+  const statements = splitStatements(sql);
+  for (const statement of statements) {
+    const keyword = statement.text.match(FORBIDDEN_STATEMENT);
+    if (keyword) {
+      throw sandboxError('SQL_STATEMENT_NOT_ALLOWED',
+        `${keyword[0].toUpperCase()} is not allowed in notebook SQL (line ${statement.line})`);
+    }
+  }
+  return statements;
+}
+
+// Refuse to run if the sandbox role could reach any existing table or switch
+// to a more privileged role
+async function verifySandboxRole(client) {
+  if (sandboxVerified) return;
+
+  const result = await client.query(`
+    SELECT r.rolsuper, r.rolcreaterole, r.rolcreatedb, r.rolbypassrls,
+           EXISTS (SELECT 1 FROM pg_auth_members m WHERE m.member = r.oid) AS has_memberships,
+           (SELECT COUNT(*)
+            FROM pg_class c
+            JOIN pg_namespace n ON n.oid = c.relnamespace
+            WHERE n.nspname NOT IN ('pg_catalog', 'information_schema')
+              AND n.nspname NOT LIKE 'pg_toast%'
+              AND c.relkind IN ('r', 'p', 'v', 'm', 'f')
+              AND has_table_privilege(c.oid, 'SELECT, INSERT, UPDATE, DELETE, TRUNCATE, REFERENCES, TRIGGER')
+           )::int AS accessible_tables
+    FROM pg_roles r
+    WHERE r.rolname = current_user
+  `);
+
+  const role = result.rows[0];
+  if (!role || role.rolsuper || role.rolcreaterole || role.rolcreatedb || role.rolbypassrls ||
+      role.has_memberships || role.accessible_tables > 0) {
+    throw sandboxError('SQL_SANDBOX_UNSAFE',
+      'The SQL sandbox role has access to existing tables or elevated privileges; SQL execution is disabled');
+  }
+  sandboxVerified = true;
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `\\x${value.toString('hex')}`;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+// psql-style aligned table
+function formatTable(columns, rows, rowCount, truncated) {
+  const cells = rows.map(row => row.map(value => (value === null ? '' : String(value))));
+  const widths = columns.map((column, index) => Math.max(
+    column.length,
+    ...cells.map(row => row[index].length)
+  ));
+
+  const header = columns.map((column, index) => ` ${column.padEnd(widths[index])} `).join('|');
+  const divider = widths.map(width => '-'.repeat(width + 2)).join('+');
+  const body = cells.map(row => row.map((value, index) => ` ${value.padEnd(widths[index])} `).join('|'));
+  const footer = `(${rowCount} ${rowCount === 1 ? 'row' : 'rows'}${truncated ? `, first ${rows.length} shown` : ''})`;
+
+  return [header, divider, ...body, footer].join('\n') + '\n';
+}
+
+// nbformat output for a query's rows: a plain-text table plus a Table Schema
+// data resource that notebook frontends render as an HTML table
+function resultSetOutput(fields, rows, rowCount, truncated) {
+  const seen = {};
+  const columns = fields.map((field) => {
+    seen[field.name] = (seen[field.name] || 0) + 1;
+    return seen[field.name] > 1 ? `${field.name}_${seen[field.name]}` : field.name;
+  });
+  const values = rows.map(row => row.map(formatValue));
+
+  return {
+    output_type: 'execute_result',
+    data: {
+      'text/plain': formatTable(columns, values, rowCount, truncated),
+      'application/vnd.dataresource+json': {
+        schema: { fields: columns.map(name => ({ name })) },
+        data: values.map(row => Object.fromEntries(columns.map((name, index) => [name, row[index]])))
+      }
+    },
+    metadata: { row_count: rowCount, truncated },
+    execution_count: null
+  };
+}
+
+function commandTag(result) {
+  return result.rowCount === null || result.rowCount === undefined
+    ? result.command
+    : `${result.command} ${result.rowCount}`;
+}
+
+// Run one statement; SELECTs go through a cursor so huge results are never
+// pulled into memory. Resolves with an nbformat output.
+async function runStatement(client, statement) {
+  const useCursor = CURSOR_STATEMENT.test(statement.text) && !DATA_MODIFYING.test(statement.text);
+
+  // queryMode 'extended' makes the server reject anything but a single statement
+  if (!useCursor) {
+    const result = await client.query({ text: statement.text, rowMode: 'array', queryMode: 'extended' });
+    if (result.fields && result.fields.length > 0) {
+      return resultSetOutput(result.fields, result.rows.slice(0, MAX_ROWS), result.rows.length, result.rows.length > MAX_ROWS);
+    }
+    return { output_type: 'stream', name: 'stdout', text: `${commandTag(result)}\n` };
+  }
+
+  try {
+    await client.query({ text: CURSOR_PREFIX + statement.text, queryMode: 'extended' });
+  } catch (error) {
+    if (error.position) error.position = String(parseInt(error.position) - CURSOR_PREFIX.length);
+    throw error;
+  }
+  const fetched = await client.query({ text: `FETCH FORWARD ${MAX_ROWS} FROM notebook_cursor`, rowMode: 'array' });
+  const rest = await client.query('MOVE FORWARD ALL IN notebook_cursor');
+  await client.query('CLOSE notebook_cursor');
+
+  const rowCount = fetched.rows.length + rest.rowCount;
+  return resultSetOutput(fetched.fields, fetched.rows, rowCount, rest.rowCount > 0);
+}
+
+// Error output pointing at the line of the script the server complained about
+function errorOutput(error, statement) {
+  let line = statement.line;
+  if (parseInt(error.position) > 0) {
+    line += statement.text.slice(0, parseInt(error.position) - 1).split('\n').length - 1;
+  }
+
+  const traceback = [`ERROR:  ${error.message}`, `LINE ${line}: ${statement.text.split('\n')[line - statement.line] || ''}`];
+  if (error.detail) traceback.push(`DETAIL:  ${error.detail}`);
+  if (error.hint) traceback.push(`HINT:  ${error.hint}`);
+
+  return {
+    output_type: 'error',
+    ename: error.code ? `SQLSTATE ${error.code}` : 'Error',
+    evalue: error.message,
+    traceback
+  };
+}
+
+// 57014 is query_canceled, raised when statement_timeout fires
+function isTimeout(error) {
+  return error.code === '57014' || error.message === 'Query read timeout';
+}
+
+function outputToText(output) {
+  if (output.output_type === 'stream') return output.text;
+  if (output.output_type === 'error') return `${output.traceback.join('\n')}\n`;
+  return output.data['text/plain'];
+}
+
+// Run the code cells of a SQL notebook after seeding the sandbox with the
+// fixture script. Resolves with the same shape as executeNotebook() plus
+// cell_outputs: { [cellId]: nbformat outputs } for the cells that ran.
+async function executeSqlNotebook(cells, fixture) {
+  const fixtureStatements = parseScript(fixture);
+  const codeCells = cells
+    .filter(cell => cell.cell_type === 'code')
+    .map(cell => ({ id: cell.id, statements: parseScript(cell.source) }));
+
+  if (activeRuns >= MAX_CONCURRENT_RUNS) {
+    throw sandboxError('SANDBOX_BUSY', 'Too many notebook runs in progress, please retry shortly');
+  }
+
+  activeRuns++;
+  const startedAt = new Date();
+  const start = process.hrtime.bigint();
+  const cellOutputs = {};
+  const stdout = [];
+  const stderr = [];
+  let status = 'success';
+  let truncated = false;
+  let client;
+
+  try {
+    client = await getPool().connect();
+    await verifySandboxRole(client);
+
+    const schema = `notebook_${crypto.randomBytes(8).toString('hex')}`;
+    await client.query('BEGIN');
+    await client.query(`SET LOCAL statement_timeout = ${TIMEOUT_MS}`);
+    await client.query(`SET LOCAL lock_timeout = ${TIMEOUT_MS}`);
+    await client.query(`CREATE SCHEMA ${schema}`);
+    await client.query(`SET LOCAL search_path TO ${schema}`);
+
+    for (const statement of fixtureStatements) {
+      try {
+        await runStatement(client, statement);
+      } catch (error) {
+        status = isTimeout(error) ? 'timeout' : 'error';
+        stderr.push(`Fixture script failed:\n${outputToText(errorOutput(error, statement))}`);
+        break;
+      }
+    }
+
+    for (const cell of codeCells) {
+      if (status !== 'success') break;
+
+      const outputs = [];
+      cellOutputs[cell.id] = outputs;
+      for (const statement of cell.statements) {
+        try {
+          const output = await runStatement(client, statement);
+          outputs.push(output);
+          stdout.push(outputToText(output));
+          if (output.metadata && output.metadata.truncated) truncated = true;
+        } catch (error) {
+          status = isTimeout(error) ? 'timeout' : 'error';
+          const output = errorOutput(error, statement);
+          outputs.push(output);
+          stderr.push(outputToText(output));
+          break;
+        }
+      }
+    }
+  } finally {
+    activeRuns--;
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+      // Never hand a sandbox session back to the pool
+      client.release(true);
+    }
+  }
+
+  return {
+    status,
+    exit_code: null,
+    signal: null,
+    stdout: stdout.join(''),
+    stderr: stderr.join(''),
+    truncated,
+    timed_out: status === 'timeout',
+    duration_ms: Math.round(Number(process.hrtime.bigint() - start) / 1e6),
+    started_at: startedAt,
+    cell_outputs: cellOutputs
+  };
+}
+
+module.exports = {
+  MAX_ROWS,
+  splitStatements,
+  parseScript,
+  executeSqlNotebook
+};
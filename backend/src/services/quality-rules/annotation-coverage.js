@@ -0,0 +1,114 @@
+// Checks that the document and its use case scripts discuss the files and key
+// methods the code annotator recorded for the task. Files count as covered when
+// their path or file name is mentioned; methods when their name (or the last
+// segment of a qualified name like UserService.createUser) appears as a whole word.
+
+const { escapeRegExp } = require('../regexp');
+
+function fileAliases(filePath) {
+  const normalized = filePath.trim().replace(/\\/g, '/').replace(/^\.\//, '');
+  const fileName = normalized.split('/').pop();
+  return [normalized, fileName].filter(Boolean);
+}
+
+function methodAliases(method) {
+  const name = method.trim().replace(/\(.*\)\s*$/, '');
+  const shortName = name.split(/\.|::|#/).pop();
+  return [name, shortName].filter(Boolean);
+}
+
+function mentions(text, alias, caseSensitive) {
+  // Whole-word match that still allows the name to be followed by "(" or "."
+  const pattern = new RegExp(`(^|[^\\w$])${escapeRegExp(alias)}(?![\\w$])`, caseSensitive ? '' : 'i');
+  return pattern.test(text);
+}
+
+function notebookText(notebook) {
+  const markdown = (notebook.cells || [])
+    .filter(cell => cell.cell_type === 'markdown')
+    .map(cell => cell.source)
+    .join('\n');
+  return [notebook.title, notebook.description, notebook.content, markdown].filter(Boolean).join('\n');
+}
+
+module.exports = {
+  id: 'annotation_coverage',
+  title: 'Annotation Coverage',
+  group: 'Integration',
+  description: 'Document and scripts should explain the annotated files and key methods',
+  severity: 'error',
+  defaults: {
+    min_coverage: 50
+  },
+
+  async check({ document, notebooks, db }, params) {
+    const result = await db.query(`
+      SELECT file_paths, key_methods
+      FROM code_annotations
+      WHERE task_id = $1
+    `, [document.task_id]);
+
+    const files = [...new Set(result.rows.flatMap(row => row.file_paths || []).filter(path => path && path.trim()))];
+    const methods = [...new Set(result.rows.flatMap(row => row.key_methods || []).filter(method => method && method.trim()))];
+
+    // Nothing annotated yet, nothing to measure
+    if (files.length === 0 && methods.length === 0) return null;
+
+    const sources = [
+      { name: 'document', text: `${document.title || ''}\n${document.content || ''}` },
+      ...notebooks.map(notebook => ({ name: `notebook: ${notebook.title}`, text: notebookText(notebook) }))
+    ];
+
+    const evaluate = (type, value, aliases, caseSensitive) => ({
+      type,
+      value,
+      found_in: sources
+        .filter(source => aliases.some(alias => mentions(source.text, alias, caseSensitive)))
+        .map(source => source.name)
+    });
+
+    const items = [
+      ...files.map(file => evaluate('file', file, fileAliases(file), false)),
+      ...methods.map(method => evaluate('method', method, methodAliases(method), true))
+    ];
+
+    const covered = items.filter(item => item.found_in.length > 0);
+    const uncovered = items.filter(item => item.found_in.length === 0);
+    const coverage = Math.round((covered.length / items.length) * 100);
+
+    const details = {
+      coverage_percent: coverage,
+      files_covered: covered.filter(item => item.type === 'file').length,
+      files_total: files.length,
+      methods_covered: covered.filter(item => item.type === 'method').length,
+      methods_total: methods.length,
+      uncovered: uncovered.map(item => ({ type: item.type, value: item.value })),
+      covered: covered.map(item => ({ type: item.type, value: item.value, found_in: item.found_in }))
+    };
+
+    if (coverage < params.min_coverage) {
+      return {
+        status: 'fail',
+        message: `Only ${coverage}% of the annotated files and key methods are explained (minimum ${params.min_coverage}%)`,
+        details,
+        score: coverage
+      };
+    }
+
+    if (uncovered.length > 0) {
+      return {
+        status: 'warning',
+        message: `${coverage}% of the annotated code is explained; ${uncovered.length} item(s) are not mentioned`,
+        details,
+        score: coverage
+      };
+    }
+
+    return {
+      status: 'pass',
+      message: 'Every annotated file and key method is explained',
+      details,
+      score: 100
+    };
+  }
+};
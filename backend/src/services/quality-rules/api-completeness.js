@@ -0,0 +1,39 @@
+// Every API configuration must fill in the required fields
+module.exports = {
+  id: 'api_completeness',
+  title: 'API Completeness',
+  group: 'API Testing',
+  description: 'API test configurations must have all required fields',
+  severity: 'warning',
+  defaults: {
+    required_fields: ['name', 'method', 'endpoint', 'expected_status']
+  },
+
+  check({ apiConfigs }, params) {
+    if (apiConfigs.length === 0) return null;
+
+    const incompleteConfigs = apiConfigs
+      .map(config => ({
+        id: config.id,
+        name: config.name,
+        missing: params.required_fields.filter(field => !config[field])
+      }))
+      .filter(config => config.missing.length > 0);
+
+    if (incompleteConfigs.length > 0) {
+      return {
+        status: 'fail',
+        message: `${incompleteConfigs.length} API configurations are incomplete`,
+        details: { incomplete_configs: incompleteConfigs },
+        score: Math.max(30, 100 - (incompleteConfigs.length * 20))
+      };
+    }
+
+    return {
+      status: 'pass',
+      message: 'All API configurations are complete',
+      details: { complete_count: apiConfigs.length },
+      score: 100
+    };
+  }
+};
@@ -0,0 +1,30 @@
+module.exports = {
+  id: 'api_coverage',
+  title: 'API Coverage',
+  group: 'API Testing',
+  description: 'A minimum number of API test configurations is required',
+  severity: 'error',
+  defaults: {
+    min_configs: 1
+  },
+
+  check({ apiConfigs }, params) {
+    if (apiConfigs.length < params.min_configs) {
+      return {
+        status: 'fail',
+        message: apiConfigs.length === 0
+          ? `No API test configurations found. At least ${params.min_configs === 1 ? 'one API test is' : `${params.min_configs} API tests are`} required.`
+          : `Only ${apiConfigs.length} API test configurations found. At least ${params.min_configs} are required.`,
+        details: { config_count: apiConfigs.length, minimum_required: params.min_configs },
+        score: Math.round((apiConfigs.length / params.min_configs) * 50)
+      };
+    }
+
+    return {
+      status: 'pass',
+      message: `${apiConfigs.length} API test configurations provided`,
+      details: { config_count: apiConfigs.length },
+      score: Math.min(100, 60 + (apiConfigs.length * 20))
+    };
+  }
+};
@@ -0,0 +1,35 @@
+// The document text should mention the endpoints (or names) of its API configurations
+module.exports = {
+  id: 'api_integration',
+  title: 'API Integration',
+  group: 'Integration',
+  description: 'Document should reference the configured API endpoints',
+  severity: 'warning',
+  defaults: {},
+
+  check({ document, apiConfigs }) {
+    if (apiConfigs.length === 0) return null;
+
+    const content = (document.content || '').toLowerCase();
+    const hasApiReferences = apiConfigs.some(config =>
+      (config.endpoint && content.includes(config.endpoint.toLowerCase())) ||
+      (config.name && content.includes(config.name.toLowerCase()))
+    );
+
+    if (!hasApiReferences) {
+      return {
+        status: 'fail',
+        message: 'Document should reference the configured API endpoints',
+        details: { api_count: apiConfigs.length, references_found: false },
+        score: 60
+      };
+    }
+
+    return {
+      status: 'pass',
+      message: 'Document properly integrates with API configurations',
+      details: { references_found: true },
+      score: 100
+    };
+  }
+};
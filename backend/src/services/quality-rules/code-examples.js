@@ -0,0 +1,36 @@
+// Counts closed fenced code blocks in the document
+const { parseMarkdown } = require('../markdown-analysis');
+
+module.exports = {
+  id: 'code_examples',
+  title: 'Code Examples',
+  group: 'Documentation',
+  description: 'Document should include fenced code examples',
+  severity: 'warning',
+  defaults: {
+    min_blocks: 1
+  },
+
+  check({ document }, params) {
+    const { fences } = parseMarkdown(document.content || '');
+    const codeBlockCount = fences.filter(fence => fence.end_line !== null).length;
+
+    if (codeBlockCount < params.min_blocks) {
+      return {
+        status: 'fail',
+        message: codeBlockCount === 0
+          ? 'Consider adding code examples to illustrate implementation'
+          : `Consider adding more code examples (at least ${params.min_blocks})`,
+        details: { code_blocks_found: codeBlockCount, minimum_required: params.min_blocks },
+        score: 50
+      };
+    }
+
+    return {
+      status: 'pass',
+      message: `Document includes ${codeBlockCount} code examples`,
+      details: { code_blocks_found: codeBlockCount },
+      score: Math.min(100, 70 + (codeBlockCount * 10))
+    };
+  }
+};
@@ -0,0 +1,24 @@
+// Bonus check for documents that ship both API tests and use case scripts
+module.exports = {
+  id: 'content_consistency',
+  title: 'Content Consistency',
+  group: 'Integration',
+  description: 'Documentation is complete with both APIs and use cases',
+  severity: 'warning',
+  defaults: {},
+
+  check({ document, apiConfigs, notebooks }) {
+    if (apiConfigs.length === 0 || notebooks.length === 0) return null;
+
+    return {
+      status: 'pass',
+      message: 'Complete documentation with APIs and use cases',
+      details: {
+        has_documentation: (document.content || '').length > 100,
+        has_apis: true,
+        has_notebooks: true
+      },
+      score: 100
+    };
+  }
+};
@@ -0,0 +1,41 @@
+// Below min_length the document fails; below recommended_length it only gets a warning
+module.exports = {
+  id: 'content_length',
+  title: 'Content Length',
+  group: 'Documentation',
+  description: 'Document content must reach a minimum length',
+  severity: 'error',
+  defaults: {
+    min_length: 100,
+    recommended_length: 500
+  },
+
+  check({ document }, params) {
+    const content = document.content || '';
+
+    if (content.length < params.min_length) {
+      return {
+        status: 'fail',
+        message: `Document content is too short (minimum ${params.min_length} characters)`,
+        details: { current_length: content.length, minimum_required: params.min_length },
+        score: 0
+      };
+    }
+
+    if (content.length < params.recommended_length) {
+      return {
+        status: 'warning',
+        message: 'Document content could be more comprehensive',
+        details: { current_length: content.length, recommended_minimum: params.recommended_length },
+        score: 60
+      };
+    }
+
+    return {
+      status: 'pass',
+      message: 'Document content has adequate length',
+      details: { content_length: content.length },
+      score: 100
+    };
+  }
+};
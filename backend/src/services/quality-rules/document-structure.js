@@ -0,0 +1,38 @@
+// Looks for a markdown heading mentioning each of the configured sections
+const { parseMarkdown } = require('../markdown-analysis');
+
+module.exports = {
+  id: 'document_structure',
+  title: 'Document Structure',
+  group: 'Documentation',
+  description: 'Document should be organised into the expected sections',
+  severity: 'warning',
+  defaults: {
+    sections: ['overview', 'implementation', 'usage']
+  },
+
+  check({ document }, params) {
+    const { headings } = parseMarkdown(document.content || '');
+    const sections = params.sections;
+    const foundSections = sections.filter(section =>
+      headings.some(heading => heading.text.toLowerCase().includes(section.toLowerCase()))
+    );
+
+    if (foundSections.length === 0) {
+      const names = sections.map(section => section.charAt(0).toUpperCase() + section.slice(1));
+      return {
+        status: 'fail',
+        message: `Consider adding structured sections (${names.join(', ')})`,
+        details: { found_sections: foundSections, recommended_sections: sections },
+        score: 40
+      };
+    }
+
+    return {
+      status: 'pass',
+      message: `Document has good structure with ${foundSections.length} key sections`,
+      details: { found_sections: foundSections },
+      score: Math.min(100, 80 + (foundSections.length * 6))
+    };
+  }
+};
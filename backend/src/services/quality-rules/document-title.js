@@ -0,0 +1,29 @@
+// The document needs a real title, not the editor's placeholder
+module.exports = {
+  id: 'document_title',
+  title: 'Document Title',
+  group: 'Documentation',
+  description: 'Document must have a meaningful title',
+  severity: 'error',
+  defaults: {},
+
+  check({ document }) {
+    const title = document.title || '';
+
+    if (!title || title.trim() === '' || title === 'Untitled Document') {
+      return {
+        status: 'fail',
+        message: 'Document must have a meaningful title',
+        details: { current_title: title },
+        score: 0
+      };
+    }
+
+    return {
+      status: 'pass',
+      message: 'Document has a valid title',
+      details: { title_length: title.length },
+      score: 100
+    };
+  }
+};
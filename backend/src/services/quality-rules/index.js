@@ -0,0 +1,210 @@
+// Quality check rule registry.
+//
+// A rule is a module exporting:
+//   id          check_type stored in quality_checks
+//   title/group how the check is labelled and grouped in the UI
+//   severity    'error' (blocks submission) or 'warning', applied when the rule fails
+//   reportsLines true when details.issues lists { line, column, severity, rule, message }
+//               entries the editor can highlight; such rules also run on unsaved drafts
+//   defaults    tunable parameters; categories can override any of them
+//   check(context, params) -> { status: 'pass' | 'warning' | 'fail', message, details, score } | null
+//
+// context is { document, apiConfigs, notebooks, db }. Returning null means the
+// rule does not apply to the document. Categories configure rules through
+// quality_rule_configs; settings on a category apply to its whole subtree
+// unless a descendant overrides them.
+
+const SEVERITIES = ['error', 'warning'];
+const DEFAULT_MIN_SUBMIT_SCORE = 60;
+
+const registry = new Map();
+
+function registerRule(rule) {
+  if (!rule || !rule.id || typeof rule.check !== 'function') {
+    throw new Error('A quality rule needs an id and a check function');
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    throw new Error(`Quality rule ${rule.id} has an invalid severity "${rule.severity}"`);
+  }
+  if (registry.has(rule.id)) {
+    throw new Error(`Quality rule ${rule.id} is already registered`);
+  }
+  registry.set(rule.id, { enabled: true, defaults: {}, ...rule });
+}
+
+[
+  require('./document-title'),
+  require('./content-length'),
+  require('./document-structure'),
+  require('./code-examples'),
+  require('./markdown-lint'),
+  require('./link-validation'),
+  require('./readability'),
+  require('./spelling-terminology'),
+  require('./api-coverage'),
+  require('./api-completeness'),
+  require('./notebook-coverage'),
+  require('./notebook-quality'),
+  require('./api-integration'),
+  require('./annotation-coverage'),
+  require('./content-consistency')
+].forEach(registerRule);
+
+function listRules() {
+  return Array.from(registry.values()).map(rule => ({
+    id: rule.id,
+    title: rule.title,
+    group: rule.group,
+    description: rule.description,
+    severity: rule.severity,
+    enabled: rule.enabled,
+    reports_lines: Boolean(rule.reportsLines),
+    defaults: rule.defaults
+  }));
+}
+
+// Check a category's rule overrides ({ rule_id: { enabled, severity, params } })
+// against the registry; throws with a message suitable for a 400 response
+function validateRuleOverrides(overrides) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('rules must be an object keyed by rule id');
+  }
+
+  for (const [ruleId, override] of Object.entries(overrides)) {
+    const rule = registry.get(ruleId);
+    if (!rule) {
+      throw new Error(`Unknown quality rule "${ruleId}"`);
+    }
+    if (!override || typeof override !== 'object') {
+      throw new Error(`Settings for ${ruleId} must be an object`);
+    }
+    if (override.enabled !== undefined && typeof override.enabled !== 'boolean') {
+      throw new Error(`${ruleId}.enabled must be a boolean`);
+    }
+    if (override.severity !== undefined && !SEVERITIES.includes(override.severity)) {
+      throw new Error(`${ruleId}.severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+
+    for (const [name, value] of Object.entries(override.params || {})) {
+      if (!(name in rule.defaults)) {
+        throw new Error(`${ruleId} has no parameter "${name}"`);
+      }
+      const expected = rule.defaults[name];
+      const valid = Array.isArray(expected)
+        ? Array.isArray(value) && value.every(item => typeof item === typeof expected[0])
+        : typeof value === typeof expected && (typeof value !== 'number' || (Number.isFinite(value) && value >= 0));
+      if (!valid) {
+        throw new Error(`${ruleId}.params.${name} must be ${Array.isArray(expected) ? 'an array' : `a ${typeof expected}`} like the default`);
+      }
+    }
+  }
+}
+
+// Merge category configs ordered from the root category down to the leaf.
+// Returns { rules: { id: { enabled, severity, params, source } }, min_submit_score, min_submit_score_source }
+// where source is the id of the category the setting came from (null for the built-in default).
+function resolveConfig(categoryConfigs = []) {
+  const rules = {};
+  for (const rule of registry.values()) {
+    rules[rule.id] = {
+      enabled: rule.enabled,
+      severity: rule.severity,
+      params: { ...rule.defaults },
+      source: null
+    };
+  }
+
+  let minSubmitScore = DEFAULT_MIN_SUBMIT_SCORE;
+  let minSubmitScoreSource = null;
+
+  for (const config of categoryConfigs) {
+    for (const [ruleId, override] of Object.entries(config.rules || {})) {
+      const effective = rules[ruleId];
+      if (!effective) continue; // Rule removed since the config was saved
+
+      if (override.enabled !== undefined) effective.enabled = override.enabled;
+      if (override.severity !== undefined) effective.severity = override.severity;
+      Object.assign(effective.params, override.params || {});
+      effective.source = config.category_id;
+    }
+
+    if (config.min_submit_score !== null && config.min_submit_score !== undefined) {
+      minSubmitScore = config.min_submit_score;
+      minSubmitScoreSource = config.category_id;
+    }
+  }
+
+  return { rules, min_submit_score: minSubmitScore, min_submit_score_source: minSubmitScoreSource };
+}
+
+// Run every enabled rule and return the checks in registry order
+async function runQualityChecks(context, config = resolveConfig()) {
+  const checks = [];
+
+  for (const rule of registry.values()) {
+    const settings = config.rules[rule.id];
+    if (!settings || !settings.enabled) continue;
+
+    let result;
+    try {
+      result = await rule.check(context, settings.params);
+    } catch (error) {
+      // A rule that cannot run counts as failed rather than being left out
+      console.error(`Error running quality rule ${rule.id}:`, error);
+      result = {
+        status: 'fail',
+        message: `${rule.title || rule.id} could not be checked: ${error.message}`,
+        details: { error: error.message },
+        score: 0
+      };
+    }
+    if (!result) continue;
+
+    checks.push({
+      type: rule.id,
+      check_type: rule.id,
+      title: rule.title,
+      group: rule.group,
+      severity: settings.severity,
+      status: result.status === 'fail' ? settings.severity : result.status,
+      message: result.message,
+      details: result.details || {},
+      score: Math.max(0, Math.min(100, Math.round(result.score)))
+    });
+  }
+
+  return checks;
+}
+
+function calculateOverallScore(checks) {
+  if (checks.length === 0) return 0;
+
+  const totalScore = checks.reduce((sum, check) => sum + (check.score || 0), 0);
+  return Math.round(totalScore / checks.length);
+}
+
+// Overall score and submit decision under the effective configuration
+function summarizeChecks(checks, config) {
+  const overallScore = calculateOverallScore(checks);
+  const blockingIssues = checks.filter(check => check.status === 'error');
+
+  return {
+    overall_score: overallScore,
+    min_submit_score: config.min_submit_score,
+    can_submit: blockingIssues.length === 0 && overallScore >= config.min_submit_score,
+    blocking_issues: blockingIssues,
+    warnings: checks.filter(check => check.status === 'warning'),
+    passed: checks.filter(check => check.status === 'pass')
+  };
+}
+
+module.exports = {
+  SEVERITIES,
+  DEFAULT_MIN_SUBMIT_SCORE,
+  registerRule,
+  listRules,
+  validateRuleOverrides,
+  resolveConfig,
+  runQualityChecks,
+  summarizeChecks
+};
@@ -0,0 +1,55 @@
+// Validates link targets, in-page anchors, reference definitions and image
+// references. External URLs are checked for form only; nothing is fetched.
+const { validateLinks } = require('../markdown-analysis');
+
+module.exports = {
+  id: 'link_validation',
+  title: 'Links & Images',
+  group: 'Documentation',
+  description: 'Links and anchors must point somewhere and images need a valid source and alt text',
+  severity: 'warning',
+  reportsLines: true,
+  defaults: {
+    allowed_schemes: ['http', 'https', 'mailto'],
+    image_extensions: ['png', 'jpg', 'jpeg', 'gif', 'svg', 'webp']
+  },
+
+  check({ document }, params) {
+    const { issues, links, images } = validateLinks(document.content || '', {
+      allowedSchemes: params.allowed_schemes.map(scheme => scheme.toLowerCase()),
+      imageExtensions: params.image_extensions.map(extension => extension.toLowerCase().replace(/^\./, ''))
+    });
+
+    // Nothing to validate
+    if (links === 0 && images === 0) return null;
+
+    const errors = issues.filter(issue => issue.severity === 'error');
+    const details = { issues, links, images };
+    const score = 100 - errors.length * 20 - (issues.length - errors.length) * 5;
+
+    if (errors.length > 0) {
+      return {
+        status: 'fail',
+        message: `${errors.length} broken link or image reference(s), first at line ${errors[0].line}`,
+        details,
+        score
+      };
+    }
+
+    if (issues.length > 0) {
+      return {
+        status: 'warning',
+        message: `${issues.length} link or image issue(s) found`,
+        details,
+        score
+      };
+    }
+
+    return {
+      status: 'pass',
+      message: `All ${links} link(s) and ${images} image(s) are valid`,
+      details,
+      score: 100
+    };
+  }
+};
@@ -0,0 +1,49 @@
+// Structural markdown problems: heading hierarchy, unclosed code fences and
+// empty sections. Issues carry line numbers for inline highlighting.
+const { lintMarkdown } = require('../markdown-analysis');
+
+module.exports = {
+  id: 'markdown_lint',
+  title: 'Markdown Structure',
+  group: 'Documentation',
+  description: 'Headings should nest in order, code fences must be closed and sections need content',
+  severity: 'warning',
+  reportsLines: true,
+  defaults: {
+    max_heading_jump: 1
+  },
+
+  check({ document }, params) {
+    const { issues, headings, code_blocks } = lintMarkdown(document.content || '', {
+      maxHeadingJump: params.max_heading_jump
+    });
+    const errors = issues.filter(issue => issue.severity === 'error');
+    const details = { issues, headings, code_blocks };
+    const score = 100 - errors.length * 30 - (issues.length - errors.length) * 10;
+
+    if (errors.length > 0) {
+      return {
+        status: 'fail',
+        message: `${errors.length} markdown error(s) break rendering, starting at line ${errors[0].line}`,
+        details,
+        score
+      };
+    }
+
+    if (issues.length > 0) {
+      return {
+        status: 'warning',
+        message: `${issues.length} markdown structure issue(s) found`,
+        details,
+        score
+      };
+    }
+
+    return {
+      status: 'pass',
+      message: 'Markdown structure is well-formed',
+      details,
+      score: 100
+    };
+  }
+};
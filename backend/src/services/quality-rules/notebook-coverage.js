@@ -0,0 +1,30 @@
+module.exports = {
+  id: 'notebook_coverage',
+  title: 'Use Case Scripts',
+  group: 'Use Cases',
+  description: 'Document should come with use case scripts',
+  severity: 'warning',
+  defaults: {
+    min_notebooks: 1
+  },
+
+  check({ notebooks }, params) {
+    if (notebooks.length < params.min_notebooks) {
+      return {
+        status: 'fail',
+        message: notebooks.length === 0
+          ? 'No use case scripts provided. Consider adding practical examples.'
+          : `Only ${notebooks.length} use case script(s) provided. At least ${params.min_notebooks} are expected.`,
+        details: { notebook_count: notebooks.length, minimum_required: params.min_notebooks },
+        score: 50
+      };
+    }
+
+    return {
+      status: 'pass',
+      message: `${notebooks.length} use case script(s) provided`,
+      details: { notebook_count: notebooks.length },
+      score: Math.min(100, 70 + (notebooks.length * 15))
+    };
+  }
+};
@@ -0,0 +1,45 @@
+// Heuristic score per script (length, description, imports, function definitions), averaged
+module.exports = {
+  id: 'notebook_quality',
+  title: 'Script Quality',
+  group: 'Use Cases',
+  description: 'Use case scripts should be substantial and described',
+  severity: 'warning',
+  defaults: {
+    min_average_score: 70
+  },
+
+  check({ notebooks }, params) {
+    if (notebooks.length === 0) return null;
+
+    const qualityScores = notebooks.map(notebook => {
+      const content = notebook.content || '';
+      let score = 50; // Base score
+
+      if (content.length > 100) score += 20;
+      if (notebook.description && notebook.description.length > 20) score += 15;
+      if (content.includes('import')) score += 10;
+      if (content.includes('def ') || content.includes('function')) score += 15;
+
+      return score;
+    });
+
+    const avgQuality = Math.round(qualityScores.reduce((a, b) => a + b, 0) / qualityScores.length);
+
+    if (avgQuality < params.min_average_score) {
+      return {
+        status: 'fail',
+        message: 'Notebook content could be more comprehensive',
+        details: { average_score: avgQuality, minimum_required: params.min_average_score },
+        score: Math.min(100, avgQuality)
+      };
+    }
+
+    return {
+      status: 'pass',
+      message: 'Notebooks have good content quality',
+      details: { average_score: avgQuality },
+      score: Math.min(100, avgQuality)
+    };
+  }
+};
@@ -0,0 +1,63 @@
+// Readability of the document prose in English (Flesch reading ease) and
+// Chinese (characters per sentence). Long sentences are reported by line.
+const { measureReadability } = require('../markdown-analysis');
+
+module.exports = {
+  id: 'readability',
+  title: 'Readability',
+  group: 'Documentation',
+  description: 'Prose should be easy to read, without overly long sentences',
+  severity: 'warning',
+  reportsLines: true,
+  defaults: {
+    min_flesch_score: 30,
+    max_sentence_words: 35,
+    max_average_chars_zh: 50,
+    max_sentence_chars_zh: 80
+  },
+
+  check({ document }, params) {
+    const { issues, english, chinese } = measureReadability(document.content || '', {
+      maxSentenceWords: params.max_sentence_words,
+      maxSentenceChars: params.max_sentence_chars_zh
+    });
+
+    if (!english && !chinese) return null;
+
+    const problems = [];
+    if (english && english.flesch_reading_ease < params.min_flesch_score) {
+      problems.push(`English prose is hard to read (Flesch ${english.flesch_reading_ease}, minimum ${params.min_flesch_score})`);
+    }
+    if (chinese && chinese.average_chars_per_sentence > params.max_average_chars_zh) {
+      problems.push(`Chinese sentences average ${chinese.average_chars_per_sentence} characters (maximum ${params.max_average_chars_zh})`);
+    }
+
+    const details = { issues, english, chinese };
+    const score = 100 - problems.length * 25 - Math.min(30, issues.length * 5);
+
+    if (problems.length > 0) {
+      return {
+        status: 'fail',
+        message: problems.join('; '),
+        details,
+        score
+      };
+    }
+
+    if (issues.length > 0) {
+      return {
+        status: 'warning',
+        message: `${issues.length} sentence(s) are long enough to be hard to follow`,
+        details,
+        score
+      };
+    }
+
+    return {
+      status: 'pass',
+      message: 'Prose is easy to read',
+      details,
+      score: 100
+    };
+  }
+};
@@ -0,0 +1,80 @@
+// Spell checks the document prose against the bundled English dictionary and
+// enforces the team glossary for the document's category. Every finding has a
+// line, column and suggested replacements the editor can apply.
+const { checkSpelling } = require('../spelling');
+const { loadGlossary, findTerminologyIssues, closestTerm, glossaryWords } = require('../glossary');
+
+const overlaps = (a, b) => a.line === b.line && a.column < b.column + b.length && b.column < a.column + a.length;
+
+module.exports = {
+  id: 'spelling_terminology',
+  title: 'Spelling & Terminology',
+  group: 'Documentation',
+  description: 'Prose should be spelled correctly and use the glossary names for products and modules',
+  severity: 'warning',
+  reportsLines: true,
+  defaults: {
+    ignore_words: [],
+    max_misspellings: 5
+  },
+
+  async check({ document, db }, params) {
+    const content = document.content || '';
+    const terms = await loadGlossary(db, document.category_id);
+
+    const knownWords = glossaryWords(terms);
+    params.ignore_words.forEach(word => knownWords.add(word.toLowerCase()));
+
+    const terminology = findTerminologyIssues(content, terms);
+    const spelling = (await checkSpelling(content, { knownWords }))
+      .filter(issue => !terminology.some(other => overlaps(issue, other)))
+      .map((issue) => {
+        // A near miss of a glossary term is most likely that term
+        const term = closestTerm(issue.text, terms);
+        if (!term) return issue;
+        return {
+          ...issue,
+          rule: 'terminology',
+          message: `Unknown word "${issue.text}"; did you mean the glossary term "${term}"?`,
+          suggestions: [term, ...issue.suggestions.filter(suggestion => suggestion !== term)]
+        };
+      });
+
+    const issues = [...terminology, ...spelling].sort((a, b) => a.line - b.line || a.column - b.column);
+    const forbidden = terminology.filter(issue => issue.severity === 'error');
+    const details = {
+      issues,
+      glossary_terms: terms.length,
+      terminology_issues: issues.filter(issue => issue.rule === 'terminology').length,
+      misspellings: issues.filter(issue => issue.rule === 'spelling').length
+    };
+    const score = 100 - forbidden.length * 15 - (issues.length - forbidden.length) * 5;
+
+    if (forbidden.length > 0 || details.misspellings > params.max_misspellings) {
+      return {
+        status: 'fail',
+        message: forbidden.length > 0
+          ? `${forbidden.length} forbidden term variant(s) used; replace them with the glossary terms`
+          : `${details.misspellings} possible misspellings (more than ${params.max_misspellings})`,
+        details,
+        score
+      };
+    }
+
+    if (issues.length > 0) {
+      return {
+        status: 'warning',
+        message: `${issues.length} spelling or terminology issue(s) found`,
+        details,
+        score
+      };
+    }
+
+    return {
+      status: 'pass',
+      message: terms.length > 0 ? 'Spelling and glossary terms are correct' : 'No spelling issues found',
+      details,
+      score: 100
+    };
+  }
+};
@@ -0,0 +1,8 @@
+// Escapes text for use as a literal inside a RegExp source
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  escapeRegExp
+};
@@ -0,0 +1,56 @@
+#!/bin/sh
+# OS-level isolation for notebook runs. notebook-executor.js starts this as
+#   unshare --mount --net --pid --ipc --uts --fork --kill-child [--user --map-root-user]
+#     sh isolate.sh <base_dir> <uid> <gid> <read_only_path>... -- <command> [args...]
+# so it runs as (namespace) root with no network interfaces but loopback.
+# It builds a read-only root under <base_dir>/root holding only the given
+# paths, with <base_dir>/work as the one writable directory, then drops to
+# <uid>:<gid> with no capabilities and runs the command from /work. A uid
+# of "-" keeps the current ids, for user namespaces that map only the
+# caller (who is unprivileged outside the namespace).
+set -eu
+
+base=$1
+uid=$2
+gid=$3
+shift 3
+
+root="$base/root"
+mount --make-rprivate /
+mount -t tmpfs -o size=1m,mode=755 sandbox-root "$root"
+
+while [ "$#" -gt 0 ] && [ "$1" != "--" ]; do
+  path=$1
+  shift
+  mkdir -p "$root$(dirname "$path")"
+  if [ -L "$path" ]; then
+    # Merged-/usr systems link /bin, /lib... into /usr
+    ln -s "$(readlink "$path")" "$root$path"
+  elif [ -d "$path" ]; then
+    mkdir -p "$root$path"
+    mount --rbind "$path" "$root$path"
+    mount -o remount,bind,ro "$root$path"
+  elif [ -e "$path" ]; then
+    touch "$root$path"
+    mount --bind "$path" "$root$path"
+    mount -o remount,bind,ro "$root$path"
+  fi
+done
+shift
+
+mkdir "$root/work" "$root/proc"
+mount --bind "$base/work" "$root/work"
+mount -t proc -o nosuid,nodev,noexec proc "$root/proc"
+mount -o remount,ro "$root"
+
+ids=""
+if [ "$uid" != "-" ]; then
+  ids="--reuid=$uid --regid=$gid --clear-groups"
+fi
+
+# shellcheck disable=SC2086
+exec chroot "$root" setpriv $ids \
+  --inh-caps=-all --bounding-set=-all \
+  --securebits=+noroot,+noroot_locked,+no_setuid_fixup,+no_setuid_fixup_locked,+keep_caps_locked \
+  --no-new-privs \
+  sh -c 'cd /work && exec "$@"' sandbox "$@"
@@ -0,0 +1,111 @@
+// Child-process entry point for JavaScript notebook runs.
+// Started by notebook-executor.js with the Node permission model enabled
+// (no file writes, child processes or workers); reads the script from stdin
+// and runs it in a fresh vm context that only exposes console and timers
+// (plus __notebookCell, which tags output with the notebook cell it belongs to).
+// The vm context can be escaped, so the executor also runs this inside the
+// OS-level isolation of isolate.sh.
+const vm = require('vm');
+const util = require('util');
+const Module = require('module');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const timeoutMs = parseInt(process.argv[2], 10) || 10000;
+
+// Network and process modules stay unavailable even if a script escapes the vm context
+const BLOCKED_MODULES = new Set([
+  'net', 'http', 'https', 'http2', 'tls', 'dgram', 'dns', 'child_process', 'cluster', 'worker_threads', 'inspector'
+]);
+const originalLoad = Module._load;
+Module._load = function load(request, ...args) {
+  if (BLOCKED_MODULES.has(request.replace(/^node:/, ''))) {
+    throw new Error(`Module "${request}" is not available in the notebook sandbox`);
+  }
+  return originalLoad.call(this, request, ...args);
+};
+
+// Cell-based runs call __notebookCell(tag) before each cell. The tag is
+// written as a marker line and stays with everything the cell schedules, so
+// output from a timer or promise that settles after later cells started is
+// preceded by its own cell's marker again.
+const cellTags = new AsyncLocalStorage();
+const lastTags = new Map();
+
+function writeTag(stream, tag) {
+  stream.write(`\n${tag}\n`);
+  lastTags.set(stream, tag);
+}
+
+function enterCell(tag) {
+  cellTags.enterWith(String(tag));
+  writeTag(process.stdout, String(tag));
+  writeTag(process.stderr, String(tag));
+}
+
+function write(stream, args) {
+  const tag = cellTags.getStore();
+  if (tag !== undefined && lastTags.get(stream) !== tag) {
+    writeTag(stream, tag);
+  }
+  stream.write(`${util.format(...args)}\n`);
+}
+
+const sandboxConsole = {
+  log: (...args) => write(process.stdout, args),
+  info: (...args) => write(process.stdout, args),
+  debug: (...args) => write(process.stdout, args),
+  warn: (...args) => write(process.stderr, args),
+  error: (...args) => write(process.stderr, args),
+  table: (data) => write(process.stdout, [util.inspect(data, { depth: 4 })])
+};
+
+// Exit code the executor reports as a timeout (same convention as coreutils timeout)
+const TIMEOUT_EXIT_CODE = 124;
+
+// Print the error with only the frames that point into the notebook itself
+function fail(error) {
+  if (error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+    process.stderr.write(`Script execution timed out after ${timeoutMs}ms\n`);
+    process.exit(TIMEOUT_EXIT_CODE);
+  }
+
+  const lines = error && error.stack ? error.stack.split('\n') : [String(error)];
+  const message = lines.filter(line => !/^\s+at /.test(line) || line.includes('notebook.js'));
+  process.stderr.write(`${message.join('\n')}\n`);
+  process.exitCode = 1;
+}
+
+const chunks = [];
+process.stdin.on('data', chunk => chunks.push(chunk));
+process.stdin.on('end', async () => {
+  const code = Buffer.concat(chunks).toString('utf8');
+
+  // Drop the handles a script could use to reach the host process
+  process.binding = undefined;
+  process._linkedBinding = undefined;
+
+  const context = vm.createContext({
+    console: sandboxConsole,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    queueMicrotask,
+    URL,
+    URLSearchParams,
+    TextEncoder,
+    TextDecoder,
+    __notebookCell: enterCell
+  }, { codeGeneration: { strings: true, wasm: false } });
+
+  process.on('unhandledRejection', fail);
+
+  try {
+    const result = vm.runInContext(code, context, { filename: 'notebook.js', timeout: timeoutMs });
+    if (result && typeof result.then === 'function') {
+      await result;
+    }
+  } catch (error) {
+    fail(error);
+  }
+});
@@ -0,0 +1,53 @@
+# Child-process entry point for Python notebook runs.
+# Started by notebook-executor.js as `python3 -I py-runner.py <memory_mb> <cpu_seconds>`;
+# applies resource limits, disables sockets and subprocesses, then runs the
+# script read from stdin. These in-process guards can be worked around from
+# the script itself; isolate.sh (namespaces, read-only root, unprivileged
+# user) is what actually keeps runs off the network and the host files.
+import resource
+import sys
+import traceback
+
+memory_bytes = int(sys.argv[1]) * 1024 * 1024
+cpu_seconds = int(sys.argv[2])
+
+resource.setrlimit(resource.RLIMIT_AS, (memory_bytes, memory_bytes))
+resource.setrlimit(resource.RLIMIT_CPU, (cpu_seconds, cpu_seconds))
+resource.setrlimit(resource.RLIMIT_FSIZE, (1024 * 1024, 1024 * 1024))
+resource.setrlimit(resource.RLIMIT_NPROC, (0, 0))
+
+code = sys.stdin.read()
+
+
+def _blocked(*args, **kwargs):
+    raise PermissionError('Network and process access is disabled in the notebook sandbox')
+
+
+import socket  # noqa: E402
+
+socket.socket = _blocked
+socket.create_connection = _blocked
+socket.socketpair = _blocked
+socket.getaddrinfo = _blocked
+
+import os  # noqa: E402
+import subprocess  # noqa: E402
+
+subprocess.Popen = _blocked
+for name in ('system', 'popen', 'fork', 'forkpty', 'execv', 'execve', 'execvp', 'execvpe', 'spawnv', 'spawnve', 'posix_spawn', 'posix_spawnp'):
+    if hasattr(os, name):
+        setattr(os, name, _blocked)
+
+# Re-importing the C modules would bypass the patches above
+for name in ('_socket', '_posixsubprocess'):
+    sys.modules[name] = None
+
+sys.argv = ['notebook.py']
+try:
+    exec(compile(code, 'notebook.py', 'exec'), {'__name__': '__main__'})
+except SystemExit:
+    raise
+except BaseException as error:
+    # Skip this runner's own frame so the traceback starts in the notebook
+    traceback.print_exception(type(error), error, error.__traceback__.tb_next)
+    sys.exit(1)
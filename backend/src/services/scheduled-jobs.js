@@ -0,0 +1,158 @@
+// Recurring background jobs, keyed by their scheduled_jobs name. Each run
+// receives the job's config and returns a summary that is stored with the
+// run in job_runs. Task changes go through the task lifecycle as the system.
+const db = require('../config/database');
+const { TASK_TRANSITIONS, transitionTask } = require('./task-lifecycle');
+const { writerIdsColumn } = require('./task-writers');
+const { runVotingScheduler } = require('./voting-scheduler');
+
+const DEFAULT_REMINDER_OFFSETS = [72, 24];
+
+async function inTransaction(work) {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Moves each task on by itself; a task another request moved in the
+// meantime is skipped rather than failing the whole run
+async function transitionEach(taskRows, action, detailsFor) {
+  let moved = 0;
+  for (const task of taskRows) {
+    try {
+      await inTransaction(client => transitionTask(client, task.id, action, { details: detailsFor(task) }));
+      moved++;
+    } catch (error) {
+      if (error.code !== 'INVALID_TASK_TRANSITION') throw error;
+    }
+  }
+  return moved;
+}
+
+function reminderOffsets(config) {
+  const offsets = config.offsets_hours || DEFAULT_REMINDER_OFFSETS;
+  return [...new Set(offsets)].sort((a, b) => b - a);
+}
+
+// Returns an error message for an invalid deadline_reminders config
+function validateReminderConfig(config) {
+  const offsets = config.offsets_hours;
+  if (offsets === undefined) return null;
+  if (!Array.isArray(offsets) || offsets.length === 0 || offsets.length > 10 ||
+      !offsets.every(hours => Number.isInteger(hours) && hours > 0 && hours <= 720)) {
+    return 'offsets_hours must be a list of 1 to 10 whole hours between 1 and 720';
+  }
+  return null;
+}
+
+// One reminder per task each time it passes one of the offsets before its
+// deadline; offsets already passed when the deadline was set are claimed together
+async function sendDeadlineReminders(config) {
+  const offsets = reminderOffsets(config);
+  const summary = { tasks: 0, notifications: 0 };
+
+  const tasks = await db.query(`
+    SELECT wt.*, ${writerIdsColumn()} as writer_ids
+    FROM wiki_tasks wt
+    WHERE wt.status IN ('not_started', 'in_progress')
+      AND wt.deadline > NOW()
+      AND wt.deadline <= NOW() + make_interval(hours => $1)
+  `, [offsets[0]]);
+
+  for (const task of tasks.rows) {
+    const hoursLeft = (new Date(task.deadline) - Date.now()) / 3600000;
+    const dueOffsets = offsets.filter(hours => hoursLeft <= hours);
+
+    const sent = await inTransaction(async (client) => {
+      // Claim the offsets first so a second instance doesn't send them again
+      const claimed = await client.query(`
+        INSERT INTO task_deadline_reminders (task_id, deadline, offset_hours)
+        SELECT $1, $2, unnest($3::int[])
+        ON CONFLICT DO NOTHING
+        RETURNING offset_hours
+      `, [task.id, task.deadline, dueOffsets]);
+
+      if (claimed.rows.length === 0) return 0;
+
+      const deadline = new Date(task.deadline);
+      const recipients = [...new Set([...task.writer_ids, task.code_annotator_id].filter(Boolean))];
+      for (const userId of recipients) {
+        await client.query(
+          'INSERT INTO task_notifications (task_id, recipient_id, notification_type, title, message) VALUES ($1, $2, $3, $4, $5)',
+          [
+            task.id,
+            userId,
+            'deadline_reminder',
+            'Task Deadline Reminder',
+            `The task "${task.title}" is due on ${deadline.toLocaleString()}. Please complete your work soon.`
+          ]
+        );
+      }
+      return recipients.length;
+    });
+
+    if (sent > 0) {
+      summary.tasks++;
+      summary.notifications += sent;
+    }
+  }
+
+  return summary;
+}
+
+async function markOvertime() {
+  const overdue = await db.query(`
+    SELECT id, deadline FROM wiki_tasks
+    WHERE status = ANY($1) AND deadline <= NOW()
+    ORDER BY deadline
+  `, [TASK_TRANSITIONS.mark_overtime.from]);
+
+  return { marked: await transitionEach(overdue.rows, 'mark_overtime', task => ({ deadline: task.deadline })) };
+}
+
+// Tasks whose writers have all submitted, through either editor, but that
+// were not moved on at submission time
+async function advanceSubmittedTasks() {
+  const ready = await db.query(`
+    SELECT wt.id, wt.writer_count, GREATEST(
+      (SELECT COUNT(*) FROM wiki_contents wc WHERE wc.task_id = wt.id AND wc.status = 'submitted'),
+      (SELECT COUNT(*) FROM entry_documents ed WHERE ed.task_id = wt.id AND ed.is_submitted = true)
+    )::int as submissions
+    FROM wiki_tasks wt
+    WHERE wt.status = ANY($1)
+  `, [TASK_TRANSITIONS.submissions_ready.from]);
+
+  const fullySubmitted = ready.rows.filter(task => task.submissions >= task.writer_count);
+  return { advanced: await transitionEach(fullySubmitted, 'submissions_ready', task => ({ submissions: task.submissions })) };
+}
+
+const JOBS = {
+  deadline_reminders: {
+    run: sendDeadlineReminders,
+    validateConfig: validateReminderConfig
+  },
+  mark_overtime: {
+    run: markOvertime
+  },
+  advance_submitted_tasks: {
+    run: advanceSubmittedTasks
+  },
+  close_voting_sessions: {
+    run: () => runVotingScheduler()
+  }
+};
+
+module.exports = {
+  JOBS,
+  reminderOffsets,
+  validateReminderConfig
+};
@@ -0,0 +1,281 @@
+// Similarity analysis between entry submissions. A submission is compared with
+// the other writers' submissions for the same task (peer) and with the winning
+// submissions of completed tasks (completed_entry). Document content and
+// notebook code are compared separately. Peer reports are always stored so
+// admins can see how close the two writers are; completed entry reports only
+// when they are flagged. Newly flagged reports are sent to every admin.
+
+const db = require('../config/database');
+const { compareTexts, fingerprint, estimateJaccard } = require('./similarity');
+
+const FLAG_THRESHOLD = parseFloat(process.env.SIMILARITY_FLAG_THRESHOLD) || 0.35;
+// Above this many completed entries, only those whose MinHash signature shares
+// at least one value with the submission are compared exactly
+const PREFILTER_MIN_CANDIDATES = 50;
+
+const SOURCE_TYPES = ['document', 'code'];
+
+// Text of a submission snapshot (entry_submissions.submission_content) for one source type
+function submissionText(content, sourceType) {
+  if (!content) return '';
+  if (sourceType === 'document') {
+    return content.document?.content || '';
+  }
+  return (content.notebooks || [])
+    .map(notebook => notebook.content || '')
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+async function loadTaskSubmissions(taskId) {
+  const result = await db.query(`
+    SELECT es.id, es.submitted_by, es.submission_content, ed.task_id
+    FROM entry_submissions es
+    JOIN entry_documents ed ON es.document_id = ed.id
+    WHERE ed.task_id = $1
+    ORDER BY es.submitted_at
+  `, [taskId]);
+  return result.rows;
+}
+
+// Winning submissions of completed tasks other than taskId, with stored fingerprints
+async function loadCompletedEntries(taskId) {
+  const result = await db.query(`
+    SELECT es.id, es.submitted_by, wt.id as task_id,
+           COALESCE(
+             json_object_agg(sf.source_type, json_build_object('signature', sf.signature, 'shingle_count', sf.shingle_count))
+               FILTER (WHERE sf.source_type IS NOT NULL),
+             '{}'
+           ) as fingerprints
+    FROM wiki_tasks wt
+    JOIN voting_candidates vc ON vc.voting_session_id = wt.voting_session_id AND vc.is_winner = true
+    JOIN entry_submissions es ON vc.submission_id = es.id
+    LEFT JOIN submission_fingerprints sf ON sf.submission_id = es.id
+    WHERE wt.status = 'completed' AND wt.id <> $1
+    GROUP BY es.id, es.submitted_by, wt.id
+  `, [taskId]);
+  return result.rows;
+}
+
+async function loadSubmissionContents(submissionIds) {
+  if (submissionIds.length === 0) return new Map();
+  const result = await db.query(
+    'SELECT id, submission_content FROM entry_submissions WHERE id = ANY($1)',
+    [submissionIds]
+  );
+  return new Map(result.rows.map(row => [row.id, row.submission_content]));
+}
+
+// Compute and store fingerprints for a submission; returns { document, code }
+async function saveFingerprints(submissionId, content) {
+  const fingerprints = {};
+  for (const sourceType of SOURCE_TYPES) {
+    const print = fingerprint(submissionText(content, sourceType));
+    fingerprints[sourceType] = print;
+    await db.query(`
+      INSERT INTO submission_fingerprints (submission_id, source_type, signature, shingle_count)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (submission_id, source_type) DO UPDATE SET
+        signature = EXCLUDED.signature,
+        shingle_count = EXCLUDED.shingle_count,
+        created_at = CURRENT_TIMESTAMP
+    `, [submissionId, sourceType, print.signature, print.shingle_count]);
+  }
+  return fingerprints;
+}
+
+// Reports are stored once per unordered pair, with the lower id as submission A
+function orderPair(first, second, comparison) {
+  if (first.id < second.id) {
+    return { a: first, b: second, comparison };
+  }
+  return {
+    a: second,
+    b: first,
+    comparison: {
+      ...comparison,
+      containment_a: comparison.containment_b,
+      containment_b: comparison.containment_a,
+      passages: comparison.passages.map(passage => ({
+        ...passage,
+        a_start: passage.b_start,
+        a_end: passage.b_end,
+        b_start: passage.a_start,
+        b_end: passage.a_end
+      }))
+    }
+  };
+}
+
+async function saveReport({ taskId, subject, other, comparisonType, sourceType, trigger, comparison }) {
+  const isFlagged = comparison.similarity >= FLAG_THRESHOLD && comparison.passages.length > 0;
+  const { a, b, comparison: ordered } = orderPair(subject, other, comparison);
+
+  const existing = await db.query(`
+    SELECT id, is_flagged FROM similarity_reports
+    WHERE submission_a_id = $1 AND submission_b_id = $2 AND source_type = $3
+  `, [a.id, b.id, sourceType]);
+  const previous = existing.rows[0];
+
+  // Unflagged overlap with older entries is expected (shared boilerplate) and not worth keeping
+  if (comparisonType === 'completed_entry' && !isFlagged && !previous) {
+    return null;
+  }
+
+  const result = await db.query(`
+    INSERT INTO similarity_reports (
+      task_id, submission_a_id, submission_b_id, comparison_type, source_type, trigger,
+      similarity, jaccard, containment_a, containment_b, is_flagged, passages
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    ON CONFLICT (submission_a_id, submission_b_id, source_type) DO UPDATE SET
+      trigger = EXCLUDED.trigger,
+      similarity = EXCLUDED.similarity,
+      jaccard = EXCLUDED.jaccard,
+      containment_a = EXCLUDED.containment_a,
+      containment_b = EXCLUDED.containment_b,
+      is_flagged = EXCLUDED.is_flagged,
+      passages = EXCLUDED.passages,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [
+    taskId, a.id, b.id, comparisonType, sourceType, trigger,
+    ordered.similarity, ordered.jaccard, ordered.containment_a, ordered.containment_b,
+    isFlagged, JSON.stringify(ordered.passages)
+  ]);
+
+  const report = result.rows[0];
+  report.newly_flagged = isFlagged && !(previous && previous.is_flagged);
+  return report;
+}
+
+async function compareSubmissions({ taskId, subject, other, comparisonType, trigger }) {
+  const reports = [];
+  for (const sourceType of SOURCE_TYPES) {
+    const comparison = compareTexts(
+      submissionText(subject.submission_content, sourceType),
+      submissionText(other.submission_content, sourceType)
+    );
+    const report = await saveReport({ taskId, subject, other, comparisonType, sourceType, trigger, comparison });
+    if (report) reports.push(report);
+  }
+  return reports;
+}
+
+async function compareWithCompletedEntries(subject, fingerprints, trigger) {
+  let entries = await loadCompletedEntries(subject.task_id);
+
+  // Entries that won before fingerprinting was added get theirs now
+  const missing = entries.filter(entry => Object.keys(entry.fingerprints).length === 0);
+  if (missing.length > 0) {
+    const contents = await loadSubmissionContents(missing.map(entry => entry.id));
+    for (const entry of missing) {
+      entry.fingerprints = await saveFingerprints(entry.id, contents.get(entry.id));
+    }
+  }
+
+  if (entries.length > PREFILTER_MIN_CANDIDATES) {
+    entries = entries.filter(entry => SOURCE_TYPES.some(sourceType =>
+      estimateJaccard(fingerprints[sourceType].signature, entry.fingerprints[sourceType]?.signature) > 0
+    ));
+  }
+
+  const contents = await loadSubmissionContents(entries.map(entry => entry.id));
+  const reports = [];
+  for (const entry of entries) {
+    const other = { ...entry, submission_content: contents.get(entry.id) };
+    reports.push(...await compareSubmissions({
+      taskId: subject.task_id,
+      subject,
+      other,
+      comparisonType: 'completed_entry',
+      trigger
+    }));
+  }
+  return reports;
+}
+
+async function notifyAdmins(taskId, reports) {
+  const flagged = reports.filter(report => report.newly_flagged);
+  if (flagged.length === 0) return;
+
+  const admins = await db.query("SELECT id FROM users WHERE role = 'admin'");
+  const highest = Math.max(...flagged.map(report => Number(report.similarity)));
+  const message = `${flagged.length} submission pair(s) overlap suspiciously (up to ${Math.round(highest * 100)}% similar). Review the matching passages in the similarity reports.`;
+
+  for (const admin of admins.rows) {
+    await db.query(
+      'INSERT INTO task_notifications (task_id, recipient_id, notification_type, title, message) VALUES ($1, $2, $3, $4, $5)',
+      [taskId, admin.id, 'similarity_flagged', 'Possible copied content detected', message]
+    );
+  }
+}
+
+function summarize(reports) {
+  return {
+    compared: reports.length,
+    flagged: reports.filter(report => report.is_flagged).length,
+    reports: reports.map(({ passages: _passages, ...report }) => report)
+  };
+}
+
+// Analyse one submission against its peers and completed entries
+async function analyzeSubmission(submissionId, trigger) {
+  const subjectResult = await db.query(`
+    SELECT es.id, es.submitted_by, es.submission_content, ed.task_id
+    FROM entry_submissions es
+    JOIN entry_documents ed ON es.document_id = ed.id
+    WHERE es.id = $1
+  `, [submissionId]);
+
+  if (subjectResult.rows.length === 0) {
+    const error = new Error('Submission not found');
+    error.code = 'SUBMISSION_NOT_FOUND';
+    throw error;
+  }
+
+  const subject = subjectResult.rows[0];
+  const fingerprints = await saveFingerprints(subject.id, subject.submission_content);
+  const peers = (await loadTaskSubmissions(subject.task_id)).filter(peer => peer.id !== subject.id);
+
+  const reports = [];
+  for (const peer of peers) {
+    reports.push(...await compareSubmissions({
+      taskId: subject.task_id,
+      subject,
+      other: peer,
+      comparisonType: 'peer',
+      trigger
+    }));
+  }
+  reports.push(...await compareWithCompletedEntries(subject, fingerprints, trigger));
+
+  await notifyAdmins(subject.task_id, reports);
+  return summarize(reports);
+}
+
+// Analyse every submission of a task: all peer pairs, plus each submission against completed entries
+async function analyzeTask(taskId, trigger) {
+  const submissions = await loadTaskSubmissions(taskId);
+  const reports = [];
+
+  for (let i = 0; i < submissions.length; i++) {
+    const subject = submissions[i];
+    const fingerprints = await saveFingerprints(subject.id, subject.submission_content);
+
+    for (const peer of submissions.slice(i + 1)) {
+      reports.push(...await compareSubmissions({ taskId, subject, other: peer, comparisonType: 'peer', trigger }));
+    }
+    reports.push(...await compareWithCompletedEntries(subject, fingerprints, trigger));
+  }
+
+  await notifyAdmins(taskId, reports);
+  return summarize(reports);
+}
+
+module.exports = {
+  FLAG_THRESHOLD,
+  SOURCE_TYPES,
+  submissionText,
+  analyzeSubmission,
+  analyzeTask
+};
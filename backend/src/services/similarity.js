@@ -0,0 +1,178 @@
+// Text similarity by word shingling. Texts are tokenized into words (each CJK
+// character counts as a word), overlapping runs of SHINGLE_SIZE tokens are
+// hashed, and two texts are compared by the shingles they share. MinHash
+// signatures give a cheap Jaccard estimate for pre-filtering large candidate
+// sets; matching passages are recovered with their character offsets so the
+// UI can highlight them.
+
+const SHINGLE_SIZE = parseInt(process.env.SIMILARITY_SHINGLE_SIZE) || 8;
+const SIGNATURE_SIZE = 64;
+const MAX_PASSAGES = 20;
+
+const TOKEN_PATTERN = /[㐀-鿿豈-﫿]|[\p{L}\p{N}_]+/gu;
+
+// Fixed seeds so signatures stored in the database stay comparable
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, index) => Math.imul(index + 1, 0x9e3779b1) >>> 0);
+
+function tokenize(text) {
+  const tokens = [];
+  const source = String(text || '');
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(source)) !== null) {
+    tokens.push({ value: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+// 32-bit FNV-1a
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// 32-bit finalizer from MurmurHash3, used to derive the MinHash permutations
+function mix(value) {
+  let hash = value;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+// Shingle hash at every token position (positions without a full shingle are skipped)
+function shingleHashes(tokens, size = SHINGLE_SIZE) {
+  const hashes = [];
+  for (let i = 0; i + size <= tokens.length; i++) {
+    hashes.push(hashString(tokens.slice(i, i + size).map(token => token.value).join(' ')));
+  }
+  return hashes;
+}
+
+function minHashSignature(hashes) {
+  if (hashes.length === 0) return [];
+
+  const unique = new Set(hashes);
+  return SEEDS.map((seed) => {
+    let min = 0xffffffff;
+    for (const hash of unique) {
+      const value = mix(hash ^ seed);
+      if (value < min) min = value;
+    }
+    return min;
+  });
+}
+
+function estimateJaccard(signatureA, signatureB) {
+  if (!signatureA || !signatureB || signatureA.length === 0 || signatureA.length !== signatureB.length) {
+    return 0;
+  }
+  let equal = 0;
+  for (let i = 0; i < signatureA.length; i++) {
+    if (signatureA[i] === signatureB[i]) equal++;
+  }
+  return equal / signatureA.length;
+}
+
+// Fingerprint stored per text: the MinHash signature and the number of distinct shingles
+function fingerprint(text) {
+  const hashes = shingleHashes(tokenize(text));
+  return { signature: minHashSignature(hashes), shingle_count: new Set(hashes).size };
+}
+
+// Longest common token runs between the two texts, at least one shingle long
+function findPassages(textA, tokensA, hashesA, textB, tokensB, hashesB, size) {
+  const positionsB = new Map();
+  hashesB.forEach((hash, index) => {
+    if (!positionsB.has(hash)) positionsB.set(hash, []);
+    positionsB.get(hash).push(index);
+  });
+
+  const passages = [];
+  let i = 0;
+  while (i < hashesA.length) {
+    const candidates = (positionsB.get(hashesA[i]) || []).slice(0, 10);
+    let best = null;
+
+    for (const j of candidates) {
+      let length = 0;
+      while (i + length < tokensA.length && j + length < tokensB.length &&
+             tokensA[i + length].value === tokensB[j + length].value) {
+        length++;
+      }
+      if (length >= size && (!best || length > best.length)) {
+        best = { j, length };
+      }
+    }
+
+    if (!best) {
+      i++;
+      continue;
+    }
+
+    const a = { start: tokensA[i].start, end: tokensA[i + best.length - 1].end };
+    const b = { start: tokensB[best.j].start, end: tokensB[best.j + best.length - 1].end };
+    passages.push({
+      tokens: best.length,
+      a_start: a.start,
+      a_end: a.end,
+      b_start: b.start,
+      b_end: b.end,
+      excerpt: textA.slice(a.start, Math.min(a.end, a.start + 300))
+    });
+    i += best.length;
+  }
+
+  return passages.sort((x, y) => y.tokens - x.tokens).slice(0, MAX_PASSAGES);
+}
+
+// Compare two texts. containment_a is the share of A's shingles also found in B
+// (and the other way round); similarity is the larger of the two, so copying a
+// short text into a much longer one still scores high.
+function compareTexts(textA, textB, size = SHINGLE_SIZE) {
+  const tokensA = tokenize(textA);
+  const tokensB = tokenize(textB);
+  const hashesA = shingleHashes(tokensA, size);
+  const hashesB = shingleHashes(tokensB, size);
+  const setA = new Set(hashesA);
+  const setB = new Set(hashesB);
+
+  if (setA.size === 0 || setB.size === 0) {
+    return { similarity: 0, jaccard: 0, containment_a: 0, containment_b: 0, shared_shingles: 0, passages: [] };
+  }
+
+  let shared = 0;
+  for (const hash of setA) {
+    if (setB.has(hash)) shared++;
+  }
+
+  const round = value => Math.round(value * 1000) / 1000;
+  const containmentA = shared / setA.size;
+  const containmentB = shared / setB.size;
+
+  return {
+    similarity: round(Math.max(containmentA, containmentB)),
+    jaccard: round(shared / (setA.size + setB.size - shared)),
+    containment_a: round(containmentA),
+    containment_b: round(containmentB),
+    shared_shingles: shared,
+    passages: shared > 0 ? findPassages(textA, tokensA, hashesA, textB, tokensB, hashesB, size) : []
+  };
+}
+
+module.exports = {
+  SHINGLE_SIZE,
+  tokenize,
+  shingleHashes,
+  minHashSignature,
+  estimateJaccard,
+  fingerprint,
+  compareTexts
+};
@@ -0,0 +1,109 @@
+// Offline English spell checking with the bundled Hunspell dictionary
+// (dictionary-en) and nspell. Only prose is checked: code blocks, inline code,
+// URLs and identifier-like tokens (snake_case, camelCase, file.ext, ACRONYMS)
+// are skipped.
+const nspell = require('nspell');
+const loadDictionary = require('dictionary-en');
+const { proseLines } = require('./markdown-analysis');
+
+// Programming vocabulary missing from a general-purpose dictionary
+const TECHNICAL_WORDS = [
+  'api', 'apis', 'async', 'auth', 'backend', 'boolean', 'booleans', 'callback', 'callbacks',
+  'config', 'configs', 'cron', 'dataset', 'datasets', 'deserialize', 'dev', 'enum', 'enums',
+  'frontend', 'getter', 'getters', 'hostname', 'http', 'https', 'init', 'inline', 'iterable',
+  'json', 'jwt', 'localhost', 'lookup', 'metadata', 'middleware', 'mutex', 'namespace',
+  'namespaces', 'npm', 'param', 'params', 'parsers', 'plugin', 'plugins', 'postgres', 'repo',
+  'repos', 'runtime', 'runtimes', 'schemas', 'serializer', 'setter', 'setters', 'stateful',
+  'stateless', 'stdin', 'stdout', 'stderr', 'subclass', 'subclasses', 'timestamp', 'timestamps',
+  'tuple', 'tuples', 'typeof', 'uuid', 'uuids', 'webhook', 'webhooks', 'workflow', 'workflows'
+];
+
+let spellerPromise = null;
+
+function loadSpeller() {
+  if (!spellerPromise) {
+    spellerPromise = new Promise((resolve, reject) => {
+      loadDictionary((error, dictionary) => {
+        if (error) return reject(error);
+        const speller = nspell(dictionary);
+        TECHNICAL_WORDS.forEach(word => speller.add(word));
+        resolve(speller);
+      });
+    });
+    // Let a later check retry if the dictionary could not be read
+    spellerPromise.catch(() => {
+      spellerPromise = null;
+    });
+  }
+  return spellerPromise;
+}
+
+// Tokens that look like code rather than words
+function isIdentifier(token) {
+  return /[0-9_./\\@#$]/.test(token) || /[a-z][A-Z]/.test(token) || /^[A-Z]{2,}s?$/.test(token);
+}
+
+// Words of a prose line as [{ word, column }] (1-based columns)
+function lineWords(text) {
+  const words = [];
+  const chunkPattern = /[A-Za-z0-9_./\\@#$'’-]+/g;
+  let match;
+
+  while ((match = chunkPattern.exec(text)) !== null) {
+    // Sentence punctuation and quotes around a chunk are not part of it
+    const leading = match[0].match(/^['’.-]*/)[0].length;
+    const chunk = match[0].slice(leading).replace(/['’.-]+$/, '');
+    if (!chunk || isIdentifier(chunk)) continue;
+
+    let offset = match.index + leading;
+    for (const part of chunk.split('-')) {
+      if (/^[A-Za-z]+(?:['’][A-Za-z]+)?$/.test(part)) {
+        words.push({ word: part, column: offset + 1, length: part.length });
+      }
+      offset += part.length + 1;
+    }
+  }
+  return words;
+}
+
+// Misspelled words as line issues with dictionary suggestions.
+// knownWords (lower case) are accepted without consulting the dictionary.
+async function checkSpelling(content, { knownWords = new Set(), minWordLength = 3, maxSuggestions = 3 } = {}) {
+  const speller = await loadSpeller();
+  const verdicts = new Map();
+  const issues = [];
+
+  for (const { line, text } of proseLines(content)) {
+    for (const { word, column, length } of lineWords(text)) {
+      if (word.length < minWordLength || knownWords.has(word.toLowerCase())) continue;
+
+      if (!verdicts.has(word)) {
+        const normalized = word.replace(/’/g, "'");
+        verdicts.set(word, speller.correct(normalized) ? null : speller.suggest(normalized).slice(0, maxSuggestions));
+      }
+      const suggestions = verdicts.get(word);
+      if (suggestions === null) continue;
+
+      issues.push({
+        line,
+        column,
+        length,
+        severity: 'warning',
+        rule: 'spelling',
+        text: word,
+        message: suggestions.length > 0
+          ? `Unknown word "${word}"; did you mean ${suggestions.map(s => `"${s}"`).join(' or ')}?`
+          : `Unknown word "${word}"`,
+        suggestions
+      });
+    }
+  }
+
+  return issues;
+}
+
+module.exports = {
+  loadSpeller,
+  lineWords,
+  checkSpelling
+};
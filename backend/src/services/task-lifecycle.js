@@ -0,0 +1,185 @@
+// Wiki task lifecycle. Every change to wiki_tasks.status goes through
+// transitionTask, which checks that the move is legal from the current
+// state and allowed for whoever triggers it, applies it with its side
+// effects and records it in wiki_task_events.
+//
+//   not_started ──start──▶ in_progress ──submissions_ready──▶ pending_vote
+//   in_progress ──mark_overtime──▶ overtime ──submissions_ready──▶ pending_vote
+//   pending_vote ──start_voting──▶ voting ──cancel_voting──▶ pending_vote
+//   voting ──select_winner──▶ completed
+//   voting ──reject_all──▶ pending_reassignment ──reassign──▶ not_started
+//
+// Tasks voted on through wiki-votes never open a session and are decided
+// straight from pending_vote.
+
+const { taskWriterIds } = require('./task-writers');
+
+const TASK_STATES = ['not_started', 'in_progress', 'overtime', 'pending_vote', 'voting', 'completed', 'pending_reassignment'];
+
+// Who may trigger a transition: 'admin', one of the task's 'writer's, or
+// 'system' for work nobody triggers directly (closing a vote at its deadline)
+const TASK_TRANSITIONS = {
+  start: {
+    from: ['not_started'],
+    to: 'in_progress',
+    actors: ['writer', 'admin', 'system']
+  },
+  mark_overtime: {
+    from: ['not_started', 'in_progress'],
+    to: 'overtime',
+    actors: ['admin', 'system'],
+    notify: {
+      recipients: 'participants',
+      type: 'task_overtime',
+      title: 'Task Overdue',
+      message: task => `The deadline for "${task.title}" has passed. Please submit your work as soon as possible.`
+    }
+  },
+  submissions_ready: {
+    from: ['not_started', 'in_progress', 'overtime'],
+    to: 'pending_vote',
+    actors: ['writer', 'admin', 'system'],
+    notify: {
+      recipients: 'admins',
+      type: 'voting_started',
+      title: 'Voting Phase Ready',
+      message: () => 'Wiki content submissions are ready for voting'
+    }
+  },
+  start_voting: {
+    from: ['pending_vote'],
+    to: 'voting',
+    actors: ['admin']
+  },
+  cancel_voting: {
+    from: ['voting'],
+    to: 'pending_vote',
+    actors: ['admin']
+  },
+  select_winner: {
+    from: ['pending_vote', 'voting'],
+    to: 'completed',
+    actors: ['admin', 'system'],
+    notify: {
+      recipients: 'participants',
+      type: 'task_completed',
+      title: 'Voting Completed',
+      message: task => `Voting on "${task.title}" is complete and a winning version was selected.`
+    }
+  },
+  reject_all: {
+    from: ['pending_vote', 'voting'],
+    to: 'pending_reassignment',
+    actors: ['admin', 'system'],
+    notify: {
+      recipients: 'participants',
+      type: 'task_completed',
+      title: 'Voting Completed',
+      message: task => `Voting on "${task.title}" found neither version satisfactory. The task will be reassigned.`
+    }
+  },
+  reassign: {
+    from: ['pending_reassignment'],
+    to: 'not_started',
+    actors: ['admin']
+  }
+};
+
+// Columns a transition may change along with the status
+const TRANSITION_COLUMNS = ['voting_session_id', 'writer_count', 'deadline'];
+
+function transitionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function canTransition(status, action) {
+  const transition = TASK_TRANSITIONS[action];
+  return Boolean(transition && transition.from.includes(status));
+}
+
+// 'system' without a user, otherwise the user's part in this task
+// (task.writer_ids: its assigned writers)
+function actorKind(task, actor) {
+  if (!actor) return 'system';
+  if (actor.role === 'admin') return 'admin';
+  if (task.writer_ids.includes(actor.id)) return 'writer';
+  return 'other';
+}
+
+async function logTaskEvent(queryable, taskId, action, { fromStatus = null, toStatus, actorId = null, details = {} }) {
+  await queryable.query(`
+    INSERT INTO wiki_task_events (task_id, action, from_status, to_status, actor_id, details)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [taskId, action, fromStatus, toStatus, actorId, details]);
+}
+
+async function notifyTransition(client, task, notify, message) {
+  const recipients = notify.recipients === 'admins'
+    ? (await client.query("SELECT id FROM users WHERE role = 'admin'")).rows.map(row => row.id)
+    : [...task.writer_ids, task.code_annotator_id].filter(Boolean);
+
+  for (const recipientId of new Set(recipients)) {
+    await client.query(
+      'INSERT INTO task_notifications (task_id, recipient_id, notification_type, title, message) VALUES ($1, $2, $3, $4, $5)',
+      [task.id, recipientId, notify.type, notify.title, message || notify.message(task)]
+    );
+  }
+}
+
+// Moves a task on inside the caller's transaction. actor is the user
+// triggering it ({ id, role }) or null for the system; changes sets other
+// columns with the status; message replaces the default notification text.
+// Throws with code TASK_NOT_FOUND, INVALID_TASK_TRANSITION or
+// TASK_TRANSITION_FORBIDDEN, leaving the task untouched.
+async function transitionTask(client, taskId, action, { actor = null, changes = {}, details = {}, message = null } = {}) {
+  const transition = TASK_TRANSITIONS[action];
+  if (!transition) {
+    throw transitionError('INVALID_TASK_TRANSITION', `Unknown task transition: ${action}`);
+  }
+
+  const taskResult = await client.query('SELECT * FROM wiki_tasks WHERE id = $1 FOR UPDATE', [taskId]);
+  if (taskResult.rows.length === 0) {
+    throw transitionError('TASK_NOT_FOUND', 'Task not found');
+  }
+
+  const task = { ...taskResult.rows[0], writer_ids: await taskWriterIds(client, taskId) };
+  if (!transition.from.includes(task.status)) {
+    throw transitionError('INVALID_TASK_TRANSITION', `Cannot ${action.replace(/_/g, ' ')} a task that is ${task.status.replace(/_/g, ' ')}`);
+  }
+  if (!transition.actors.includes(actorKind(task, actor))) {
+    throw transitionError('TASK_TRANSITION_FORBIDDEN', `You are not allowed to ${action.replace(/_/g, ' ')} this task`);
+  }
+
+  const columns = Object.keys(changes).filter(column => TRANSITION_COLUMNS.includes(column));
+  const updated = await client.query(`
+    UPDATE wiki_tasks
+    SET status = $2, updated_at = CURRENT_TIMESTAMP${columns.map((column, index) => `, ${column} = $${index + 3}`).join('')}
+    WHERE id = $1
+    RETURNING *
+  `, [taskId, transition.to, ...columns.map(column => changes[column])]);
+
+  await logTaskEvent(client, taskId, action, {
+    fromStatus: task.status,
+    toStatus: transition.to,
+    actorId: actor ? actor.id : null,
+    details
+  });
+
+  const updatedTask = { ...updated.rows[0], writer_ids: task.writer_ids };
+  if (transition.notify) {
+    await notifyTransition(client, updatedTask, transition.notify, message);
+  }
+
+  return updatedTask;
+}
+
+module.exports = {
+  TASK_STATES,
+  TASK_TRANSITIONS,
+  canTransition,
+  actorKind,
+  logTaskEvent,
+  transitionTask
+};
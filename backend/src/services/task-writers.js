@@ -0,0 +1,102 @@
+// Writers assigned to a wiki task. A task has writer_count independent
+// writers (1 to MAX_WRITERS) kept in wiki_task_assignments by slot; the
+// slot order is the order their names are shown in.
+const MAX_WRITERS = 6;
+
+// Subquery for a task's writers as a JSON array of { id, username }
+function writersColumn(taskAlias = 'wt') {
+  return `(
+    SELECT COALESCE(json_agg(json_build_object('id', u.id, 'username', u.username) ORDER BY wta.slot), '[]'::json)
+    FROM wiki_task_assignments wta
+    JOIN users u ON wta.writer_id = u.id
+    WHERE wta.task_id = ${taskAlias}.id
+  )`;
+}
+
+// Subquery for a task's writer ids as a uuid array
+function writerIdsColumn(taskAlias = 'wt') {
+  return `ARRAY(SELECT writer_id FROM wiki_task_assignments WHERE task_id = ${taskAlias}.id ORDER BY slot)`;
+}
+
+async function taskWriterIds(queryable, taskId) {
+  const result = await queryable.query(
+    'SELECT writer_id FROM wiki_task_assignments WHERE task_id = $1 ORDER BY slot',
+    [taskId]
+  );
+  return result.rows.map(row => row.writer_id);
+}
+
+// Replaces the task's writers with writerIds, in that order
+async function setTaskWriters(client, taskId, writerIds) {
+  await client.query('DELETE FROM wiki_task_assignments WHERE task_id = $1', [taskId]);
+  await client.query(`
+    INSERT INTO wiki_task_assignments (task_id, writer_id, slot)
+    SELECT $1, writer_id, slot FROM unnest($2::uuid[]) WITH ORDINALITY AS w(writer_id, slot)
+  `, [taskId, writerIds]);
+}
+
+// Why writerIds can't be assigned as a task's writers, or null when they can:
+// 1 to MAX_WRITERS distinct active users, none of them an administrator
+async function writersError(queryable, writerIds) {
+  if (!Array.isArray(writerIds) || writerIds.length === 0 || writerIds.length > MAX_WRITERS) {
+    return `A task needs between 1 and ${MAX_WRITERS} writers`;
+  }
+  if (new Set(writerIds).size !== writerIds.length) {
+    return 'The same person cannot be assigned as a writer twice';
+  }
+
+  const users = await queryable.query(
+    "SELECT id, role FROM users WHERE id = ANY($1::uuid[]) AND status = 'active'",
+    [writerIds]
+  );
+  if (users.rows.length !== writerIds.length) {
+    return 'Invalid user assignments';
+  }
+  if (users.rows.some(user => user.role === 'admin')) {
+    return 'Administrators cannot be assigned as writers';
+  }
+  return null;
+}
+
+// wiki-votes options for the submitted versions, in submission order:
+// version_a, version_b, ...
+function versionOption(index) {
+  return `version_${String.fromCharCode(97 + index)}`;
+}
+
+function versionOptions(count) {
+  return Array.from({ length: count }, (_, index) => versionOption(index));
+}
+
+// wiki-votes counts for a task: one per submitted version plus
+// neither_satisfactory, zero when nobody chose it
+async function versionVoteCounts(queryable, taskId) {
+  const submitted = await queryable.query(
+    "SELECT COUNT(*) as count FROM wiki_contents WHERE task_id = $1 AND status = 'submitted'",
+    [taskId]
+  );
+  const votes = await queryable.query(
+    'SELECT vote_option, COUNT(*) as count FROM wiki_votes WHERE task_id = $1 GROUP BY vote_option',
+    [taskId]
+  );
+
+  const counts = {};
+  for (const option of versionOptions(parseInt(submitted.rows[0].count))) counts[option] = 0;
+  counts.neither_satisfactory = 0;
+  votes.rows.forEach(row => {
+    counts[row.vote_option] = parseInt(row.count);
+  });
+  return counts;
+}
+
+module.exports = {
+  MAX_WRITERS,
+  writersColumn,
+  writerIdsColumn,
+  taskWriterIds,
+  setTaskWriters,
+  writersError,
+  versionOption,
+  versionOptions,
+  versionVoteCounts
+};
@@ -0,0 +1,150 @@
+// Reviewer feedback given with a ballot: comments on a candidate, optionally
+// anchored to a line range of its document. While a session is open each
+// reviewer sees only their own feedback (admins see everything); once it
+// ends the threads are revealed to everyone, authors included. Reassigning
+// a task deletes the old documents, so the previous round's feedback is
+// kept as a digest on the reassignment for the next writers.
+
+const FEEDBACK_CATEGORIES = ['accuracy', 'completeness', 'clarity', 'examples', 'formatting', 'other'];
+const MAX_COMMENT_LENGTH = 5000;
+const MAX_EXCERPT_LENGTH = 500;
+
+// The quoted lines, so the comment still makes sense once the document is gone
+function lineExcerpt(content, lineStart, lineEnd) {
+  const excerpt = (content || '').split('\n').slice(lineStart - 1, lineEnd).join('\n');
+  return excerpt.length > MAX_EXCERPT_LENGTH ? `${excerpt.slice(0, MAX_EXCERPT_LENGTH)}…` : excerpt;
+}
+
+function validComment(comment) {
+  const text = typeof comment === 'string' ? comment.trim() : '';
+  if (!text) throw new Error('Feedback comments cannot be empty');
+  if (text.length > MAX_COMMENT_LENGTH) throw new Error(`Feedback comments are limited to ${MAX_COMMENT_LENGTH} characters`);
+  return text;
+}
+
+// Validates [{ candidate_id, category, comment, line_start, line_end }]
+// against the session's candidates (a Map of candidate id to document
+// content) and returns rows ready to insert
+function feedbackRows(documents, input) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input)) throw new Error('Feedback must be a list of comments');
+
+  return input.map((item) => {
+    if (!item || typeof item !== 'object' || !documents.has(item.candidate_id)) {
+      throw new Error('Invalid candidate in feedback');
+    }
+
+    const category = item.category || 'other';
+    if (!FEEDBACK_CATEGORIES.includes(category)) {
+      throw new Error(`Feedback category must be one of: ${FEEDBACK_CATEGORIES.join(', ')}`);
+    }
+
+    const row = {
+      candidate_id: item.candidate_id,
+      category,
+      comment: validComment(item.comment),
+      line_start: null,
+      line_end: null,
+      excerpt: null
+    };
+
+    const hasStart = item.line_start !== undefined && item.line_start !== null;
+    const hasEnd = item.line_end !== undefined && item.line_end !== null;
+    if (hasStart || hasEnd) {
+      const content = documents.get(item.candidate_id) || '';
+      const lineCount = content.split('\n').length;
+      const lineStart = hasStart ? item.line_start : item.line_end;
+      const lineEnd = hasEnd ? item.line_end : item.line_start;
+
+      if (!Number.isInteger(lineStart) || !Number.isInteger(lineEnd) ||
+          lineStart < 1 || lineEnd < lineStart || lineEnd > lineCount) {
+        throw new Error(`Feedback lines must be a range within 1-${lineCount}`);
+      }
+      Object.assign(row, { line_start: lineStart, line_end: lineEnd, excerpt: lineExcerpt(content, lineStart, lineEnd) });
+    }
+
+    return row;
+  });
+}
+
+// Whether a user can see every thread in the session, not just their own
+function feedbackRevealed(session, user) {
+  return session.status !== 'active' || user.role === 'admin';
+}
+
+// Nests replies under their thread; rows come ordered by created_at
+function feedbackThreads(rows) {
+  const threads = new Map();
+  for (const row of rows) {
+    if (!row.parent_id) threads.set(row.id, { ...row, replies: [] });
+  }
+  for (const row of rows) {
+    if (row.parent_id && threads.has(row.parent_id)) threads.get(row.parent_id).replies.push(row);
+  }
+  return [...threads.values()];
+}
+
+// Groups revealed threads per candidate for the next round's writers.
+// Rows carry the candidate's author_name, is_winner and vote_count.
+function summarizeFeedback(rows) {
+  const byCategory = Object.fromEntries(FEEDBACK_CATEGORIES.map(category => [category, 0]));
+  const candidates = new Map();
+
+  for (const thread of feedbackThreads(rows)) {
+    byCategory[thread.category]++;
+
+    if (!candidates.has(thread.candidate_id)) {
+      candidates.set(thread.candidate_id, {
+        candidate_id: thread.candidate_id,
+        voting_session_id: thread.voting_session_id,
+        author_name: thread.author_name,
+        is_winner: thread.is_winner,
+        vote_count: thread.vote_count,
+        comments: []
+      });
+    }
+
+    candidates.get(thread.candidate_id).comments.push({
+      category: thread.category,
+      comment: thread.comment,
+      line_start: thread.line_start,
+      line_end: thread.line_end,
+      excerpt: thread.excerpt,
+      reviewer: thread.reviewer_name,
+      replies: thread.replies.map(reply => ({ author: reply.reviewer_name, comment: reply.comment }))
+    });
+  }
+
+  const comments = [...candidates.values()].reduce((total, candidate) => total + candidate.comments.length, 0);
+  return {
+    total_comments: comments,
+    by_category: byCategory,
+    candidates: [...candidates.values()]
+  };
+}
+
+// Digest of the feedback on a task's ended sessions, taken before
+// reassignment deletes the candidates it hangs off
+async function feedbackDigest(queryable, taskId) {
+  const result = await queryable.query(`
+    SELECT vf.*, vc.author_name, vc.is_winner, vc.vote_count, u.username as reviewer_name
+    FROM vote_feedback vf
+    JOIN voting_sessions vs ON vf.voting_session_id = vs.id
+    JOIN voting_candidates vc ON vf.candidate_id = vc.id
+    JOIN users u ON vf.author_id = u.id
+    WHERE vs.task_id = $1 AND vs.status <> 'active'
+    ORDER BY vc.created_at, vf.created_at
+  `, [taskId]);
+
+  return summarizeFeedback(result.rows);
+}
+
+module.exports = {
+  FEEDBACK_CATEGORIES,
+  feedbackRows,
+  validComment,
+  feedbackRevealed,
+  feedbackThreads,
+  summarizeFeedback,
+  feedbackDigest
+};
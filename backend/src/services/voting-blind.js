@@ -0,0 +1,130 @@
+// Blind voting: while a blind session is open, voters see the candidates
+// under shuffled letters, and the writers' names, user ids and any mention of
+// them in the submitted content are removed from what the API returns.
+const crypto = require('crypto');
+const { escapeRegExp } = require('./regexp');
+
+const REDACTED = '[匿名]';
+
+// Keys that name or point at a writer, dropped wherever they appear
+const AUTHOR_KEYS = new Set([
+  'author', 'authors', 'author_id', 'author_name', 'writer_id', 'writer_name',
+  'submitted_by', 'created_by', 'updated_by'
+]);
+
+function isBlind(session) {
+  return session.blind === true && session.status === 'active';
+}
+
+// Letters A, B, C... for the candidates, given in creation order. Blind
+// sessions shuffle them per voter with a hash of the session and the voter,
+// so a voter sees the same letters on every visit but voters don't share one.
+function candidateLabels(session, voterId, candidateIds) {
+  let ordered = candidateIds;
+  if (session.blind) {
+    const keys = new Map(candidateIds.map(id => [
+      id,
+      crypto.createHash('sha256').update(`${session.id}:${voterId}:${id}`).digest('hex')
+    ]));
+    ordered = [...candidateIds].sort((a, b) => keys.get(a).localeCompare(keys.get(b)));
+  }
+  return new Map(ordered.map((id, index) => [id, String.fromCharCode(65 + index)]));
+}
+
+// Replaces writers' usernames and email addresses in text
+function redactText(text, identities) {
+  const names = identities.filter(name => name && name.length >= 3);
+  if (names.length === 0) return text;
+
+  // Longest first so an email is replaced before the username inside it
+  names.sort((a, b) => b.length - a.length);
+  const pattern = new RegExp(names.map(escapeRegExp).join('|'), 'gi');
+  return text.replace(pattern, REDACTED);
+}
+
+// Deep copy of a payload with author keys dropped and identities redacted.
+// Ids are left alone so a short username can't match inside a UUID.
+function redactAuthors(value, identities) {
+  if (typeof value === 'string') {
+    return redactText(value, identities);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactAuthors(item, identities));
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (AUTHOR_KEYS.has(key)) continue;
+      copy[key] = key === 'id' || key.endsWith('_id') ? item : redactAuthors(item, identities);
+    }
+    return copy;
+  }
+  return value;
+}
+
+// Usernames and email addresses of the session's writers
+async function authorIdentities(queryable, sessionId) {
+  const result = await queryable.query(`
+    SELECT u.username, u.email
+    FROM voting_candidates vc
+    JOIN users u ON vc.author_id = u.id
+    WHERE vc.voting_session_id = $1
+  `, [sessionId]);
+
+  return result.rows.flatMap(row => [row.username, row.email]);
+}
+
+// Tasks among taskIds whose voting is currently blind
+async function blindTaskIds(queryable, taskIds) {
+  if (taskIds.length === 0) return new Set();
+
+  const result = await queryable.query(`
+    SELECT DISTINCT task_id
+    FROM voting_sessions
+    WHERE task_id = ANY($1::uuid[]) AND blind = true AND status = 'active'
+  `, [taskIds]);
+
+  return new Set(result.rows.map(row => row.task_id));
+}
+
+// Usernames and email addresses of a task's assigned writers
+async function taskWriterIdentities(queryable, taskId) {
+  const result = await queryable.query(`
+    SELECT u.username, u.email
+    FROM wiki_task_assignments wta
+    JOIN users u ON wta.writer_id = u.id
+    WHERE wta.task_id = $1
+  `, [taskId]);
+
+  return result.rows.flatMap(row => [row.username, row.email]);
+}
+
+// A task's writers list with every writer replaced by an anonymous slot
+function anonymousWriters(writers) {
+  return (writers || []).map(() => ({ id: null, username: REDACTED }));
+}
+
+// Labels the candidates for the voter, sorted by label. In an open blind
+// session the candidates are redacted; candidates must be in creation order.
+async function presentCandidates(queryable, session, voterId, candidates) {
+  const labels = candidateLabels(session, voterId, candidates.map(candidate => candidate.id));
+  const identities = isBlind(session) ? await authorIdentities(queryable, session.id) : null;
+
+  return candidates
+    .map(candidate => ({
+      ...(identities ? redactAuthors(candidate, identities) : candidate),
+      label: labels.get(candidate.id)
+    }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+module.exports = {
+  REDACTED,
+  isBlind,
+  candidateLabels,
+  redactAuthors,
+  blindTaskIds,
+  taskWriterIdentities,
+  anonymousWriters,
+  presentCandidates
+};
@@ -0,0 +1,159 @@
+// Voter eligibility for a voting session. Conflicts of interest are checked
+// first: users on the deny list, writers of candidate documents and, when the
+// session asks for it, the code annotator can never vote. Users on the allow
+// list may then vote regardless of the role and category restrictions.
+const USER_ROLES = ['admin', 'code_author', 'doc_author', 'team_member'];
+
+const ELIGIBILITY_DEFAULTS = {
+  exclude_authors: true,
+  exclude_annotator: false,
+  roles: [],
+  category_id: null
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Validates eligibility settings and fills in the defaults
+function eligibilityConfig(input = {}) {
+  const config = { ...ELIGIBILITY_DEFAULTS, ...(input || {}) };
+
+  const roles = config.roles || [];
+  if (!Array.isArray(roles) || roles.some(role => !USER_ROLES.includes(role))) {
+    throw new Error(`Eligible roles must be a list of: ${USER_ROLES.join(', ')}`);
+  }
+  if (config.category_id && !UUID_PATTERN.test(config.category_id)) {
+    throw new Error('category_id must be a category id');
+  }
+
+  return {
+    exclude_authors: config.exclude_authors !== false,
+    exclude_annotator: config.exclude_annotator === true,
+    roles: [...new Set(roles)],
+    category_id: config.category_id || null
+  };
+}
+
+// Everything the rules need about one session, loaded once
+async function loadEligibilityContext(queryable, session) {
+  const config = eligibilityConfig(session.eligibility);
+
+  const authors = await queryable.query(
+    'SELECT author_id FROM voting_candidates WHERE voting_session_id = $1',
+    [session.id]
+  );
+
+  const annotators = await queryable.query(`
+    SELECT code_annotator_id as user_id FROM wiki_tasks WHERE id = $1 AND code_annotator_id IS NOT NULL
+    UNION
+    SELECT annotator_id FROM code_annotations WHERE task_id = $1
+  `, [session.task_id]);
+
+  const lists = await queryable.query(
+    'SELECT user_id, list_type FROM voting_session_voter_lists WHERE voting_session_id = $1',
+    [session.id]
+  );
+
+  // Category members: writers and annotators of tasks anywhere in the category's subtree
+  let categoryMembers = null;
+  let categoryName = null;
+  if (config.category_id) {
+    const category = await queryable.query('SELECT name FROM categories WHERE id = $1', [config.category_id]);
+    categoryName = category.rows[0]?.name || null;
+
+    const members = await queryable.query(`
+      WITH RECURSIVE subtree AS (
+        SELECT id FROM categories WHERE id = $1
+        UNION ALL
+        SELECT c.id FROM categories c JOIN subtree s ON c.parent_id = s.id
+      ),
+      tasks AS (
+        SELECT wt.* FROM wiki_tasks wt
+        JOIN functions f ON wt.function_id = f.id
+        WHERE f.category_id IN (SELECT id FROM subtree)
+      )
+      SELECT code_annotator_id as user_id FROM tasks
+      UNION
+      SELECT wta.writer_id FROM wiki_task_assignments wta JOIN tasks ON wta.task_id = tasks.id
+      UNION
+      SELECT ed.writer_id FROM entry_documents ed JOIN tasks ON ed.task_id = tasks.id
+      UNION
+      SELECT ca.annotator_id FROM code_annotations ca JOIN tasks ON ca.task_id = tasks.id
+    `, [config.category_id]);
+    categoryMembers = new Set(members.rows.map(row => row.user_id).filter(Boolean));
+  }
+
+  return {
+    config,
+    authors: new Set(authors.rows.map(row => row.author_id)),
+    annotators: new Set(annotators.rows.map(row => row.user_id)),
+    allowed: new Set(lists.rows.filter(row => row.list_type === 'allow').map(row => row.user_id)),
+    denied: new Set(lists.rows.filter(row => row.list_type === 'deny').map(row => row.user_id)),
+    categoryMembers,
+    categoryName
+  };
+}
+
+// Why the user may not vote, or null when they may
+function ineligibilityReason(context, user) {
+  const { config } = context;
+
+  if (context.denied.has(user.id)) {
+    return 'An administrator has excluded you from this voting session';
+  }
+  if (config.exclude_authors && context.authors.has(user.id)) {
+    return 'You wrote one of the documents on this ballot';
+  }
+  if (config.exclude_annotator && context.annotators.has(user.id)) {
+    return 'You annotated the code this document describes';
+  }
+  if (context.allowed.has(user.id)) {
+    return null;
+  }
+  if (config.roles.length > 0 && !config.roles.includes(user.role)) {
+    return `This session is open to these roles only: ${config.roles.join(', ')}`;
+  }
+  if (context.categoryMembers && !context.categoryMembers.has(user.id)) {
+    return `This session is open to contributors of the "${context.categoryName || 'selected'}" category only`;
+  }
+  return null;
+}
+
+// { eligible, reason } for one user
+async function voterEligibility(queryable, session, user) {
+  const context = await loadEligibilityContext(queryable, session);
+  const reason = ineligibilityReason(context, user);
+  return { eligible: reason === null, reason };
+}
+
+// Every user with their eligibility, for the admin view
+async function voterRoster(queryable, session) {
+  const context = await loadEligibilityContext(queryable, session);
+  const users = await queryable.query('SELECT id, username, role FROM users ORDER BY username');
+
+  return users.rows.map(user => {
+    const reason = ineligibilityReason(context, user);
+    return {
+      ...user,
+      eligible: reason === null,
+      reason,
+      list_type: context.denied.has(user.id) ? 'deny' : context.allowed.has(user.id) ? 'allow' : null
+    };
+  });
+}
+
+// Users who may vote in the session
+async function eligibleVoterIds(queryable, session) {
+  const roster = await voterRoster(queryable, session);
+  return roster.filter(user => user.eligible).map(user => user.id);
+}
+
+module.exports = {
+  USER_ROLES,
+  ELIGIBILITY_DEFAULTS,
+  eligibilityConfig,
+  loadEligibilityContext,
+  ineligibilityReason,
+  voterEligibility,
+  voterRoster,
+  eligibleVoterIds
+};
@@ -0,0 +1,252 @@
+// Voting session lifecycle shared by the admin routes and the voting
+// scheduler: quorum, closing a session with its counting method, resolving
+// ties, and the session event log. Who may vote is decided in voting-eligibility.js.
+const { tally, tiedCandidates } = require('./voting-methods');
+const { eligibleVoterIds } = require('./voting-eligibility');
+const { transitionTask } = require('./task-lifecycle');
+
+const QUORUM_ACTIONS = ['extend', 'escalate', 'close'];
+
+async function logSessionEvent(queryable, sessionId, eventType, details = {}, actorId = null) {
+  await queryable.query(`
+    INSERT INTO voting_session_events (voting_session_id, event_type, actor_id, details)
+    VALUES ($1, $2, $3, $4)
+  `, [sessionId, eventType, actorId, details]);
+}
+
+// Eligible users without a ballot in the session
+async function pendingVoterIds(queryable, session) {
+  const eligible = await eligibleVoterIds(queryable, session);
+  const voted = await queryable.query('SELECT voter_id FROM votes WHERE voting_session_id = $1', [session.id]);
+  const votedIds = new Set(voted.rows.map(row => row.voter_id));
+  return eligible.filter(id => !votedIds.has(id));
+}
+
+function lifecycleError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Ballots cast against the session's quorum; with both rules set, both must
+// be met. A session without ballots never has quorum, whatever its settings.
+async function quorumStatus(queryable, session) {
+  const eligible = await eligibleVoterIds(queryable, session);
+  const ballots = await queryable.query('SELECT COUNT(*) as count FROM votes WHERE voting_session_id = $1', [session.id]);
+  const cast = parseInt(ballots.rows[0].count);
+
+  let required = 0;
+  if (session.quorum_min_ballots) {
+    required = session.quorum_min_ballots;
+  }
+  if (session.quorum_percent) {
+    required = Math.max(required, Math.ceil((eligible.length * Number(session.quorum_percent)) / 100));
+  }
+
+  return {
+    ballots: cast,
+    eligible: eligible.length,
+    required,
+    met: cast > 0 && cast >= required
+  };
+}
+
+// What the scheduler does with an active session past its deadline:
+// 'close', 'extend' or 'escalate'. quorum_action 'close' ends a session
+// short of quorum, but not one without ballots, which has nothing to count.
+function deadlineAction(session, quorum) {
+  if (quorum.met || (session.quorum_action === 'close' && quorum.ballots > 0)) {
+    return 'close';
+  }
+  if (session.quorum_action === 'extend' && session.extensions_used < session.max_extensions) {
+    return 'extend';
+  }
+  return 'escalate';
+}
+
+// Counts the session's ballots with its method. Candidates are ordered by
+// creation so tie-breaks are the same on every recount.
+async function countBallots(queryable, session) {
+  const candidates = await queryable.query(`
+    SELECT id FROM voting_candidates
+    WHERE voting_session_id = $1
+    ORDER BY created_at, id
+  `, [session.id]);
+
+  const votes = await queryable.query(`
+    SELECT choice_type, candidate_id, ballot
+    FROM votes
+    WHERE voting_session_id = $1
+    ORDER BY id
+  `, [session.id]);
+
+  const candidateIds = candidates.rows.map(candidate => candidate.id);
+  return {
+    candidateIds,
+    result: tally(session.voting_method, candidateIds, votes.rows, session.method_config)
+  };
+}
+
+// Ends an active session inside the caller's transaction. A level count
+// leaves it tie_pending for an admin; otherwise it stores the tally, marks
+// the winner, moves the task on and notifies everyone. A count that picks
+// neither a candidate nor "none satisfied" throws NO_DECISION.
+async function closeSession(client, session, { closedBy, actorId = null, quorum = null }) {
+  const { candidateIds, result } = await countBallots(client, session);
+  const tiedIds = tiedCandidates(result);
+  const tie = tiedIds.length > 1;
+
+  if (!tie && !result.winner_candidate_id && !result.none_satisfied_wins) {
+    throw lifecycleError('NO_DECISION', `"${session.title}" has no ballots that decide it; extend the deadline instead of ending it`);
+  }
+
+  for (const candidateId of candidateIds) {
+    await client.query(`
+      UPDATE voting_candidates
+      SET vote_count = $1, is_winner = $2
+      WHERE id = $3
+    `, [result.first_preferences[candidateId], !tie && candidateId === result.winner_candidate_id, candidateId]);
+  }
+
+  await client.query(`
+    UPDATE voting_sessions
+    SET status = $4, ended_at = CURRENT_TIMESTAMP, tally = $2, closed_by = $3
+    WHERE id = $1
+  `, [session.id, result, closedBy, tie ? 'tie_pending' : 'completed']);
+
+  if (tie) {
+    await logSessionEvent(client, session.id, 'tie_detected', {
+      closed_by: closedBy,
+      tied_candidate_ids: tiedIds,
+      total_ballots: result.total_ballots,
+      quorum
+    }, actorId);
+
+    const admins = await client.query("SELECT id FROM users WHERE role = 'admin'");
+    for (const admin of admins.rows) {
+      await client.query(
+        'INSERT INTO task_notifications (task_id, recipient_id, notification_type, title, message) VALUES ($1, $2, $3, $4, $5)',
+        [
+          session.task_id,
+          admin.id,
+          'voting_tied',
+          'Voting session ended in a tie',
+          `"${session.title}" ended with ${tiedIds.length} candidates level. Start a runoff or cast a deciding vote.`
+        ]
+      );
+    }
+
+    return { status: 'tie_pending', result, tiedCandidateIds: tiedIds };
+  }
+
+  await completeTask(client, session, result.none_satisfied_wins, actorId);
+
+  await logSessionEvent(client, session.id, 'closed', {
+    closed_by: closedBy,
+    winner_candidate_id: result.winner_candidate_id,
+    none_satisfied_wins: result.none_satisfied_wins,
+    total_ballots: result.total_ballots,
+    quorum
+  }, actorId);
+
+  if (session.runoff_of) {
+    await settleRunoff(client, session, result.winner_candidate_id, result.none_satisfied_wins, actorId);
+  }
+
+  return { status: 'completed', result, tiedCandidateIds: [] };
+}
+
+// "None satisfied" sends the task back for reassignment; otherwise it is done.
+// Sessions are closed by hand only by admins, otherwise by the scheduler.
+async function completeTask(client, session, noneSatisfiedWins, actorId) {
+  await transitionTask(client, session.task_id, noneSatisfiedWins ? 'reject_all' : 'select_winner', {
+    actor: actorId ? { id: actorId, role: 'admin' } : null,
+    details: { voting_session_id: session.id }
+  });
+
+  const users = await client.query('SELECT id FROM users');
+  const message = noneSatisfiedWins
+    ? `"${session.title}"投票结束，结果为"都不满意"，任务将重新分配`
+    : `"${session.title}"投票结束，已选出获胜版本`;
+
+  for (const user of users.rows) {
+    await client.query(`
+      INSERT INTO voting_notifications (voting_session_id, user_id, notification_type, message)
+      VALUES ($1, $2, 'voting_ended', $3)
+    `, [session.id, user.id, message]);
+  }
+}
+
+// Completes a tie_pending session with the candidate chosen by a runoff or an
+// admin's deciding vote (null when a runoff rejected every candidate)
+async function resolveTie(client, session, { candidateId, noneSatisfiedWins = false, resolution, actorId = null }) {
+  await client.query(`
+    UPDATE voting_candidates
+    SET is_winner = (id = $2)
+    WHERE voting_session_id = $1
+  `, [session.id, candidateId]);
+
+  await client.query(`
+    UPDATE voting_sessions
+    SET status = 'completed', tie_resolution = $2
+    WHERE id = $1
+  `, [session.id, resolution]);
+
+  // A runoff already moved the task on and notified everyone when it closed
+  if (resolution.method === 'admin_decision') {
+    await completeTask(client, session, noneSatisfiedWins, actorId);
+  }
+
+  await logSessionEvent(client, session.id, 'tie_resolved', resolution, actorId);
+
+  if (session.runoff_of) {
+    await settleRunoff(client, session, candidateId, noneSatisfiedWins, actorId);
+  }
+}
+
+// Carries a runoff's outcome back to the tied session it was started for,
+// matching candidates by submission
+async function settleRunoff(client, runoff, winnerCandidateId, noneSatisfiedWins, actorId) {
+  const parentResult = await client.query(`
+    SELECT * FROM voting_sessions
+    WHERE id = $1 AND status = 'tie_pending'
+    FOR UPDATE
+  `, [runoff.runoff_of]);
+
+  if (parentResult.rows.length === 0) return;
+  const parent = parentResult.rows[0];
+
+  let candidateId = null;
+  if (winnerCandidateId) {
+    const match = await client.query(`
+      SELECT parent.id
+      FROM voting_candidates runoff
+      JOIN voting_candidates parent ON parent.submission_id = runoff.submission_id
+      WHERE runoff.id = $1 AND parent.voting_session_id = $2
+    `, [winnerCandidateId, parent.id]);
+    candidateId = match.rows[0]?.id || null;
+  }
+
+  await resolveTie(client, parent, {
+    candidateId,
+    noneSatisfiedWins,
+    resolution: {
+      method: 'runoff',
+      runoff_session_id: runoff.id,
+      winner_candidate_id: candidateId,
+      none_satisfied_wins: noneSatisfiedWins
+    },
+    actorId
+  });
+}
+
+module.exports = {
+  QUORUM_ACTIONS,
+  logSessionEvent,
+  pendingVoterIds,
+  quorumStatus,
+  deadlineAction,
+  countBallots,
+  closeSession,
+  resolveTie
+};
@@ -0,0 +1,362 @@
+// Counting rules for voting sessions. Every ballot is stored in full
+// (votes.ballot), so a session's result can be recomputed at any time from
+// the ballots alone; tally() is pure and deterministic for that reason.
+//
+// Ballot shapes:
+//   plurality  candidate_id only
+//   irv/borda  { rankings: [candidate_id, ...] }  best first, may be partial
+//   score      { scores: { candidate_id: 0..max_score } }  every candidate
+// A "none satisfied" ballot rejects every candidate and carries no ranking.
+
+const VOTING_METHODS = ['plurality', 'irv', 'borda', 'score'];
+const RANKED_METHODS = ['irv', 'borda'];
+const DEFAULT_MAX_SCORE = 5;
+
+// Alternative methods only make sense with a real field of candidates
+const MIN_CANDIDATES_FOR_METHOD = {
+  plurality: 1, // a single-writer task: accept the version or none_satisfied
+  irv: 3,
+  borda: 3,
+  score: 3
+};
+
+// Validated, normalized method_config for a new session
+function methodConfig(method, candidateCount, config = {}) {
+  if (!VOTING_METHODS.includes(method)) {
+    throw new Error(`Unknown voting method "${method}"`);
+  }
+  if (candidateCount < MIN_CANDIDATES_FOR_METHOD[method]) {
+    throw new Error(`The ${method} method needs at least ${MIN_CANDIDATES_FOR_METHOD[method]} candidates`);
+  }
+
+  if (method === 'score') {
+    const maxScore = config.max_score === undefined ? DEFAULT_MAX_SCORE : Number(config.max_score);
+    if (!Number.isInteger(maxScore) || maxScore < 2 || maxScore > 10) {
+      throw new Error('max_score must be an integer between 2 and 10');
+    }
+    return { max_score: maxScore };
+  }
+  return {};
+}
+
+// Checks a submitted ballot against the session and returns what to store:
+// candidate_id is the voter's top choice, ballot the full ranking or scores
+function buildBallot(method, candidateIds, input, config = {}) {
+  const { choice_type, candidate_id, rankings, scores } = input;
+
+  if (choice_type === 'none_satisfied') {
+    return { candidate_id: null, ballot: null };
+  }
+
+  if (method === 'plurality') {
+    if (!candidateIds.includes(candidate_id)) {
+      throw new Error('Invalid candidate');
+    }
+    return { candidate_id, ballot: null };
+  }
+
+  if (RANKED_METHODS.includes(method)) {
+    if (!Array.isArray(rankings) || rankings.length === 0) {
+      throw new Error('Rank at least one candidate');
+    }
+    if (new Set(rankings).size !== rankings.length) {
+      throw new Error('Each candidate can only be ranked once');
+    }
+    if (rankings.some(id => !candidateIds.includes(id))) {
+      throw new Error('Invalid candidate in rankings');
+    }
+    return { candidate_id: rankings[0], ballot: { rankings } };
+  }
+
+  const maxScore = config.max_score || DEFAULT_MAX_SCORE;
+  if (!scores || typeof scores !== 'object' || Array.isArray(scores)) {
+    throw new Error('Score every candidate');
+  }
+  if (Object.keys(scores).some(id => !candidateIds.includes(id))) {
+    throw new Error('Invalid candidate in scores');
+  }
+
+  const normalized = {};
+  for (const id of candidateIds) {
+    const score = scores[id];
+    if (!Number.isInteger(score) || score < 0 || score > maxScore) {
+      throw new Error(`Every candidate needs a whole-number score from 0 to ${maxScore}`);
+    }
+    normalized[id] = score;
+  }
+
+  // Top choice is the highest score, earlier candidates first on equal scores
+  const top = candidateIds.reduce((best, id) => (normalized[id] > normalized[best] ? id : best));
+  return { candidate_id: top, ballot: { scores: normalized } };
+}
+
+// Preference order of a stored vote; votes cast before a method stored
+// rankings count as a ranking of just their chosen candidate
+function preferences(vote) {
+  if (vote.choice_type === 'none_satisfied') return [];
+  if (vote.ballot && Array.isArray(vote.ballot.rankings)) return vote.ballot.rankings;
+  return vote.candidate_id ? [vote.candidate_id] : [];
+}
+
+function countBy(candidateIds) {
+  return Object.fromEntries(candidateIds.map(id => [id, 0]));
+}
+
+// Highest total wins; ties go to more first preferences, then candidate order
+function pickWinner(candidateIds, totals, firstPreferences) {
+  let winner = null;
+  let tied = false;
+
+  for (const id of candidateIds) {
+    if (winner === null) {
+      winner = id;
+      continue;
+    }
+    if (totals[id] > totals[winner]) {
+      winner = id;
+      tied = false;
+    } else if (totals[id] === totals[winner]) {
+      tied = true;
+      if (firstPreferences[id] > firstPreferences[winner]) winner = id;
+    }
+  }
+  return { winner, tied };
+}
+
+function tallyPlurality(candidateIds, votes, result) {
+  const totals = { ...result.first_preferences };
+  const { winner, tied } = pickWinner(candidateIds, totals, totals);
+  const topVotes = winner ? totals[winner] : 0;
+
+  // "None satisfied" must beat the top candidate outright, as before
+  if (result.none_satisfied > topVotes) {
+    return { ...result, totals, none_satisfied_wins: true };
+  }
+  return { ...result, totals, winner_candidate_id: topVotes > 0 ? winner : null, tied: topVotes > 0 && tied };
+}
+
+// Instant runoff: "none satisfied" stays in every round and wins with a
+// majority of the ballots still in play, or by outpolling the last candidate
+function tallyIrv(candidateIds, votes, result) {
+  const ballots = votes.map(vote => ({
+    none: vote.choice_type === 'none_satisfied',
+    preferences: preferences(vote)
+  }));
+
+  const { rounds, outcome, possibleWinners } = countIrv(candidateIds, ballots, candidateIds, []);
+  const undecided = candidateIds.filter(id => possibleWinners.has(id));
+  return {
+    ...result,
+    ...outcome,
+    rounds,
+    ...(undecided.length > 1 && { undecided_candidates: undecided })
+  };
+}
+
+// Counts IRV rounds for the continuing candidates, after earlierRounds.
+// Elimination ties look back at earlier rounds and finally drop the later
+// candidate. When no earlier round separates them, the count is rerun with
+// each other tied candidate eliminated instead: possibleWinners collects
+// every candidate that wins one of those counts.
+function countIrv(candidateIds, ballots, continuingIds, earlierRounds) {
+  const continuing = new Set(continuingIds);
+  const rounds = [...earlierRounds];
+  const possibleWinners = new Set();
+
+  const currentChoice = ballot => ballot.preferences.find(id => continuing.has(id)) || null;
+
+  while (continuing.size > 0) {
+    const counts = countBy(candidateIds.filter(id => continuing.has(id)));
+    let noneSatisfied = 0;
+    let exhausted = 0;
+
+    for (const ballot of ballots) {
+      if (ballot.none) {
+        noneSatisfied++;
+        continue;
+      }
+      const choice = currentChoice(ballot);
+      if (choice) counts[choice]++;
+      else exhausted++;
+    }
+
+    const round = {
+      round: rounds.length + 1,
+      counts,
+      none_satisfied: noneSatisfied,
+      exhausted,
+      eliminated: null
+    };
+    rounds.push(round);
+
+    const active = ballots.length - exhausted;
+    const remaining = candidateIds.filter(id => continuing.has(id));
+    const leader = remaining.reduce((best, id) => (counts[id] > counts[best] ? id : best));
+
+    if (active === 0) {
+      return { rounds, outcome: { totals: counts }, possibleWinners };
+    }
+    if (noneSatisfied * 2 > active || (remaining.length === 1 && noneSatisfied > counts[leader])) {
+      return { rounds, outcome: { totals: counts, none_satisfied_wins: true }, possibleWinners };
+    }
+    if (counts[leader] * 2 > active || remaining.length === 1) {
+      possibleWinners.add(leader);
+      return { rounds, outcome: { totals: counts, winner_candidate_id: leader }, possibleWinners };
+    }
+
+    const fewest = Math.min(...remaining.map(id => counts[id]));
+    let lowest = remaining.filter(id => counts[id] === fewest);
+    for (let i = rounds.length - 2; i >= 0 && lowest.length > 1; i--) {
+      const earlierFewest = Math.min(...lowest.map(id => rounds[i].counts[id]));
+      lowest = lowest.filter(id => rounds[i].counts[id] === earlierFewest);
+    }
+    const eliminated = lowest[lowest.length - 1];
+
+    round.eliminated = eliminated;
+    round.elimination_tie = remaining.filter(id => counts[id] === fewest).length > 1;
+
+    for (const alternative of lowest.slice(0, -1)) {
+      const branch = countIrv(
+        candidateIds,
+        ballots,
+        remaining.filter(id => id !== alternative),
+        [...rounds.slice(0, -1), { ...round, eliminated: alternative }]
+      );
+      branch.possibleWinners.forEach(id => possibleWinners.add(id));
+    }
+
+    // Where the eliminated candidate's ballots go next
+    const transfers = { exhausted: 0 };
+    const moving = ballots.filter(ballot => !ballot.none && currentChoice(ballot) === eliminated);
+    continuing.delete(eliminated);
+    for (const ballot of moving) {
+      const next = currentChoice(ballot) || 'exhausted';
+      transfers[next] = (transfers[next] || 0) + 1;
+    }
+    round.transfers = transfers;
+  }
+
+  return { rounds, outcome: {}, possibleWinners };
+}
+
+// Borda count: with n candidates a ballot gives n-1 points to its first
+// choice, n-2 to the second and so on; unranked candidates get nothing
+function tallyBorda(candidateIds, votes, result) {
+  const totals = countBy(candidateIds);
+  const n = candidateIds.length;
+
+  for (const vote of votes) {
+    preferences(vote).forEach((id, index) => {
+      if (id in totals) totals[id] += n - 1 - index;
+    });
+  }
+  return decideByTotals(candidateIds, totals, result);
+}
+
+// Score voting: highest average score wins
+function tallyScore(candidateIds, votes, result, config) {
+  const sums = countBy(candidateIds);
+  let scored = 0;
+
+  for (const vote of votes) {
+    const scores = vote.ballot && vote.ballot.scores;
+    if (vote.choice_type === 'none_satisfied' || !scores) continue;
+    scored++;
+    for (const id of candidateIds) {
+      sums[id] += scores[id] || 0;
+    }
+  }
+
+  const totals = Object.fromEntries(candidateIds.map(id => [
+    id, scored > 0 ? Math.round((sums[id] / scored) * 100) / 100 : 0
+  ]));
+  return { ...decideByTotals(candidateIds, totals, result), score_sums: sums, max_score: config.max_score || DEFAULT_MAX_SCORE };
+}
+
+// Borda and score results have no vote count to compare "none satisfied"
+// against, so it wins when a majority of all ballots reject every candidate
+function decideByTotals(candidateIds, totals, result) {
+  if (result.none_satisfied * 2 > result.total_ballots) {
+    return { ...result, totals, none_satisfied_wins: true };
+  }
+  if (result.total_ballots === result.none_satisfied) {
+    return { ...result, totals };
+  }
+  const { winner, tied } = pickWinner(candidateIds, totals, result.first_preferences);
+  return { ...result, totals, winner_candidate_id: winner, tied };
+}
+
+// Counts the ballots of a session. candidateIds must be in a fixed order
+// (candidate creation order) so tie-breaks are reproducible on recount.
+function tally(method, candidateIds, votes, config = {}) {
+  const firstPreferences = countBy(candidateIds);
+  let noneSatisfied = 0;
+
+  for (const vote of votes) {
+    if (vote.choice_type === 'none_satisfied') noneSatisfied++;
+    else if (vote.candidate_id in firstPreferences) firstPreferences[vote.candidate_id]++;
+  }
+
+  const result = {
+    method,
+    total_ballots: votes.length,
+    none_satisfied: noneSatisfied,
+    first_preferences: firstPreferences,
+    winner_candidate_id: null,
+    none_satisfied_wins: false,
+    tied: false
+  };
+
+  switch (method) {
+    case 'irv':
+      return tallyIrv(candidateIds, votes, result);
+    case 'borda':
+      return tallyBorda(candidateIds, votes, result);
+    case 'score':
+      return tallyScore(candidateIds, votes, result, config);
+    case 'plurality':
+      return tallyPlurality(candidateIds, votes, result);
+    default:
+      throw new Error(`Unknown voting method "${method}"`);
+  }
+}
+
+// Candidates still level after the method's own tie-breaks, read from a
+// tally result. More than one means the session needs an admin to resolve it:
+// plurality ties on totals, Borda and score also on first preferences, and
+// IRV when an elimination tie that earlier rounds cannot break decides who wins.
+function tiedCandidates(result) {
+  if (!result || !result.winner_candidate_id || result.none_satisfied_wins) return [];
+  const winner = result.winner_candidate_id;
+
+  if (result.method === 'irv') {
+    return result.undecided_candidates || [];
+  }
+
+  const level = Object.keys(result.totals || {}).filter(id => result.totals[id] === result.totals[winner]);
+  if (result.method === 'plurality') return level.length > 1 ? level : [];
+
+  const undecided = level.filter(id => result.first_preferences[id] === result.first_preferences[winner]);
+  return undecided.length > 1 ? undecided : [];
+}
+
+// Structural equality that ignores object key order (JSONB reorders keys)
+function sameTally(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => key in b && sameTally(a[key], b[key]));
+}
+
+module.exports = {
+  VOTING_METHODS,
+  RANKED_METHODS,
+  methodConfig,
+  buildBallot,
+  tally,
+  tiedCandidates,
+  sameTally
+};
@@ -0,0 +1,83 @@
+// Rubric scoring that accompanies every ballot. A session snapshots the
+// active criteria when it is created, so editing the rubric later never
+// changes what an open session asks for. Scores run from 1 to the
+// criterion's max_score and are normalized to 0-100 when aggregated.
+
+// The criterion whose scores feed per-function and per-category code readability
+const CODE_READABILITY_KEY = 'code_readability';
+
+function rubricSnapshot(criteria) {
+  return criteria.map(criterion => ({
+    key: criterion.key,
+    label: criterion.label,
+    description: criterion.description || null,
+    max_score: criterion.max_score,
+    weight: Number(criterion.weight)
+  }));
+}
+
+// Validates { candidate_id: { criterion_key: score } } against the session
+// rubric and returns one row per candidate and criterion
+function rubricScoreRows(rubric, candidateIds, input) {
+  if (rubric.length === 0) return [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Score every candidate on the rubric');
+  }
+  if (Object.keys(input).some(id => !candidateIds.includes(id))) {
+    throw new Error('Invalid candidate in rubric scores');
+  }
+
+  const rows = [];
+  for (const candidateId of candidateIds) {
+    const scores = input[candidateId] || {};
+    for (const criterion of rubric) {
+      const score = scores[criterion.key];
+      if (!Number.isInteger(score) || score < 1 || score > criterion.max_score) {
+        throw new Error(`Score "${criterion.label}" from 1 to ${criterion.max_score} for every candidate`);
+      }
+      rows.push({ candidate_id: candidateId, criterion_key: criterion.key, score, max_score: criterion.max_score });
+    }
+  }
+  return rows;
+}
+
+// Per-candidate averages from aggregated rows
+// ({ candidate_id, criterion_key, average_score, ratings }), with a weighted
+// overall score on the 0-100 scale
+function summarizeRubric(rubric, rows) {
+  const byCandidate = {};
+
+  for (const row of rows) {
+    const criterion = rubric.find(item => item.key === row.criterion_key);
+    if (!criterion) continue;
+
+    const summary = byCandidate[row.candidate_id] || (byCandidate[row.candidate_id] = { candidate_id: row.candidate_id, criteria: {} });
+    summary.criteria[row.criterion_key] = {
+      average_score: Number(row.average_score),
+      ratings: Number(row.ratings)
+    };
+  }
+
+  return Object.values(byCandidate).map((summary) => {
+    let weighted = 0;
+    let weights = 0;
+    for (const criterion of rubric) {
+      const result = summary.criteria[criterion.key];
+      if (!result) continue;
+      weighted += (result.average_score / criterion.max_score) * criterion.weight;
+      weights += criterion.weight;
+    }
+    return {
+      ...summary,
+      overall_score: weights > 0 ? Math.round((weighted / weights) * 1000) / 10 : null
+    };
+  });
+}
+
+module.exports = {
+  CODE_READABILITY_KEY,
+  rubricSnapshot,
+  rubricScoreRows,
+  summarizeRubric
+};
@@ -0,0 +1,167 @@
+// Background job for voting deadlines, run as the close_voting_sessions
+// scheduled job. Each run closes sessions whose deadline has passed with
+// quorum (leaving a level count tie_pending), extends or escalates those
+// without it, and reminds eligible users who have not voted as a deadline
+// approaches.
+const db = require('../config/database');
+const { logSessionEvent, pendingVoterIds, quorumStatus, deadlineAction, closeSession } = require('./voting-lifecycle');
+
+// Settles one overdue session. The row lock keeps a manual /end and a
+// second backend instance from handling the same session twice.
+async function processDeadline(sessionId) {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    const sessionResult = await client.query(`
+      SELECT * FROM voting_sessions
+      WHERE id = $1 AND status = 'active' AND deadline <= NOW() AND escalated_at IS NULL
+      FOR UPDATE SKIP LOCKED
+    `, [sessionId]);
+
+    if (sessionResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const session = sessionResult.rows[0];
+    const quorum = await quorumStatus(client, session);
+    const action = deadlineAction(session, quorum);
+    let outcome;
+
+    if (action === 'close') {
+      const { status } = await closeSession(client, session, { closedBy: 'scheduler', quorum });
+      outcome = status === 'tie_pending' ? 'tied' : 'closed';
+    } else if (action === 'extend') {
+      const extended = await client.query(`
+        UPDATE voting_sessions
+        SET deadline = deadline + make_interval(hours => extension_hours),
+            extensions_used = extensions_used + 1,
+            last_reminder_at = NULL
+        WHERE id = $1
+        RETURNING deadline
+      `, [session.id]);
+
+      await logSessionEvent(client, session.id, 'extended', {
+        reason: 'quorum_missed',
+        quorum,
+        previous_deadline: session.deadline,
+        deadline: extended.rows[0].deadline,
+        extension: session.extensions_used + 1
+      });
+      outcome = 'extended';
+    } else {
+      // Out of extensions, set to escalate or without ballots: leave it open for an admin to decide
+      await client.query('UPDATE voting_sessions SET escalated_at = CURRENT_TIMESTAMP WHERE id = $1', [session.id]);
+      await logSessionEvent(client, session.id, 'escalated', { reason: 'quorum_missed', quorum });
+
+      const admins = await client.query("SELECT id FROM users WHERE role = 'admin'");
+      for (const admin of admins.rows) {
+        await client.query(
+          'INSERT INTO task_notifications (task_id, recipient_id, notification_type, title, message) VALUES ($1, $2, $3, $4, $5)',
+          [
+            session.task_id,
+            admin.id,
+            'voting_escalated',
+            'Voting session missed quorum',
+            quorum.ballots === 0
+              ? `"${session.title}" reached its deadline without any ballots. Extend it or cancel it.`
+              : `"${session.title}" reached its deadline with ${quorum.ballots} of ${quorum.required} required ballots. Extend it, lower the quorum or end it manually.`
+          ]
+        );
+      }
+      outcome = 'escalated';
+    }
+
+    await client.query('COMMIT');
+    return outcome;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// One reminder per session and deadline, to eligible users without a ballot
+async function sendReminders() {
+  const dueSessions = await db.query(`
+    SELECT * FROM voting_sessions
+    WHERE status = 'active'
+      AND deadline > NOW()
+      AND reminder_hours IS NOT NULL
+      AND deadline <= NOW() + make_interval(hours => reminder_hours)
+      AND last_reminder_at IS NULL
+  `);
+
+  let reminded = 0;
+  for (const session of dueSessions.rows) {
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      // Claim the reminder first so concurrent ticks don't send it twice
+      const claimed = await client.query(`
+        UPDATE voting_sessions SET last_reminder_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND last_reminder_at IS NULL
+        RETURNING id
+      `, [session.id]);
+
+      if (claimed.rows.length === 0) {
+        await client.query('ROLLBACK');
+        continue;
+      }
+
+      const recipients = await pendingVoterIds(client, session);
+      const deadline = new Date(session.deadline);
+      for (const userId of recipients) {
+        await client.query(
+          'INSERT INTO task_notifications (task_id, recipient_id, notification_type, title, message) VALUES ($1, $2, $3, $4, $5)',
+          [
+            session.task_id,
+            userId,
+            'voting_reminder',
+            'Voting closes soon',
+            `Voting on "${session.title}" closes at ${deadline.toLocaleString()}. You have not voted yet.`
+          ]
+        );
+      }
+
+      await logSessionEvent(client, session.id, 'reminder_sent', { recipients: recipients.length, deadline: session.deadline });
+      await client.query('COMMIT');
+      reminded += recipients.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+  return reminded;
+}
+
+async function runVotingScheduler() {
+  const summary = { closed: 0, tied: 0, extended: 0, escalated: 0, reminders: 0 };
+
+  const overdue = await db.query(`
+    SELECT id FROM voting_sessions
+    WHERE status = 'active' AND deadline <= NOW() AND escalated_at IS NULL
+    ORDER BY deadline
+  `);
+
+  for (const { id } of overdue.rows) {
+    try {
+      const outcome = await processDeadline(id);
+      if (outcome) summary[outcome]++;
+    } catch (error) {
+      console.error(`Error processing voting deadline for session ${id}:`, error);
+    }
+  }
+
+  summary.reminders = await sendReminders();
+  return summary;
+}
+
+module.exports = {
+  runVotingScheduler
+};
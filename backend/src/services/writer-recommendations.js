@@ -0,0 +1,160 @@
+// Writer recommendations for a wiki task. Users with a conflict of interest
+// are left out: whoever created the function, its code annotator and the
+// writers of the previous round. Everyone else is scored on how little open
+// work they have, how often their versions have won a vote and how many
+// tasks they have written in the function's category subtree.
+const { taskWriterIds } = require('./task-writers');
+
+const WRITER_ROLES = ['doc_author', 'team_member'];
+const OPEN_TASK_STATUSES = ['not_started', 'in_progress', 'overtime'];
+
+const SCORE_WEIGHTS = {
+  workload: 0.4,
+  win_rate: 0.35,
+  familiarity: 0.25
+};
+
+// Tasks in the subtree past which familiarity stops adding to the score
+const FAMILIARITY_CAP = 5;
+
+function recommendationError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function scoreCandidate(candidate) {
+  const workload = 1 / (1 + candidate.open_tasks);
+  // Writers who have not been through a finished vote start at even odds
+  const winRate = (candidate.wins + 1) / (candidate.candidacies + 2);
+  const familiarity = Math.min(candidate.category_tasks, FAMILIARITY_CAP) / FAMILIARITY_CAP;
+
+  const score = SCORE_WEIGHTS.workload * workload +
+    SCORE_WEIGHTS.win_rate * winRate +
+    SCORE_WEIGHTS.familiarity * familiarity;
+
+  return {
+    ...candidate,
+    win_rate: Math.round(winRate * 1000) / 1000,
+    score: Math.round(score * 1000) / 1000
+  };
+}
+
+// Splits candidates into excluded ones and recommendations, best first
+function rankCandidates(candidates, conflicts) {
+  const recommendations = [];
+  const excluded = [];
+
+  for (const candidate of candidates) {
+    const reason = conflicts.get(candidate.id);
+    if (reason) {
+      excluded.push({ id: candidate.id, username: candidate.username, reason });
+      continue;
+    }
+    recommendations.push(scoreCandidate(candidate));
+  }
+
+  recommendations.sort((a, b) =>
+    b.score - a.score || a.open_tasks - b.open_tasks || a.username.localeCompare(b.username)
+  );
+  return { recommendations, excluded };
+}
+
+// Active writers with their open tasks, finished votes and tasks written
+// anywhere under categoryId
+async function loadCandidates(queryable, categoryId) {
+  const result = await queryable.query(`
+    WITH RECURSIVE subtree AS (
+      SELECT id FROM categories WHERE id = $1
+      UNION ALL
+      SELECT c.id FROM categories c JOIN subtree s ON c.parent_id = s.id
+    ),
+    subtree_tasks AS (
+      SELECT wt.id FROM wiki_tasks wt
+      JOIN functions f ON wt.function_id = f.id
+      WHERE f.category_id IN (SELECT id FROM subtree)
+    ),
+    written AS (
+      SELECT wta.writer_id, wta.task_id FROM wiki_task_assignments wta
+      UNION
+      SELECT wc.writer_id, wc.task_id FROM wiki_contents wc
+      UNION
+      SELECT vc.author_id, vs.task_id FROM voting_candidates vc
+      JOIN voting_sessions vs ON vc.voting_session_id = vs.id
+    )
+    SELECT
+      u.id, u.username, u.role,
+      (SELECT COUNT(*) FROM wiki_task_assignments wta
+       JOIN wiki_tasks wt ON wta.task_id = wt.id
+       WHERE wta.writer_id = u.id AND wt.status = ANY($3))::int as open_tasks,
+      (SELECT COUNT(*) FROM voting_candidates vc
+       JOIN voting_sessions vs ON vc.voting_session_id = vs.id
+       WHERE vc.author_id = u.id AND vs.status = 'completed')::int as candidacies,
+      (SELECT COUNT(*) FROM voting_candidates vc
+       JOIN voting_sessions vs ON vc.voting_session_id = vs.id
+       WHERE vc.author_id = u.id AND vs.status = 'completed' AND vc.is_winner = true)::int as wins,
+      (SELECT COUNT(DISTINCT w.task_id) FROM written w
+       WHERE w.writer_id = u.id AND w.task_id IN (SELECT id FROM subtree_tasks))::int as category_tasks
+    FROM users u
+    WHERE u.status = 'active' AND u.role = ANY($2)
+    ORDER BY u.username
+  `, [categoryId, WRITER_ROLES, OPEN_TASK_STATUSES]);
+
+  return result.rows;
+}
+
+async function loadConflicts(queryable, fn, codeAnnotatorId, taskId) {
+  const conflicts = new Map();
+  const add = (userId, reason) => {
+    if (userId && !conflicts.has(userId)) conflicts.set(userId, reason);
+  };
+
+  add(fn.created_by, 'Created the function');
+  add(codeAnnotatorId, 'Annotates the function\'s code');
+  if (taskId) {
+    for (const writerId of await taskWriterIds(queryable, taskId)) {
+      add(writerId, 'Wrote the previous round');
+    }
+  }
+  return conflicts;
+}
+
+// Ranked writers for a task on functionId. Pass taskId when the task
+// already exists so its current writers count as the previous round.
+// Assignments made earlier in the same transaction count as open work,
+// which spreads a batch across writers.
+async function recommendWriters(queryable, { functionId, codeAnnotatorId = null, taskId = null }) {
+  const fnResult = await queryable.query(
+    'SELECT id, category_id, created_by FROM functions WHERE id = $1',
+    [functionId]
+  );
+  if (fnResult.rows.length === 0) {
+    throw recommendationError('FUNCTION_NOT_FOUND', 'Function not found');
+  }
+  const fn = fnResult.rows[0];
+
+  const conflicts = await loadConflicts(queryable, fn, codeAnnotatorId, taskId);
+  const candidates = await loadCandidates(queryable, fn.category_id);
+  return rankCandidates(candidates, conflicts);
+}
+
+// Ids of the count best recommended writers
+async function autoAssignWriters(queryable, options, count) {
+  const { recommendations } = await recommendWriters(queryable, options);
+  if (recommendations.length < count) {
+    throw recommendationError(
+      'NOT_ENOUGH_WRITERS',
+      `Only ${recommendations.length} writers are available without a conflict of interest; ${count} are needed`
+    );
+  }
+
+  return recommendations.slice(0, count).map(candidate => candidate.id);
+}
+
+module.exports = {
+  SCORE_WEIGHTS,
+  scoreCandidate,
+  rankCandidates,
+  recommendWriters,
+  autoAssignWriters
+};
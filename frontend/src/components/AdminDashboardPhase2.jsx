@@ -1,6 +1,11 @@
 import { useState, useEffect } from 'react'
 import { Link } from 'react-router-dom'
 import axios from 'axios'
+import QualityRulesManager from './QualityRulesManager'
+import SimilarityReports from './SimilarityReports'
+import GlossaryManager from './GlossaryManager'
+import VotingRubricManager from './VotingRubricManager'
+import ScheduledJobsPanel from './ScheduledJobsPanel'
 
 function AdminDashboardPhase2() {
   const [categories, setCategories] = useState([])
@@ -23,8 +28,7 @@ function AdminDashboardPhase2() {
     title: '',
     description: '',
     code_annotator_id: '',
-    writer1_id: '',
-    writer2_id: '',
+    writer_ids: ['', ''],
     deadline: ''
   })
 
@@ -91,8 +95,7 @@ function AdminDashboardPhase2() {
         title: '',
         description: '',
         code_annotator_id: '',
-        writer1_id: '',
-        writer2_id: '',
+        writer_ids: ['', ''],
         deadline: ''
       })
       setShowCreateTask(false)
@@ -234,7 +237,7 @@ function AdminDashboardPhase2() {
                   </Link>
                   <p className="text-sm text-gray-600">{task.function_name}</p>
                   <p className="text-sm text-gray-500">
-                    Writers: {task.writer1_username}, {task.writer2_username}
+                    Writers: {task.writers.map(writer => writer.username).join(', ')}
                   </p>
                 </div>
                 <span className={`px-3 py-1 text-sm font-medium rounded-full ${getStatusBadge(task.status)}`}>
@@ -254,6 +257,21 @@ function AdminDashboardPhase2() {
         </div>
       </div>
 
+      {/* Similarity Reports */}
+      <SimilarityReports />
+
+      {/* Quality Rules */}
+      <QualityRulesManager categories={flattenCategories(categories)} />
+
+      {/* Glossary */}
+      <GlossaryManager categories={flattenCategories(categories)} />
+
+      {/* Voting Rubric */}
+      <VotingRubricManager />
+
+      {/* Background Jobs */}
+      <ScheduledJobsPanel />
+
       {/* Create Category Modal */}
       {showCreateCategory && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -12,6 +12,9 @@ function ApiConfigManager({ document, isSubmitted }) {
     { name: 'Production', baseUrl: 'https://api.example.com' }
   ])
   const [selectedEnv, setSelectedEnv] = useState(0)
+  const [runningAll, setRunningAll] = useState(false)
+  const [runSummary, setRunSummary] = useState(null)
+  const [showImport, setShowImport] = useState(false)
 
   useEffect(() => {
     if (document?.id) {
@@ -40,9 +43,24 @@ function ApiConfigManager({ document, isSubmitted }) {
         endpoint: configData.endpoint,
         description: configData.description,
         expected_status: parseInt(configData.expected_status) || 200,
+        expected_response: configData.expected_response || '',
         order_index: configData.order_index || 0
       }
 
+      // Parse assertions from JSON string to array
+      try {
+        backendData.assertions = configData.assertions ? JSON.parse(configData.assertions) : []
+      } catch {
+        throw new Error('Assertions must be a valid JSON array')
+      }
+
+      // Parse extraction rules from JSON string to array
+      try {
+        backendData.extractions = configData.extractions ? JSON.parse(configData.extractions) : []
+      } catch {
+        throw new Error('Extractions must be a valid JSON array')
+      }
+
       // Parse headers from JSON string to object
       try {
         backendData.headers = configData.headers ? JSON.parse(configData.headers) : {}
@@ -90,65 +108,61 @@ function ApiConfigManager({ document, isSubmitted }) {
 
   const testApi = async (config) => {
     try {
-      setTestResults({ ...testResults, [config.id]: { loading: true } })
-      
-      const env = environments[selectedEnv]
-      const fullUrl = `${env.baseUrl}${config.endpoint}`
-      
-      const headers = {}
-      if (config.headers) {
-        try {
-          Object.assign(headers, JSON.parse(config.headers))
-        } catch (e) {
-          console.warn('Invalid headers JSON:', config.headers)
-        }
-      }
+      setTestResults(prev => ({ ...prev, [config.id]: { loading: true } }))
 
-      const requestConfig = {
-        method: config.method.toLowerCase(),
-        url: fullUrl,
-        headers,
-        timeout: 10000
-      }
+      const response = await axios.post(`/entry-api-configs/${config.id}/run`, {
+        base_url: environments[selectedEnv].baseUrl
+      })
 
-      if (config.body && ['post', 'put', 'patch'].includes(config.method.toLowerCase())) {
-        try {
-          requestConfig.data = JSON.parse(config.body)
-        } catch (e) {
-          requestConfig.data = config.body
+      setTestResults(prev => ({ ...prev, [config.id]: toTestResult(response.data) }))
+    } catch (error) {
+      setTestResults(prev => ({
+        ...prev,
+        [config.id]: {
+          status: 0,
+          passed: false,
+          error: error.response?.data?.error || error.message,
+          assertions: []
         }
-      }
+      }))
+    }
+  }
 
-      const startTime = Date.now()
-      const response = await axios(requestConfig)
-      const responseTime = Date.now() - startTime
+  const runAllApis = async () => {
+    try {
+      setRunningAll(true)
+      const response = await axios.post(`/entry-api-configs/document/${document.id}/run-all`, {
+        base_url: environments[selectedEnv].baseUrl
+      })
 
-      setTestResults({
-        ...testResults,
-        [config.id]: {
-          success: true,
-          status: response.status,
-          statusText: response.statusText,
-          data: response.data,
-          responseTime,
-          headers: response.headers,
-          expectedMatch: response.status === parseInt(config.expected_status)
-        }
+      const results = {}
+      response.data.runs.forEach(run => {
+        results[run.config_id] = toTestResult(run)
       })
+      setTestResults(results)
+      setRunSummary({ passed: response.data.passed, failed: response.data.failed, total: response.data.total })
     } catch (error) {
-      const responseTime = Date.now() - Date.now()
-      setTestResults({
-        ...testResults,
-        [config.id]: {
-          success: false,
-          status: error.response?.status || 0,
-          statusText: error.response?.statusText || error.message,
-          data: error.response?.data || error.message,
-          responseTime,
-          expectedMatch: false,
-          error: true
-        }
+      console.error('Error running API configs:', error)
+    } finally {
+      setRunningAll(false)
+    }
+  }
+
+  const exportConfigs = async (format) => {
+    try {
+      const response = await axios.get(`/entry-api-configs/document/${document.id}/export/${format}`, {
+        responseType: 'blob'
       })
+
+      const filename = `${document.title.replace(/[^a-zA-Z0-9]/g, '_')}.${EXPORT_EXTENSIONS[format]}`
+      const url = URL.createObjectURL(response.data)
+      const a = window.document.createElement('a')
+      a.href = url
+      a.download = filename
+      a.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Error exporting API configs:', error)
     }
   }
 
@@ -195,6 +209,41 @@ function ApiConfigManager({ document, isSubmitted }) {
               </select>
             </div>
 
+            {runSummary && (
+              <span className={`text-sm ${runSummary.failed === 0 ? 'text-green-600' : 'text-red-600'}`}>
+                {runSummary.passed}/{runSummary.total} passed
+              </span>
+            )}
+
+            <button
+              onClick={runAllApis}
+              disabled={runningAll || configs.length === 0}
+              className="bg-gray-100 text-gray-700 px-4 py-2 rounded text-sm hover:bg-gray-200 disabled:opacity-50"
+            >
+              {runningAll ? 'Running...' : '▶ Run All'}
+            </button>
+
+            <select
+              value=""
+              onChange={(e) => e.target.value && exportConfigs(e.target.value)}
+              disabled={configs.length === 0}
+              className="border border-gray-300 rounded px-3 py-2 text-sm text-gray-700 disabled:opacity-50"
+            >
+              <option value="">⇩ Export...</option>
+              <option value="postman">Postman Collection</option>
+              <option value="openapi">OpenAPI Paths</option>
+              <option value="curl">cURL Script</option>
+            </select>
+
+            {!isSubmitted && (
+              <button
+                onClick={() => setShowImport(true)}
+                className="bg-gray-100 text-gray-700 px-4 py-2 rounded text-sm hover:bg-gray-200"
+              >
+                ⇪ Import
+              </button>
+            )}
+
             {!isSubmitted && (
               <button
                 onClick={() => setEditingConfig({})}
@@ -209,6 +258,16 @@ function ApiConfigManager({ document, isSubmitted }) {
 
       {/* Config List */}
       <div className="flex-1 overflow-y-auto">
+        {configs.length > 0 && (
+          <ScenarioPanel
+            documentId={document.id}
+            configs={configs}
+            environment={environments[selectedEnv]}
+            isSubmitted={isSubmitted}
+            onChanged={fetchConfigs}
+          />
+        )}
+
         {configs.length === 0 ? (
           <div className="text-center py-12">
             <div className="text-gray-400 text-4xl mb-4">🔗</div>
@@ -249,11 +308,288 @@ function ApiConfigManager({ document, isSubmitted }) {
           onCancel={() => setEditingConfig(null)}
         />
       )}
+
+      {/* Import Dialog */}
+      {showImport && (
+        <ImportDialog
+          documentId={document.id}
+          onImported={async () => {
+            setShowImport(false)
+            await fetchConfigs()
+          }}
+          onCancel={() => setShowImport(false)}
+        />
+      )}
+    </div>
+  )
+}
+
+// Ordered chains of configs that share extracted variables
+function ScenarioPanel({ documentId, configs, environment, isSubmitted, onChanged }) {
+  const [scenarios, setScenarios] = useState([])
+  const [creating, setCreating] = useState(false)
+  const [newScenario, setNewScenario] = useState({ name: '', stop_on_failure: true, config_ids: [] })
+  const [runResults, setRunResults] = useState({})
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    fetchScenarios()
+  }, [documentId, configs])
+
+  const fetchScenarios = async () => {
+    try {
+      const response = await axios.get(`/entry-api-configs/document/${documentId}/scenarios`)
+      setScenarios(response.data)
+    } catch (error) {
+      console.error('Error fetching scenarios:', error)
+    }
+  }
+
+  const toggleStep = (configId) => {
+    setNewScenario(prev => ({
+      ...prev,
+      config_ids: prev.config_ids.includes(configId)
+        ? prev.config_ids.filter(id => id !== configId)
+        : [...prev.config_ids, configId]
+    }))
+  }
+
+  const createScenario = async () => {
+    try {
+      setError(null)
+      await axios.post(`/entry-api-configs/document/${documentId}/scenarios`, newScenario)
+      setCreating(false)
+      setNewScenario({ name: '', stop_on_failure: true, config_ids: [] })
+      await onChanged()
+    } catch (error) {
+      console.error('Error creating scenario:', error)
+      setError(error.response?.data?.error || 'Failed to create scenario')
+    }
+  }
+
+  const deleteScenario = async (scenarioId) => {
+    if (!confirm('Delete this scenario? Its API configurations are kept.')) return
+
+    try {
+      await axios.delete(`/entry-api-configs/scenarios/${scenarioId}`)
+      await onChanged()
+    } catch (error) {
+      console.error('Error deleting scenario:', error)
+    }
+  }
+
+  const runScenario = async (scenarioId) => {
+    setRunResults(prev => ({ ...prev, [scenarioId]: { loading: true } }))
+
+    try {
+      const response = await axios.post(`/entry-api-configs/scenarios/${scenarioId}/run`, {
+        base_url: environment.baseUrl
+      })
+      setRunResults(prev => ({ ...prev, [scenarioId]: response.data }))
+    } catch (error) {
+      setRunResults(prev => ({
+        ...prev,
+        [scenarioId]: { error: error.response?.data?.error || error.message }
+      }))
+    }
+  }
+
+  // Only configs not yet used by another scenario can be added
+  const availableConfigs = configs.filter(config => !config.scenario_id)
+
+  return (
+    <div className="p-4 border-b bg-gray-50">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-semibold text-gray-900">Scenarios ({scenarios.length})</h3>
+        {!isSubmitted && !creating && availableConfigs.length > 0 && (
+          <button
+            onClick={() => setCreating(true)}
+            className="text-sm text-blue-600 hover:text-blue-800"
+          >
+            + New Scenario
+          </button>
+        )}
+      </div>
+
+      {creating && (
+        <div className="bg-white border rounded p-3 mb-3 space-y-2">
+          <input
+            type="text"
+            value={newScenario.name}
+            onChange={(e) => setNewScenario({ ...newScenario, name: e.target.value })}
+            placeholder="Scenario name, e.g. Register → Login → Profile"
+            className="w-full border border-gray-300 rounded px-3 py-1 text-sm"
+          />
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={newScenario.stop_on_failure}
+              onChange={(e) => setNewScenario({ ...newScenario, stop_on_failure: e.target.checked })}
+            />
+            <span>Stop at the first failing step</span>
+          </label>
+          <p className="text-xs text-gray-500">Steps run in the configuration order shown below.</p>
+          <div className="space-y-1">
+            {availableConfigs.map(config => (
+              <label key={config.id} className="flex items-center space-x-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={newScenario.config_ids.includes(config.id)}
+                  onChange={() => toggleStep(config.id)}
+                />
+                <span className="font-mono text-xs">{config.method}</span>
+                <span>{config.name}</span>
+              </label>
+            ))}
+          </div>
+          {error && <div className="text-sm text-red-600">{error}</div>}
+          <div className="flex justify-end space-x-2">
+            <button
+              onClick={() => setCreating(false)}
+              className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={createScenario}
+              disabled={!newScenario.name.trim() || newScenario.config_ids.length === 0}
+              className="bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700 disabled:opacity-50"
+            >
+              Create
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        {scenarios.map(scenario => {
+          const result = runResults[scenario.id]
+
+          return (
+            <div key={scenario.id} className="bg-white border rounded p-3">
+              <div className="flex items-center justify-between">
+                <div className="text-sm">
+                  <span className="font-medium text-gray-900">{scenario.name}</span>
+                  <span className="text-gray-500 ml-2">
+                    {scenario.steps.map(step => step.name).join(' → ')}
+                  </span>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <button
+                    onClick={() => runScenario(scenario.id)}
+                    disabled={result?.loading || scenario.steps.length === 0}
+                    className="bg-green-600 text-white px-3 py-1 rounded text-sm hover:bg-green-700 disabled:opacity-50"
+                  >
+                    {result?.loading ? 'Running...' : '▶ Run'}
+                  </button>
+                  {!isSubmitted && (
+                    <button
+                      onClick={() => deleteScenario(scenario.id)}
+                      className="text-red-600 hover:text-red-800 p-1"
+                      title="Delete scenario"
+                    >
+                      🗑️
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {result?.error && (
+                <div className="mt-2 text-sm text-red-600">{result.error}</div>
+              )}
+
+              {result?.steps && (
+                <ol className="mt-2 space-y-1 text-xs">
+                  {result.steps.map((step, index) => (
+                    <li key={step.config_id} className="flex items-center space-x-2">
+                      <span>{step.skipped ? '⏭️' : step.run.passed ? '✅' : '❌'}</span>
+                      <span className="text-gray-700">{index + 1}. {step.config_name}</span>
+                      {step.skipped ? (
+                        <span className="text-gray-400">skipped</span>
+                      ) : (
+                        <span className="text-gray-500">
+                          {step.run.response_status ?? step.run.error} · {step.run.duration_ms ?? '-'}ms
+                        </span>
+                      )}
+                      {!step.skipped && Object.keys(step.run.extracted_variables || {}).length > 0 && (
+                        <span className="text-purple-700">
+                          → {Object.keys(step.run.extracted_variables).join(', ')}
+                        </span>
+                      )}
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+          )
+        })}
+      </div>
     </div>
   )
 }
 
+const EXPORT_EXTENSIONS = {
+  postman: 'postman_collection.json',
+  openapi: 'openapi.json',
+  curl: 'sh'
+}
+
+// Map a stored api_test_runs row to the shape ConfigCard renders
+function toTestResult(run) {
+  let data = run.response_body
+  try {
+    data = JSON.parse(run.response_body)
+  } catch {
+    // Keep non-JSON bodies as text
+  }
+
+  return {
+    status: run.response_status,
+    passed: run.passed,
+    responseTime: run.duration_ms,
+    data,
+    error: run.error,
+    assertions: run.assertion_results || [],
+    extracted: run.extracted_variables || {}
+  }
+}
+
+function describeAssertion(assertion) {
+  switch (assertion.type) {
+    case 'status':
+      return `status = ${assertion.equals ?? assertion.value}`
+    case 'body':
+      return 'matches expected response'
+    case 'jsonpath':
+      return `${assertion.path} ${assertion.operator || 'equals'} ${assertion.value !== undefined ? JSON.stringify(assertion.value) : ''}`
+    case 'json_schema':
+      return 'matches JSON schema'
+    case 'header':
+      return `header ${assertion.name} ${assertion.operator || 'equals'} ${assertion.value ?? ''}`
+    case 'latency':
+      return `latency <= ${assertion.max_ms}ms`
+    default:
+      return assertion.type
+  }
+}
+
 function ConfigCard({ config, environment, testResult, onEdit, onDelete, onTest, onDuplicate, isSubmitted }) {
+  const [history, setHistory] = useState(null)
+
+  const toggleHistory = async () => {
+    if (history) {
+      setHistory(null)
+      return
+    }
+
+    try {
+      const response = await axios.get(`/entry-api-configs/${config.id}/runs`)
+      setHistory(response.data)
+    } catch (error) {
+      console.error('Error fetching run history:', error)
+    }
+  }
+
   const getStatusColor = (status) => {
     if (status >= 200 && status < 300) return 'text-green-600 bg-green-50'
     if (status >= 400) return 'text-red-600 bg-red-50'
@@ -297,7 +633,7 @@ function ConfigCard({ config, environment, testResult, onEdit, onDelete, onTest,
           <div className="flex items-center space-x-2 ml-4">
             {testResult && !testResult.loading && (
               <span className={`px-2 py-1 rounded text-xs ${getStatusColor(testResult.status)}`}>
-                {testResult.status} ({testResult.responseTime}ms)
+                {testResult.status || 'ERR'}{testResult.responseTime !== null && testResult.responseTime !== undefined ? ` (${testResult.responseTime}ms)` : ''}
               </span>
             )}
             
@@ -343,21 +679,81 @@ function ConfigCard({ config, environment, testResult, onEdit, onDelete, onTest,
             <div className="flex items-center justify-between mb-2">
               <span className="text-sm font-medium text-gray-700">Response:</span>
               <div className="flex items-center space-x-2">
-                {testResult.expectedMatch ? (
-                  <span className="text-green-600 text-sm">✅ Expected</span>
+                {testResult.passed ? (
+                  <span className="text-green-600 text-sm">✅ All assertions passed</span>
                 ) : (
-                  <span className="text-red-600 text-sm">❌ Unexpected</span>
+                  <span className="text-red-600 text-sm">❌ Failed</span>
                 )}
               </div>
             </div>
-            
-            <div className="bg-gray-50 rounded p-3 text-sm">
-              <pre className="text-xs overflow-x-auto">
-                {JSON.stringify(testResult.data, null, 2)}
-              </pre>
-            </div>
+
+            {testResult.error && (
+              <div className="text-sm text-red-600 mb-2">{testResult.error}</div>
+            )}
+
+            {testResult.assertions.length > 0 && (
+              <ul className="mb-3 space-y-1">
+                {testResult.assertions.map((assertion, index) => (
+                  <li key={index} className="text-xs flex items-start space-x-2">
+                    <span>{assertion.passed ? '✅' : '❌'}</span>
+                    <span className="font-medium text-gray-700">{describeAssertion(assertion)}</span>
+                    {!assertion.passed && (
+                      <span className="text-gray-500">
+                        actual: {assertion.message || JSON.stringify(assertion.actual)}
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {Object.keys(testResult.extracted || {}).length > 0 && (
+              <div className="mb-3 text-xs text-gray-700">
+                <span className="font-medium">Extracted: </span>
+                {Object.entries(testResult.extracted).map(([name, value]) => (
+                  <code key={name} className="mr-2 bg-purple-50 text-purple-800 px-1 rounded">{name}={String(value)}</code>
+                ))}
+              </div>
+            )}
+
+            {testResult.data !== undefined && testResult.data !== null && (
+              <div className="bg-gray-50 rounded p-3 text-sm">
+                <pre className="text-xs overflow-x-auto">
+                  {typeof testResult.data === 'string' ? testResult.data : JSON.stringify(testResult.data, null, 2)}
+                </pre>
+              </div>
+            )}
           </div>
         )}
+
+        {/* Run History */}
+        <div className="mt-3">
+          <button
+            onClick={toggleHistory}
+            className="text-xs text-gray-500 hover:text-gray-700"
+          >
+            {history ? '▾ Hide run history' : '▸ Show run history'}
+          </button>
+          {history && (
+            history.length === 0 ? (
+              <p className="text-xs text-gray-500 mt-2">No runs recorded yet</p>
+            ) : (
+              <table className="w-full text-xs mt-2">
+                <tbody>
+                  {history.map(run => (
+                    <tr key={run.id} className="border-t">
+                      <td className="py-1">{run.passed ? '✅' : '❌'}</td>
+                      <td className="py-1">{run.response_status || '-'}</td>
+                      <td className="py-1">{run.duration_ms !== null ? `${run.duration_ms}ms` : '-'}</td>
+                      <td className="py-1 text-gray-500">{run.run_by_username}</td>
+                      <td className="py-1 text-gray-500">{new Date(run.created_at).toLocaleString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )
+          )}
+        </div>
       </div>
     </div>
   )
@@ -372,18 +768,26 @@ function ConfigEditor({ config, onSave, onCancel }) {
     headers: '{\n  "Content-Type": "application/json"\n}',
     body: '{\n  \n}',
     expected_status: '200',
+    expected_response: '',
     order_index: 0,
-    ...config
+    ...config,
+    ...(config.headers && typeof config.headers === 'object' && { headers: JSON.stringify(config.headers, null, 2) }),
+    ...(config.body_content !== undefined && config.body === undefined && { body: config.body_content || '' }),
+    assertions: JSON.stringify(config.assertions || [], null, 2),
+    extractions: JSON.stringify(config.extractions || [], null, 2)
   })
   const [saving, setSaving] = useState(false)
+  const [saveError, setSaveError] = useState(null)
 
   const handleSubmit = async (e) => {
     e.preventDefault()
     try {
       setSaving(true)
+      setSaveError(null)
       await onSave(formData)
     } catch (error) {
       console.error('Save failed:', error)
+      setSaveError(error.message)
     } finally {
       setSaving(false)
     }
@@ -487,8 +891,53 @@ function ConfigEditor({ config, onSave, onCancel }) {
                 required
               />
             </div>
+
+            {/* Expected Response */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Expected Response (JSON subset or text)</label>
+              <textarea
+                value={formData.expected_response || ''}
+                onChange={(e) => setFormData({ ...formData, expected_response: e.target.value })}
+                rows={3}
+                className="w-full border border-gray-300 rounded px-3 py-2 font-mono text-sm"
+              />
+            </div>
+
+            {/* Assertions */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Assertions (JSON)</label>
+              <textarea
+                value={formData.assertions}
+                onChange={(e) => setFormData({ ...formData, assertions: e.target.value })}
+                rows={5}
+                placeholder='[{ "type": "jsonpath", "path": "$.data.id", "operator": "exists" }]'
+                className="w-full border border-gray-300 rounded px-3 py-2 font-mono text-sm"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Types: jsonpath (path, operator, value), json_schema (schema), header (name, operator, value), latency (max_ms). Use {'{{variable}}'} for environment values.
+              </p>
+            </div>
+
+            {/* Extractions */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Extract Variables (JSON)</label>
+              <textarea
+                value={formData.extractions}
+                onChange={(e) => setFormData({ ...formData, extractions: e.target.value })}
+                rows={3}
+                placeholder='[{ "variable": "token", "source": "body", "path": "$.data.token" }]'
+                className="w-full border border-gray-300 rounded px-3 py-2 font-mono text-sm"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Sources: body (JSONPath), header (header name), status. Later steps of the same scenario can use {'{{variable}}'}.
+              </p>
+            </div>
           </div>
 
+          {saveError && (
+            <div className="mt-4 text-sm text-red-600">{saveError}</div>
+          )}
+
           <div className="flex justify-end space-x-3 mt-6">
             <button
               type="button"
@@ -511,4 +960,184 @@ function ConfigEditor({ config, onSave, onCancel }) {
   )
 }
 
+function ImportDialog({ documentId, onImported, onCancel }) {
+  const [format, setFormat] = useState('auto')
+  const [content, setContent] = useState('')
+  const [preview, setPreview] = useState(null)
+  const [selected, setSelected] = useState([])
+  const [working, setWorking] = useState(false)
+  const [error, setError] = useState(null)
+
+  const formats = [
+    { value: 'auto', label: 'Auto-detect' },
+    { value: 'openapi', label: 'OpenAPI 3 (JSON/YAML)' },
+    { value: 'postman', label: 'Postman Collection v2.1' },
+    { value: 'har', label: 'HAR file' },
+    { value: 'curl', label: 'cURL command(s)' }
+  ]
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0]
+    if (file) {
+      setContent(await file.text())
+      setPreview(null)
+    }
+  }
+
+  const loadPreview = async () => {
+    try {
+      setWorking(true)
+      setError(null)
+      const response = await axios.post(`/entry-api-configs/document/${documentId}/import`, {
+        format,
+        content,
+        dry_run: true
+      })
+      setPreview(response.data)
+      setSelected(response.data.configs.map((config, index) => index))
+    } catch (err) {
+      setError(err.response?.data?.error || err.message)
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const importSelected = async () => {
+    try {
+      setWorking(true)
+      setError(null)
+      await axios.post(`/entry-api-configs/document/${documentId}/import`, {
+        format: preview.format,
+        content,
+        selected
+      })
+      await onImported()
+    } catch (err) {
+      setError(err.response?.data?.error || err.message)
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const toggleSelected = (index) => {
+    setSelected(selected.includes(index)
+      ? selected.filter(i => i !== index)
+      : [...selected, index])
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg w-full max-w-3xl max-h-[90vh] overflow-y-auto p-6">
+        <h3 className="text-lg font-semibold mb-4">Import API Configurations</h3>
+
+        {!preview ? (
+          <div className="space-y-4">
+            <div className="flex items-center space-x-4">
+              <select
+                value={format}
+                onChange={(e) => setFormat(e.target.value)}
+                className="border border-gray-300 rounded px-3 py-2 text-sm"
+              >
+                {formats.map(f => (
+                  <option key={f.value} value={f.value}>{f.label}</option>
+                ))}
+              </select>
+              <input
+                type="file"
+                accept=".json,.yaml,.yml,.har,.txt,.sh"
+                onChange={handleFile}
+                className="text-sm"
+              />
+            </div>
+            <textarea
+              value={content}
+              onChange={(e) => setContent(e.target.value)}
+              rows={14}
+              placeholder="Paste an OpenAPI document, Postman collection, HAR file or cURL command"
+              className="w-full border border-gray-300 rounded px-3 py-2 font-mono text-xs"
+            />
+          </div>
+        ) : (
+          <div>
+            <div className="flex items-center justify-between mb-3">
+              <p className="text-sm text-gray-600">
+                Detected <strong>{preview.format}</strong>: {preview.configs.length} request(s), {selected.length} selected
+              </p>
+              <button
+                onClick={() => setSelected(selected.length === preview.configs.length ? [] : preview.configs.map((config, index) => index))}
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                {selected.length === preview.configs.length ? 'Select none' : 'Select all'}
+              </button>
+            </div>
+
+            {preview.warnings.length > 0 && (
+              <ul className="mb-3 text-xs text-yellow-700 bg-yellow-50 rounded p-2">
+                {preview.warnings.map((warning, index) => (
+                  <li key={index}>⚠️ {warning}</li>
+                ))}
+              </ul>
+            )}
+
+            <div className="border rounded divide-y">
+              {preview.configs.map((config, index) => (
+                <label key={index} className="flex items-start p-3 space-x-3 hover:bg-gray-50 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(index)}
+                    onChange={() => toggleSelected(index)}
+                    className="mt-1"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <div className="text-sm font-medium text-gray-900">
+                      <span className="text-xs font-mono mr-2">{config.method}</span>
+                      {config.name}
+                    </div>
+                    <code className="text-xs text-gray-600 break-all">{config.endpoint}</code>
+                    <div className="text-xs text-gray-500">
+                      body: {config.body_type}
+                      {config.expected_status && ` · expects ${config.expected_status}`}
+                      {Object.keys(config.headers).length > 0 && ` · ${Object.keys(config.headers).length} header(s)`}
+                    </div>
+                  </div>
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {error && (
+          <div className="mt-4 text-sm text-red-600">{error}</div>
+        )}
+
+        <div className="flex justify-end space-x-3 mt-6">
+          <button
+            onClick={preview ? () => setPreview(null) : onCancel}
+            className="px-4 py-2 text-gray-600 hover:text-gray-800"
+          >
+            {preview ? 'Back' : 'Cancel'}
+          </button>
+          {!preview ? (
+            <button
+              onClick={loadPreview}
+              disabled={working || content.trim() === ''}
+              className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              {working ? 'Parsing...' : 'Preview'}
+            </button>
+          ) : (
+            <button
+              onClick={importSelected}
+              disabled={working || selected.length === 0}
+              className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              {working ? 'Importing...' : `Import ${selected.length} Configuration(s)`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
 export default ApiConfigManager
\ No newline at end of file
@@ -5,6 +5,7 @@ import MarkdownEditor from './MarkdownEditor'
 import ApiConfigManager from './ApiConfigManager'
 import NotebookManager from './NotebookManager'
 import QualityChecker from './QualityChecker'
+import PreviousRoundFeedback from './PreviousRoundFeedback'
 
 function ContentEditor({ user }) {
   const { taskId } = useParams()
@@ -16,6 +17,7 @@ function ContentEditor({ user }) {
   const [saveStatus, setSaveStatus] = useState('saved') // saved, saving, error
   const [qualityResults, setQualityResults] = useState(null)
   const [showQuality, setShowQuality] = useState(false)
+  const [previousRound, setPreviousRound] = useState(null)
 
   useEffect(() => {
     if (taskId) {
@@ -34,9 +36,8 @@ function ContentEditor({ user }) {
       setTask(taskData)
       
       // Check if user is authorized (writer or admin)
-      const isAuthorized = user.role === 'admin' || 
-                          user.id === taskData.writer1_id || 
-                          user.id === taskData.writer2_id
+      const isAuthorized = user.role === 'admin' ||
+                          taskData.writers.some(writer => writer.id === user.id)
 
       if (!isAuthorized) {
         setError('You do not have permission to edit this task')
@@ -46,6 +47,14 @@ function ContentEditor({ user }) {
       // Get or create document
       const docResponse = await axios.get(`/entry-documents/task/${taskId}/writer/${user.id}`)
       setDocument(docResponse.data)
+
+      // Feedback from the vote that sent a reassigned task back; the editor works without it
+      try {
+        const digestResponse = await axios.get(`/task-reassignments/task/${taskId}/feedback-digest`)
+        setPreviousRound(digestResponse.data)
+      } catch (digestError) {
+        console.error('Error fetching previous round feedback:', digestError)
+      }
       
     } catch (error) {
       console.error('Error fetching data:', error)
@@ -165,6 +174,9 @@ function ContentEditor({ user }) {
     { id: 'notebooks', label: '📓 Use Cases', icon: '📓' },
     { id: 'quality', label: '✅ Quality Check', icon: '✅' }
   ]
+  if (previousRound?.feedback_digest?.total_comments > 0) {
+    tabs.push({ id: 'feedback', label: '💬 Previous Feedback', icon: '💬' })
+  }
 
   const getSaveStatusColor = () => {
     switch (saveStatus) {
@@ -284,6 +296,7 @@ function ContentEditor({ user }) {
         {currentTab === 'notebooks' && (
           <NotebookManager
             document={document}
+            task={task}
             isSubmitted={document.is_submitted}
           />
         )}
@@ -295,6 +308,10 @@ function ContentEditor({ user }) {
             onRunCheck={handleQualityCheck}
           />
         )}
+
+        {currentTab === 'feedback' && previousRound && (
+          <PreviousRoundFeedback reassignment={previousRound} />
+        )}
       </div>
 
       {/* Quality Check Modal */}
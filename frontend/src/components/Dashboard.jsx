@@ -36,7 +36,7 @@ function Dashboard({ user }) {
       if (user.role === 'doc_author' || user.role === 'team_member') {
         // Filter tasks assigned to current user
         const userTasks = responses[0].data.filter(task => 
-          task.writer1_id === user.id || task.writer2_id === user.id
+          task.writers.some(writer => writer.id === user.id)
         )
         setWikiTasks(userTasks)
       } else {
@@ -84,6 +84,7 @@ function Dashboard({ user }) {
     const badges = {
       not_started: 'bg-gray-100 text-gray-800',
       in_progress: 'bg-blue-100 text-blue-800',
+      overtime: 'bg-orange-100 text-orange-800',
       pending_submission: 'bg-yellow-100 text-yellow-800',
       pending_vote: 'bg-purple-100 text-purple-800',
       voting: 'bg-indigo-100 text-indigo-800',
@@ -97,6 +98,7 @@ function Dashboard({ user }) {
     const statusMap = {
       not_started: 'Not Started',
       in_progress: 'In Progress', 
+      overtime: 'Overtime',
       pending_submission: 'Pending Submission',
       pending_vote: 'Pending Vote',
       voting: 'Voting',
@@ -216,7 +218,7 @@ function Dashboard({ user }) {
                     </div>
                     <div className="flex items-center justify-between mt-3 pt-3 border-t border-gray-100">
                       <div className="text-xs text-gray-500">
-                        Writers: {task.writer1_name}{task.writer2_name && `, ${task.writer2_name}`}
+                        Writers: {task.writers.map(writer => writer.username).join(', ')}
                       </div>
                       {task.deadline && (
                         <div className="text-xs text-gray-500">
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react'
 import { Link } from 'react-router-dom'
 import axios from 'axios'
+import WriterSelects from './WriterSelects'
 import { marked } from 'marked'
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter'
 import { tomorrow } from 'react-syntax-highlighter/dist/esm/styles/prism'
@@ -26,8 +27,7 @@ function DirectoryWithTasks({ user }) {
     title: '',
     description: '',
     code_annotator_id: '',
-    writer1_id: '',
-    writer2_id: '',
+    writer_ids: ['', ''],
     deadline: ''
   })
   
@@ -186,8 +186,7 @@ function DirectoryWithTasks({ user }) {
         title: '',
         description: '',
         code_annotator_id: '',
-        writer1_id: '',
-        writer2_id: '',
+        writer_ids: ['', ''],
         deadline: ''
       })
       setShowCreateTask(false)
@@ -439,8 +438,7 @@ function DirectoryWithTasks({ user }) {
                       <div>
                         <span className="font-medium">协作撰写者: </span>
                         <span>
-                          {[finalDocument.task.writer1_name, finalDocument.task.writer2_name]
-                            .filter(Boolean).join(', ')}
+                          {finalDocument.task.writer_names.join(', ')}
                         </span>
                       </div>
                       <div>
@@ -453,6 +451,7 @@ function DirectoryWithTasks({ user }) {
                   {/* Tab Navigation */}
                   <FinalDocumentTabs 
                     document={finalDocument} 
+                    functionId={selectedFunction.id}
                     renderMarkdown={renderMarkdown}
                   />
                 </div>
@@ -506,7 +505,7 @@ function DirectoryWithTasks({ user }) {
                               <div>
                                 <span className="text-gray-500">Writers: </span>
                                 <span className="text-gray-700">
-                                  {[task.writer1_username, task.writer2_username].filter(Boolean).join(', ') || 'Not assigned'}
+                                  {task.writers.map(writer => writer.username).join(', ') || 'Not assigned'}
                                 </span>
                               </div>
                               {task.deadline && (
@@ -541,7 +540,7 @@ function DirectoryWithTasks({ user }) {
                                 View Voting
                               </Link>
                             )}
-                            {(user.role === 'admin' || user.id === task.writer1_id || user.id === task.writer2_id) && (
+                            {(user.role === 'admin' || task.writers.some(writer => writer.id === user.id)) && (
                               <Link
                                 to={`/content-editor/${task.id}`}
                                 className="text-blue-600 hover:text-blue-800 text-sm"
@@ -750,38 +749,14 @@ function DirectoryWithTasks({ user }) {
                     ))}
                   </select>
                 </div>
-
-                <div>
-                  <label className="block text-sm font-medium text-gray-700">Writer 1</label>
-                  <select
-                    value={taskForm.writer1_id}
-                    onChange={(e) => setTaskForm(prev => ({...prev, writer1_id: e.target.value}))}
-                    className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"
-                    required
-                  >
-                    <option value="">Select Writer 1</option>
-                    {users.filter(u => ['doc_author', 'team_member'].includes(u.role)).map(user => (
-                      <option key={user.id} value={user.id}>{user.username}</option>
-                    ))}
-                  </select>
-                </div>
-
-                <div>
-                  <label className="block text-sm font-medium text-gray-700">Writer 2</label>
-                  <select
-                    value={taskForm.writer2_id}
-                    onChange={(e) => setTaskForm(prev => ({...prev, writer2_id: e.target.value}))}
-                    className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"
-                    required
-                  >
-                    <option value="">Select Writer 2</option>
-                    {users.filter(u => ['doc_author', 'team_member'].includes(u.role) && u.id !== taskForm.writer1_id).map(user => (
-                      <option key={user.id} value={user.id}>{user.username}</option>
-                    ))}
-                  </select>
-                </div>
               </div>
 
+              <WriterSelects
+                writerIds={taskForm.writer_ids}
+                onChange={(writer_ids) => setTaskForm(prev => ({...prev, writer_ids}))}
+                writers={users.filter(u => ['doc_author', 'team_member'].includes(u.role))}
+              />
+
               <div>
                 <label className="block text-sm font-medium text-gray-700">Deadline (Optional)</label>
                 <input
@@ -816,9 +791,30 @@ function DirectoryWithTasks({ user }) {
 }
 
 // 最终文档标签页组件
-function FinalDocumentTabs({ document, renderMarkdown }) {
+function FinalDocumentTabs({ document, functionId, renderMarkdown }) {
   const [activeTab, setActiveTab] = useState('document')
 
+  // The mock server is mounted at /mock, outside of /api
+  const mockBaseUrl = `${axios.defaults.baseURL.replace(/\/api\/?$/, '')}/mock/${functionId}`
+
+  const exportApiConfigs = async (format, extension) => {
+    try {
+      const response = await axios.get(`/voting-sessions/function/${functionId}/final-document/export/${format}`, {
+        responseType: 'blob'
+      })
+
+      const url = URL.createObjectURL(response.data)
+      const a = window.document.createElement('a')
+      a.href = url
+      a.download = `${document.final_document.title.replace(/[^a-zA-Z0-9\u4e00-\u9fa5]/g, '_')}.${extension}`
+      a.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Error exporting API configs:', error)
+      alert('导出失败')
+    }
+  }
+
   const tabs = [
     { id: 'document', label: '📄 文档内容', icon: '📄' },
     { id: 'api', label: '🔗 API 配置', icon: '🔗' },
@@ -862,7 +858,41 @@ function FinalDocumentTabs({ document, renderMarkdown }) {
 
         {activeTab === 'api' && (
           <div className="space-y-4">
-            <h4 className="font-semibold text-gray-900">API 测试配置</h4>
+            <div className="flex items-center justify-between">
+              <h4 className="font-semibold text-gray-900">API 测试配置</h4>
+              {document.api_configs.length > 0 && (
+                <div className="flex items-center space-x-2 text-sm">
+                  <span className="text-gray-600">导出:</span>
+                  <button
+                    onClick={() => exportApiConfigs('postman', 'postman_collection.json')}
+                    className="px-2 py-1 border border-gray-300 rounded hover:bg-gray-50"
+                  >
+                    Postman
+                  </button>
+                  <button
+                    onClick={() => exportApiConfigs('openapi', 'openapi.json')}
+                    className="px-2 py-1 border border-gray-300 rounded hover:bg-gray-50"
+                  >
+                    OpenAPI
+                  </button>
+                  <button
+                    onClick={() => exportApiConfigs('curl', 'sh')}
+                    className="px-2 py-1 border border-gray-300 rounded hover:bg-gray-50"
+                  >
+                    cURL 脚本
+                  </button>
+                </div>
+              )}
+            </div>
+            {document.api_configs.length > 0 && (
+              <div className="text-sm bg-blue-50 border border-blue-200 rounded p-2">
+                <span className="text-gray-700">Mock 服务地址: </span>
+                <code className="text-blue-800">{mockBaseUrl}</code>
+                <p className="text-xs text-gray-500 mt-1">
+                  按下列配置的方法和路径返回预期状态码和响应，可在真实服务就绪前用于前端开发
+                </p>
+              </div>
+            )}
             {document.api_configs.length === 0 ? (
               <p className="text-gray-500 text-sm">暂无 API 配置</p>
             ) : (
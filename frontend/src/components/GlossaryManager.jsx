@@ -0,0 +1,194 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+
+const emptyForm = { term: '', variants: '', category_id: '', case_sensitive: true, description: '' }
+
+// Admin editor for the team glossary used by the spelling & terminology check.
+// Terms without a category apply to every entry.
+function GlossaryManager({ categories }) {
+  const [terms, setTerms] = useState([])
+  const [form, setForm] = useState(emptyForm)
+  const [editingId, setEditingId] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    fetchTerms()
+  }, [])
+
+  const fetchTerms = async () => {
+    try {
+      const response = await axios.get('/glossary')
+      setTerms(response.data)
+    } catch (error) {
+      console.error('Error fetching glossary:', error)
+    }
+  }
+
+  const startEdit = (term) => {
+    setEditingId(term.id)
+    setForm({
+      term: term.term,
+      variants: (term.variants || []).join(', '),
+      category_id: term.category_id || '',
+      case_sensitive: term.case_sensitive,
+      description: term.description || ''
+    })
+  }
+
+  const resetForm = () => {
+    setEditingId(null)
+    setForm(emptyForm)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const payload = {
+      term: form.term.trim(),
+      variants: form.variants.split(',').map(variant => variant.trim()).filter(Boolean),
+      category_id: form.category_id || null,
+      case_sensitive: form.case_sensitive,
+      description: form.description.trim() || null
+    }
+
+    try {
+      setSaving(true)
+      if (editingId) {
+        await axios.put(`/glossary/${editingId}`, payload)
+      } else {
+        await axios.post('/glossary', payload)
+      }
+      resetForm()
+      fetchTerms()
+    } catch (error) {
+      console.error('Error saving glossary term:', error)
+      alert('Error saving term: ' + (error.response?.data?.error || error.message))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const deleteTerm = async (term) => {
+    if (!window.confirm(`Delete the glossary term "${term.term}"?`)) return
+
+    try {
+      await axios.delete(`/glossary/${term.id}`)
+      if (editingId === term.id) resetForm()
+      fetchTerms()
+    } catch (error) {
+      console.error('Error deleting glossary term:', error)
+      alert('Error deleting term: ' + (error.response?.data?.error || error.message))
+    }
+  }
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <div className="mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">📖 Glossary</h2>
+        <p className="text-sm text-gray-600">
+          Canonical product and module names. Writers using a forbidden variant get a one-click fix in the editor.
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-5 gap-2 mb-4 text-sm">
+        <input
+          type="text"
+          value={form.term}
+          onChange={(e) => setForm(prev => ({ ...prev, term: e.target.value }))}
+          placeholder="Term, e.g. PostgreSQL"
+          className="border border-gray-300 rounded px-3 py-2"
+          required
+        />
+        <input
+          type="text"
+          value={form.variants}
+          onChange={(e) => setForm(prev => ({ ...prev, variants: e.target.value }))}
+          placeholder="Forbidden variants, comma-separated"
+          className="border border-gray-300 rounded px-3 py-2 md:col-span-2"
+        />
+        <select
+          value={form.category_id}
+          onChange={(e) => setForm(prev => ({ ...prev, category_id: e.target.value }))}
+          className="border border-gray-300 rounded px-3 py-2"
+        >
+          <option value="">All categories</option>
+          {categories.map(category => (
+            <option key={category.id} value={category.id}>
+              {'　'.repeat(category.level)}{category.name}
+            </option>
+          ))}
+        </select>
+        <label className="flex items-center space-x-2 text-gray-700">
+          <input
+            type="checkbox"
+            checked={form.case_sensitive}
+            onChange={(e) => setForm(prev => ({ ...prev, case_sensitive: e.target.checked }))}
+          />
+          <span>Exact capitalisation</span>
+        </label>
+        <input
+          type="text"
+          value={form.description}
+          onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+          placeholder="Note (optional)"
+          className="border border-gray-300 rounded px-3 py-2 md:col-span-3"
+        />
+        <div className="flex space-x-2 md:col-span-2 justify-end">
+          {editingId && (
+            <button type="button" onClick={resetForm} className="px-4 py-2 rounded text-gray-700 hover:bg-gray-100">
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={saving}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : editingId ? 'Update Term' : 'Add Term'}
+          </button>
+        </div>
+      </form>
+
+      {terms.length === 0 ? (
+        <p className="text-gray-500 text-sm">No glossary terms yet</p>
+      ) : (
+        <div className="overflow-x-auto max-h-80 overflow-y-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-left text-gray-600">
+              <tr>
+                <th className="px-3 py-2">Term</th>
+                <th className="px-3 py-2">Forbidden variants</th>
+                <th className="px-3 py-2">Scope</th>
+                <th className="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {terms.map(term => (
+                <tr key={term.id} className="align-top">
+                  <td className="px-3 py-2">
+                    <div className="font-medium text-gray-900">{term.term}</div>
+                    {term.description && <div className="text-xs text-gray-500">{term.description}</div>}
+                    {!term.case_sensitive && <div className="text-xs text-gray-400">any capitalisation</div>}
+                  </td>
+                  <td className="px-3 py-2">
+                    <div className="flex flex-wrap gap-1">
+                      {(term.variants || []).map(variant => (
+                        <code key={variant} className="bg-red-50 text-red-700 px-1 rounded line-through">{variant}</code>
+                      ))}
+                    </div>
+                  </td>
+                  <td className="px-3 py-2 text-gray-600">{term.category_name || 'All categories'}</td>
+                  <td className="px-3 py-2 whitespace-nowrap text-right space-x-2">
+                    <button onClick={() => startEdit(term)} className="text-blue-600 hover:text-blue-800">Edit</button>
+                    <button onClick={() => deleteTerm(term)} className="text-red-600 hover:text-red-800">Delete</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default GlossaryManager
@@ -1,4 +1,5 @@
 import { useState, useEffect, useRef } from 'react'
+import axios from 'axios'
 import { marked } from 'marked'
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter'
 import { tomorrow } from 'react-syntax-highlighter/dist/esm/styles/prism'
@@ -10,8 +11,11 @@ function MarkdownEditor({ document, task, onSave, isSubmitted }) {
   const [isSaving, setIsSaving] = useState(false)
   const [showSaveDialog, setShowSaveDialog] = useState(false)
   const [lastSaved, setLastSaved] = useState(null)
+  const [lintIssues, setLintIssues] = useState([])
+  const [showIssues, setShowIssues] = useState(true)
   const editorRef = useRef(null)
   const previewRef = useRef(null)
+  const highlightRef = useRef(null)
 
   // Configure marked with syntax highlighting
   const renderer = new marked.Renderer()
@@ -47,8 +51,27 @@ function MarkdownEditor({ document, task, onSave, isSubmitted }) {
     return () => clearTimeout(autoSaveTimer)
   }, [title, content, document, isSubmitted])
 
+  // Line-level markdown, link and readability checks on the unsaved content
+  useEffect(() => {
+    if (!document?.id) return
+
+    const lintTimer = setTimeout(async () => {
+      try {
+        const response = await axios.post(`/quality-checks/document/${document.id}/lint`, { content })
+        setLintIssues(response.data.issues)
+      } catch (error) {
+        console.error('Error linting document:', error)
+      }
+    }, 1000)
+
+    return () => clearTimeout(lintTimer)
+  }, [content, document?.id])
+
   // Synchronized scrolling
   const handleEditorScroll = () => {
+    if (editorRef.current && highlightRef.current) {
+      highlightRef.current.scrollTop = editorRef.current.scrollTop
+    }
     if (editorRef.current && previewRef.current) {
       const editor = editorRef.current
       const preview = previewRef.current
@@ -112,6 +135,65 @@ function MarkdownEditor({ document, task, onSave, isSubmitted }) {
     table: '| Column 1 | Column 2 | Column 3 |\n|----------|----------|----------|\n| Data 1   | Data 2   | Data 3   |\n\n'
   }
 
+  // Most severe issue per line, for the highlight layer behind the textarea
+  const severityRank = { error: 3, warning: 2, info: 1 }
+  const lineSeverity = {}
+  lintIssues.forEach(issue => {
+    if ((severityRank[issue.severity] || 0) > (severityRank[lineSeverity[issue.line]] || 0)) {
+      lineSeverity[issue.line] = issue.severity
+    }
+  })
+
+  const lineHighlight = {
+    error: 'bg-red-100',
+    warning: 'bg-yellow-100',
+    info: 'bg-blue-50'
+  }
+
+  const issueIcon = {
+    error: '❌',
+    warning: '⚠️',
+    info: 'ℹ️'
+  }
+
+  const jumpToLine = (lineNumber) => {
+    const textarea = editorRef.current
+    const lines = content.split('\n')
+    const start = lines.slice(0, lineNumber - 1).reduce((sum, line) => sum + line.length + 1, 0)
+    const end = start + (lines[lineNumber - 1] || '').length
+
+    textarea.focus()
+    textarea.setSelectionRange(start, end)
+    const lineElement = highlightRef.current?.children[lineNumber - 1]
+    if (lineElement) {
+      textarea.scrollTop = Math.max(0, lineElement.offsetTop - 40)
+      handleEditorScroll()
+    }
+  }
+
+  // Replace the text an issue points at with a suggestion. If earlier edits moved
+  // it, fall back to the first occurrence on the same line.
+  const applySuggestion = (issue, replacement) => {
+    const lines = content.split('\n')
+    const line = lines[issue.line - 1]
+    if (line === undefined) return
+
+    let index = issue.column - 1
+    if (line.substr(index, issue.text.length) !== issue.text) {
+      index = line.indexOf(issue.text)
+      if (index === -1) return
+    }
+
+    lines[issue.line - 1] = line.slice(0, index) + replacement + line.slice(index + issue.text.length)
+    setContent(lines.join('\n'))
+
+    // Keep the remaining issues on that line pointing at the right columns until the next lint
+    const shift = replacement.length - issue.text.length
+    setLintIssues(prev => prev
+      .filter(other => other !== issue)
+      .map(other => (other.line === issue.line && other.column > index + 1 ? { ...other, column: other.column + shift } : other)))
+  }
+
   const renderMarkdown = (text) => {
     try {
       const html = marked(text)
@@ -222,15 +304,72 @@ function MarkdownEditor({ document, task, onSave, isSubmitted }) {
             <div className="bg-gray-50 px-4 py-2 border-b text-sm font-medium text-gray-700">
               📝 Editor
             </div>
-            <textarea
-              ref={editorRef}
-              value={content}
-              onChange={(e) => setContent(e.target.value)}
-              onScroll={handleEditorScroll}
-              placeholder="Start writing your documentation in Markdown..."
-              className="flex-1 p-4 border-none outline-none resize-none font-mono text-sm leading-relaxed"
-              disabled={isSubmitted}
-            />
+            <div className="relative flex-1 min-h-0">
+              {/* Highlight layer: same text and metrics as the textarea, drawn behind it */}
+              <div
+                ref={highlightRef}
+                aria-hidden="true"
+                className="absolute inset-0 p-4 overflow-y-scroll font-mono text-sm leading-relaxed whitespace-pre-wrap break-words text-transparent pointer-events-none"
+              >
+                {content.split('\n').map((line, index) => (
+                  <div key={index} className={lineHighlight[lineSeverity[index + 1]] || ''}>
+                    {line || ' '}
+                  </div>
+                ))}
+              </div>
+              <textarea
+                ref={editorRef}
+                value={content}
+                onChange={(e) => setContent(e.target.value)}
+                onScroll={handleEditorScroll}
+                placeholder="Start writing your documentation in Markdown..."
+                className="absolute inset-0 w-full h-full p-4 overflow-y-scroll bg-transparent border-none outline-none resize-none font-mono text-sm leading-relaxed whitespace-pre-wrap break-words"
+                disabled={isSubmitted}
+              />
+            </div>
+
+            {lintIssues.length > 0 && (
+              <div className="border-t bg-gray-50 text-sm">
+                <button
+                  onClick={() => setShowIssues(!showIssues)}
+                  className="w-full px-4 py-2 text-left font-medium text-gray-700 hover:bg-gray-100"
+                >
+                  {showIssues ? '▾' : '▸'} {lintIssues.length} issue(s) in this document
+                </button>
+                {showIssues && (
+                  <ul className="max-h-40 overflow-y-auto divide-y">
+                    {lintIssues.map((issue, index) => (
+                      <li key={index} className="flex items-start hover:bg-white">
+                        <button
+                          onClick={() => jumpToLine(issue.line)}
+                          className="flex-1 px-4 py-1 text-left flex items-start space-x-2"
+                        >
+                          <span>{issueIcon[issue.severity]}</span>
+                          <span className="text-gray-500 font-mono whitespace-nowrap">
+                            L{issue.line}{issue.column > 1 ? `:${issue.column}` : ''}
+                          </span>
+                          <span className="text-gray-700">{issue.message}</span>
+                        </button>
+                        {!isSubmitted && issue.text && issue.suggestions?.length > 0 && (
+                          <div className="flex flex-wrap gap-1 px-2 py-1">
+                            {issue.suggestions.map(suggestion => (
+                              <button
+                                key={suggestion}
+                                onClick={() => applySuggestion(issue, suggestion)}
+                                title={`Replace "${issue.text}" with "${suggestion}"`}
+                                className="px-2 py-0.5 bg-green-50 text-green-700 border border-green-200 rounded text-xs hover:bg-green-100"
+                              >
+                                {suggestion}
+                              </button>
+                            ))}
+                          </div>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
           </div>
         </div>
 
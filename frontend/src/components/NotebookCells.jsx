@@ -0,0 +1,126 @@
+import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter'
+import { tomorrow } from 'react-syntax-highlighter/dist/esm/styles/prism'
+import { marked } from 'marked'
+
+// Jupyter tracebacks carry terminal colour codes
+const ANSI_ESCAPE = new RegExp(`${String.fromCharCode(27)}\\[[0-9;]*m`, 'g')
+
+function outputText(text) {
+  return Array.isArray(text) ? text.join('') : (text || '')
+}
+
+// Render nbformat outputs: streams, results/display data (including SQL result tables) and errors
+function CellOutputs({ outputs }) {
+  if (!outputs || outputs.length === 0) return null
+
+  return (
+    <div className="border-t bg-gray-900 font-mono text-xs p-3 space-y-1">
+      {outputs.map((output, index) => {
+        if (output.output_type === 'stream') {
+          return (
+            <div key={index} className={`whitespace-pre-wrap ${output.name === 'stderr' ? 'text-red-400' : 'text-green-400'}`}>
+              {outputText(output.text)}
+            </div>
+          )
+        }
+
+        if (output.output_type === 'error') {
+          return (
+            <div key={index} className="whitespace-pre-wrap text-red-400">
+              {(output.traceback || [`${output.ename}: ${output.evalue}`]).join('\n').replace(ANSI_ESCAPE, '')}
+            </div>
+          )
+        }
+
+        const data = output.data || {}
+        const table = data['application/vnd.dataresource+json']
+        if (table) {
+          return (
+            <div key={index} className="bg-white text-gray-800 font-sans rounded overflow-x-auto">
+              <table className="min-w-full text-xs">
+                <thead className="bg-gray-100">
+                  <tr>
+                    {table.schema.fields.map(field => (
+                      <th key={field.name} className="px-2 py-1 text-left font-medium border-b">{field.name}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {table.data.map((row, rowIndex) => (
+                    <tr key={rowIndex} className="border-b last:border-0">
+                      {table.schema.fields.map(field => (
+                        <td key={field.name} className="px-2 py-1 font-mono whitespace-pre">
+                          {row[field.name] === null ? <span className="text-gray-400">NULL</span> : String(row[field.name])}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="px-2 py-1 text-gray-500 bg-gray-50">
+                {output.metadata?.row_count ?? table.data.length} row(s)
+                {output.metadata?.truncated && `, first ${table.data.length} shown`}
+              </div>
+            </div>
+          )
+        }
+        if (data['image/png']) {
+          return <img key={index} src={`data:image/png;base64,${outputText(data['image/png'])}`} alt="Cell output" className="bg-white" />
+        }
+        return (
+          <div key={index} className="whitespace-pre-wrap text-gray-200">
+            {outputText(data['text/plain'])}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+function NotebookCells({ cells, language, content }) {
+  const cellList = cells && cells.length > 0
+    ? cells
+    : [{ id: 'content', cell_type: 'code', source: content, outputs: [] }]
+
+  return (
+    <div className="divide-y divide-gray-200">
+      {cellList.map(cell => (
+        <div key={cell.id}>
+          {cell.cell_type === 'markdown' ? (
+            <div
+              className="prose prose-sm max-w-none p-3"
+              dangerouslySetInnerHTML={{ __html: marked(cell.source || '') }}
+            />
+          ) : cell.cell_type === 'raw' ? (
+            <pre className="p-3 text-xs text-gray-700 whitespace-pre-wrap">{cell.source}</pre>
+          ) : (
+            <div>
+              <div className="bg-gray-50 px-3 py-1 flex items-center justify-between text-xs text-gray-500">
+                <span>In [{cell.execution_count ?? ' '}]</span>
+                <button
+                  onClick={() => navigator.clipboard.writeText(cell.source || '')}
+                  className="hover:text-gray-700"
+                >
+                  Copy
+                </button>
+              </div>
+              <div className="overflow-x-auto">
+                <SyntaxHighlighter
+                  language={language === 'shell' ? 'bash' : language}
+                  style={tomorrow}
+                  customStyle={{ margin: 0, borderRadius: 0, fontSize: '13px' }}
+                  showLineNumbers
+                >
+                  {cell.source || '// No content yet'}
+                </SyntaxHighlighter>
+              </div>
+              <CellOutputs outputs={cell.outputs} />
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default NotebookCells
@@ -1,14 +1,15 @@
 import { useState, useEffect } from 'react'
 import axios from 'axios'
-import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter'
-import { tomorrow, oneLight } from 'react-syntax-highlighter/dist/esm/styles/prism'
+import NotebookCells from './NotebookCells'
 
-function NotebookManager({ document, isSubmitted }) {
+function NotebookManager({ document, task, isSubmitted }) {
   const [notebooks, setNotebooks] = useState([])
   const [languages, setLanguages] = useState([])
   const [loading, setLoading] = useState(true)
   const [editingNotebook, setEditingNotebook] = useState(null)
   const [previewMode, setPreviewMode] = useState({})
+  const [runResults, setRunResults] = useState({})
+  const [showFixture, setShowFixture] = useState(false)
 
   useEffect(() => {
     const fetchData = async () => {
@@ -74,6 +75,27 @@ function NotebookManager({ document, isSubmitted }) {
     }
   }
 
+  const runNotebook = async (notebook) => {
+    setRunResults(prev => ({ ...prev, [notebook.id]: { loading: true } }))
+    setPreviewMode(prev => ({ ...prev, [notebook.id]: true }))
+
+    try {
+      const response = await axios.post(`/entry-notebooks/${notebook.id}/run`)
+      setRunResults(prev => ({ ...prev, [notebook.id]: response.data }))
+      if (response.data.cells) {
+        setNotebooks(prev => prev.map(nb => (
+          nb.id === notebook.id ? { ...nb, cells: response.data.cells } : nb
+        )))
+        setPreviewMode(prev => ({ ...prev, [notebook.id]: false }))
+      }
+    } catch (error) {
+      setRunResults(prev => ({
+        ...prev,
+        [notebook.id]: { status: 'error', stderr: error.response?.data?.error || error.message }
+      }))
+    }
+  }
+
   const duplicateNotebook = (notebook) => {
     const newNotebook = {
       ...notebook,
@@ -91,6 +113,39 @@ function NotebookManager({ document, isSubmitted }) {
     })
   }
 
+  const importNotebook = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      const text = await file.text()
+      await axios.post('/entry-notebooks/import', {
+        document_id: document.id,
+        notebook: text,
+        order_index: notebooks.length
+      })
+      await fetchNotebooks()
+    } catch (error) {
+      console.error('Error importing notebook:', error)
+      alert('Import failed: ' + (error.response?.data?.error || error.message))
+    }
+  }
+
+  const exportNotebook = async (notebook) => {
+    try {
+      const response = await axios.get(`/entry-notebooks/${notebook.id}/export`, { responseType: 'blob' })
+      const url = URL.createObjectURL(response.data)
+      const a = window.document.createElement('a')
+      a.href = url
+      a.download = `${notebook.title.replace(/[^a-zA-Z0-9]/g, '_')}.ipynb`
+      a.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Error exporting notebook:', error)
+    }
+  }
+
   const downloadNotebook = (notebook) => {
     const language = languages.find(lang => lang.value === notebook.language)
     const extension = language?.extension || '.txt'
@@ -123,14 +178,31 @@ function NotebookManager({ document, isSubmitted }) {
             <p className="text-sm text-gray-600">Create practical examples and use cases</p>
           </div>
           
-          {!isSubmitted && (
-            <button
-              onClick={() => setEditingNotebook({})}
-              className="bg-blue-600 text-white px-4 py-2 rounded text-sm hover:bg-blue-700"
-            >
-              + Add Script
-            </button>
-          )}
+          <div className="flex items-center space-x-2">
+            {task?.function_id && (
+              <button
+                onClick={() => setShowFixture(true)}
+                className="bg-gray-100 text-gray-700 px-4 py-2 rounded text-sm hover:bg-gray-200"
+                title="Tables and sample rows available to SQL scripts"
+              >
+                🗄️ SQL Fixture
+              </button>
+            )}
+            {!isSubmitted && (
+              <>
+                <label className="bg-gray-100 text-gray-700 px-4 py-2 rounded text-sm hover:bg-gray-200 cursor-pointer">
+                  ⇪ Import .ipynb
+                  <input type="file" accept=".ipynb,application/json" onChange={importNotebook} className="hidden" />
+                </label>
+                <button
+                  onClick={() => setEditingNotebook({})}
+                  className="bg-blue-600 text-white px-4 py-2 rounded text-sm hover:bg-blue-700"
+                >
+                  + Add Script
+                </button>
+              </>
+            )}
+          </div>
         </div>
       </div>
 
@@ -157,11 +229,14 @@ function NotebookManager({ document, isSubmitted }) {
                 notebook={notebook}
                 language={languages.find(lang => lang.value === notebook.language)}
                 isPreview={previewMode[notebook.id]}
+                runResult={runResults[notebook.id] || notebook.last_run}
+                onRun={() => runNotebook(notebook)}
                 onEdit={() => setEditingNotebook(notebook)}
                 onDelete={() => deleteNotebook(notebook.id)}
                 onDuplicate={() => duplicateNotebook(notebook)}
                 onTogglePreview={() => togglePreview(notebook.id)}
                 onDownload={() => downloadNotebook(notebook)}
+                onExport={() => exportNotebook(notebook)}
                 isSubmitted={isSubmitted}
                 index={index}
               />
@@ -170,6 +245,14 @@ function NotebookManager({ document, isSubmitted }) {
         )}
       </div>
 
+      {showFixture && (
+        <SqlFixtureEditor
+          functionId={task.function_id}
+          readOnly={isSubmitted}
+          onClose={() => setShowFixture(false)}
+        />
+      )}
+
       {/* Edit Dialog */}
       {editingNotebook && (
         <NotebookEditor
@@ -183,15 +266,160 @@ function NotebookManager({ document, isSubmitted }) {
   )
 }
 
+function RunOutput({ result, executable }) {
+  if (!executable) {
+    return (
+      <div className="p-4 text-sm text-gray-500">
+        Scripts in this language cannot be executed in the sandbox.
+      </div>
+    )
+  }
+
+  if (!result) {
+    return (
+      <div className="p-4 text-sm text-gray-500">Not run yet. Click ▶ Run to execute this script.</div>
+    )
+  }
+
+  if (result.loading) {
+    return (
+      <div className="p-4 text-sm text-gray-500">Running in sandbox...</div>
+    )
+  }
+
+  const statusStyles = {
+    success: 'text-green-700',
+    error: 'text-red-700',
+    timeout: 'text-orange-700'
+  }
+
+  return (
+    <div>
+      <div className="bg-gray-50 border-b px-3 py-2 flex items-center justify-between text-sm">
+        <span className={`font-medium ${statusStyles[result.status] || 'text-gray-700'}`}>
+          {result.status === 'success' ? '✅' : result.status === 'timeout' ? '⏱️' : '❌'} {result.status}
+          {result.exit_code !== undefined && result.exit_code !== null && ` (exit ${result.exit_code})`}
+        </span>
+        <span className="text-xs text-gray-500">
+          {result.duration_ms !== undefined && `${result.duration_ms}ms`}
+          {result.created_at && ` · ${new Date(result.created_at).toLocaleString()}`}
+          {result.is_current === false && ' · ⚠️ script changed since this run'}
+        </span>
+      </div>
+      <div className="p-3 bg-gray-900 font-mono text-sm max-h-80 overflow-y-auto">
+        {result.stdout && (
+          <div className="whitespace-pre-wrap text-green-400">{result.stdout}</div>
+        )}
+        {result.stderr && (
+          <div className="whitespace-pre-wrap text-red-400">{result.stderr}</div>
+        )}
+        {!result.stdout && !result.stderr && (
+          <div className="text-gray-500">(no output)</div>
+        )}
+        {result.truncated && (
+          <div className="text-yellow-400 mt-2">Output truncated</div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// Per-function SQL script that creates and fills the tables SQL notebooks run against
+function SqlFixtureEditor({ functionId, readOnly, onClose }) {
+  const [fixture, setFixture] = useState(null)
+  const [script, setScript] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const fetchFixture = async () => {
+      try {
+        const response = await axios.get(`/entry-notebooks/fixtures/${functionId}`)
+        setFixture(response.data)
+        setScript(response.data.script || '')
+      } catch (error) {
+        console.error('Error fetching SQL fixture:', error)
+        setError('Failed to load the SQL fixture')
+      }
+    }
+    fetchFixture()
+  }, [functionId])
+
+  const saveFixture = async () => {
+    try {
+      setSaving(true)
+      setError('')
+      await axios.put(`/entry-notebooks/fixtures/${functionId}`, { script })
+      onClose()
+    } catch (error) {
+      console.error('Error saving SQL fixture:', error)
+      setError(error.response?.data?.error || 'Failed to save the SQL fixture')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg w-full max-w-3xl p-6">
+        <h3 className="text-lg font-semibold text-gray-900">SQL Fixture</h3>
+        <p className="text-sm text-gray-600 mb-3">
+          Runs before every SQL script of this function in a throwaway schema that is rolled back afterwards.
+          Create the tables and sample rows your examples query here.
+        </p>
+
+        {fixture === null && !error ? (
+          <div className="text-sm text-gray-500 py-8 text-center">Loading...</div>
+        ) : (
+          <textarea
+            value={script}
+            onChange={(e) => setScript(e.target.value)}
+            readOnly={readOnly}
+            rows={16}
+            className="w-full border border-gray-300 rounded p-3 font-mono text-sm"
+            placeholder={"CREATE TABLE users (id SERIAL PRIMARY KEY, name TEXT);\nINSERT INTO users (name) VALUES ('Alice'), ('Bob');"}
+          />
+        )}
+
+        {fixture?.updated_at && (
+          <p className="text-xs text-gray-500 mt-1">
+            Last updated {new Date(fixture.updated_at).toLocaleString()}
+            {fixture.updated_by_username && ` by ${fixture.updated_by_username}`}
+          </p>
+        )}
+        {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+
+        <div className="flex justify-end space-x-2 mt-4">
+          <button onClick={onClose} className="px-4 py-2 rounded text-sm text-gray-700 hover:bg-gray-100">
+            {readOnly ? 'Close' : 'Cancel'}
+          </button>
+          {!readOnly && (
+            <button
+              onClick={saveFixture}
+              disabled={saving || fixture === null}
+              className="bg-blue-600 text-white px-4 py-2 rounded text-sm hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Fixture'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
 function NotebookCard({ 
   notebook, 
   language, 
   isPreview, 
+  runResult,
+  onRun,
   onEdit, 
   onDelete, 
   onDuplicate, 
   onTogglePreview, 
   onDownload, 
+  onExport,
   isSubmitted, 
   index 
 }) {
@@ -225,10 +453,21 @@ function NotebookCard({
           </div>
           
           <div className="flex items-center space-x-2 ml-4">
+            {language?.executable && (
+              <button
+                onClick={onRun}
+                disabled={runResult?.loading}
+                className="bg-green-600 text-white px-3 py-1 rounded text-sm hover:bg-green-700 disabled:opacity-50"
+                title="Run in sandbox"
+              >
+                {runResult?.loading ? 'Running...' : '▶ Run'}
+              </button>
+            )}
+
             <button
               onClick={onTogglePreview}
               className="text-gray-500 hover:text-gray-700"
-              title={isPreview ? "Show Code" : "Show Preview"}
+              title={isPreview ? "Show Code" : "Show Output"}
             >
               {isPreview ? '📝' : '👁️'}
             </button>
@@ -240,6 +479,14 @@ function NotebookCard({
             >
               💾
             </button>
+
+            <button
+              onClick={onExport}
+              className="text-gray-500 hover:text-gray-700 text-xs"
+              title="Export as Jupyter notebook"
+            >
+              .ipynb
+            </button>
             
             {!isSubmitted && (
               <>
@@ -272,48 +519,9 @@ function NotebookCard({
         {/* Content Display */}
         <div className="border border-gray-200 rounded">
           {isPreview ? (
-            <div className="p-4">
-              <div className="bg-gray-50 border-b px-3 py-2 text-sm font-medium text-gray-700">
-                Preview Output
-              </div>
-              <div className="p-3 bg-gray-900 text-green-400 font-mono text-sm">
-                <div className="whitespace-pre-wrap">
-                  # This would show the actual execution output
-                  # For now, showing the code content:
-                  {notebook.content}
-                </div>
-              </div>
-            </div>
+            <RunOutput result={runResult} executable={language?.executable} />
           ) : (
-            <div>
-              <div className="bg-gray-50 border-b px-3 py-2 flex items-center justify-between">
-                <span className="text-sm font-medium text-gray-700">
-                  {language?.label} Code
-                </span>
-                <div className="flex items-center space-x-2">
-                  <button
-                    onClick={() => navigator.clipboard.writeText(notebook.content)}
-                    className="text-xs text-gray-500 hover:text-gray-700"
-                  >
-                    Copy
-                  </button>
-                </div>
-              </div>
-              <div className="overflow-x-auto">
-                <SyntaxHighlighter
-                  language={notebook.language === 'shell' ? 'bash' : notebook.language}
-                  style={tomorrow}
-                  customStyle={{ 
-                    margin: 0, 
-                    borderRadius: '0 0 6px 6px',
-                    fontSize: '13px'
-                  }}
-                  showLineNumbers
-                >
-                  {notebook.content || '// No content yet'}
-                </SyntaxHighlighter>
-              </div>
-            </div>
+            <NotebookCells cells={notebook.cells} language={notebook.language} content={notebook.content} />
           )}
         </div>
 
@@ -332,28 +540,82 @@ function NotebookCard({
   )
 }
 
+let cellCounter = 0
+
+function newCell(cellType, source = '') {
+  cellCounter += 1
+  return {
+    id: `cell-${Date.now().toString(36)}-${cellCounter}`,
+    cell_type: cellType,
+    source,
+    metadata: {},
+    ...(cellType === 'code' && { outputs: [], execution_count: null })
+  }
+}
+
 function NotebookEditor({ notebook, languages, onSave, onCancel }) {
   const [formData, setFormData] = useState({
     title: '',
     language: 'python',
     description: '',
-    content: '',
     order_index: 0,
-    ...notebook
+    ...notebook,
+    cells: notebook.cells?.length > 0
+      ? notebook.cells
+      : [newCell('code', notebook.content || '')]
   })
   const [saving, setSaving] = useState(false)
   const [activeTab, setActiveTab] = useState('edit')
+  const [activeCell, setActiveCell] = useState(0)
 
   useEffect(() => {
     // Set default content based on language when language changes
-    if (!notebook.id && !formData.content) {
+    const cells = formData.cells
+    if (!notebook.id && cells.length === 1 && !cells[0].source) {
       const language = languages.find(lang => lang.value === formData.language)
       if (language?.example) {
-        setFormData({ ...formData, content: language.example })
+        setFormData({ ...formData, cells: [{ ...cells[0], source: language.example }] })
       }
     }
   }, [formData.language, languages])
 
+  const updateCell = (index, changes) => {
+    setFormData(prev => ({
+      ...prev,
+      cells: prev.cells.map((cell, i) => (i === index ? { ...cell, ...changes } : cell))
+    }))
+  }
+
+  const changeCellType = (index, cellType) => {
+    const cell = formData.cells[index]
+    const { outputs, execution_count, ...rest } = cell
+    updateCell(index, cellType === 'code'
+      ? { ...rest, cell_type: cellType, outputs: outputs || [], execution_count: execution_count ?? null }
+      : { cell_type: cellType, outputs: undefined, execution_count: undefined })
+  }
+
+  const addCell = (cellType) => {
+    const cells = [...formData.cells]
+    cells.splice(activeCell + 1, 0, newCell(cellType))
+    setFormData({ ...formData, cells })
+    setActiveCell(activeCell + 1)
+  }
+
+  const moveCell = (index, offset) => {
+    const target = index + offset
+    if (target < 0 || target >= formData.cells.length) return
+    const cells = [...formData.cells]
+    ;[cells[index], cells[target]] = [cells[target], cells[index]]
+    setFormData({ ...formData, cells })
+    setActiveCell(target)
+  }
+
+  const removeCell = (index) => {
+    if (formData.cells.length === 1) return
+    setFormData({ ...formData, cells: formData.cells.filter((_, i) => i !== index) })
+    setActiveCell(Math.max(0, Math.min(activeCell, formData.cells.length - 2)))
+  }
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     try {
@@ -367,8 +629,15 @@ function NotebookEditor({ notebook, languages, onSave, onCancel }) {
   }
 
   const insertTemplate = (template) => {
-    const newContent = formData.content + '\n\n' + template
-    setFormData({ ...formData, content: newContent })
+    const cell = formData.cells[activeCell]
+    if (cell?.cell_type === 'code') {
+      updateCell(activeCell, { source: cell.source + '\n\n' + template })
+    } else {
+      const cells = [...formData.cells]
+      cells.splice(activeCell + 1, 0, newCell('code', template))
+      setFormData({ ...formData, cells })
+      setActiveCell(activeCell + 1)
+    }
   }
 
   const templates = {
@@ -480,7 +749,7 @@ function NotebookEditor({ notebook, languages, onSave, onCancel }) {
                   <div className="flex-1 flex flex-col">
                     <div className="p-4 border-b bg-gray-50">
                       <div className="flex items-center justify-between mb-2">
-                        <span className="text-sm font-medium text-gray-700">Code Editor</span>
+                        <span className="text-sm font-medium text-gray-700">Cells</span>
                         <div className="flex space-x-2">
                           {Object.entries(currentTemplates).map(([key, template]) => (
                             <button
@@ -495,13 +764,64 @@ function NotebookEditor({ notebook, languages, onSave, onCancel }) {
                         </div>
                       </div>
                     </div>
-                    <textarea
-                      value={formData.content}
-                      onChange={(e) => setFormData({ ...formData, content: e.target.value })}
-                      placeholder="Write your code here..."
-                      className="flex-1 p-4 border-none outline-none resize-none font-mono text-sm"
-                      style={{ minHeight: '300px' }}
-                    />
+                    <div className="flex-1 overflow-y-auto p-4 space-y-3" style={{ minHeight: '300px', maxHeight: '50vh' }}>
+                      {formData.cells.map((cell, index) => (
+                        <div
+                          key={cell.id || index}
+                          onClick={() => setActiveCell(index)}
+                          className={`border rounded ${index === activeCell ? 'border-blue-400' : 'border-gray-200'}`}
+                        >
+                          <div className="flex items-center justify-between bg-gray-50 px-2 py-1 border-b">
+                            <select
+                              value={cell.cell_type}
+                              onChange={(e) => changeCellType(index, e.target.value)}
+                              className="text-xs border border-gray-300 rounded px-1 py-0.5"
+                            >
+                              <option value="code">Code</option>
+                              <option value="markdown">Markdown</option>
+                              <option value="raw">Raw</option>
+                            </select>
+                            <div className="flex items-center space-x-2 text-xs">
+                              <button type="button" onClick={() => moveCell(index, -1)} className="text-gray-500 hover:text-gray-700" title="Move up">↑</button>
+                              <button type="button" onClick={() => moveCell(index, 1)} className="text-gray-500 hover:text-gray-700" title="Move down">↓</button>
+                              <button
+                                type="button"
+                                onClick={() => removeCell(index)}
+                                disabled={formData.cells.length === 1}
+                                className="text-red-600 hover:text-red-800 disabled:opacity-30"
+                                title="Delete cell"
+                              >
+                                ✕
+                              </button>
+                            </div>
+                          </div>
+                          <textarea
+                            value={cell.source}
+                            onChange={(e) => updateCell(index, { source: e.target.value })}
+                            onFocus={() => setActiveCell(index)}
+                            placeholder={cell.cell_type === 'markdown' ? 'Explain this step in Markdown...' : 'Write your code here...'}
+                            rows={Math.max(3, cell.source.split('\n').length)}
+                            className={`w-full p-3 border-none outline-none resize-y text-sm ${cell.cell_type === 'markdown' ? '' : 'font-mono'}`}
+                          />
+                        </div>
+                      ))}
+                      <div className="flex space-x-2">
+                        <button
+                          type="button"
+                          onClick={() => addCell('code')}
+                          className="px-3 py-1 bg-gray-100 text-gray-700 rounded text-xs hover:bg-gray-200"
+                        >
+                          + Code Cell
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => addCell('markdown')}
+                          className="px-3 py-1 bg-gray-100 text-gray-700 rounded text-xs hover:bg-gray-200"
+                        >
+                          + Markdown Cell
+                        </button>
+                      </div>
+                    </div>
                   </div>
                 </div>
               ) : (
@@ -509,18 +829,11 @@ function NotebookEditor({ notebook, languages, onSave, onCancel }) {
                   <div className="h-full border rounded overflow-hidden">
                     <div className="bg-gray-50 px-3 py-2 border-b">
                       <span className="text-sm font-medium text-gray-700">
-                        Code Preview ({languages.find(l => l.value === formData.language)?.label})
+                        Notebook Preview ({languages.find(l => l.value === formData.language)?.label})
                       </span>
                     </div>
                     <div className="overflow-auto" style={{ height: 'calc(100% - 40px)' }}>
-                      <SyntaxHighlighter
-                        language={formData.language === 'shell' ? 'bash' : formData.language}
-                        style={oneLight}
-                        showLineNumbers
-                        customStyle={{ margin: 0, height: '100%' }}
-                      >
-                        {formData.content || '// No content yet'}
-                      </SyntaxHighlighter>
+                      <NotebookCells cells={formData.cells} language={formData.language} />
                     </div>
                   </div>
                 </div>
@@ -0,0 +1,71 @@
+const CATEGORY_LABELS = {
+  accuracy: 'Accuracy',
+  completeness: 'Completeness',
+  clarity: 'Clarity',
+  examples: 'Examples',
+  formatting: 'Formatting',
+  other: 'Other'
+}
+
+// Reviewer feedback from the vote that sent this task back for reassignment
+function PreviousRoundFeedback({ reassignment }) {
+  const digest = reassignment.feedback_digest
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow space-y-6">
+      <div>
+        <h2 className="text-xl font-semibold text-gray-900">💬 Previous Round Feedback</h2>
+        <p className="text-sm text-gray-600">
+          Round {reassignment.round_number} was reassigned on {new Date(reassignment.reassigned_at).toLocaleDateString()}
+          {reassignment.reason && ` (${reassignment.reason})`}. Reviewers left {digest.total_comments} comments on the previous versions.
+        </p>
+        <div className="flex flex-wrap gap-2 mt-2">
+          {Object.entries(digest.by_category)
+            .filter(([, count]) => count > 0)
+            .map(([category, count]) => (
+              <span key={category} className="px-2 py-1 text-xs rounded-full bg-gray-100 text-gray-700">
+                {CATEGORY_LABELS[category] || category}: {count}
+              </span>
+            ))}
+        </div>
+      </div>
+
+      {digest.candidates.map(candidate => (
+        <div key={candidate.candidate_id}>
+          <h3 className="font-semibold text-gray-900 mb-2">
+            Version by {candidate.author_name}
+            <span className="ml-2 text-sm font-normal text-gray-500">
+              {candidate.vote_count} first-choice votes{candidate.is_winner ? ', won' : ''}
+            </span>
+          </h3>
+          <ul className="space-y-2">
+            {candidate.comments.map((comment, index) => (
+              <li key={index} className="border border-gray-200 rounded p-3 text-sm">
+                <div className="text-xs text-gray-500 mb-1">
+                  {comment.reviewer} · {CATEGORY_LABELS[comment.category] || comment.category}
+                  {comment.line_start && ` · lines ${comment.line_start}-${comment.line_end}`}
+                </div>
+                {comment.excerpt && (
+                  <pre className="text-xs bg-gray-50 border-l-4 border-gray-300 px-2 py-1 mb-2 whitespace-pre-wrap">{comment.excerpt}</pre>
+                )}
+                <p className="text-gray-800 whitespace-pre-wrap">{comment.comment}</p>
+                {comment.replies.length > 0 && (
+                  <ul className="mt-2 ml-4 space-y-1 border-l pl-3">
+                    {comment.replies.map((reply, replyIndex) => (
+                      <li key={replyIndex}>
+                        <span className="font-medium text-gray-700">{reply.author}:</span>{' '}
+                        <span className="text-gray-800 whitespace-pre-wrap">{reply.comment}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default PreviousRoundFeedback
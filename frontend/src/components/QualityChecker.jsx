@@ -1,27 +1,22 @@
 import { useState, useEffect } from 'react'
+import axios from 'axios'
 
 function QualityChecker({ document, qualityResults, onRunCheck, isModal = false }) {
   const [loading, setLoading] = useState(false)
   const [history, setHistory] = useState([])
   const [showHistory, setShowHistory] = useState(false)
 
+  // Reload after every new run so the trend includes it
   useEffect(() => {
-    if (showHistory && document?.id) {
+    if (document?.id) {
       fetchHistory()
     }
-  }, [showHistory, document])
+  }, [document, qualityResults])
 
   const fetchHistory = async () => {
     try {
-      const response = await fetch(`/quality-checks/document/${document.id}/history`, {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        }
-      })
-      if (response.ok) {
-        const data = await response.json()
-        setHistory(data)
-      }
+      const response = await axios.get(`/quality-checks/document/${document.id}/history`)
+      setHistory(response.data)
     } catch (error) {
       console.error('Error fetching quality check history:', error)
     }
@@ -66,11 +61,16 @@ function QualityChecker({ document, qualityResults, onRunCheck, isModal = false
       'content_length': 'Content Length',
       'document_structure': 'Document Structure',
       'code_examples': 'Code Examples',
+      'markdown_lint': 'Markdown Structure',
+      'link_validation': 'Links & Images',
+      'readability': 'Readability',
+      'spelling_terminology': 'Spelling & Terminology',
       'api_coverage': 'API Coverage',
       'api_completeness': 'API Completeness',
       'notebook_coverage': 'Use Case Scripts',
       'notebook_quality': 'Script Quality',
       'api_integration': 'API Integration',
+      'annotation_coverage': 'Annotation Coverage',
       'content_consistency': 'Content Consistency'
     }
     return titles[type] || type.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())
@@ -81,12 +81,17 @@ function QualityChecker({ document, qualityResults, onRunCheck, isModal = false
       'Documentation': ['document_title', 'content_length', 'document_structure', 'code_examples'],
       'API Testing': ['api_coverage', 'api_completeness'],
       'Use Cases': ['notebook_coverage', 'notebook_quality'],
-      'Integration': ['api_integration', 'content_consistency']
+      'Integration': ['api_integration', 'annotation_coverage', 'content_consistency']
     }
 
+    // Checks carry their rule's group; the map above covers older saved results
     const grouped = {}
-    Object.entries(categories).forEach(([category, types]) => {
-      grouped[category] = checks.filter(check => types.includes(check.check_type))
+    checks.forEach(check => {
+      const type = check.check_type || check.type
+      const category = check.group ||
+        Object.keys(categories).find(name => categories[name].includes(type)) ||
+        'Other'
+      grouped[category] = [...(grouped[category] || []), check]
     })
 
     return grouped
@@ -141,7 +146,10 @@ function QualityChecker({ document, qualityResults, onRunCheck, isModal = false
               <div className="flex items-center justify-between">
                 <div>
                   <h3 className="text-lg font-semibold text-gray-900">Overall Score</h3>
-                  <p className="text-sm text-gray-600">Based on all quality checks</p>
+                  <p className="text-sm text-gray-600">
+                    Based on all quality checks
+                    {qualityResults.min_submit_score !== undefined && ` · ${qualityResults.min_submit_score} required to submit`}
+                  </p>
                 </div>
                 <div className="text-right">
                   <div className={`text-3xl font-bold ${getScoreColor(qualityResults.overall_score)}`}>
@@ -197,6 +205,17 @@ function QualityChecker({ document, qualityResults, onRunCheck, isModal = false
               </div>
             </div>
 
+            {/* Score Trend */}
+            {history.length > 1 && (
+              <div className="bg-white border border-gray-200 rounded-lg p-4">
+                <div className="flex items-center justify-between mb-2">
+                  <h3 className="font-medium text-gray-900">Score Trend</h3>
+                  <span className="text-xs text-gray-500">Last {Math.min(history.length, 20)} checks</span>
+                </div>
+                <QualityTrendChart runs={history.slice(0, 20).reverse()} />
+              </div>
+            )}
+
             {/* Detailed Results by Category */}
             {qualityResults.checks && (
               <div className="space-y-4">
@@ -282,23 +301,16 @@ function QualityChecker({ document, qualityResults, onRunCheck, isModal = false
                   <p className="text-gray-600 text-center py-8">No previous quality checks</p>
                 ) : (
                   <div className="space-y-3">
-                    {history.map((check, index) => (
-                      <div key={index} className="border border-gray-200 rounded p-3">
-                        <div className="flex items-center justify-between mb-2">
-                          <span className={`px-2 py-1 rounded text-xs ${getStatusColor(check.status)}`}>
-                            {getStatusIcon(check.status)} {getCategoryTitle(check.check_type)}
-                          </span>
-                          <div className="text-xs text-gray-500">
-                            {new Date(check.checked_at).toLocaleString()}
-                          </div>
-                        </div>
-                        <div className="text-sm text-gray-700">{check.message}</div>
-                        {check.score !== null && (
-                          <div className="text-xs text-gray-500 mt-1">
-                            Score: {check.score}/100
-                          </div>
-                        )}
-                      </div>
+                    {history.length > 1 && <QualityTrendChart runs={[...history].reverse()} />}
+                    {history.map((run, index) => (
+                      <HistoryRun
+                        key={run.id}
+                        run={run}
+                        previous={history[index + 1]}
+                        getStatusIcon={getStatusIcon}
+                        getStatusColor={getStatusColor}
+                        getCategoryTitle={getCategoryTitle}
+                      />
                     ))}
                   </div>
                 )}
@@ -311,6 +323,117 @@ function QualityChecker({ document, qualityResults, onRunCheck, isModal = false
   )
 }
 
+// Overall score per run as an SVG line, with the submit threshold dashed
+function QualityTrendChart({ runs }) {
+  const width = 600
+  const height = 160
+  const padding = { top: 10, right: 10, bottom: 24, left: 30 }
+  const plotWidth = width - padding.left - padding.right
+  const plotHeight = height - padding.top - padding.bottom
+
+  const x = (index) => padding.left + (runs.length === 1 ? plotWidth / 2 : (index / (runs.length - 1)) * plotWidth)
+  const y = (score) => padding.top + plotHeight - (score / 100) * plotHeight
+  const threshold = runs[runs.length - 1].min_submit_score
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-40">
+      {[0, 50, 100].map(tick => (
+        <g key={tick}>
+          <line x1={padding.left} x2={width - padding.right} y1={y(tick)} y2={y(tick)} stroke="#e5e7eb" />
+          <text x={padding.left - 6} y={y(tick) + 4} textAnchor="end" fontSize="10" fill="#6b7280">{tick}</text>
+        </g>
+      ))}
+      {threshold !== null && threshold !== undefined && (
+        <line
+          x1={padding.left}
+          x2={width - padding.right}
+          y1={y(threshold)}
+          y2={y(threshold)}
+          stroke="#f59e0b"
+          strokeDasharray="4 4"
+        />
+      )}
+      <polyline
+        fill="none"
+        stroke="#2563eb"
+        strokeWidth="2"
+        points={runs.map((run, index) => `${x(index)},${y(run.overall_score || 0)}`).join(' ')}
+      />
+      {runs.map((run, index) => (
+        <g key={run.id}>
+          <circle cx={x(index)} cy={y(run.overall_score || 0)} r="4" fill={run.can_submit ? '#16a34a' : '#dc2626'}>
+            <title>
+              {`${run.overall_score}/100${run.version_number ? ` · v${run.version_number}` : ''} · ${new Date(run.created_at).toLocaleString()}`}
+            </title>
+          </circle>
+          <text x={x(index)} y={height - 6} textAnchor="middle" fontSize="10" fill="#6b7280">
+            {run.version_number ? `v${run.version_number}` : '-'}
+          </text>
+        </g>
+      ))}
+    </svg>
+  )
+}
+
+function HistoryRun({ run, previous, getStatusIcon, getStatusColor, getCategoryTitle }) {
+  const [expanded, setExpanded] = useState(false)
+  const delta = previous ? run.overall_score - previous.overall_score : null
+  const previousScores = Object.fromEntries((previous?.checks || []).map(check => [check.check_type, check.score]))
+
+  return (
+    <div className="border border-gray-200 rounded p-3">
+      <button onClick={() => setExpanded(!expanded)} className="w-full flex items-center justify-between text-left">
+        <div className="flex items-center space-x-3">
+          <span className="font-semibold text-gray-900">{run.overall_score}/100</span>
+          {delta !== null && delta !== 0 && (
+            <span className={`text-xs ${delta > 0 ? 'text-green-600' : 'text-red-600'}`}>
+              {delta > 0 ? '▲' : '▼'} {Math.abs(delta)}
+            </span>
+          )}
+          <span className={`text-xs ${run.can_submit ? 'text-green-600' : 'text-red-600'}`}>
+            {run.can_submit ? '✅ Submittable' : `❌ ${run.error_count} blocking`}
+          </span>
+          {run.warning_count > 0 && <span className="text-xs text-yellow-600">⚠️ {run.warning_count}</span>}
+        </div>
+        <div className="text-xs text-gray-500">
+          {run.version_number ? `Version ${run.version_number} · ` : ''}
+          {new Date(run.created_at).toLocaleString()}
+          {run.run_by_username && ` · ${run.run_by_username}`}
+          {run.is_current && ' · current'}
+        </div>
+      </button>
+
+      {expanded && (
+        <div className="mt-3 space-y-2">
+          {run.checks.map(check => {
+            const previousScore = previousScores[check.check_type]
+            return (
+              <div key={check.id} className="flex items-start justify-between text-sm">
+                <div>
+                  <span className={`px-2 py-0.5 rounded text-xs ${getStatusColor(check.status)}`}>
+                    {getStatusIcon(check.status)} {getCategoryTitle(check.check_type)}
+                  </span>
+                  <span className="ml-2 text-gray-700">{check.message}</span>
+                </div>
+                {check.score !== null && (
+                  <span className="text-xs text-gray-500 whitespace-nowrap ml-2">
+                    {check.score}/100
+                    {previousScore !== undefined && previousScore !== check.score && (
+                      <span className={check.score > previousScore ? 'text-green-600' : 'text-red-600'}>
+                        {' '}({check.score > previousScore ? '+' : ''}{check.score - previousScore})
+                      </span>
+                    )}
+                  </span>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
+
 function CheckItem({ check }) {
   const [showDetails, setShowDetails] = useState(false)
 
@@ -338,11 +461,16 @@ function CheckItem({ check }) {
       'content_length': 'Content Length',
       'document_structure': 'Document Structure',
       'code_examples': 'Code Examples',
+      'markdown_lint': 'Markdown Structure',
+      'link_validation': 'Links & Images',
+      'readability': 'Readability',
+      'spelling_terminology': 'Spelling & Terminology',
       'api_coverage': 'API Coverage',
       'api_completeness': 'API Completeness',
       'notebook_coverage': 'Use Case Scripts',
       'notebook_quality': 'Script Quality',
       'api_integration': 'API Integration',
+      'annotation_coverage': 'Annotation Coverage',
       'content_consistency': 'Content Consistency'
     }
     return titles[type] || type.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())
@@ -358,7 +486,7 @@ function CheckItem({ check }) {
           <div className="flex-1">
             <div className="flex items-center space-x-2">
               <h5 className="font-medium text-gray-900">
-                {getCategoryTitle(check.check_type)}
+                {check.title || getCategoryTitle(check.check_type)}
               </h5>
               {check.score !== null && (
                 <span className="text-sm text-gray-500">
@@ -367,7 +495,35 @@ function CheckItem({ check }) {
               )}
             </div>
             <p className="text-sm text-gray-600 mt-1">{check.message}</p>
+
+            {check.details?.uncovered?.length > 0 && (
+              <div className="mt-2 flex flex-wrap gap-1 text-xs">
+                <span className="text-gray-500">Not explained:</span>
+                {check.details.uncovered.map(item => (
+                  <code key={`${item.type}:${item.value}`} className="bg-red-50 text-red-700 px-1 rounded">
+                    {item.type === 'file' ? '📄' : 'ƒ'} {item.value}
+                  </code>
+                ))}
+              </div>
+            )}
             
+            {check.details?.issues?.length > 0 && (
+              <ul className="mt-2 space-y-0.5 text-xs">
+                {check.details.issues.slice(0, 10).map((issue, index) => (
+                  <li key={index} className="flex space-x-2">
+                    <span className="font-mono text-gray-500 whitespace-nowrap">Line {issue.line}</span>
+                    <span className={issue.severity === 'error' ? 'text-red-700' : 'text-gray-700'}>{issue.message}</span>
+                    {issue.suggestions?.length > 0 && (
+                      <span className="text-green-700">→ {issue.suggestions.join(', ')}</span>
+                    )}
+                  </li>
+                ))}
+                {check.details.issues.length > 10 && (
+                  <li className="text-gray-500">…and {check.details.issues.length - 10} more (see the editor)</li>
+                )}
+              </ul>
+            )}
+
             {check.details && Object.keys(check.details).length > 0 && (
               <button
                 onClick={() => setShowDetails(!showDetails)}
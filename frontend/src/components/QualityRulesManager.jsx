@@ -0,0 +1,240 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+
+// Admin editor for per-category quality rule overrides. Blank fields inherit
+// from the parent category (or the built-in rule defaults).
+function QualityRulesManager({ categories }) {
+  const [rules, setRules] = useState([])
+  const [categoryId, setCategoryId] = useState('')
+  const [config, setConfig] = useState(null)
+  const [overrides, setOverrides] = useState({})
+  const [minSubmitScore, setMinSubmitScore] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    const fetchRules = async () => {
+      try {
+        const response = await axios.get('/quality-checks/rules')
+        setRules(response.data)
+      } catch (error) {
+        console.error('Error fetching quality rules:', error)
+      }
+    }
+    fetchRules()
+  }, [])
+
+  useEffect(() => {
+    if (categoryId) {
+      fetchConfig(categoryId)
+    } else {
+      setConfig(null)
+    }
+  }, [categoryId])
+
+  const applyConfig = (data) => {
+    setConfig(data.effective)
+    setOverrides(data.overrides?.rules || {})
+    setMinSubmitScore(data.overrides?.min_submit_score ?? '')
+  }
+
+  const fetchConfig = async (id) => {
+    try {
+      const response = await axios.get(`/quality-checks/config/category/${id}`)
+      applyConfig(response.data)
+    } catch (error) {
+      console.error('Error fetching category quality config:', error)
+    }
+  }
+
+  const updateOverride = (ruleId, field, value) => {
+    setOverrides(prev => {
+      const rule = { ...(prev[ruleId] || {}) }
+      if (value === undefined) {
+        delete rule[field]
+      } else {
+        rule[field] = value
+      }
+      const next = { ...prev, [ruleId]: rule }
+      if (Object.keys(rule).length === 0) delete next[ruleId]
+      return next
+    })
+  }
+
+  const updateParam = (rule, name, text) => {
+    const params = { ...(overrides[rule.id]?.params || {}) }
+    const defaultValue = rule.defaults[name]
+
+    if (text === '') {
+      delete params[name]
+    } else if (Array.isArray(defaultValue)) {
+      params[name] = text.split(',').map(item => item.trim()).filter(Boolean)
+    } else if (typeof defaultValue === 'number') {
+      params[name] = Number(text)
+    } else {
+      params[name] = text
+    }
+    updateOverride(rule.id, 'params', Object.keys(params).length > 0 ? params : undefined)
+  }
+
+  const saveConfig = async () => {
+    try {
+      setSaving(true)
+      const response = await axios.put(`/quality-checks/config/category/${categoryId}`, {
+        rules: overrides,
+        min_submit_score: minSubmitScore === '' ? null : Number(minSubmitScore)
+      })
+      applyConfig(response.data)
+    } catch (error) {
+      console.error('Error saving category quality config:', error)
+      alert('Error saving quality rules: ' + (error.response?.data?.error || error.message))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const resetConfig = async () => {
+    if (!window.confirm('Remove all quality rule overrides for this category?')) return
+
+    try {
+      await axios.delete(`/quality-checks/config/category/${categoryId}`)
+      await fetchConfig(categoryId)
+    } catch (error) {
+      console.error('Error resetting category quality config:', error)
+      alert('Error resetting quality rules: ' + (error.response?.data?.error || error.message))
+    }
+  }
+
+  const categoryName = (id) => categories.find(category => category.id === id)?.name || 'built-in default'
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <div className="flex justify-between items-center mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Quality Rules</h2>
+          <p className="text-sm text-gray-600">Settings apply to the category and everything below it</p>
+        </div>
+        <select
+          value={categoryId}
+          onChange={(e) => setCategoryId(e.target.value)}
+          className="border border-gray-300 rounded px-3 py-2 text-sm"
+        >
+          <option value="">Select a category...</option>
+          {categories.map(category => (
+            <option key={category.id} value={category.id}>
+              {'　'.repeat(category.level)}{category.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {config && (
+        <div className="space-y-4">
+          <div className="flex items-center space-x-3 text-sm">
+            <label className="font-medium text-gray-700">Minimum score to submit</label>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={minSubmitScore}
+              onChange={(e) => setMinSubmitScore(e.target.value)}
+              placeholder={String(config.min_submit_score)}
+              className="w-24 border border-gray-300 rounded px-2 py-1"
+            />
+            <span className="text-gray-500">
+              effective {config.min_submit_score} (from {categoryName(config.min_submit_score_source)})
+            </span>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50 text-left text-gray-600">
+                <tr>
+                  <th className="px-3 py-2">Rule</th>
+                  <th className="px-3 py-2">Enabled</th>
+                  <th className="px-3 py-2">Severity</th>
+                  <th className="px-3 py-2">Parameters</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {rules.map(rule => {
+                  const override = overrides[rule.id] || {}
+                  const effective = config.rules[rule.id]
+                  return (
+                    <tr key={rule.id} className="align-top">
+                      <td className="px-3 py-2">
+                        <div className="font-medium text-gray-900">{rule.title}</div>
+                        <div className="text-xs text-gray-500">{rule.description}</div>
+                        {effective?.source && effective.source !== categoryId && (
+                          <div className="text-xs text-blue-600">Inherited from {categoryName(effective.source)}</div>
+                        )}
+                      </td>
+                      <td className="px-3 py-2">
+                        <select
+                          value={override.enabled === undefined ? '' : String(override.enabled)}
+                          onChange={(e) => updateOverride(rule.id, 'enabled', e.target.value === '' ? undefined : e.target.value === 'true')}
+                          className="border border-gray-300 rounded px-2 py-1"
+                        >
+                          <option value="">Inherit ({effective?.enabled ? 'on' : 'off'})</option>
+                          <option value="true">On</option>
+                          <option value="false">Off</option>
+                        </select>
+                      </td>
+                      <td className="px-3 py-2">
+                        <select
+                          value={override.severity || ''}
+                          onChange={(e) => updateOverride(rule.id, 'severity', e.target.value || undefined)}
+                          className="border border-gray-300 rounded px-2 py-1"
+                        >
+                          <option value="">Inherit ({effective?.severity})</option>
+                          <option value="error">Error (blocks submit)</option>
+                          <option value="warning">Warning</option>
+                        </select>
+                      </td>
+                      <td className="px-3 py-2 space-y-1">
+                        {Object.keys(rule.defaults).length === 0 && <span className="text-gray-400">—</span>}
+                        {Object.entries(rule.defaults).map(([name, defaultValue]) => {
+                          const value = override.params?.[name]
+                          const effectiveValue = effective?.params[name]
+                          return (
+                            <div key={name} className="flex items-center space-x-2">
+                              <label className="text-xs text-gray-600 w-36">{name}</label>
+                              <input
+                                type={typeof defaultValue === 'number' ? 'number' : 'text'}
+                                value={value === undefined ? '' : (Array.isArray(value) ? value.join(', ') : value)}
+                                onChange={(e) => updateParam(rule, name, e.target.value)}
+                                placeholder={Array.isArray(effectiveValue) ? effectiveValue.join(', ') : String(effectiveValue)}
+                                className="flex-1 border border-gray-300 rounded px-2 py-1 text-xs"
+                              />
+                            </div>
+                          )
+                        })}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex justify-end space-x-2">
+            <button
+              onClick={resetConfig}
+              className="px-4 py-2 rounded text-sm text-gray-700 hover:bg-gray-100"
+            >
+              Reset to Inherited
+            </button>
+            <button
+              onClick={saveConfig}
+              disabled={saving}
+              className="bg-blue-600 text-white px-4 py-2 rounded text-sm hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Rules'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default QualityRulesManager
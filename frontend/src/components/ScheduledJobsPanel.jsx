@@ -0,0 +1,186 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+
+const RUN_STATUS_STYLES = {
+  running: 'bg-blue-100 text-blue-800',
+  succeeded: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+}
+
+const formatTime = (value) => value ? new Date(value).toLocaleString() : '—'
+
+const formatResult = (result) => result
+  ? Object.entries(result).map(([key, value]) => `${key.replace(/_/g, ' ')}: ${value}`).join(', ')
+  : ''
+
+// Admin view of the background jobs: their schedules, settings and recent runs
+function ScheduledJobsPanel() {
+  const [jobs, setJobs] = useState([])
+  const [runs, setRuns] = useState([])
+  const [selectedJob, setSelectedJob] = useState(null)
+  const [runningJob, setRunningJob] = useState(null)
+  const [offsets, setOffsets] = useState('')
+
+  useEffect(() => {
+    fetchJobs()
+  }, [])
+
+  useEffect(() => {
+    fetchRuns()
+  }, [selectedJob])
+
+  const fetchJobs = async () => {
+    try {
+      const response = await axios.get('/scheduled-jobs')
+      setJobs(response.data)
+      const reminders = response.data.find(job => job.name === 'deadline_reminders')
+      if (reminders) setOffsets((reminders.config.offsets_hours || []).join(', '))
+    } catch (error) {
+      console.error('Error fetching scheduled jobs:', error)
+    }
+  }
+
+  const fetchRuns = async () => {
+    try {
+      const response = await axios.get('/scheduled-jobs/runs', { params: selectedJob ? { job: selectedJob } : {} })
+      setRuns(response.data)
+    } catch (error) {
+      console.error('Error fetching job runs:', error)
+    }
+  }
+
+  const updateJob = async (name, changes) => {
+    try {
+      await axios.put(`/scheduled-jobs/${name}`, changes)
+      fetchJobs()
+    } catch (error) {
+      console.error('Error updating scheduled job:', error)
+      alert('Error updating job: ' + (error.response?.data?.error || error.message))
+    }
+  }
+
+  const saveOffsets = () => {
+    const offsets_hours = offsets.split(',').map(value => parseInt(value.trim())).filter(value => !isNaN(value))
+    updateJob('deadline_reminders', { config: { offsets_hours } })
+  }
+
+  const runNow = async (name) => {
+    try {
+      setRunningJob(name)
+      const response = await axios.post(`/scheduled-jobs/${name}/run`)
+      if (response.data.status === 'failed') {
+        alert('Job failed: ' + response.data.error)
+      }
+      fetchJobs()
+      fetchRuns()
+    } catch (error) {
+      console.error('Error running scheduled job:', error)
+      alert('Error running job: ' + (error.response?.data?.error || error.message))
+    } finally {
+      setRunningJob(null)
+    }
+  }
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <div className="mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">⏱️ Background Jobs</h2>
+        <p className="text-sm text-gray-600">Deadline reminders, overdue tasks, submitted tasks and voting deadlines</p>
+      </div>
+
+      <table className="min-w-full text-sm mb-6">
+        <thead className="bg-gray-50 text-left text-gray-600">
+          <tr>
+            <th className="px-3 py-2">Job</th>
+            <th className="px-3 py-2">Every (minutes)</th>
+            <th className="px-3 py-2">Last run</th>
+            <th className="px-3 py-2">Next run</th>
+            <th className="px-3 py-2"></th>
+          </tr>
+        </thead>
+        <tbody className="divide-y">
+          {jobs.map(job => (
+            <tr key={job.name} className={`align-top ${job.enabled ? '' : 'opacity-50'}`}>
+              <td className="px-3 py-2">
+                <button onClick={() => setSelectedJob(selectedJob === job.name ? null : job.name)} className="font-medium text-gray-900 hover:text-blue-700">
+                  <code>{job.name}</code>
+                </button>
+                {job.description && <div className="text-xs text-gray-500">{job.description}</div>}
+                {job.name === 'deadline_reminders' && (
+                  <div className="flex items-center space-x-2 mt-1 text-xs">
+                    <span className="text-gray-600">Hours before deadline:</span>
+                    <input
+                      type="text"
+                      value={offsets}
+                      onChange={(e) => setOffsets(e.target.value)}
+                      className="border border-gray-300 rounded px-2 py-1 w-28"
+                    />
+                    <button onClick={saveOffsets} className="text-blue-600 hover:text-blue-800">Save</button>
+                  </div>
+                )}
+              </td>
+              <td className="px-3 py-2">
+                <input
+                  type="number"
+                  min="1"
+                  defaultValue={Math.round(job.interval_seconds / 60)}
+                  onBlur={(e) => {
+                    const minutes = parseInt(e.target.value)
+                    if (minutes > 0 && minutes * 60 !== job.interval_seconds) {
+                      updateJob(job.name, { interval_seconds: minutes * 60 })
+                    }
+                  }}
+                  className="border border-gray-300 rounded px-2 py-1 w-20"
+                />
+              </td>
+              <td className="px-3 py-2 text-gray-600">
+                {formatTime(job.last_run_at)}
+                {job.last_status && (
+                  <span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${RUN_STATUS_STYLES[job.last_status] || ''}`}>
+                    {job.last_status}
+                  </span>
+                )}
+              </td>
+              <td className="px-3 py-2 text-gray-600">{job.running ? 'Running...' : job.enabled ? formatTime(job.next_run_at) : 'Disabled'}</td>
+              <td className="px-3 py-2 whitespace-nowrap text-right space-x-2">
+                <button onClick={() => updateJob(job.name, { enabled: !job.enabled })} className="text-gray-600 hover:text-gray-800">
+                  {job.enabled ? 'Disable' : 'Enable'}
+                </button>
+                <button
+                  onClick={() => runNow(job.name)}
+                  disabled={job.running || runningJob === job.name}
+                  className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                >
+                  {runningJob === job.name ? 'Running...' : 'Run now'}
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h3 className="font-semibold text-gray-900 mb-2">
+        Recent runs{selectedJob && <span className="ml-2 text-sm font-normal text-gray-500">of {selectedJob}</span>}
+      </h3>
+      {runs.length === 0 ? (
+        <p className="text-gray-500 text-sm">No runs yet</p>
+      ) : (
+        <ul className="space-y-1 text-sm max-h-64 overflow-y-auto">
+          {runs.map(run => (
+            <li key={run.id} className="flex items-start space-x-2">
+              <span className={`px-2 py-0.5 text-xs rounded-full ${RUN_STATUS_STYLES[run.status]}`}>{run.status}</span>
+              <span className="text-gray-500 whitespace-nowrap">{formatTime(run.started_at)}</span>
+              <code className="text-gray-800">{run.job_name}</code>
+              <span className="text-gray-600">
+                {run.status === 'failed' ? run.error : formatResult(run.result)}
+                {run.triggered_by_username && ` (run by ${run.triggered_by_username})`}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default ScheduledJobsPanel
@@ -0,0 +1,203 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+
+// Split text into plain and highlighted segments for the given [start, end) ranges
+const highlightSegments = (text, ranges) => {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start)
+  const segments = []
+  let position = 0
+
+  for (const range of sorted) {
+    const start = Math.max(range.start, position)
+    if (range.end <= start) continue
+    if (start > position) segments.push({ text: text.slice(position, start), marked: false })
+    segments.push({ text: text.slice(start, range.end), marked: true })
+    position = range.end
+  }
+  if (position < text.length) segments.push({ text: text.slice(position), marked: false })
+  return segments
+}
+
+const percent = (value) => `${Math.round(Number(value) * 100)}%`
+
+const STATUS_STYLES = {
+  open: 'bg-yellow-100 text-yellow-800',
+  dismissed: 'bg-gray-100 text-gray-700',
+  confirmed: 'bg-red-100 text-red-800'
+}
+
+// Admin list of similarity reports between submissions, with a side-by-side
+// view of the matching passages
+function SimilarityReports() {
+  const [reports, setReports] = useState([])
+  const [filter, setFilter] = useState('flagged')
+  const [selected, setSelected] = useState(null)
+  const [reviewNote, setReviewNote] = useState('')
+
+  useEffect(() => {
+    fetchReports()
+  }, [filter])
+
+  const fetchReports = async () => {
+    try {
+      const params = filter === 'flagged' ? { flagged: true, status: 'open' } : {}
+      const response = await axios.get('/similarity/reports', { params })
+      setReports(response.data)
+    } catch (error) {
+      console.error('Error fetching similarity reports:', error)
+    }
+  }
+
+  const openReport = async (reportId) => {
+    try {
+      const response = await axios.get(`/similarity/reports/${reportId}`)
+      setSelected(response.data)
+      setReviewNote(response.data.review_note || '')
+    } catch (error) {
+      console.error('Error fetching similarity report:', error)
+      alert('Error loading report: ' + (error.response?.data?.error || error.message))
+    }
+  }
+
+  const reviewReport = async (status) => {
+    try {
+      await axios.put(`/similarity/reports/${selected.id}/review`, { status, review_note: reviewNote })
+      setSelected(null)
+      fetchReports()
+    } catch (error) {
+      console.error('Error reviewing similarity report:', error)
+      alert('Error saving review: ' + (error.response?.data?.error || error.message))
+    }
+  }
+
+  const renderText = (text, side) => {
+    const ranges = selected.passages.map(passage => ({
+      start: passage[`${side}_start`],
+      end: passage[`${side}_end`]
+    }))
+    return highlightSegments(text, ranges).map((segment, index) => (
+      segment.marked
+        ? <mark key={index} className="bg-red-200">{segment.text}</mark>
+        : <span key={index}>{segment.text}</span>
+    ))
+  }
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <div className="flex justify-between items-center mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">🔍 Similarity Reports</h2>
+          <p className="text-sm text-gray-600">Overlap between writers of the same task and with completed entries</p>
+        </div>
+        <select
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          className="border border-gray-300 rounded px-3 py-2 text-sm"
+        >
+          <option value="flagged">Flagged, awaiting review</option>
+          <option value="all">All reports</option>
+        </select>
+      </div>
+
+      {reports.length === 0 ? (
+        <p className="text-gray-500 text-sm">No similarity reports</p>
+      ) : (
+        <div className="space-y-2 max-h-80 overflow-y-auto">
+          {reports.map(report => (
+            <div
+              key={report.id}
+              onClick={() => openReport(report.id)}
+              className={`border rounded-lg p-3 cursor-pointer hover:bg-gray-50 ${report.is_flagged ? 'border-red-300' : 'border-gray-200'}`}
+            >
+              <div className="flex justify-between items-start">
+                <div>
+                  <div className="font-medium text-gray-900">{report.task_title}</div>
+                  <div className="text-sm text-gray-600">
+                    {report.author_a} ↔ {report.author_b}
+                    {report.comparison_type === 'completed_entry' && (
+                      <span className="ml-2 text-xs text-purple-700">vs completed entry</span>
+                    )}
+                    <span className="ml-2 text-xs text-gray-500">
+                      {report.source_type === 'code' ? '💻 script code' : '📄 document'}
+                    </span>
+                  </div>
+                </div>
+                <div className="text-right">
+                  <div className={`text-lg font-bold ${report.is_flagged ? 'text-red-600' : 'text-gray-700'}`}>
+                    {percent(report.similarity)}
+                  </div>
+                  <span className={`px-2 py-0.5 text-xs rounded-full ${STATUS_STYLES[report.status]}`}>
+                    {report.status}
+                  </span>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {selected && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg w-full max-w-6xl max-h-[90vh] flex flex-col">
+            <div className="p-4 border-b flex justify-between items-start">
+              <div>
+                <h3 className="text-lg font-semibold">{selected.task_title}</h3>
+                <p className="text-sm text-gray-600">
+                  {percent(selected.similarity)} similar · Jaccard {percent(selected.jaccard)} · {selected.passage_count} matching passage(s)
+                </p>
+              </div>
+              <button onClick={() => setSelected(null)} className="text-gray-500 hover:text-gray-700">✕</button>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4 p-4 overflow-y-auto flex-1">
+              {['a', 'b'].map(side => (
+                <div key={side} className="min-w-0">
+                  <div className="text-sm font-medium text-gray-900 mb-1">
+                    {selected[`author_${side}`]} — {selected[`task_${side}_title`]}
+                  </div>
+                  <div className="text-xs text-gray-500 mb-2">
+                    {percent(selected[`containment_${side}`])} of this text also appears in the other
+                  </div>
+                  <pre className="whitespace-pre-wrap text-sm bg-gray-50 border rounded p-3 font-sans">
+                    {renderText(selected[`text_${side}`], side)}
+                  </pre>
+                </div>
+              ))}
+            </div>
+
+            <div className="p-4 border-t space-y-2">
+              {selected.reviewed_by_username && (
+                <p className="text-xs text-gray-500">
+                  Marked {selected.status} by {selected.reviewed_by_username} on {new Date(selected.reviewed_at).toLocaleString()}
+                </p>
+              )}
+              <textarea
+                value={reviewNote}
+                onChange={(e) => setReviewNote(e.target.value)}
+                placeholder="Review note (optional)"
+                rows={2}
+                className="w-full border border-gray-300 rounded px-3 py-2 text-sm"
+              />
+              <div className="flex justify-end space-x-2">
+                <button
+                  onClick={() => reviewReport('dismissed')}
+                  className="px-4 py-2 rounded text-sm text-gray-700 border border-gray-300 hover:bg-gray-100"
+                >
+                  Dismiss
+                </button>
+                <button
+                  onClick={() => reviewReport('confirmed')}
+                  className="bg-red-600 text-white px-4 py-2 rounded text-sm hover:bg-red-700"
+                >
+                  Confirm Copying
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SimilarityReports
@@ -24,9 +24,11 @@ function TaskKanban({ user }) {
   const groupedTasks = {
     not_started: tasks.filter(task => task.status === 'not_started'),
     in_progress: tasks.filter(task => task.status === 'in_progress'),
+    overtime: tasks.filter(task => task.status === 'overtime'),
     pending_vote: tasks.filter(task => task.status === 'pending_vote'),
+    voting: tasks.filter(task => task.status === 'voting'),
     completed: tasks.filter(task => task.status === 'completed'),
-    overtime: tasks.filter(task => task.status === 'overtime')
+    pending_reassignment: tasks.filter(task => task.status === 'pending_reassignment')
   }
 
   const statusConfig = {
@@ -48,14 +50,26 @@ function TaskKanban({ user }) {
       borderColor: 'border-yellow-300',
       headerColor: 'bg-yellow-100 text-yellow-800'
     },
+    overtime: {
+      title: 'Overtime',
+      bgColor: 'bg-orange-50',
+      borderColor: 'border-orange-300',
+      headerColor: 'bg-orange-100 text-orange-800'
+    },
+    voting: {
+      title: 'Voting',
+      bgColor: 'bg-indigo-50',
+      borderColor: 'border-indigo-300',
+      headerColor: 'bg-indigo-100 text-indigo-800'
+    },
     completed: {
       title: 'Completed',
       bgColor: 'bg-green-50',
       borderColor: 'border-green-300',
       headerColor: 'bg-green-100 text-green-800'
     },
-    overtime: {
-      title: 'Overtime',
+    pending_reassignment: {
+      title: 'Pending Reassignment',
       bgColor: 'bg-red-50',
       borderColor: 'border-red-300',
       headerColor: 'bg-red-100 text-red-800'
@@ -93,7 +107,7 @@ function TaskKanban({ user }) {
           <div className="flex justify-between">
             <span className="text-gray-500">Writers:</span>
             <span className="text-gray-700 truncate ml-1">
-              {[task.writer1_username, task.writer2_username].filter(Boolean).join(', ') || 'Unassigned'}
+              {task.writers.map(writer => writer.username).join(', ') || 'Unassigned'}
             </span>
           </div>
           {task.deadline && (
@@ -177,7 +191,7 @@ function TaskKanban({ user }) {
       </div>
 
       {/* Summary Stats */}
-      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+      <div className="grid grid-cols-2 md:grid-cols-7 gap-4">
         {Object.entries(groupedTasks).map(([status, statusTasks]) => (
           <div key={status} className="text-center p-3 bg-white rounded-lg shadow-sm">
             <div className="text-2xl font-bold text-gray-900">{statusTasks.length}</div>
@@ -187,7 +201,7 @@ function TaskKanban({ user }) {
       </div>
 
       {/* Kanban Board */}
-      <div className="grid grid-cols-1 lg:grid-cols-5 gap-6 overflow-x-auto">
+      <div className="grid grid-cols-1 lg:grid-cols-7 gap-6 overflow-x-auto">
         {Object.entries(statusConfig).map(([status, config]) => (
           <KanbanColumn
             key={status}
@@ -201,7 +215,7 @@ function TaskKanban({ user }) {
       {/* Legend */}
       <div className="bg-white p-4 rounded-lg shadow-sm">
         <h3 className="font-medium text-gray-900 mb-2">Workflow Stages</h3>
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4 text-sm">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-7 gap-4 text-sm">
           <div>
             <span className="font-medium text-gray-800">Not Started:</span>
             <p className="text-gray-600">Task created, waiting for writers to accept</p>
@@ -214,13 +228,21 @@ function TaskKanban({ user }) {
             <span className="font-medium text-yellow-800">Pending Vote:</span>
             <p className="text-gray-600">Content submitted, ready for team voting</p>
           </div>
+          <div>
+            <span className="font-medium text-orange-800">Overtime:</span>
+            <p className="text-gray-600">Deadline passed, writers can still submit late</p>
+          </div>
+          <div>
+            <span className="font-medium text-indigo-800">Voting:</span>
+            <p className="text-gray-600">A voting session is open on the submissions</p>
+          </div>
           <div>
             <span className="font-medium text-green-800">Completed:</span>
             <p className="text-gray-600">Voting finished, winning content selected</p>
           </div>
           <div>
-            <span className="font-medium text-red-800">Overtime:</span>
-            <p className="text-gray-600">Deadline passed, requires intervention</p>
+            <span className="font-medium text-red-800">Pending Reassignment:</span>
+            <p className="text-gray-600">Neither version was satisfactory, new writers needed</p>
           </div>
         </div>
       </div>
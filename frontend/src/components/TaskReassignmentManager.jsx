@@ -1,6 +1,14 @@
 import { useState, useEffect } from 'react'
 import { Link, useNavigate } from 'react-router-dom'
 import axios from 'axios'
+import WriterSelects from './WriterSelects'
+
+const WRITER_LABELS = {
+  count: '撰写者人数',
+  writer: (number) => `撰写者 ${number} *`,
+  placeholder: () => '请选择撰写者',
+  autoAssign: '按推荐自动分配'
+}
 
 function TaskReassignmentManager({ user }) {
   const navigate = useNavigate()
@@ -10,8 +18,7 @@ function TaskReassignmentManager({ user }) {
   const [showReassignModal, setShowReassignModal] = useState(false)
   const [selectedTask, setSelectedTask] = useState(null)
   const [reassignForm, setReassignForm] = useState({
-    writer1_id: '',
-    writer2_id: '',
+    writer_ids: ['', ''],
     new_deadline: '',
     reason: ''
   })
@@ -24,13 +31,8 @@ function TaskReassignmentManager({ user }) {
   const fetchData = async () => {
     try {
       setLoading(true)
-      const [tasksRes, writersRes] = await Promise.all([
-        axios.get('/task-reassignments/pending'),
-        axios.get('/task-reassignments/available-writers')
-      ])
-
+      const tasksRes = await axios.get('/task-reassignments/pending')
       setPendingTasks(tasksRes.data)
-      setAvailableWriters(writersRes.data)
     } catch (error) {
       console.error('Error fetching data:', error)
     } finally {
@@ -38,11 +40,19 @@ function TaskReassignmentManager({ user }) {
     }
   }
 
-  const handleOpenReassign = (task) => {
+  const handleOpenReassign = async (task) => {
+    // 候选撰写者按推荐顺序排列，已排除有利益冲突的用户（包括上一轮的撰写者）
+    try {
+      const writersRes = await axios.get('/task-reassignments/available-writers', { params: { task_id: task.id } })
+      setAvailableWriters(writersRes.data)
+    } catch (error) {
+      console.error('Error fetching available writers:', error)
+      setAvailableWriters([])
+    }
+
     setSelectedTask(task)
     setReassignForm({
-      writer1_id: '',
-      writer2_id: '',
+      writer_ids: Array(task.writer_count || 2).fill(''), // 默认沿用上一轮的撰写者人数
       new_deadline: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString().split('T')[0], // 默认两周后
       reason: '投票结果为"都不满意"，重新分配任务'
     })
@@ -52,13 +62,13 @@ function TaskReassignmentManager({ user }) {
   const handleReassignSubmit = async (e) => {
     e.preventDefault()
     
-    if (!reassignForm.writer1_id || !reassignForm.writer2_id) {
-      alert('请选择两个撰写者')
+    if (reassignForm.writer_ids.some(id => !id)) {
+      alert('请为每个位置选择撰写者')
       return
     }
 
-    if (reassignForm.writer1_id === reassignForm.writer2_id) {
-      alert('不能将任务分配给同一个人')
+    if (new Set(reassignForm.writer_ids).size !== reassignForm.writer_ids.length) {
+      alert('不能将任务重复分配给同一个人')
       return
     }
 
@@ -254,8 +264,10 @@ function TaskCard({ task, onReassign }) {
                       <div className="ml-2">
                         {record.old_assignees && (
                           <>
-                            <div>撰写者1: {record.old_assignees.writer1_id || '未分配'}</div>
-                            <div>撰写者2: {record.old_assignees.writer2_id || '未分配'}</div>
+                            {(record.old_assignees.writer_ids || []).map((writerId, i) => (
+                              <div key={i}>撰写者{i + 1}: {writerId}</div>
+                            ))}
+                            {(record.old_assignees.writer_ids || []).length === 0 && <div>未分配</div>}
                           </>
                         )}
                       </div>
@@ -265,8 +277,9 @@ function TaskCard({ task, onReassign }) {
                       <div className="ml-2">
                         {record.new_assignees && (
                           <>
-                            <div>撰写者1: {record.new_assignees.writer1_id}</div>
-                            <div>撰写者2: {record.new_assignees.writer2_id}</div>
+                            {(record.new_assignees.writer_ids || []).map((writerId, i) => (
+                              <div key={i}>撰写者{i + 1}: {writerId}</div>
+                            ))}
                           </>
                         )}
                       </div>
@@ -325,49 +338,19 @@ function ReassignModal({ task, availableWriters, form, setForm, onSubmit, onClos
 
           {/* Form Fields */}
           <div className="space-y-4">
-            <div className="grid grid-cols-2 gap-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  撰写者 1 *
-                </label>
-                <select
-                  value={form.writer1_id}
-                  onChange={(e) => handleInputChange('writer1_id', e.target.value)}
-                  className="w-full border border-gray-300 rounded px-3 py-2"
-                  required
-                >
-                  <option value="">请选择撰写者</option>
-                  {availableWriters.map(writer => (
-                    <option key={writer.id} value={writer.id}>
-                      {writer.username} ({writer.active_task_count} 个活跃任务)
-                    </option>
-                  ))}
-                </select>
-              </div>
-
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  撰写者 2 *
-                </label>
-                <select
-                  value={form.writer2_id}
-                  onChange={(e) => handleInputChange('writer2_id', e.target.value)}
-                  className="w-full border border-gray-300 rounded px-3 py-2"
-                  required
-                >
-                  <option value="">请选择撰写者</option>
-                  {availableWriters.map(writer => (
-                    <option 
-                      key={writer.id} 
-                      value={writer.id}
-                      disabled={writer.id === form.writer1_id}
-                    >
-                      {writer.username} ({writer.active_task_count} 个活跃任务)
-                    </option>
-                  ))}
-                </select>
-              </div>
-            </div>
+            <WriterSelects
+              writerIds={form.writer_ids}
+              onChange={(writerIds) => handleInputChange('writer_ids', writerIds)}
+              writers={availableWriters}
+              optionLabel={(writer) => `${writer.username} (${writer.active_task_count} 个活跃任务，推荐分 ${writer.score})`}
+              labels={WRITER_LABELS}
+              onAutoAssign={() => {
+                if (availableWriters.length < form.writer_ids.length) {
+                  alert(`只有 ${availableWriters.length} 位撰写者没有利益冲突`)
+                }
+                handleInputChange('writer_ids', form.writer_ids.map((id, index) => availableWriters[index]?.id || ''))
+              }}
+            />
 
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -0,0 +1,181 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+
+const ROLE_LABELS = {
+  admin: '管理员',
+  code_author: '代码作者',
+  doc_author: '文档作者',
+  team_member: '团队成员'
+}
+
+// 分类接口返回树形结构，展开为带层级缩进的列表
+const flattenCategories = (categories, depth = 0) =>
+  categories.flatMap(category => [
+    { id: category.id, name: `${'　'.repeat(depth)}${category.name}` },
+    ...flattenCategories(category.children || [], depth + 1)
+  ])
+
+// 管理员设置投票资格：冲突回避规则、角色/分类限制和允许/排除名单
+function VoterEligibilityPanel({ sessionId }) {
+  const [eligibility, setEligibility] = useState(null)
+  const [voters, setVoters] = useState([])
+  const [categories, setCategories] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    fetchEligibility()
+    fetchCategories()
+  }, [sessionId])
+
+  const fetchEligibility = async () => {
+    try {
+      const response = await axios.get(`/voting-sessions/${sessionId}/eligibility`)
+      setEligibility(response.data.eligibility)
+      setVoters(response.data.voters)
+    } catch (error) {
+      console.error('Error fetching voter eligibility:', error)
+    }
+  }
+
+  const fetchCategories = async () => {
+    try {
+      const response = await axios.get('/categories')
+      setCategories(flattenCategories(response.data))
+    } catch (error) {
+      console.error('Error fetching categories:', error)
+    }
+  }
+
+  const updateEligibility = async (changes) => {
+    try {
+      setSaving(true)
+      const response = await axios.put(`/voting-sessions/${sessionId}/eligibility`, changes)
+      setEligibility(response.data.eligibility)
+      setVoters(response.data.voters)
+    } catch (error) {
+      console.error('Error updating voter eligibility:', error)
+      alert('修改投票资格失败：' + (error.response?.data?.error || error.message))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const toggleRole = (role) => {
+    const roles = eligibility.roles.includes(role)
+      ? eligibility.roles.filter(item => item !== role)
+      : [...eligibility.roles, role]
+    updateEligibility({ roles })
+  }
+
+  const setVoterList = async (voter, listType) => {
+    try {
+      if (listType) {
+        const reason = window.prompt(`将 ${voter.username} 加入${listType === 'allow' ? '允许' : '排除'}名单的原因（可选）：`)
+        if (reason === null) return
+        await axios.put(`/voting-sessions/${sessionId}/voter-lists/${voter.id}`, { list_type: listType, reason })
+      } else {
+        await axios.delete(`/voting-sessions/${sessionId}/voter-lists/${voter.id}`)
+      }
+      await fetchEligibility()
+    } catch (error) {
+      console.error('Error updating voter list:', error)
+      alert('修改名单失败：' + (error.response?.data?.error || error.message))
+    }
+  }
+
+  if (!eligibility) {
+    return <div className="text-sm text-gray-500">加载投票资格中...</div>
+  }
+
+  const eligibleCount = voters.filter(voter => voter.eligible).length
+
+  return (
+    <div className={`border-t pt-4 mt-2 text-sm ${saving ? 'opacity-60' : ''}`}>
+      <div className="flex flex-wrap items-center gap-4 mb-3">
+        <label className="flex items-center space-x-1">
+          <input
+            type="checkbox"
+            checked={eligibility.exclude_authors}
+            onChange={(e) => updateEligibility({ exclude_authors: e.target.checked })}
+            disabled={saving}
+          />
+          <span>排除候选文档作者</span>
+        </label>
+        <label className="flex items-center space-x-1">
+          <input
+            type="checkbox"
+            checked={eligibility.exclude_annotator}
+            onChange={(e) => updateEligibility({ exclude_annotator: e.target.checked })}
+            disabled={saving}
+          />
+          <span>排除代码注释者</span>
+        </label>
+        <span className="text-gray-600">限定角色：</span>
+        {Object.entries(ROLE_LABELS).map(([role, label]) => (
+          <label key={role} className="flex items-center space-x-1">
+            <input
+              type="checkbox"
+              checked={eligibility.roles.includes(role)}
+              onChange={() => toggleRole(role)}
+              disabled={saving}
+            />
+            <span>{label}</span>
+          </label>
+        ))}
+        <select
+          value={eligibility.category_id || ''}
+          onChange={(e) => updateEligibility({ category_id: e.target.value || null })}
+          disabled={saving}
+          className="border border-gray-300 rounded px-2 py-1"
+        >
+          <option value="">不限分类</option>
+          {categories.map(category => (
+            <option key={category.id} value={category.id}>仅限分类贡献者：{category.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <p className="text-gray-600 mb-2">
+        共 {eligibleCount} / {voters.length} 人有投票资格。排除名单优先；允许名单可突破角色和分类限制，但不能突破作者和注释者回避。
+      </p>
+
+      <div className="max-h-64 overflow-y-auto border rounded">
+        <table className="min-w-full">
+          <tbody className="divide-y">
+            {voters.map(voter => (
+              <tr key={voter.id}>
+                <td className="px-3 py-2 font-medium text-gray-900">{voter.username}</td>
+                <td className="px-3 py-2 text-gray-600">{ROLE_LABELS[voter.role] || voter.role}</td>
+                <td className="px-3 py-2">
+                  {voter.eligible ? (
+                    <span className="text-green-700">✅ 可投票</span>
+                  ) : (
+                    <span className="text-gray-500">🚫 {voter.reason}</span>
+                  )}
+                </td>
+                <td className="px-3 py-2 whitespace-nowrap text-right space-x-2">
+                  {voter.list_type ? (
+                    <button onClick={() => setVoterList(voter, null)} className="text-gray-600 hover:text-gray-800">
+                      移出{voter.list_type === 'allow' ? '允许' : '排除'}名单
+                    </button>
+                  ) : (
+                    <>
+                      <button onClick={() => setVoterList(voter, 'allow')} className="text-blue-600 hover:text-blue-800">
+                        允许
+                      </button>
+                      <button onClick={() => setVoterList(voter, 'deny')} className="text-red-600 hover:text-red-800">
+                        排除
+                      </button>
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default VoterEligibilityPanel
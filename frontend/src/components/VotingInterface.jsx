@@ -2,8 +2,27 @@ import { useState, useEffect } from 'react'
 import { useParams, useNavigate } from 'react-router-dom'
 import axios from 'axios'
 import { marked } from 'marked'
-import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter'
-import { tomorrow } from 'react-syntax-highlighter/dist/esm/styles/prism'
+import NotebookCells from './NotebookCells'
+
+const VOTING_PROMPTS = {
+  plurality: '请选择您认为更好的版本',
+  irv: '请按偏好顺序为版本排名（排序复选，可只排部分版本）',
+  borda: '请按偏好顺序为版本排名（Borda 计分，未排名的版本不得分）',
+  score: '请为每个版本打分'
+}
+
+const FEEDBACK_CATEGORIES = {
+  accuracy: '准确性',
+  completeness: '完整性',
+  clarity: '清晰度',
+  examples: '示例',
+  formatting: '格式',
+  other: '其他'
+}
+
+// 版本字母由后端按用户分配；匿名投票进行中不返回作者
+const versionName = (candidate) =>
+  candidate?.author_name ? `版本${candidate.label} (${candidate.author_name})` : `版本${candidate?.label}`
 
 function VotingInterface({ user }) {
   const { sessionId } = useParams()
@@ -12,6 +31,11 @@ function VotingInterface({ user }) {
   const [candidatesContent, setCandidatesContent] = useState([])
   const [loading, setLoading] = useState(true)
   const [selectedChoice, setSelectedChoice] = useState('')
+  const [rankings, setRankings] = useState([])
+  const [scores, setScores] = useState({})
+  const [rubricScores, setRubricScores] = useState({})
+  const [feedback, setFeedback] = useState([])
+  const [myFeedback, setMyFeedback] = useState([])
   const [submitting, setSubmitting] = useState(false)
   const [activeTab, setActiveTab] = useState('document')
 
@@ -34,10 +58,15 @@ function VotingInterface({ user }) {
 
       // 如果用户已投票，设置选择状态
       if (sessionRes.data.user_vote) {
-        if (sessionRes.data.user_vote.choice_type === 'none_satisfied') {
+        const { choice_type, candidate_id, ballot } = sessionRes.data.user_vote
+        setRubricScores(sessionRes.data.user_vote.rubric_scores || {})
+        fetchMyFeedback()
+        if (choice_type === 'none_satisfied') {
           setSelectedChoice('none_satisfied')
         } else {
-          setSelectedChoice(sessionRes.data.user_vote.candidate_id)
+          setSelectedChoice(candidate_id)
+          setRankings(ballot?.rankings || [])
+          setScores(ballot?.scores || {})
         }
       }
     } catch (error) {
@@ -51,11 +80,36 @@ function VotingInterface({ user }) {
     }
   }
 
+  const fetchMyFeedback = async () => {
+    try {
+      const response = await axios.get(`/document-votes/session/${sessionId}/feedback`)
+      setMyFeedback(response.data.threads.filter(thread => thread.author_id === user.id))
+    } catch (error) {
+      console.error('Error fetching vote feedback:', error)
+    }
+  }
+
   const handleSubmitVote = async () => {
-    if (!selectedChoice) {
+    const method = votingSession.voting_method || 'plurality'
+    const rejectAll = selectedChoice === 'none_satisfied'
+
+    if (method === 'plurality' && !selectedChoice) {
       alert('请选择一个选项')
       return
     }
+    if ((method === 'irv' || method === 'borda') && !rejectAll && rankings.length === 0) {
+      alert('请至少为一个版本排名')
+      return
+    }
+    if (method === 'score' && !rejectAll && candidatesContent.some(candidate => scores[candidate.id] === undefined)) {
+      alert('请为每个版本打分')
+      return
+    }
+    const rubric = votingSession.rubric || []
+    if (candidatesContent.some(candidate => rubric.some(criterion => !rubricScores[candidate.id]?.[criterion.key]))) {
+      alert('请完成所有版本的评分细则')
+      return
+    }
 
     if (!window.confirm('确认提交投票？提交后无法修改。')) {
       return
@@ -66,12 +120,34 @@ function VotingInterface({ user }) {
       
       const voteData = {
         voting_session_id: sessionId,
-        choice_type: selectedChoice === 'none_satisfied' ? 'none_satisfied' : 'candidate',
-        candidate_id: selectedChoice === 'none_satisfied' ? null : selectedChoice
+        choice_type: rejectAll ? 'none_satisfied' : 'candidate'
+      }
+      if (rubric.length > 0) {
+        voteData.rubric_scores = rubricScores
+      }
+      const comments = feedback.filter(item => item.comment.trim())
+      if (comments.length > 0) {
+        voteData.feedback = comments.map(item => ({
+          candidate_id: item.candidate_id,
+          category: item.category,
+          comment: item.comment.trim(),
+          line_start: item.line_start ? parseInt(item.line_start) : undefined,
+          line_end: item.line_end ? parseInt(item.line_end) : undefined
+        }))
+      }
+      if (!rejectAll) {
+        if (method === 'irv' || method === 'borda') {
+          voteData.rankings = rankings
+        } else if (method === 'score') {
+          voteData.scores = scores
+        } else {
+          voteData.candidate_id = selectedChoice
+        }
       }
 
       await axios.post('/document-votes', voteData)
       
+      setFeedback([])
       alert('投票提交成功！')
       await fetchVotingData() // 刷新数据显示投票状态
     } catch (error) {
@@ -130,6 +206,8 @@ function VotingInterface({ user }) {
 
   const hasVoted = votingSession.user_vote !== null
   const isActive = votingSession.status === 'active'
+  const votingMethod = votingSession.voting_method || 'plurality'
+  const canVote = votingSession.voter_eligibility?.eligible !== false
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -141,16 +219,31 @@ function VotingInterface({ user }) {
               <h1 className="text-xl font-semibold text-gray-900">{votingSession.title}</h1>
               <p className="text-sm text-gray-600">
                 {votingSession.task_title} • 选择最佳文档版本
+                {isActive && votingSession.deadline && ` • 截止于 ${new Date(votingSession.deadline).toLocaleString()}`}
               </p>
             </div>
             
             <div className="flex items-center space-x-4">
+              {isActive && votingSession.quorum?.required > 0 && (
+                <span className={`px-3 py-1 text-sm rounded-full ${
+                  votingSession.quorum.met ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+                }`}>
+                  法定票数 {votingSession.quorum.ballots} / {votingSession.quorum.required}
+                </span>
+              )}
+
               <span className={`px-3 py-1 text-sm rounded-full ${
                 isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
               }`}>
                 {isActive ? '投票进行中' : '投票已结束'}
               </span>
               
+              {isActive && votingSession.blind && (
+                <span className="px-3 py-1 text-sm rounded-full bg-gray-100 text-gray-800" title="投票结束前不显示作者，版本字母对每位投票人随机排列">
+                  🙈 匿名投票
+                </span>
+              )}
+
               {hasVoted && (
                 <span className="px-3 py-1 text-sm rounded-full bg-blue-100 text-blue-800">
                   ✅ 已投票
@@ -190,11 +283,10 @@ function VotingInterface({ user }) {
       {/* Content Comparison */}
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
-          {candidatesContent.map((candidate, index) => (
+          {candidatesContent.map(candidate => (
             <CandidatePanel
               key={candidate.id}
               candidate={candidate}
-              index={index}
               activeTab={activeTab}
               renderMarkdown={renderMarkdown}
             />
@@ -202,60 +294,125 @@ function VotingInterface({ user }) {
         </div>
 
         {/* Voting Section */}
-        {isActive && (
+        {isActive && !hasVoted && !canVote && (
+          <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+            <p className="text-gray-700 text-center">
+              🚫 您没有此投票的投票资格：{votingSession.voter_eligibility.reason}
+            </p>
+          </div>
+        )}
+
+        {isActive && (hasVoted || canVote) && (
           <div className="bg-white rounded-lg border border-gray-200 p-6">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">
-              {hasVoted ? '您的投票' : '请选择您认为更好的版本'}
+              {hasVoted ? '您的投票' : VOTING_PROMPTS[votingMethod]}
             </h3>
             
-            <div className="space-y-3">
-              {candidatesContent.map((candidate, index) => (
+            {votingMethod === 'plurality' ? (
+              <div className="space-y-3">
+                {candidatesContent.map(candidate => (
+                  <label
+                    key={candidate.id}
+                    className={`flex items-center p-3 border rounded-lg cursor-pointer ${
+                      selectedChoice === candidate.id 
+                        ? 'border-blue-500 bg-blue-50' 
+                        : 'border-gray-300 hover:border-gray-400'
+                    } ${hasVoted ? 'opacity-60 cursor-not-allowed' : ''}`}
+                  >
+                    <input
+                      type="radio"
+                      value={candidate.id}
+                      checked={selectedChoice === candidate.id}
+                      onChange={(e) => setSelectedChoice(e.target.value)}
+                      disabled={hasVoted}
+                      className="mr-3"
+                    />
+                    <span className="font-medium">
+                      选择{versionName(candidate)}
+                    </span>
+                  </label>
+                ))}
+                
                 <label
-                  key={candidate.id}
                   className={`flex items-center p-3 border rounded-lg cursor-pointer ${
-                    selectedChoice === candidate.id 
-                      ? 'border-blue-500 bg-blue-50' 
+                    selectedChoice === 'none_satisfied' 
+                      ? 'border-red-500 bg-red-50' 
                       : 'border-gray-300 hover:border-gray-400'
                   } ${hasVoted ? 'opacity-60 cursor-not-allowed' : ''}`}
                 >
                   <input
                     type="radio"
-                    value={candidate.id}
-                    checked={selectedChoice === candidate.id}
+                    value="none_satisfied"
+                    checked={selectedChoice === 'none_satisfied'}
                     onChange={(e) => setSelectedChoice(e.target.value)}
                     disabled={hasVoted}
                     className="mr-3"
                   />
-                  <span className="font-medium">
-                    选择版本{String.fromCharCode(65 + index)} ({candidate.author_name})
-                  </span>
+                  <span className="font-medium text-red-600">❌ 都不满意</span>
                 </label>
-              ))}
-              
-              <label
-                className={`flex items-center p-3 border rounded-lg cursor-pointer ${
-                  selectedChoice === 'none_satisfied' 
-                    ? 'border-red-500 bg-red-50' 
-                    : 'border-gray-300 hover:border-gray-400'
-                } ${hasVoted ? 'opacity-60 cursor-not-allowed' : ''}`}
-              >
-                <input
-                  type="radio"
-                  value="none_satisfied"
-                  checked={selectedChoice === 'none_satisfied'}
-                  onChange={(e) => setSelectedChoice(e.target.value)}
-                  disabled={hasVoted}
-                  className="mr-3"
-                />
-                <span className="font-medium text-red-600">❌ 都不满意</span>
-              </label>
-            </div>
+              </div>
+            ) : (
+              <div className="space-y-3">
+                <div className={selectedChoice === 'none_satisfied' ? 'opacity-40 pointer-events-none' : ''}>
+                  {votingMethod === 'score' ? (
+                    <ScoreBallot
+                      candidates={candidatesContent}
+                      scores={scores}
+                      maxScore={votingSession.method_config?.max_score || 5}
+                      onChange={setScores}
+                      disabled={hasVoted}
+                    />
+                  ) : (
+                    <RankedBallot
+                      candidates={candidatesContent}
+                      rankings={rankings}
+                      onChange={setRankings}
+                      disabled={hasVoted}
+                    />
+                  )}
+                </div>
+
+                <label
+                  className={`flex items-center p-3 border rounded-lg cursor-pointer ${
+                    selectedChoice === 'none_satisfied' 
+                      ? 'border-red-500 bg-red-50' 
+                      : 'border-gray-300 hover:border-gray-400'
+                  } ${hasVoted ? 'opacity-60 cursor-not-allowed' : ''}`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={selectedChoice === 'none_satisfied'}
+                    onChange={(e) => setSelectedChoice(e.target.checked ? 'none_satisfied' : '')}
+                    disabled={hasVoted}
+                    className="mr-3"
+                  />
+                  <span className="font-medium text-red-600">❌ 都不满意（拒绝所有版本）</span>
+                </label>
+              </div>
+            )}
+
+            {votingSession.rubric?.length > 0 && (
+              <RubricBallot
+                rubric={votingSession.rubric}
+                candidates={candidatesContent}
+                scores={rubricScores}
+                onChange={setRubricScores}
+                disabled={hasVoted}
+              />
+            )}
+
+            <FeedbackBallot
+              candidates={candidatesContent}
+              feedback={feedback}
+              onChange={setFeedback}
+              submitted={hasVoted ? myFeedback : null}
+            />
 
             {!hasVoted && (
               <div className="mt-6 flex justify-center">
                 <button
                   onClick={handleSubmitVote}
-                  disabled={!selectedChoice || submitting}
+                  disabled={(votingMethod === 'plurality' && !selectedChoice) || submitting}
                   className="bg-blue-600 text-white px-8 py-3 rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   {submitting ? '提交中...' : '🗳️ 提交投票'}
@@ -285,23 +442,296 @@ function VotingInterface({ user }) {
   )
 }
 
-function CandidatePanel({ candidate, index, activeTab, renderMarkdown }) {
-  const versionLabel = `版本${String.fromCharCode(65 + index)} (${candidate.author_name})`
+// Ordered ballot for ranked methods: click a version to append it, reorder or remove it
+function RankedBallot({ candidates, rankings, onChange, disabled }) {
+  const labelOf = (candidateId) => versionName(candidates.find(candidate => candidate.id === candidateId))
+
+  const move = (index, offset) => {
+    const next = [...rankings]
+    const [item] = next.splice(index, 1)
+    next.splice(index + offset, 0, item)
+    onChange(next)
+  }
+
+  const unranked = candidates.filter(candidate => !rankings.includes(candidate.id))
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <div>
+        <h4 className="text-sm font-medium text-gray-700 mb-2">您的排名</h4>
+        {rankings.length === 0 ? (
+          <p className="text-sm text-gray-500 border border-dashed border-gray-300 rounded-lg p-3">点击右侧版本加入排名</p>
+        ) : (
+          <ol className="space-y-2">
+            {rankings.map((candidateId, index) => (
+              <li key={candidateId} className="flex items-center p-3 border border-blue-500 bg-blue-50 rounded-lg">
+                <span className="w-6 h-6 mr-3 rounded-full bg-blue-600 text-white text-xs flex items-center justify-center">
+                  {index + 1}
+                </span>
+                <span className="font-medium flex-1">{labelOf(candidateId)}</span>
+                {!disabled && (
+                  <span className="space-x-1 text-sm">
+                    <button onClick={() => move(index, -1)} disabled={index === 0} className="px-1 text-gray-600 disabled:opacity-30">↑</button>
+                    <button onClick={() => move(index, 1)} disabled={index === rankings.length - 1} className="px-1 text-gray-600 disabled:opacity-30">↓</button>
+                    <button onClick={() => onChange(rankings.filter(id => id !== candidateId))} className="px-1 text-red-600">✕</button>
+                  </span>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+
+      <div>
+        <h4 className="text-sm font-medium text-gray-700 mb-2">未排名</h4>
+        <div className="space-y-2">
+          {unranked.map(candidate => (
+            <button
+              key={candidate.id}
+              onClick={() => onChange([...rankings, candidate.id])}
+              disabled={disabled}
+              className="w-full text-left p-3 border border-gray-300 rounded-lg hover:border-gray-400 disabled:opacity-60 disabled:cursor-not-allowed"
+            >
+              ＋ {labelOf(candidate.id)}
+            </button>
+          ))}
+          {unranked.length === 0 && <p className="text-sm text-gray-500">所有版本都已排名</p>}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function ScoreBallot({ candidates, scores, maxScore, onChange, disabled }) {
+  const options = Array.from({ length: maxScore + 1 }, (_, score) => score)
+
+  return (
+    <div className="space-y-2">
+      {candidates.map(candidate => (
+        <div key={candidate.id} className="flex items-center justify-between p-3 border border-gray-300 rounded-lg">
+          <span className="font-medium">
+            {versionName(candidate)}
+          </span>
+          <div className="flex space-x-1">
+            {options.map(score => (
+              <button
+                key={score}
+                onClick={() => onChange({ ...scores, [candidate.id]: score })}
+                disabled={disabled}
+                className={`w-8 h-8 rounded text-sm border ${
+                  scores[candidate.id] === score
+                    ? 'bg-blue-600 border-blue-600 text-white'
+                    : 'border-gray-300 text-gray-700 hover:border-gray-400'
+                } disabled:cursor-not-allowed`}
+              >
+                {score}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// Rubric scores for every version, given with the ballot whatever the choice
+function RubricBallot({ rubric, candidates, scores, onChange, disabled }) {
+  const setScore = (candidateId, key, value) => {
+    onChange({
+      ...scores,
+      [candidateId]: { ...scores[candidateId], [key]: value ? parseInt(value) : undefined }
+    })
+  }
+
+  return (
+    <div className="mt-6">
+      <h4 className="text-sm font-medium text-gray-700 mb-1">评分细则</h4>
+      <p className="text-xs text-gray-500 mb-2">
+        请为每个版本的每一项打分（1 为最差）。“代码可读性”评价的是被记录的代码本身，用于统计代码质量。
+      </p>
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm border border-gray-200 rounded">
+          <thead className="bg-gray-50 text-gray-600">
+            <tr>
+              <th className="px-3 py-2 text-left">评分项</th>
+              {candidates.map(candidate => (
+                <th key={candidate.id} className="px-3 py-2 text-center">
+                  版本{candidate.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {rubric.map(criterion => (
+              <tr key={criterion.key}>
+                <td className="px-3 py-2">
+                  <div className="font-medium text-gray-900">{criterion.label}</div>
+                  {criterion.description && <div className="text-xs text-gray-500">{criterion.description}</div>}
+                </td>
+                {candidates.map(candidate => (
+                  <td key={candidate.id} className="px-3 py-2 text-center">
+                    <select
+                      value={scores[candidate.id]?.[criterion.key] || ''}
+                      onChange={(e) => setScore(candidate.id, criterion.key, e.target.value)}
+                      disabled={disabled}
+                      className="border border-gray-300 rounded px-2 py-1"
+                    >
+                      <option value="">—</option>
+                      {Array.from({ length: criterion.max_score }, (_, i) => i + 1).map(score => (
+                        <option key={score} value={score}>{score} / {criterion.max_score}</option>
+                      ))}
+                    </select>
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+// Optional comments on each version, sent with the ballot and shown to the
+// authors once voting ends
+function FeedbackBallot({ candidates, feedback, onChange, submitted }) {
+  const versionLabel = (candidateId) => `版本${candidates.find(candidate => candidate.id === candidateId)?.label}`
+
+  if (submitted) {
+    if (submitted.length === 0) return null
+    return (
+      <div className="mt-6">
+        <h4 className="text-sm font-medium text-gray-700 mb-2">我的反馈意见</h4>
+        <ul className="space-y-2 text-sm">
+          {submitted.map(item => (
+            <li key={item.id} className="border border-gray-200 rounded p-3">
+              <div className="text-xs text-gray-500 mb-1">
+                {versionLabel(item.candidate_id)} · {FEEDBACK_CATEGORIES[item.category]}
+                {item.line_start && ` · 第 ${item.line_start}${item.line_end !== item.line_start ? `-${item.line_end}` : ''} 行`}
+              </div>
+              <p className="text-gray-800 whitespace-pre-wrap">{item.comment}</p>
+            </li>
+          ))}
+        </ul>
+        <p className="text-xs text-gray-500 mt-2">投票结束后作者可以看到这些反馈</p>
+      </div>
+    )
+  }
+
+  const update = (key, changes) => {
+    onChange(feedback.map(item => (item.key === key ? { ...item, ...changes } : item)))
+  }
+
+  const add = (candidateId) => {
+    onChange([...feedback, {
+      key: `${candidateId}-${Date.now()}`,
+      candidate_id: candidateId,
+      category: 'accuracy',
+      comment: '',
+      line_start: '',
+      line_end: ''
+    }])
+  }
+
+  return (
+    <div className="mt-6">
+      <h4 className="text-sm font-medium text-gray-700 mb-1">反馈意见（可选）</h4>
+      <p className="text-xs text-gray-500 mb-2">
+        说明每个版本的问题，可注明文档行号。投票进行中只有您和管理员能看到，投票结束后对作者公开；若任务重新分配，下一轮撰写者也会看到。
+      </p>
+      <div className="space-y-3">
+        {candidates.map(candidate => (
+          <div key={candidate.id} className="border border-gray-200 rounded p-3">
+            <div className="flex items-center justify-between mb-2">
+              <span className="font-medium text-gray-900">版本{candidate.label}</span>
+              <button type="button" onClick={() => add(candidate.id)} className="text-sm text-blue-600 hover:text-blue-800">
+                + 添加反馈
+              </button>
+            </div>
+            {feedback.filter(item => item.candidate_id === candidate.id).map(item => (
+              <div key={item.key} className="flex flex-wrap items-start gap-2 mb-2 text-sm">
+                <select
+                  value={item.category}
+                  onChange={(e) => update(item.key, { category: e.target.value })}
+                  className="border border-gray-300 rounded px-2 py-1"
+                >
+                  {Object.entries(FEEDBACK_CATEGORIES).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min="1"
+                  value={item.line_start}
+                  onChange={(e) => update(item.key, { line_start: e.target.value })}
+                  placeholder="起始行"
+                  className="w-20 border border-gray-300 rounded px-2 py-1"
+                />
+                <input
+                  type="number"
+                  min="1"
+                  value={item.line_end}
+                  onChange={(e) => update(item.key, { line_end: e.target.value })}
+                  placeholder="结束行"
+                  className="w-20 border border-gray-300 rounded px-2 py-1"
+                />
+                <textarea
+                  value={item.comment}
+                  onChange={(e) => update(item.key, { comment: e.target.value })}
+                  rows={2}
+                  placeholder="具体说明问题或改进建议"
+                  className="flex-1 min-w-[12rem] border border-gray-300 rounded px-2 py-1"
+                />
+                <button
+                  type="button"
+                  onClick={() => onChange(feedback.filter(other => other.key !== item.key))}
+                  className="text-gray-500 hover:text-red-600"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+function CandidatePanel({ candidate, activeTab, renderMarkdown }) {
+  const versionLabel = versionName(candidate)
+  const [showSource, setShowSource] = useState(false)
 
   return (
     <div className="bg-white rounded-lg border border-gray-200">
-      <div className="bg-gray-50 px-4 py-3 border-b">
+      <div className="bg-gray-50 px-4 py-3 border-b flex items-center justify-between">
         <h3 className="font-semibold text-gray-900">{versionLabel}</h3>
+        {activeTab === 'document' && (
+          <button onClick={() => setShowSource(!showSource)} className="text-xs text-blue-600 hover:text-blue-800">
+            {showSource ? '显示渲染效果' : '显示源文本（带行号）'}
+          </button>
+        )}
       </div>
       
       <div className="p-4">
-        {activeTab === 'document' && (
+        {activeTab === 'document' && !showSource && (
           <div className="prose prose-sm max-w-none">
             <h4 className="text-lg font-semibold mb-2">{candidate.document.title}</h4>
             <div dangerouslySetInnerHTML={renderMarkdown(candidate.document.content)} />
           </div>
         )}
 
+        {activeTab === 'document' && showSource && (
+          <pre className="text-xs bg-gray-50 rounded p-3 overflow-x-auto">
+            {(candidate.document.content || '').split('\n').map((line, index) => (
+              <div key={index} className="flex">
+                <span className="w-10 shrink-0 pr-3 text-right text-gray-400 select-none">{index + 1}</span>
+                <span className="whitespace-pre-wrap">{line}</span>
+              </div>
+            ))}
+          </pre>
+        )}
+
         {activeTab === 'api' && (
           <div className="space-y-4">
             <h4 className="font-semibold text-gray-900">API 测试配置</h4>
@@ -349,18 +779,26 @@ function CandidatePanel({ candidate, index, activeTab, renderMarkdown }) {
                     </span>
                   </div>
                   <div className="p-0">
-                    <SyntaxHighlighter
-                      language={notebook.language === 'shell' ? 'bash' : notebook.language}
-                      style={tomorrow}
-                      customStyle={{ 
-                        margin: 0, 
-                        borderRadius: '0 0 6px 6px',
-                        fontSize: '13px'
-                      }}
-                    >
-                      {notebook.content || '// 暂无内容'}
-                    </SyntaxHighlighter>
+                    <NotebookCells cells={notebook.cells} language={notebook.language} content={notebook.content} />
                   </div>
+                  {notebook.last_run && (
+                    <div className="border-t">
+                      <div className="px-3 py-1 text-xs flex items-center justify-between bg-gray-50">
+                        <span className={notebook.last_run.status === 'success' ? 'text-green-700' : 'text-red-700'}>
+                          {notebook.last_run.status === 'success' ? '✅ 运行成功' : notebook.last_run.status === 'timeout' ? '⏱️ 运行超时' : '❌ 运行失败'}
+                          {notebook.last_run.exit_code !== null && ` (exit ${notebook.last_run.exit_code})`}
+                        </span>
+                        <span className="text-gray-500">
+                          {notebook.last_run.duration_ms}ms · {new Date(notebook.last_run.created_at).toLocaleString()}
+                          {!notebook.last_run.is_current && ' · ⚠️ 脚本在此次运行后已修改'}
+                        </span>
+                      </div>
+                      <pre className="px-3 py-2 bg-gray-900 text-xs whitespace-pre-wrap max-h-48 overflow-y-auto">
+                        <span className="text-green-400">{notebook.last_run.stdout}</span>
+                        <span className="text-red-400">{notebook.last_run.stderr}</span>
+                      </pre>
+                    </div>
+                  )}
                   {notebook.description && (
                     <div className="px-3 py-2 border-t bg-gray-50">
                       <p className="text-sm text-gray-600">{notebook.description}</p>
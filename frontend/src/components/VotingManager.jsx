@@ -1,6 +1,14 @@
 import { useState, useEffect } from 'react'
 import { Link } from 'react-router-dom'
 import axios from 'axios'
+import VoterEligibilityPanel from './VoterEligibilityPanel'
+
+const VOTING_METHODS = {
+  plurality: '多数票',
+  irv: '排序复选（即时决选）',
+  borda: 'Borda 计分',
+  score: '评分投票'
+}
 
 function VotingManager({ user }) {
   const [pendingTasks, setPendingTasks] = useState([])
@@ -29,7 +37,11 @@ function VotingManager({ user }) {
         
         const sessions = sessionsRes.data
         setActiveSessions(sessions.filter(s => s.status === 'active'))
-        setCompletedSessions(sessions.filter(s => s.status === 'completed'))
+        // 平票待处理的会话排在已完成投票的最前面
+        setCompletedSessions([
+          ...sessions.filter(s => s.status === 'tie_pending'),
+          ...sessions.filter(s => s.status === 'completed')
+        ])
       } else {
         // Regular user view: only get active voting sessions for participation
         const activeSessionsRes = await axios.get('/document-votes/active-sessions')
@@ -44,18 +56,27 @@ function VotingManager({ user }) {
     }
   }
 
-  const handleStartVoting = async (task) => {
+  const handleStartVoting = async (task, settings = {}) => {
     try {
       setProcessingTaskId(task.id)
       
-      await axios.post('/voting-sessions', {
+      const response = await axios.post('/voting-sessions', {
         task_id: task.id,
         title: `${task.title}文档投票`,
-        description: `选择${task.function_name}功能的最佳文档版本`
+        description: `选择${task.function_name}功能的最佳文档版本`,
+        voting_method: settings.voting_method || 'plurality',
+        duration_hours: settings.duration_hours ? parseInt(settings.duration_hours) : null,
+        quorum_min_ballots: settings.quorum_min_ballots ? parseInt(settings.quorum_min_ballots) : null,
+        eligibility: { exclude_annotator: !!settings.exclude_annotator },
+        blind: !!settings.blind
       })
 
       await fetchData()
-      alert('投票已成功发起！')
+      if (response.data.similarity_flags > 0) {
+        alert(`投票已成功发起！相似度检测发现 ${response.data.similarity_flags} 处可疑重复内容，请在管理后台的相似度报告中审核。`)
+      } else {
+        alert('投票已成功发起！')
+      }
     } catch (error) {
       console.error('Error starting voting:', error)
       alert('发起投票失败：' + (error.response?.data?.error || error.message))
@@ -70,11 +91,24 @@ function VotingManager({ user }) {
     }
 
     try {
-      const response = await axios.post(`/voting-sessions/${sessionId}/end`)
+      let response
+      try {
+        response = await axios.post(`/voting-sessions/${sessionId}/end`)
+      } catch (error) {
+        // 未达到法定票数时需再次确认
+        const quorum = error.response?.status === 409 && error.response.data.quorum
+        if (!quorum) throw error
+        if (!window.confirm(`尚未达到法定票数（${quorum.ballots} / ${quorum.required}），仍要结束投票吗？`)) {
+          return
+        }
+        response = await axios.post(`/voting-sessions/${sessionId}/end`, { force: true })
+      }
       await fetchData()
       
       const result = response.data.result
-      if (result.is_none_satisfied_winner) {
+      if (response.data.status === 'tie_pending') {
+        alert('投票已结束，但结果为平票。请在投票结果页面发起决选投票或由管理员裁决。')
+      } else if (result.is_none_satisfied_winner) {
         alert('投票已结束！结果为"都不满意"，任务将进入重新分配流程。')
       } else {
         alert('投票已结束！已选出获胜版本，任务已完成。')
@@ -85,6 +119,17 @@ function VotingManager({ user }) {
     }
   }
 
+  const handleExtendVoting = async (sessionId, hours) => {
+    try {
+      await axios.post(`/voting-sessions/${sessionId}/extend`, { hours })
+      await fetchData()
+      alert(`投票期限已延长 ${hours} 小时！`)
+    } catch (error) {
+      console.error('Error extending voting:', error)
+      alert('延长投票失败：' + (error.response?.data?.error || error.message))
+    }
+  }
+
   const handleCancelVoting = async (sessionId) => {
     if (!window.confirm('确定要取消这个投票吗？投票将被取消，任务状态将恢复为待投票。')) {
       return
@@ -194,6 +239,7 @@ function VotingManager({ user }) {
           <ActiveSessionsTab
             sessions={activeSessions}
             onEndVoting={handleEndVoting}
+            onExtendVoting={handleExtendVoting}
             onCancelVoting={handleCancelVoting}
             isAdmin={user.role === 'admin'}
           />
@@ -208,6 +254,12 @@ function VotingManager({ user }) {
 }
 
 function PendingTasksTab({ tasks, onStartVoting, processingTaskId }) {
+  const [settings, setSettings] = useState({})
+
+  const updateSetting = (taskId, field, value) => {
+    setSettings(prev => ({ ...prev, [taskId]: { ...prev[taskId], [field]: value } }))
+  }
+
   if (tasks.length === 0) {
     return (
       <div className="text-center py-12">
@@ -262,8 +314,54 @@ function PendingTasksTab({ tasks, onStartVoting, processingTaskId }) {
             </div>
 
             <div className="ml-6 flex flex-col space-y-2">
+              {/* 两个以上候选版本时可选择其他计票方式 */}
+              {task.submissions?.length > 2 && (
+                <select
+                  value={settings[task.id]?.voting_method || 'plurality'}
+                  onChange={(e) => updateSetting(task.id, 'voting_method', e.target.value)}
+                  className="border border-gray-300 rounded px-2 py-2 text-sm"
+                >
+                  {Object.entries(VOTING_METHODS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              )}
+              <input
+                type="number"
+                min="1"
+                max="720"
+                value={settings[task.id]?.duration_hours || ''}
+                onChange={(e) => updateSetting(task.id, 'duration_hours', e.target.value)}
+                placeholder="投票时长（小时）"
+                title="留空则由管理员手动结束"
+                className="border border-gray-300 rounded px-2 py-2 text-sm w-40"
+              />
+              <input
+                type="number"
+                min="1"
+                value={settings[task.id]?.quorum_min_ballots || ''}
+                onChange={(e) => updateSetting(task.id, 'quorum_min_ballots', e.target.value)}
+                placeholder="最少投票数（可选）"
+                className="border border-gray-300 rounded px-2 py-2 text-sm w-40"
+              />
+              <label className="flex items-center space-x-1 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={!!settings[task.id]?.exclude_annotator}
+                  onChange={(e) => updateSetting(task.id, 'exclude_annotator', e.target.checked)}
+                />
+                <span>排除代码注释者投票</span>
+              </label>
+              <label className="flex items-center space-x-1 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={!!settings[task.id]?.blind}
+                  onChange={(e) => updateSetting(task.id, 'blind', e.target.checked)}
+                />
+                <span>匿名投票（结束前隐藏作者）</span>
+              </label>
               <button
-                onClick={() => onStartVoting(task)}
+                onClick={() => onStartVoting(task, settings[task.id])}
                 disabled={processingTaskId === task.id}
                 className="bg-blue-600 text-white px-4 py-2 rounded text-sm hover:bg-blue-700 disabled:opacity-50"
               >
@@ -284,7 +382,9 @@ function PendingTasksTab({ tasks, onStartVoting, processingTaskId }) {
   )
 }
 
-function ActiveSessionsTab({ sessions, onEndVoting, onCancelVoting, isAdmin = true }) {
+function ActiveSessionsTab({ sessions, onEndVoting, onExtendVoting, onCancelVoting, isAdmin = true }) {
+  const [eligibilitySessionId, setEligibilitySessionId] = useState(null)
+
   if (sessions.length === 0) {
     return (
       <div className="text-center py-12">
@@ -305,6 +405,16 @@ function ActiveSessionsTab({ sessions, onEndVoting, onCancelVoting, isAdmin = tr
                 <span className="px-2 py-1 text-xs rounded-full bg-green-100 text-green-800">
                   进行中
                 </span>
+                {session.voting_method && session.voting_method !== 'plurality' && (
+                  <span className="px-2 py-1 text-xs rounded-full bg-purple-100 text-purple-800">
+                    {VOTING_METHODS[session.voting_method]}
+                  </span>
+                )}
+                {session.blind && (
+                  <span className="px-2 py-1 text-xs rounded-full bg-gray-100 text-gray-800">
+                    🙈 匿名
+                  </span>
+                )}
               </div>
 
               <div className="grid grid-cols-3 gap-4 text-sm text-gray-600 mb-4">
@@ -318,10 +428,29 @@ function ActiveSessionsTab({ sessions, onEndVoting, onCancelVoting, isAdmin = tr
                 </div>
                 <div>
                   <span className="font-medium">参与情况：</span>
-                  <span className="ml-1">已投票 {session.vote_count} 人</span>
+                  <span className="ml-1">
+                    已投票 {session.vote_count} 人
+                    {session.quorum_min_ballots && ` / 至少 ${session.quorum_min_ballots} 票`}
+                    {session.quorum_percent && ` / 至少 ${Number(session.quorum_percent)}% 的投票人`}
+                  </span>
+                </div>
+                <div>
+                  <span className="font-medium">截止时间：</span>
+                  <span className="ml-1">
+                    {session.deadline ? new Date(session.deadline).toLocaleString() : '手动结束'}
+                    {session.extensions_used > 0 && `（已延长 ${session.extensions_used} 次）`}
+                  </span>
                 </div>
               </div>
 
+              {session.escalated_at && (
+                <div className="mb-3 p-2 bg-red-50 border border-red-200 rounded">
+                  <span className="text-red-800 text-sm">
+                    🚨 已到截止时间但未达到法定票数，请延长期限或手动结束
+                  </span>
+                </div>
+              )}
+
               {session.none_satisfied_count > 0 && (
                 <div className="mb-3 p-2 bg-yellow-50 border border-yellow-200 rounded">
                   <span className="text-yellow-800 text-sm">
@@ -348,6 +477,22 @@ function ActiveSessionsTab({ sessions, onEndVoting, onCancelVoting, isAdmin = tr
                     ✅ 结束投票
                   </button>
                   
+                  {session.deadline && (
+                    <button
+                      onClick={() => onExtendVoting(session.id, 24)}
+                      className="bg-yellow-500 text-white px-4 py-2 rounded text-sm hover:bg-yellow-600"
+                    >
+                      ⏰ 延长24小时
+                    </button>
+                  )}
+                  
+                  <button
+                    onClick={() => setEligibilitySessionId(eligibilitySessionId === session.id ? null : session.id)}
+                    className="bg-gray-100 text-gray-700 px-4 py-2 rounded text-sm hover:bg-gray-200"
+                  >
+                    👥 投票资格
+                  </button>
+                  
                   <button
                     onClick={() => onCancelVoting(session.id)}
                     className="bg-gray-500 text-white px-4 py-2 rounded text-sm hover:bg-gray-600"
@@ -358,6 +503,10 @@ function ActiveSessionsTab({ sessions, onEndVoting, onCancelVoting, isAdmin = tr
               )}
             </div>
           </div>
+
+          {isAdmin && eligibilitySessionId === session.id && (
+            <VoterEligibilityPanel sessionId={session.id} />
+          )}
         </div>
       ))}
     </div>
@@ -382,9 +531,20 @@ function CompletedSessionsTab({ sessions }) {
             <div className="flex-1">
               <div className="flex items-center space-x-3 mb-2">
                 <h3 className="text-lg font-semibold text-gray-900">{session.title}</h3>
-                <span className="px-2 py-1 text-xs rounded-full bg-blue-100 text-blue-800">
-                  已完成
-                </span>
+                {session.status === 'tie_pending' ? (
+                  <span className="px-2 py-1 text-xs rounded-full bg-orange-100 text-orange-800">
+                    平票待处理
+                  </span>
+                ) : (
+                  <span className="px-2 py-1 text-xs rounded-full bg-blue-100 text-blue-800">
+                    已完成
+                  </span>
+                )}
+                {session.tie_resolution && (
+                  <span className="px-2 py-1 text-xs rounded-full bg-gray-100 text-gray-800">
+                    {session.tie_resolution.method === 'runoff' ? '经决选投票' : '管理员裁决'}
+                  </span>
+                )}
               </div>
 
               <div className="grid grid-cols-2 gap-4 text-sm text-gray-600 mb-3">
@@ -414,7 +574,7 @@ function CompletedSessionsTab({ sessions }) {
                 to={`/voting/${session.id}/results`}
                 className="text-center bg-blue-100 text-blue-700 px-4 py-2 rounded text-sm hover:bg-blue-200"
               >
-                📊 查看结果
+                {session.status === 'tie_pending' ? '⚖️ 处理平票' : '📊 查看结果'}
               </Link>
             </div>
           </div>
@@ -1,20 +1,67 @@
 import { useState, useEffect } from 'react'
-import { useParams, useNavigate } from 'react-router-dom'
+import { Link, useParams, useNavigate } from 'react-router-dom'
 import axios from 'axios'
 
+const VOTING_METHODS = {
+  plurality: '多数票',
+  irv: '排序复选（即时决选）',
+  borda: 'Borda 计分',
+  score: '评分投票'
+}
+
+const SESSION_EVENTS = {
+  created: '发起投票',
+  schedule_updated: '修改投票期限',
+  eligibility_updated: '修改投票资格',
+  voter_allowed: '加入允许名单',
+  voter_denied: '加入排除名单',
+  voter_list_removed: '移出允许/排除名单',
+  reminder_sent: '发送投票提醒',
+  extended: '延长投票期限',
+  escalated: '未达法定票数，已通知管理员',
+  closed: '投票结束',
+  tie_detected: '计票结果平票',
+  runoff_started: '发起决选投票',
+  runoff_cancelled: '决选投票已取消',
+  tie_resolved: '平票已解决',
+  cancelled: '取消投票'
+}
+
+const FEEDBACK_CATEGORIES = {
+  accuracy: '准确性',
+  completeness: '完整性',
+  clarity: '清晰度',
+  examples: '示例',
+  formatting: '格式',
+  other: '其他'
+}
+
 function VotingResults({ user }) {
   const { sessionId } = useParams()
   const navigate = useNavigate()
   const [votingSession, setVotingSession] = useState(null)
   const [statistics, setStatistics] = useState(null)
+  const [events, setEvents] = useState([])
   const [loading, setLoading] = useState(true)
 
   useEffect(() => {
     if (sessionId) {
       fetchVotingResults()
+      if (user.role === 'admin') {
+        fetchEvents()
+      }
     }
   }, [sessionId])
 
+  const fetchEvents = async () => {
+    try {
+      const response = await axios.get(`/voting-sessions/${sessionId}/events`)
+      setEvents(response.data)
+    } catch (error) {
+      console.error('Error fetching voting session events:', error)
+    }
+  }
+
   const fetchVotingResults = async () => {
     try {
       setLoading(true)
@@ -40,6 +87,24 @@ function VotingResults({ user }) {
     if (!statistics) return null
 
     const { candidates, none_satisfied } = statistics
+    const tally = votingSession?.tally
+
+    // 平票经决选投票或管理员裁决后以裁决结果为准
+    const resolution = votingSession?.tie_resolution
+    if (resolution) {
+      if (resolution.none_satisfied_wins) return { type: 'none_satisfied', ...none_satisfied }
+      const candidate = candidates.find(item => item.id === resolution.winner_candidate_id)
+      if (candidate) return { type: 'candidate', ...candidate }
+    }
+
+    // 已保存计票结果的会话以其为准（排序复选、Borda 和评分投票的胜者不一定票数最多）
+    if (tally?.none_satisfied_wins) {
+      return { type: 'none_satisfied', ...none_satisfied }
+    }
+    if (tally?.winner_candidate_id) {
+      const candidate = candidates.find(item => item.id === tally.winner_candidate_id)
+      if (candidate) return { type: 'candidate', ...candidate }
+    }
     
     // 找到票数最多的选项
     let maxVotes = none_satisfied.vote_count
@@ -55,6 +120,28 @@ function VotingResults({ user }) {
     return winner
   }
 
+  // 版本字母与当前用户在投票页面看到的一致
+  const candidateLabel = (candidateId) => {
+    const candidate = (votingSession?.candidates || []).find(item => item.id === candidateId)
+    if (!candidate) return candidateId
+    return `版本${candidate.label} (${candidate.author_name})`
+  }
+
+  const getWinnerSummary = (winner) => {
+    const tally = votingSession.tally
+    if (winner?.type === 'candidate' && tally && tally.method !== 'plurality') {
+      const id = tally.winner_candidate_id
+      if (tally.method === 'irv') {
+        const lastRound = tally.rounds[tally.rounds.length - 1]
+        const active = tally.total_ballots - lastRound.exhausted
+        return `第 ${lastRound.round} 轮获得 ${lastRound.counts[id]} 票 (${calculatePercentage(lastRound.counts[id], active)}% 有效票)`
+      }
+      if (tally.method === 'borda') return `Borda 总分 ${tally.totals[id]} 分`
+      if (tally.method === 'score') return `平均分 ${tally.totals[id]} / ${tally.max_score}`
+    }
+    return `获得 ${winner?.vote_count} 票 (${calculatePercentage(winner?.vote_count, totalVotes)}%)`
+  }
+
   const calculatePercentage = (votes, total) => {
     if (total === 0) return 0
     return Math.round((votes / total) * 100)
@@ -88,7 +175,8 @@ function VotingResults({ user }) {
     )
   }
 
-  const winner = getWinnerInfo()
+  const tiePending = votingSession.status === 'tie_pending'
+  const winner = tiePending ? null : getWinnerInfo()
   const totalVotes = statistics.total_votes
 
   return (
@@ -99,7 +187,9 @@ function VotingResults({ user }) {
           <div className="flex justify-between items-center py-6">
             <div>
               <h1 className="text-2xl font-bold text-gray-900">📊 投票结果</h1>
-              <p className="text-sm text-gray-600">{votingSession.title}</p>
+              <p className="text-sm text-gray-600">
+                {votingSession.title} · {VOTING_METHODS[votingSession.voting_method] || VOTING_METHODS.plurality}
+              </p>
             </div>
             
             <button
@@ -127,72 +217,145 @@ function VotingResults({ user }) {
                 <div className="text-lg font-semibold text-gray-900">
                   {new Date(votingSession.started_at).toLocaleDateString()} - {new Date(votingSession.ended_at).toLocaleDateString()}
                 </div>
-                <div className="text-sm text-gray-600">投票时间</div>
+                <div className="text-sm text-gray-600">
+                  投票时间{votingSession.closed_by === 'scheduler' && '（到期自动结束）'}
+                </div>
               </div>
               
               <div className="text-center">
                 <div className={`text-lg font-semibold ${
-                  winner?.type === 'none_satisfied' ? 'text-red-600' : 'text-green-600'
+                  tiePending ? 'text-orange-600' : winner?.type === 'none_satisfied' ? 'text-red-600' : 'text-green-600'
                 }`}>
-                  {winner?.type === 'none_satisfied' ? '都不满意' : `${winner?.author_name} 获胜`}
+                  {tiePending ? '平票，待处理' : winner?.type === 'none_satisfied' ? '都不满意' : `${winner?.author_name} 获胜`}
                 </div>
                 <div className="text-sm text-gray-600">投票结果</div>
               </div>
             </div>
           </div>
 
+          {/* Tie Resolution */}
+          {(tiePending || votingSession.tie_resolution) && (
+            <TieResolution
+              votingSession={votingSession}
+              candidateLabel={candidateLabel}
+              isAdmin={user.role === 'admin'}
+              onResolved={() => {
+                fetchVotingResults()
+                if (user.role === 'admin') fetchEvents()
+              }}
+            />
+          )}
+
           {/* Winner Announcement */}
-          <div className={`rounded-lg border p-6 ${
-            winner?.type === 'none_satisfied' 
-              ? 'bg-red-50 border-red-200' 
-              : 'bg-green-50 border-green-200'
-          }`}>
-            <div className="text-center">
-              <div className="text-4xl mb-4">
-                {winner?.type === 'none_satisfied' ? '❌' : '🏆'}
-              </div>
-              <h2 className={`text-2xl font-bold mb-2 ${
-                winner?.type === 'none_satisfied' ? 'text-red-800' : 'text-green-800'
-              }`}>
-                {winner?.type === 'none_satisfied' 
-                  ? '投票结果：都不满意' 
-                  : `获胜者：${winner?.author_name}`
-                }
-              </h2>
-              <p className={`text-lg ${
-                winner?.type === 'none_satisfied' ? 'text-red-700' : 'text-green-700'
-              }`}>
-                获得 {winner?.vote_count} 票 ({calculatePercentage(winner?.vote_count, totalVotes)}%)
-              </p>
-              
-              {winner?.type === 'none_satisfied' && (
-                <div className="mt-4 p-3 bg-orange-100 border border-orange-300 rounded">
-                  <p className="text-orange-800 text-sm">
-                    ⚠️ 由于投票结果为"都不满意"，此任务将进入重新分配流程
-                  </p>
+          {!tiePending && (
+            <div className={`rounded-lg border p-6 ${
+              winner?.type === 'none_satisfied' 
+                ? 'bg-red-50 border-red-200' 
+                : 'bg-green-50 border-green-200'
+            }`}>
+              <div className="text-center">
+                <div className="text-4xl mb-4">
+                  {winner?.type === 'none_satisfied' ? '❌' : '🏆'}
                 </div>
-              )}
+                <h2 className={`text-2xl font-bold mb-2 ${
+                  winner?.type === 'none_satisfied' ? 'text-red-800' : 'text-green-800'
+                }`}>
+                  {winner?.type === 'none_satisfied' 
+                    ? '投票结果：都不满意' 
+                    : `获胜者：${winner?.author_name}`
+                  }
+                </h2>
+                <p className={`text-lg ${
+                  winner?.type === 'none_satisfied' ? 'text-red-700' : 'text-green-700'
+                }`}>
+                  {getWinnerSummary(winner)}
+                </p>
+              
+                {winner?.type === 'none_satisfied' && (
+                  <div className="mt-4 p-3 bg-orange-100 border border-orange-300 rounded">
+                    <p className="text-orange-800 text-sm">
+                      ⚠️ 由于投票结果为"都不满意"，此任务将进入重新分配流程
+                    </p>
+                  </div>
+                )}
+              </div>
             </div>
-          </div>
+          )}
+
+          {/* Method Breakdown */}
+          {votingSession.tally && votingSession.tally.method !== 'plurality' && (
+            <TallyBreakdown
+              tally={votingSession.tally}
+              candidateIds={votingSession.candidates.map(candidate => candidate.id)}
+              candidateLabel={candidateLabel}
+            />
+          )}
+
+          {/* Rubric Scores */}
+          {votingSession.rubric_summary?.length > 0 && (
+            <div className="bg-white rounded-lg border border-gray-200 p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">评分细则平均分</h3>
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead className="bg-gray-50 text-gray-600">
+                    <tr>
+                      <th className="px-3 py-2 text-left">候选项</th>
+                      {votingSession.rubric.map(criterion => (
+                        <th key={criterion.key} className="px-3 py-2 text-center">{criterion.label}</th>
+                      ))}
+                      <th className="px-3 py-2 text-center">综合</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y">
+                    {votingSession.rubric_summary.map(summary => (
+                      <tr key={summary.candidate_id}>
+                        <td className="px-3 py-2 font-medium text-gray-900">{candidateLabel(summary.candidate_id)}</td>
+                        {votingSession.rubric.map(criterion => (
+                          <td key={criterion.key} className="px-3 py-2 text-center">
+                            {summary.criteria[criterion.key]
+                              ? `${summary.criteria[criterion.key].average_score} / ${criterion.max_score}`
+                              : '—'}
+                          </td>
+                        ))}
+                        <td className="px-3 py-2 text-center font-semibold text-blue-600">
+                          {summary.overall_score ?? '—'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* Reviewer Feedback */}
+          <CandidateFeedback
+            sessionId={sessionId}
+            candidates={votingSession.candidates || []}
+            candidateLabel={candidateLabel}
+            ended={votingSession.status !== 'active'}
+          />
 
           {/* Detailed Results */}
           <div className="bg-white rounded-lg border border-gray-200 p-6">
-            <h3 className="text-lg font-semibold text-gray-900 mb-4">详细投票结果</h3>
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">
+              {votingSession.tally && votingSession.tally.method !== 'plurality' ? '首选票分布' : '详细投票结果'}
+            </h3>
             
             <div className="space-y-4">
               {/* Candidate Results */}
-              {statistics.candidates.map((candidate, index) => (
+              {statistics.candidates.map(candidate => (
                 <div key={candidate.id} className="border border-gray-200 rounded p-4">
                   <div className="flex items-center justify-between mb-3">
                     <div className="flex items-center space-x-3">
                       <div className={`w-8 h-8 rounded-full flex items-center justify-center font-semibold text-white ${
                         candidate.is_winner ? 'bg-green-500' : 'bg-gray-400'
                       }`}>
-                        {String.fromCharCode(65 + index)}
+                        {candidate.label}
                       </div>
                       <div>
                         <h4 className="font-medium text-gray-900">{candidate.author_name}</h4>
-                        <p className="text-sm text-gray-600">版本{String.fromCharCode(65 + index)}</p>
+                        <p className="text-sm text-gray-600">版本{candidate.label}</p>
                       </div>
                     </div>
                     
@@ -291,6 +454,31 @@ function VotingResults({ user }) {
             </div>
           )}
 
+          {/* Session History */}
+          {user.role === 'admin' && events.length > 0 && (
+            <div className="bg-white rounded-lg border border-gray-200 p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">投票过程记录</h3>
+              <ul className="divide-y text-sm">
+                {events.map(event => (
+                  <li key={event.id} className="py-2 flex justify-between">
+                    <span className="text-gray-900">
+                      {SESSION_EVENTS[event.event_type] || event.event_type}
+                      {event.details?.deadline && (
+                        <span className="ml-2 text-gray-500">截止时间 {new Date(event.details.deadline).toLocaleString()}</span>
+                      )}
+                      {event.details?.quorum && (
+                        <span className="ml-2 text-gray-500">票数 {event.details.quorum.ballots} / {event.details.quorum.required}</span>
+                      )}
+                    </span>
+                    <span className="text-gray-500">
+                      {event.actor_name || '系统'} · {new Date(event.created_at).toLocaleString()}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           {/* Actions */}
           <div className="flex justify-center space-x-4">
             {winner?.type === 'none_satisfied' && user.role === 'admin' && (
@@ -315,4 +503,379 @@ function VotingResults({ user }) {
   )
 }
 
-export default VotingResults
\ No newline at end of file
+// Round-by-round instant runoff counts, or the Borda / score totals
+function TallyBreakdown({ tally, candidateIds, candidateLabel }) {
+  if (tally.method === 'irv') {
+    return (
+      <div className="bg-white rounded-lg border border-gray-200 p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">逐轮淘汰过程</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          每轮统计选票上仍在竞争的最高排名；无人过半时淘汰票数最少的版本，其选票转给下一顺位。
+        </p>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600">
+              <tr>
+                <th className="px-3 py-2 text-left">候选项</th>
+                {tally.rounds.map(round => (
+                  <th key={round.round} className="px-3 py-2 text-center">第 {round.round} 轮</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {candidateIds.map(id => (
+                <tr key={id} className={id === tally.winner_candidate_id ? 'bg-green-50' : ''}>
+                  <td className="px-3 py-2 font-medium text-gray-900">
+                    {id === tally.winner_candidate_id && '🏆 '}{candidateLabel(id)}
+                  </td>
+                  {tally.rounds.map(round => (
+                    <td key={round.round} className="px-3 py-2 text-center">
+                      {round.counts[id] === undefined ? (
+                        <span className="text-gray-300">—</span>
+                      ) : round.eliminated === id ? (
+                        <span className="text-red-600 font-medium">{round.counts[id]} ✕ 淘汰</span>
+                      ) : (
+                        round.counts[id]
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+              <tr className="text-red-700">
+                <td className="px-3 py-2 font-medium">都不满意</td>
+                {tally.rounds.map(round => (
+                  <td key={round.round} className="px-3 py-2 text-center">{round.none_satisfied}</td>
+                ))}
+              </tr>
+              <tr className="text-gray-500">
+                <td className="px-3 py-2">已耗尽选票</td>
+                {tally.rounds.map(round => (
+                  <td key={round.round} className="px-3 py-2 text-center">{round.exhausted}</td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+
+        <ul className="mt-4 space-y-1 text-sm text-gray-600">
+          {tally.rounds.filter(round => round.eliminated).map(round => (
+            <li key={round.round}>
+              第 {round.round} 轮淘汰 {candidateLabel(round.eliminated)}
+              {round.elimination_tie && '（票数并列，按之前轮次票数决定）'}：
+              {Object.entries(round.transfers)
+                .filter(([, count]) => count > 0)
+                .map(([target, count]) => target === 'exhausted'
+                  ? `${count} 票耗尽`
+                  : `${count} 票转给 ${candidateLabel(target)}`)
+                .join('，') || '无选票转移'}
+            </li>
+          ))}
+        </ul>
+      </div>
+    )
+  }
+
+  const ranked = [...candidateIds].sort((a, b) => tally.totals[b] - tally.totals[a])
+  const best = Math.max(...candidateIds.map(id => tally.totals[id]), 0)
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-1">
+        {tally.method === 'borda' ? 'Borda 计分结果' : '评分结果'}
+      </h3>
+      <p className="text-sm text-gray-600 mb-4">
+        {tally.method === 'borda'
+          ? `共 ${candidateIds.length} 个版本，第一名得 ${candidateIds.length - 1} 分，依次递减，未排名不得分。`
+          : `每张选票为所有版本打 0-${tally.max_score} 分，按平均分排名。`}
+      </p>
+
+      <div className="space-y-3">
+        {ranked.map(id => (
+          <div key={id}>
+            <div className="flex justify-between text-sm mb-1">
+              <span className="font-medium text-gray-900">
+                {id === tally.winner_candidate_id && '🏆 '}{candidateLabel(id)}
+              </span>
+              <span className="text-gray-600">
+                {tally.method === 'borda' ? `${tally.totals[id]} 分` : `平均 ${tally.totals[id]} 分（总分 ${tally.score_sums[id]}）`}
+                {' · '}首选 {tally.first_preferences[id]} 票
+              </span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div
+                className={`h-2 rounded-full ${id === tally.winner_candidate_id ? 'bg-green-500' : 'bg-blue-500'}`}
+                style={{ width: `${best > 0 ? Math.round((tally.totals[id] / best) * 100) : 0}%` }}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {tally.none_satisfied > 0 && (
+        <p className="mt-4 text-sm text-red-700">
+          {tally.none_satisfied} / {tally.total_ballots} 张选票选择"都不满意"
+          {tally.none_satisfied_wins ? '，超过半数，所有版本被拒绝' : '（未过半数）'}
+        </p>
+      )}
+    </div>
+  )
+}
+
+// Tied session: the tied versions, and for admins a runoff or a deciding
+// vote with justification; afterwards, how the tie was resolved
+function TieResolution({ votingSession, candidateLabel, isAdmin, onResolved }) {
+  const [candidateId, setCandidateId] = useState('')
+  const [justification, setJustification] = useState('')
+  const [durationHours, setDurationHours] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+
+  const tiedIds = votingSession.tied_candidate_ids || []
+  const resolution = votingSession.tie_resolution
+  const runoffs = votingSession.runoff_sessions || []
+  const openRunoff = runoffs.find(runoff => runoff.status === 'active' || runoff.status === 'tie_pending')
+
+  const startRunoff = async () => {
+    if (!window.confirm('在平票的版本之间发起决选投票？')) return
+
+    try {
+      setSubmitting(true)
+      await axios.post(`/voting-sessions/${votingSession.id}/tie/runoff`, {
+        duration_hours: durationHours ? parseInt(durationHours) : null
+      })
+      onResolved()
+    } catch (error) {
+      console.error('Error starting runoff voting:', error)
+      alert('发起决选投票失败：' + (error.response?.data?.error || error.message))
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const decide = async (e) => {
+    e.preventDefault()
+    if (!window.confirm(`确认由管理员裁决 ${candidateLabel(candidateId)} 获胜？裁决理由将记录在投票过程记录中。`)) return
+
+    try {
+      setSubmitting(true)
+      await axios.post(`/voting-sessions/${votingSession.id}/tie/decide`, {
+        candidate_id: candidateId,
+        justification: justification.trim()
+      })
+      onResolved()
+    } catch (error) {
+      console.error('Error resolving voting tie:', error)
+      alert('裁决失败：' + (error.response?.data?.error || error.message))
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="bg-orange-50 border border-orange-200 rounded-lg p-6">
+      <h3 className="text-lg font-semibold text-orange-900 mb-2">⚖️ 平票处理</h3>
+      <p className="text-sm text-orange-800 mb-3">
+        计票结果平票：{tiedIds.map(candidateLabel).join('、')}
+      </p>
+
+      {resolution && (
+        <div className="p-3 bg-white border border-orange-200 rounded text-sm text-gray-700">
+          {resolution.method === 'runoff' ? (
+            <span>
+              已通过<Link to={`/voting/${resolution.runoff_session_id}/results`} className="text-blue-600 hover:text-blue-800">决选投票</Link>解决
+              {resolution.none_satisfied_wins ? '，结果为"都不满意"' : `，${candidateLabel(resolution.winner_candidate_id)} 获胜`}
+            </span>
+          ) : (
+            <span>
+              管理员于 {new Date(resolution.decided_at).toLocaleString()} 裁决 {candidateLabel(resolution.winner_candidate_id)} 获胜。
+              理由：{resolution.justification}
+            </span>
+          )}
+        </div>
+      )}
+
+      {runoffs.length > 0 && !resolution && (
+        <ul className="text-sm mb-3 space-y-1">
+          {runoffs.map(runoff => (
+            <li key={runoff.id}>
+              <Link to={`/voting/${runoff.id}`} className="text-blue-600 hover:text-blue-800">{runoff.title}</Link>
+              <span className="ml-2 text-gray-600">
+                {{ active: '进行中', tie_pending: '再次平票', completed: '已完成', cancelled: '已取消' }[runoff.status]}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!resolution && !isAdmin && (
+        <p className="text-sm text-orange-800">等待管理员发起决选投票或裁决。</p>
+      )}
+
+      {!resolution && isAdmin && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-4">
+          <div>
+            <h4 className="font-medium text-gray-900 mb-2">发起决选投票</h4>
+            <p className="text-sm text-gray-600 mb-2">仅在平票的版本之间进行多数票投票，沿用原投票的资格和匿名设置。</p>
+            <div className="flex space-x-2">
+              <input
+                type="number"
+                min="1"
+                max="720"
+                value={durationHours}
+                onChange={(e) => setDurationHours(e.target.value)}
+                placeholder="投票时长（小时，可选）"
+                className="border border-gray-300 rounded px-2 py-2 text-sm flex-1"
+              />
+              <button
+                onClick={startRunoff}
+                disabled={submitting || !!openRunoff}
+                className="bg-blue-600 text-white px-4 py-2 rounded text-sm hover:bg-blue-700 disabled:opacity-50"
+              >
+                {openRunoff ? '决选投票进行中' : '🗳️ 发起决选'}
+              </button>
+            </div>
+          </div>
+
+          <form onSubmit={decide}>
+            <h4 className="font-medium text-gray-900 mb-2">管理员裁决</h4>
+            <select
+              value={candidateId}
+              onChange={(e) => setCandidateId(e.target.value)}
+              className="w-full border border-gray-300 rounded px-2 py-2 text-sm mb-2"
+              required
+            >
+              <option value="">选择获胜版本</option>
+              {tiedIds.map(id => (
+                <option key={id} value={id}>{candidateLabel(id)}</option>
+              ))}
+            </select>
+            <textarea
+              value={justification}
+              onChange={(e) => setJustification(e.target.value)}
+              placeholder="裁决理由（至少 10 个字，将记录在投票过程记录中）"
+              className="w-full border border-gray-300 rounded px-2 py-2 text-sm mb-2"
+              rows={3}
+              minLength={10}
+              required
+            />
+            <button
+              type="submit"
+              disabled={submitting}
+              className="bg-orange-600 text-white px-4 py-2 rounded text-sm hover:bg-orange-700 disabled:opacity-50"
+            >
+              ⚖️ 提交裁决
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Reviewer comments per candidate. Authors see them once voting has ended
+// and can reply; while it is open voters only see their own.
+function CandidateFeedback({ sessionId, candidates, candidateLabel, ended }) {
+  const [feedback, setFeedback] = useState(null)
+  const [replies, setReplies] = useState({})
+  const [submitting, setSubmitting] = useState(null)
+
+  useEffect(() => {
+    fetchFeedback()
+  }, [sessionId])
+
+  const fetchFeedback = async () => {
+    try {
+      const response = await axios.get(`/document-votes/session/${sessionId}/feedback`)
+      setFeedback(response.data)
+    } catch (error) {
+      console.error('Error fetching vote feedback:', error)
+    }
+  }
+
+  const submitReply = async (threadId) => {
+    const comment = (replies[threadId] || '').trim()
+    if (!comment) return
+
+    try {
+      setSubmitting(threadId)
+      await axios.post(`/document-votes/feedback/${threadId}/replies`, { comment })
+      setReplies(prev => ({ ...prev, [threadId]: '' }))
+      fetchFeedback()
+    } catch (error) {
+      console.error('Error replying to vote feedback:', error)
+      alert('回复失败：' + (error.response?.data?.error || error.message))
+    } finally {
+      setSubmitting(null)
+    }
+  }
+
+  if (!feedback || feedback.threads.length === 0) return null
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-1">反馈意见</h3>
+      {!feedback.revealed && (
+        <p className="text-xs text-gray-500 mb-3">投票结束前只显示您自己的反馈</p>
+      )}
+
+      <div className="space-y-4">
+        {candidates.map(candidate => {
+          const threads = feedback.threads.filter(thread => thread.candidate_id === candidate.id)
+          if (threads.length === 0) return null
+
+          return (
+            <div key={candidate.id}>
+              <h4 className="font-medium text-gray-900 mb-2">{candidateLabel(candidate.id)}</h4>
+              <ul className="space-y-2">
+                {threads.map(thread => (
+                  <li key={thread.id} className="border border-gray-200 rounded p-3 text-sm">
+                    <div className="text-xs text-gray-500 mb-1">
+                      {thread.reviewer_name} · {FEEDBACK_CATEGORIES[thread.category]}
+                      {thread.line_start && ` · 第 ${thread.line_start}${thread.line_end !== thread.line_start ? `-${thread.line_end}` : ''} 行`}
+                    </div>
+                    {thread.excerpt && (
+                      <pre className="text-xs bg-gray-50 border-l-4 border-gray-300 px-2 py-1 mb-2 whitespace-pre-wrap">{thread.excerpt}</pre>
+                    )}
+                    <p className="text-gray-800 whitespace-pre-wrap">{thread.comment}</p>
+
+                    {thread.replies.length > 0 && (
+                      <ul className="mt-2 ml-4 space-y-1 border-l pl-3">
+                        {thread.replies.map(reply => (
+                          <li key={reply.id}>
+                            <span className="font-medium text-gray-700">{reply.reviewer_name}：</span>
+                            <span className="text-gray-800 whitespace-pre-wrap">{reply.comment}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+
+                    {ended && (
+                      <div className="mt-2 ml-4 flex space-x-2">
+                        <input
+                          type="text"
+                          value={replies[thread.id] || ''}
+                          onChange={(e) => setReplies(prev => ({ ...prev, [thread.id]: e.target.value }))}
+                          placeholder="回复..."
+                          className="flex-1 border border-gray-300 rounded px-2 py-1"
+                        />
+                        <button
+                          onClick={() => submitReply(thread.id)}
+                          disabled={submitting === thread.id || !(replies[thread.id] || '').trim()}
+                          className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                        >
+                          回复
+                        </button>
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default VotingResults
@@ -0,0 +1,285 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+
+const emptyForm = { key: '', label: '', description: '', max_score: 5, weight: 1, is_active: true, order_index: 0 }
+
+const readabilityColor = (score) => {
+  if (score === null || score === undefined) return 'text-gray-400'
+  if (score >= 70) return 'text-green-600'
+  if (score >= 50) return 'text-yellow-600'
+  return 'text-red-600'
+}
+
+// Admin editor for the rubric voters score candidates on, and the code
+// readability it yields per function and per category
+function VotingRubricManager() {
+  const [criteria, setCriteria] = useState([])
+  const [form, setForm] = useState(emptyForm)
+  const [editingId, setEditingId] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [readabilityView, setReadabilityView] = useState('functions')
+  const [readability, setReadability] = useState([])
+
+  useEffect(() => {
+    fetchCriteria()
+  }, [])
+
+  useEffect(() => {
+    fetchReadability()
+  }, [readabilityView])
+
+  const fetchCriteria = async () => {
+    try {
+      const response = await axios.get('/voting-rubrics/criteria')
+      setCriteria(response.data)
+    } catch (error) {
+      console.error('Error fetching rubric criteria:', error)
+    }
+  }
+
+  const fetchReadability = async () => {
+    try {
+      const response = await axios.get(`/voting-rubrics/code-readability/${readabilityView}`)
+      setReadability(response.data)
+    } catch (error) {
+      console.error('Error fetching code readability:', error)
+    }
+  }
+
+  const startEdit = (criterion) => {
+    setEditingId(criterion.id)
+    setForm({
+      key: criterion.key,
+      label: criterion.label,
+      description: criterion.description || '',
+      max_score: criterion.max_score,
+      weight: Number(criterion.weight),
+      is_active: criterion.is_active,
+      order_index: criterion.order_index || 0
+    })
+  }
+
+  const resetForm = () => {
+    setEditingId(null)
+    setForm(emptyForm)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const payload = {
+      label: form.label.trim(),
+      description: form.description.trim() || null,
+      max_score: parseInt(form.max_score),
+      weight: parseFloat(form.weight),
+      is_active: form.is_active,
+      order_index: parseInt(form.order_index) || 0
+    }
+
+    try {
+      setSaving(true)
+      if (editingId) {
+        await axios.put(`/voting-rubrics/criteria/${editingId}`, payload)
+      } else {
+        await axios.post('/voting-rubrics/criteria', { ...payload, key: form.key.trim() })
+      }
+      resetForm()
+      fetchCriteria()
+    } catch (error) {
+      console.error('Error saving rubric criterion:', error)
+      alert('Error saving criterion: ' + (error.response?.data?.error || error.message))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const deleteCriterion = async (criterion) => {
+    if (!window.confirm(`Delete the rubric criterion "${criterion.label}"? Scores already given are kept.`)) return
+
+    try {
+      await axios.delete(`/voting-rubrics/criteria/${criterion.id}`)
+      if (editingId === criterion.id) resetForm()
+      fetchCriteria()
+    } catch (error) {
+      console.error('Error deleting rubric criterion:', error)
+      alert('Error deleting criterion: ' + (error.response?.data?.error || error.message))
+    }
+  }
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <div className="mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">📐 Voting Rubric</h2>
+        <p className="text-sm text-gray-600">
+          Voters score every candidate on the active criteria. New voting sessions take a copy; open sessions keep theirs.
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-6 gap-2 mb-4 text-sm">
+        <input
+          type="text"
+          value={form.key}
+          onChange={(e) => setForm(prev => ({ ...prev, key: e.target.value }))}
+          placeholder="key, e.g. examples"
+          className="border border-gray-300 rounded px-3 py-2 disabled:bg-gray-100"
+          disabled={!!editingId}
+          required
+        />
+        <input
+          type="text"
+          value={form.label}
+          onChange={(e) => setForm(prev => ({ ...prev, label: e.target.value }))}
+          placeholder="Label shown to voters"
+          className="border border-gray-300 rounded px-3 py-2"
+          required
+        />
+        <input
+          type="text"
+          value={form.description}
+          onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+          placeholder="Guidance (optional)"
+          className="border border-gray-300 rounded px-3 py-2 md:col-span-2"
+        />
+        <label className="flex items-center space-x-1 text-gray-700">
+          <span>Max</span>
+          <input
+            type="number"
+            min="2"
+            max="10"
+            value={form.max_score}
+            onChange={(e) => setForm(prev => ({ ...prev, max_score: e.target.value }))}
+            className="w-16 border border-gray-300 rounded px-2 py-2"
+          />
+        </label>
+        <label className="flex items-center space-x-1 text-gray-700">
+          <span>Weight</span>
+          <input
+            type="number"
+            min="0.1"
+            step="0.1"
+            value={form.weight}
+            onChange={(e) => setForm(prev => ({ ...prev, weight: e.target.value }))}
+            className="w-16 border border-gray-300 rounded px-2 py-2"
+          />
+        </label>
+        <label className="flex items-center space-x-1 text-gray-700">
+          <span>Order</span>
+          <input
+            type="number"
+            value={form.order_index}
+            onChange={(e) => setForm(prev => ({ ...prev, order_index: e.target.value }))}
+            className="w-16 border border-gray-300 rounded px-2 py-2"
+          />
+        </label>
+        <label className="flex items-center space-x-2 text-gray-700">
+          <input
+            type="checkbox"
+            checked={form.is_active}
+            onChange={(e) => setForm(prev => ({ ...prev, is_active: e.target.checked }))}
+          />
+          <span>Active</span>
+        </label>
+        <div className="flex space-x-2 md:col-span-4 justify-end">
+          {editingId && (
+            <button type="button" onClick={resetForm} className="px-4 py-2 rounded text-gray-700 hover:bg-gray-100">
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={saving}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : editingId ? 'Update Criterion' : 'Add Criterion'}
+          </button>
+        </div>
+      </form>
+
+      <table className="min-w-full text-sm mb-6">
+        <thead className="bg-gray-50 text-left text-gray-600">
+          <tr>
+            <th className="px-3 py-2">Criterion</th>
+            <th className="px-3 py-2">Scale</th>
+            <th className="px-3 py-2">Weight</th>
+            <th className="px-3 py-2"></th>
+          </tr>
+        </thead>
+        <tbody className="divide-y">
+          {criteria.map(criterion => (
+            <tr key={criterion.id} className={`align-top ${criterion.is_active ? '' : 'opacity-50'}`}>
+              <td className="px-3 py-2">
+                <div className="font-medium text-gray-900">
+                  {criterion.label} <code className="text-xs text-gray-500">{criterion.key}</code>
+                  {!criterion.is_active && <span className="ml-2 text-xs text-gray-500">(inactive)</span>}
+                </div>
+                {criterion.description && <div className="text-xs text-gray-500">{criterion.description}</div>}
+              </td>
+              <td className="px-3 py-2 text-gray-600">1 – {criterion.max_score}</td>
+              <td className="px-3 py-2 text-gray-600">{Number(criterion.weight)}</td>
+              <td className="px-3 py-2 whitespace-nowrap text-right space-x-2">
+                <button onClick={() => startEdit(criterion)} className="text-blue-600 hover:text-blue-800">Edit</button>
+                {criterion.key !== 'code_readability' && (
+                  <button onClick={() => deleteCriterion(criterion)} className="text-red-600 hover:text-red-800">Delete</button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold text-gray-900">Code readability from votes</h3>
+        <div className="flex space-x-1 text-sm">
+          {['functions', 'categories'].map(view => (
+            <button
+              key={view}
+              onClick={() => setReadabilityView(view)}
+              className={`px-3 py-1 rounded ${readabilityView === view ? 'bg-blue-100 text-blue-800' : 'text-gray-600 hover:bg-gray-100'}`}
+            >
+              {view === 'functions' ? 'By function' : 'By category'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {readability.length === 0 ? (
+        <p className="text-gray-500 text-sm">No code readability scores from completed voting sessions yet</p>
+      ) : (
+        <div className="overflow-x-auto max-h-80 overflow-y-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-left text-gray-600">
+              <tr>
+                <th className="px-3 py-2">{readabilityView === 'functions' ? 'Function' : 'Category'}</th>
+                <th className="px-3 py-2">Readability</th>
+                <th className="px-3 py-2">Ratings</th>
+                <th className="px-3 py-2">{readabilityView === 'functions' ? 'Sessions' : 'Functions rated'}</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {readability.map(row => (
+                <tr key={row.function_id || row.category_id}>
+                  <td className="px-3 py-2">
+                    <div className="font-medium text-gray-900">{row.function_name || row.category_name}</div>
+                    <div className="text-xs text-gray-500">{row.category_path || row.category_name}</div>
+                  </td>
+                  <td className={`px-3 py-2 font-semibold ${readabilityColor(Number(row.readability_score))}`}>
+                    {row.readability_score}
+                    {row.direct_readability_score !== undefined && row.direct_readability_score !== null &&
+                      row.direct_readability_score !== row.readability_score && (
+                      <span className="ml-2 text-xs font-normal text-gray-500">
+                        ({row.direct_readability_score} without subcategories)
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 text-gray-600">{row.ratings}</td>
+                  <td className="px-3 py-2 text-gray-600">{row.sessions || row.functions}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default VotingRubricManager
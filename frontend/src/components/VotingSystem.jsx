@@ -2,6 +2,22 @@ import { useState, useEffect } from 'react'
 import { useParams } from 'react-router-dom'
 import axios from 'axios'
 
+const VERSION_STYLES = [
+  { box: 'bg-blue-50', count: 'text-blue-600', label: 'text-blue-700' },
+  { box: 'bg-green-50', count: 'text-green-600', label: 'text-green-700' },
+  { box: 'bg-purple-50', count: 'text-purple-600', label: 'text-purple-700' },
+  { box: 'bg-indigo-50', count: 'text-indigo-600', label: 'text-indigo-700' },
+  { box: 'bg-teal-50', count: 'text-teal-600', label: 'text-teal-700' },
+  { box: 'bg-orange-50', count: 'text-orange-600', label: 'text-orange-700' }
+]
+
+// version_a, version_b, ... in submission order, as wiki-votes expects
+const versionOption = (index) => `version_${String.fromCharCode(97 + index)}`
+
+const optionLabel = (option) => option === 'neither_satisfactory'
+  ? 'Neither Satisfactory'
+  : `Version ${option.replace('version_', '').toUpperCase()}`
+
 function VotingSystem({ user }) {
   const { taskId } = useParams()
   const [votingData, setVotingData] = useState(null)
@@ -62,7 +78,27 @@ function VotingSystem({ user }) {
 
   const completeVoting = async () => {
     try {
-      await axios.post(`/wiki-votes/task/${taskId}/complete-voting`)
+      try {
+        await axios.post(`/wiki-votes/task/${taskId}/complete-voting`)
+      } catch (error) {
+        // A tie between versions needs a recorded deciding vote
+        if (!error.response?.data?.tie) throw error
+        const tiedOptions = error.response.data.tied_options
+        const tiedLetters = tiedOptions.map(option => option.replace('version_', '').toUpperCase())
+        const choice = window.prompt(`The vote is tied. Enter ${tiedLetters.join(' or ')} to cast the deciding vote:`)
+        if (!choice) return
+        const decidingOption = `version_${choice.trim().toLowerCase()}`
+        if (!tiedOptions.includes(decidingOption)) {
+          alert(`Please enter ${tiedLetters.join(' or ')}`)
+          return
+        }
+        const justification = window.prompt('Why does this version win? (at least 10 characters, kept in the record)')
+        if (!justification) return
+        await axios.post(`/wiki-votes/task/${taskId}/complete-voting`, {
+          deciding_option: decidingOption,
+          justification
+        })
+      }
       fetchVotingData()
       alert('Voting completed successfully!')
     } catch (error) {
@@ -125,14 +161,15 @@ function VotingSystem({ user }) {
         <div className="bg-white p-6 rounded-lg shadow">
           <h2 className="text-xl font-semibold text-gray-900 mb-4">Voting Results</h2>
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
-            <div className="text-center p-4 bg-blue-50 rounded-lg">
-              <div className="text-2xl font-bold text-blue-600">{votingResults.version_a}</div>
-              <div className="text-sm text-blue-700">Version A</div>
-            </div>
-            <div className="text-center p-4 bg-green-50 rounded-lg">
-              <div className="text-2xl font-bold text-green-600">{votingResults.version_b}</div>
-              <div className="text-sm text-green-700">Version B</div>
-            </div>
+            {Object.keys(votingResults).filter(option => option !== 'neither_satisfactory').map((option, index) => {
+              const style = VERSION_STYLES[index % VERSION_STYLES.length]
+              return (
+                <div key={option} className={`text-center p-4 ${style.box} rounded-lg`}>
+                  <div className={`text-2xl font-bold ${style.count}`}>{votingResults[option]}</div>
+                  <div className={`text-sm ${style.label}`}>{optionLabel(option)}</div>
+                </div>
+              )
+            })}
             <div className="text-center p-4 bg-red-50 rounded-lg">
               <div className="text-2xl font-bold text-red-600">{votingResults.neither_satisfactory}</div>
               <div className="text-sm text-red-700">Neither Satisfactory</div>
@@ -149,13 +186,13 @@ function VotingSystem({ user }) {
       )}
 
       {/* Content Comparison */}
-      {contents.length >= 2 && (
+      {contents.length > 0 && (
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-          {contents.slice(0, 2).map((content, index) => (
+          {contents.map((content, index) => (
             <div key={content.id} className="bg-white rounded-lg shadow">
               <div className="p-4 border-b border-gray-200">
                 <h3 className="text-lg font-semibold text-gray-900">
-                  Version {index === 0 ? 'A' : 'B'} - by {content.writer_username}
+                  {optionLabel(versionOption(index))} - by {content.writer_username}
                 </h3>
                 <p className="text-sm text-gray-500">
                   Submitted: {new Date(content.submitted_at).toLocaleString()}
@@ -197,26 +234,18 @@ function VotingSystem({ user }) {
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">Select your choice:</label>
               <div className="space-y-2">
-                <label className="flex items-center">
-                  <input
-                    type="radio"
-                    value="version_a"
-                    checked={selectedVote === 'version_a'}
-                    onChange={(e) => setSelectedVote(e.target.value)}
-                    className="mr-2"
-                  />
-                  <span>Version A (First submission)</span>
-                </label>
-                <label className="flex items-center">
-                  <input
-                    type="radio"
-                    value="version_b"
-                    checked={selectedVote === 'version_b'}
-                    onChange={(e) => setSelectedVote(e.target.value)}
-                    className="mr-2"
-                  />
-                  <span>Version B (Second submission)</span>
-                </label>
+                {contents.map((content, index) => (
+                  <label key={content.id} className="flex items-center">
+                    <input
+                      type="radio"
+                      value={versionOption(index)}
+                      checked={selectedVote === versionOption(index)}
+                      onChange={(e) => setSelectedVote(e.target.value)}
+                      className="mr-2"
+                    />
+                    <span>{optionLabel(versionOption(index))} (Submission {index + 1})</span>
+                  </label>
+                ))}
                 <label className="flex items-center">
                   <input
                     type="radio"
@@ -258,9 +287,7 @@ function VotingSystem({ user }) {
           <h3 className="text-lg font-semibold text-green-900 mb-2">Your Vote</h3>
           <p className="text-green-800">
             You voted for: <strong>
-              {userVote.vote_option === 'version_a' ? 'Version A' : 
-               userVote.vote_option === 'version_b' ? 'Version B' : 
-               'Neither Satisfactory'}
+              {optionLabel(userVote.vote_option)}
             </strong>
           </p>
           {userVote.comments && (
@@ -282,9 +309,7 @@ function VotingSystem({ user }) {
                   <div>
                     <span className="font-medium">{vote.voter_username}</span>
                     <span className="ml-2 text-sm text-gray-600">
-                      voted for {vote.vote_option === 'version_a' ? 'Version A' : 
-                                 vote.vote_option === 'version_b' ? 'Version B' : 
-                                 'Neither Satisfactory'}
+                      voted for {optionLabel(vote.vote_option)}
                     </span>
                   </div>
                   <span className="text-xs text-gray-500">
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react'
 import { Link } from 'react-router-dom'
 import axios from 'axios'
+import WriterSelects from './WriterSelects'
 
 function WikiTaskManager({ user }) {
   const [tasks, setTasks] = useState([])
@@ -9,14 +10,15 @@ function WikiTaskManager({ user }) {
   const [loading, setLoading] = useState(true)
   const [filter, setFilter] = useState('all')
   const [showCreateTask, setShowCreateTask] = useState(false)
+  const [history, setHistory] = useState({})
+  const [recommendations, setRecommendations] = useState(null)
   
   const [taskForm, setTaskForm] = useState({
     function_id: '',
     title: '',
     description: '',
     code_annotator_id: '',
-    writer1_id: '',
-    writer2_id: '',
+    writer_ids: ['', ''],
     deadline: ''
   })
 
@@ -54,10 +56,10 @@ function WikiTaskManager({ user }) {
         title: '',
         description: '',
         code_annotator_id: '',
-        writer1_id: '',
-        writer2_id: '',
+        writer_ids: ['', ''],
         deadline: ''
       })
+      setRecommendations(null)
       setShowCreateTask(false)
       fetchData()
     } catch (error) {
@@ -66,6 +68,34 @@ function WikiTaskManager({ user }) {
     }
   }
 
+  // Fills the writer slots with the best recommended writers for the function
+  const autoAssignWriters = async () => {
+    if (!taskForm.function_id) {
+      alert('Select a function first')
+      return
+    }
+    try {
+      const response = await axios.get('/wiki-tasks/writer-recommendations', {
+        params: {
+          function_id: taskForm.function_id,
+          code_annotator_id: taskForm.code_annotator_id || undefined
+        }
+      })
+      setRecommendations(response.data)
+      const best = response.data.recommendations.slice(0, taskForm.writer_ids.length)
+      if (best.length < taskForm.writer_ids.length) {
+        alert(`Only ${best.length} writers are available without a conflict of interest`)
+      }
+      setTaskForm(prev => ({
+        ...prev,
+        writer_ids: prev.writer_ids.map((id, index) => best[index]?.id || '')
+      }))
+    } catch (error) {
+      console.error('Error fetching writer recommendations:', error)
+      alert('Error fetching writer recommendations: ' + (error.response?.data?.error || error.message))
+    }
+  }
+
   const filteredTasks = tasks.filter(task => {
     if (filter === 'all') return true
     return task.status === filter
@@ -75,9 +105,11 @@ function WikiTaskManager({ user }) {
     const badges = {
       not_started: 'bg-gray-100 text-gray-800',
       in_progress: 'bg-blue-100 text-blue-800',
+      overtime: 'bg-orange-100 text-orange-800',
       pending_vote: 'bg-yellow-100 text-yellow-800',
+      voting: 'bg-indigo-100 text-indigo-800',
       completed: 'bg-green-100 text-green-800',
-      overtime: 'bg-red-100 text-red-800'
+      pending_reassignment: 'bg-red-100 text-red-800'
     }
     return badges[status] || 'bg-gray-100 text-gray-800'
   }
@@ -86,6 +118,19 @@ function WikiTaskManager({ user }) {
     return status.replace('_', ' ').toUpperCase()
   }
 
+  const toggleHistory = async (taskId) => {
+    if (history[taskId]) {
+      setHistory(prev => ({ ...prev, [taskId]: null }))
+      return
+    }
+    try {
+      const response = await axios.get(`/wiki-tasks/${taskId}/events`)
+      setHistory(prev => ({ ...prev, [taskId]: response.data }))
+    } catch (error) {
+      console.error('Error fetching task history:', error)
+    }
+  }
+
   if (loading) {
     return <div className="text-center py-8">Loading wiki tasks...</div>
   }
@@ -107,7 +152,7 @@ function WikiTaskManager({ user }) {
       {/* Filter Tabs */}
       <div className="border-b border-gray-200">
         <nav className="-mb-px flex space-x-8">
-          {['all', 'not_started', 'in_progress', 'pending_vote', 'completed'].map(status => (
+          {['all', 'not_started', 'in_progress', 'overtime', 'pending_vote', 'voting', 'completed', 'pending_reassignment'].map(status => (
             <button
               key={status}
               onClick={() => setFilter(status)}
@@ -161,7 +206,7 @@ function WikiTaskManager({ user }) {
                 <div>
                   <span className="font-medium text-gray-700">Writers:</span>
                   <p className="text-gray-600">
-                    {task.writer1_username || 'Not assigned'}, {task.writer2_username || 'Not assigned'}
+                    {task.writers.map(writer => writer.username).join(', ') || 'Not assigned'}
                   </p>
                 </div>
                 <div>
@@ -177,6 +222,12 @@ function WikiTaskManager({ user }) {
                   Created by {task.assigned_by_username} on {new Date(task.created_at).toLocaleDateString()}
                 </div>
                 <div className="flex space-x-2">
+                  <button
+                    onClick={() => toggleHistory(task.id)}
+                    className="text-gray-600 hover:text-gray-800 text-sm font-medium"
+                  >
+                    {history[task.id] ? 'Hide History' : 'History'}
+                  </button>
                   <Link
                     to={`/wiki-tasks/${task.id}`}
                     className="text-blue-600 hover:text-blue-800 text-sm font-medium"
@@ -199,6 +250,19 @@ function WikiTaskManager({ user }) {
                 <span>Submissions: {task.submission_count || 0}</span>
                 <span>Votes: {task.vote_count || 0}</span>
               </div>
+
+              {history[task.id] && (
+                <ul className="mt-4 border-t pt-3 space-y-1 text-xs text-gray-600">
+                  {history[task.id].map(event => (
+                    <li key={event.id}>
+                      <span className="text-gray-500">{new Date(event.created_at).toLocaleString()}</span>{' '}
+                      <span className="font-medium text-gray-800">{event.action.replace(/_/g, ' ')}</span>{' '}
+                      {event.from_status ? `${getStatusLabel(event.from_status)} → ` : ''}{getStatusLabel(event.to_status)}{' '}
+                      by {event.actor_username || 'System'}
+                    </li>
+                  ))}
+                </ul>
+              )}
             </div>
           ))
         )}
@@ -263,37 +327,30 @@ function WikiTaskManager({ user }) {
                     ))}
                   </select>
                 </div>
+              </div>
 
-                <div>
-                  <label className="block text-sm font-medium text-gray-700">Writer 1</label>
-                  <select
-                    value={taskForm.writer1_id}
-                    onChange={(e) => setTaskForm(prev => ({...prev, writer1_id: e.target.value}))}
-                    className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"
-                    required
-                  >
-                    <option value="">Select Writer 1</option>
-                    {users.filter(u => ['doc_author', 'team_member'].includes(u.role)).map(user => (
-                      <option key={user.id} value={user.id}>{user.username}</option>
-                    ))}
-                  </select>
-                </div>
+              <WriterSelects
+                writerIds={taskForm.writer_ids}
+                onChange={(writer_ids) => setTaskForm(prev => ({...prev, writer_ids}))}
+                writers={users.filter(u => ['doc_author', 'team_member'].includes(u.role))}
+                onAutoAssign={autoAssignWriters}
+              />
 
-                <div>
-                  <label className="block text-sm font-medium text-gray-700">Writer 2</label>
-                  <select
-                    value={taskForm.writer2_id}
-                    onChange={(e) => setTaskForm(prev => ({...prev, writer2_id: e.target.value}))}
-                    className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"
-                    required
-                  >
-                    <option value="">Select Writer 2</option>
-                    {users.filter(u => ['doc_author', 'team_member'].includes(u.role) && u.id !== taskForm.writer1_id).map(user => (
-                      <option key={user.id} value={user.id}>{user.username}</option>
-                    ))}
-                  </select>
+              {recommendations && (
+                <div className="text-xs text-gray-600 bg-gray-50 rounded p-3 space-y-1">
+                  <div className="font-medium text-gray-700">Recommended writers</div>
+                  {recommendations.recommendations.slice(0, 8).map(writer => (
+                    <div key={writer.id}>
+                      {writer.username}: score {writer.score} · {writer.open_tasks} open · {Math.round(writer.win_rate * 100)}% win rate · {writer.category_tasks} in this category
+                    </div>
+                  ))}
+                  {recommendations.excluded.map(writer => (
+                    <div key={writer.id} className="text-gray-400">
+                      {writer.username}: left out ({writer.reason})
+                    </div>
+                  ))}
                 </div>
-              </div>
+              )}
 
               <div>
                 <label className="block text-sm font-medium text-gray-700">Deadline (Optional)</label>
@@ -0,0 +1,76 @@
+const MAX_WRITERS = 6
+
+const DEFAULT_LABELS = {
+  count: 'Number of Writers',
+  writer: (number) => `Writer ${number}`,
+  placeholder: (number) => `Select Writer ${number}`,
+  autoAssign: 'Auto-assign'
+}
+
+// Resizes a writer id list to count slots, keeping the writers already picked
+const resizeWriterIds = (writerIds, count) =>
+  Array.from({ length: count }, (_, index) => writerIds[index] || '')
+
+// How many writers a task has plus one select per writer; someone picked
+// in one slot can't be picked again in another. onAutoAssign adds a button
+// that fills the slots from the writer recommendations.
+function WriterSelects({ writerIds, onChange, writers, optionLabel = (writer) => writer.username, labels = DEFAULT_LABELS, onAutoAssign }) {
+  const setWriter = (index, writerId) => {
+    onChange(writerIds.map((id, i) => (i === index ? writerId : id)))
+  }
+
+  return (
+    <div className="space-y-2">
+      <div>
+        <label className="block text-sm font-medium text-gray-700">{labels.count}</label>
+        <div className="flex items-center space-x-3">
+          <select
+            value={writerIds.length}
+            onChange={(e) => onChange(resizeWriterIds(writerIds, parseInt(e.target.value)))}
+            className="mt-1 block w-32 border border-gray-300 rounded-md px-3 py-2"
+          >
+            {Array.from({ length: MAX_WRITERS }, (_, index) => (
+              <option key={index + 1} value={index + 1}>{index + 1}</option>
+            ))}
+          </select>
+          {onAutoAssign && (
+            <button
+              type="button"
+              onClick={onAutoAssign}
+              className="mt-1 text-sm text-blue-600 hover:text-blue-800"
+            >
+              {labels.autoAssign}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {writerIds.map((writerId, index) => (
+          <div key={index}>
+            <label className="block text-sm font-medium text-gray-700">{labels.writer(index + 1)}</label>
+            <select
+              value={writerId}
+              onChange={(e) => setWriter(index, e.target.value)}
+              className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"
+              required
+            >
+              <option value="">{labels.placeholder(index + 1)}</option>
+              {writers.map(writer => (
+                <option
+                  key={writer.id}
+                  value={writer.id}
+                  disabled={writer.id !== writerId && writerIds.includes(writer.id)}
+                >
+                  {optionLabel(writer)}
+                </option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default WriterSelects
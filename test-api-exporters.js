@@ -0,0 +1,101 @@
+const { toPostmanCollection, toOpenApiFragment, toCurlScript, exportApiConfigs } = require('./backend/src/services/api-exporters');
+
+// Test exporting API test configs to Postman, OpenAPI and cURL
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  return condition;
+}
+
+const configs = [
+  {
+    name: 'Get user',
+    method: 'GET',
+    endpoint: '/api/users/{{user_id}}?fields=name',
+    headers: JSON.stringify({ Accept: 'application/json' }),
+    body_type: 'none',
+    body_content: null,
+    expected_status: 200,
+    expected_response: '{"name": "Alice"}',
+    environment_vars: JSON.stringify({ base_url: 'https://api.example.com', user_id: 42 })
+  },
+  {
+    name: 'Create "user"',
+    method: 'POST',
+    endpoint: 'https://{{host}}/users#create',
+    headers: {},
+    body_type: 'json',
+    body_content: '{"name": "$USER"}',
+    expected_status: 201,
+    expected_response: '',
+    environment_vars: { host: 'staging.example.com', user_id: 7 }
+  }
+];
+
+function testApiExporters() {
+  console.log('🧪 Testing API Config Exporters...\n');
+  let allPassed = true;
+
+  try {
+    // 1. Postman collection
+    console.log('1. Testing Postman export...');
+    const collection = toPostmanCollection('User API', configs);
+    allPassed = check('Relative endpoints are prefixed with the base URL variable', collection.item[0].request.url.raw === '{{base_url}}/api/users/{{user_id}}?fields=name') && allPassed;
+    allPassed = check('Absolute endpoints are kept as they are', collection.item[1].request.url.raw === 'https://{{host}}/users#create') && allPassed;
+    allPassed = check('Expected status becomes a Postman test', collection.item[1].event[0].script.exec.some(line => line.includes('have.status(201)'))) && allPassed;
+    const variables = Object.fromEntries(collection.variable.map(variable => [variable.key, variable.value]));
+    allPassed = check('The first definition of a variable wins', variables.user_id === '42' && variables.host === 'staging.example.com') && allPassed;
+
+    // 2. OpenAPI fragment
+    console.log('\n2. Testing OpenAPI export...');
+    const fragment = toOpenApiFragment('User API', configs);
+    const getUser = fragment.paths['/api/users/{user_id}'] && fragment.paths['/api/users/{user_id}'].get;
+    allPassed = check('Placeholders become path templates', Boolean(getUser)) && allPassed;
+    allPassed = check(
+      'Path, query and header parameters are described',
+      getUser && ['user_id:path', 'fields:query', 'Accept:header'].every(key => getUser.parameters.some(p => `${p.name}:${p.in}` === key))
+    ) && allPassed;
+    allPassed = check('Expected JSON responses become examples', getUser && getUser.responses['200'].content['application/json'].example.name === 'Alice') && allPassed;
+    allPassed = check('A templated host is stripped instead of failing', Boolean(fragment.paths['/users'] && fragment.paths['/users'].post.responses['201'])) && allPassed;
+    allPassed = check('The base URL becomes the server', fragment.servers[0].url === 'https://api.example.com') && allPassed;
+
+    // 3. cURL script
+    console.log('\n3. Testing cURL export...');
+    const script = toCurlScript('User API', configs);
+    allPassed = check('Variables can be overridden from the environment', script.includes('BASE_URL="${BASE_URL:-https://api.example.com}"')) && allPassed;
+    allPassed = check('Placeholders become shell variables', script.includes('"${BASE_URL}/api/users/${USER_ID}?fields=name"')) && allPassed;
+    allPassed = check('Shell characters in bodies are escaped', script.includes('--data-raw "{\\"name\\": \\"\\$USER\\"}"')) && allPassed;
+    allPassed = check('Expected statuses are checked', script.includes('check_status "Create \\"user\\"" 201 "$STATUS"')) && allPassed;
+    const chained = toCurlScript('Chain', [{
+      name: 'Profile',
+      method: 'GET',
+      endpoint: '/me?code={{2fa-code}}',
+      headers: { Authorization: 'Bearer {{token}}' },
+      body_type: 'none',
+      environment_vars: { base_url: 'https://api.example.com' }
+    }]);
+    allPassed = check('Variables without a value default to empty under set -u', chained.includes('TOKEN="${TOKEN:-}"') && chained.includes('"Authorization: Bearer ${TOKEN}"')) && allPassed;
+    allPassed = check('Names are made valid shell identifiers', chained.includes('_2FA_CODE="${_2FA_CODE:-}"') && chained.includes('?code=${_2FA_CODE}')) && allPassed;
+
+    // 4. Formats
+    console.log('\n4. Testing export formats...');
+    const exported = exportApiConfigs('postman', 'User API', configs);
+    allPassed = check('Files are named after the title', exported.filename === 'user-api.postman_collection.json' && exported.contentType === 'application/json') && allPassed;
+    for (const format of ['yaml', 'toString', 'constructor', '__proto__']) {
+      let rejected = false;
+      try {
+        exportApiConfigs(format, 'User API', configs);
+      } catch (error) {
+        rejected = /Unsupported export format/.test(error.message);
+      }
+      allPassed = check(`"${format}" is not a format`, rejected) && allPassed;
+    }
+
+    console.log(allPassed ? '\n🎉 All API exporter tests passed' : '\n❌ Some API exporter tests failed');
+    process.exitCode = allPassed ? 0 : 1;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+testApiExporters();
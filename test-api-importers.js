@@ -0,0 +1,221 @@
+const { detectFormat, importApiConfigs, shellSplit } = require('./backend/src/services/api-importers');
+
+// Test importing API configs from OpenAPI, Postman, HAR and cURL
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  return condition;
+}
+
+const openApiYaml = `
+openapi: 3.0.3
+info:
+  title: User API
+  version: 1.0.0
+servers:
+  - url: https://api.example.com
+paths:
+  /users/{id}:
+    parameters:
+      - name: id
+        in: path
+        required: true
+        schema:
+          type: integer
+    get:
+      summary: Get user
+      parameters:
+        - name: X-Tenant
+          in: header
+          schema:
+            type: string
+            example: acme
+        - name: fields
+          in: query
+          required: true
+          schema:
+            type: string
+      responses:
+        '200':
+          content:
+            application/json:
+              example:
+                id: 1
+                name: Alice
+        '404':
+          description: Not found
+    trace:
+      summary: Trace user
+  /users:
+    post:
+      operationId: createUser
+      requestBody:
+        content:
+          application/json:
+            schema:
+              $ref: '#/components/schemas/NewUser'
+      responses:
+        '201':
+          description: Created
+components:
+  schemas:
+    NewUser:
+      type: object
+      properties:
+        name:
+          type: string
+        admin:
+          type: boolean
+`;
+
+const postmanCollection = {
+  info: { name: 'User API', schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json' },
+  variable: [{ key: 'base_url', value: 'https://api.example.com' }, { key: 'old', value: 'x', disabled: true }],
+  item: [
+    {
+      name: 'Users',
+      item: [
+        {
+          name: 'Create user',
+          request: {
+            method: 'POST',
+            header: [
+              { key: 'Content-Type', value: 'application/json' },
+              { key: 'X-Debug', value: '1', disabled: true }
+            ],
+            body: { mode: 'raw', raw: '{"name": "Alice"}', options: { raw: { language: 'json' } } },
+            url: { raw: '{{base_url}}/users' }
+          },
+          response: [{ code: 201, body: '{"id": 1}' }]
+        }
+      ]
+    },
+    {
+      name: 'Login',
+      request: {
+        method: 'POST',
+        body: { mode: 'urlencoded', urlencoded: [{ key: 'user', value: 'alice' }, { key: 'skip', value: 'x', disabled: true }] },
+        url: { protocol: 'https', host: ['api', 'example', 'com'], path: ['login'] }
+      }
+    }
+  ]
+};
+
+const harLog = {
+  log: {
+    entries: [
+      {
+        request: {
+          method: 'GET',
+          url: 'https://api.example.com/users?page=2',
+          headers: [
+            { name: 'Accept', value: 'application/json' },
+            { name: 'Cookie', value: 'session=secret' },
+            { name: ':authority', value: 'api.example.com' }
+          ]
+        },
+        response: { status: 200, content: { mimeType: 'application/json', text: '[{"id": 1}]' } }
+      },
+      {
+        request: { method: 'GET', url: 'not a url', headers: [] },
+        response: { status: 200 }
+      }
+    ]
+  }
+};
+
+const curlCommands = `curl -X PUT 'https://api.example.com/users/1' \\
+  -H 'Content-Type: application/json' \\
+  -H "Authorization: Bearer token" \\
+  --data '{"name": "Bob"}'
+curl -u alice:secret -d 'q=search terms' -d page=2 api.example.com/search`;
+
+function rejects(label, run, pattern) {
+  let message = null;
+  try {
+    run();
+  } catch (error) {
+    message = error.message;
+  }
+  return check(label, message !== null && pattern.test(message));
+}
+
+function testApiImporters() {
+  console.log('🧪 Testing API Config Importers...\n');
+  let allPassed = true;
+
+  try {
+    // 1. OpenAPI 3
+    console.log('1. Testing OpenAPI import...');
+    const openApi = importApiConfigs('openapi', openApiYaml);
+    const getUser = openApi.configs.find(config => config.name === 'Get user');
+    const createUser = openApi.configs.find(config => config.name === 'createUser');
+    allPassed = check('YAML documents are parsed', openApi.configs.length === 2) && allPassed;
+    allPassed = check('Path templates and required query parameters become variables', getUser && getUser.endpoint === '/users/{{id}}?fields={{fields}}') && allPassed;
+    allPassed = check('Header examples are used as values', getUser && getUser.headers['X-Tenant'] === 'acme') && allPassed;
+    allPassed = check('The 2xx response sets the expected status and response', getUser && getUser.expected_status === 200 && JSON.parse(getUser.expected_response).name === 'Alice') && allPassed;
+    allPassed = check('The first server becomes the base URL', getUser && getUser.environment_vars.base_url === 'https://api.example.com') && allPassed;
+    const body = createUser && JSON.parse(createUser.body_content);
+    allPassed = check('Request bodies are built from referenced schemas', createUser && createUser.body_type === 'json' && body.name === 'string' && body.admin === false) && allPassed;
+    allPassed = check('Unsupported methods are skipped with a warning', openApi.warnings.length === 1 && openApi.warnings[0].includes('TRACE')) && allPassed;
+
+    // 2. Postman collection
+    console.log('\n2. Testing Postman import...');
+    const postman = importApiConfigs('postman', JSON.stringify(postmanCollection));
+    const [create, login] = postman.configs;
+    allPassed = check('Folder names prefix request names', create && create.name === 'Users / Create user') && allPassed;
+    allPassed = check('Disabled headers are dropped', create && create.headers['Content-Type'] === 'application/json' && !('X-Debug' in create.headers)) && allPassed;
+    allPassed = check('Saved responses set the expected status and response', create && create.expected_status === 201 && create.expected_response === '{"id": 1}') && allPassed;
+    allPassed = check('Collection variables become environment variables', create && create.environment_vars.base_url === 'https://api.example.com' && !('old' in create.environment_vars)) && allPassed;
+    allPassed = check('URL-encoded bodies become form fields', login && login.body_type === 'form' && login.body_content === JSON.stringify({ user: 'alice' }, null, 2)) && allPassed;
+    allPassed = check('Structured URLs are assembled', login && login.endpoint === 'https://api.example.com/login') && allPassed;
+
+    // 3. HAR
+    console.log('\n3. Testing HAR import...');
+    const har = importApiConfigs('har', harLog);
+    const [page] = har.configs;
+    allPassed = check('Entries keep their path and query', har.configs.length === 1 && page.endpoint === '/users?page=2') && allPassed;
+    allPassed = check('Transport and pseudo headers are dropped', page && page.headers.Accept === 'application/json' && Object.keys(page.headers).length === 1) && allPassed;
+    allPassed = check('JSON responses become the expected response', page && page.expected_status === 200 && page.expected_response === '[{"id": 1}]') && allPassed;
+    allPassed = check('Entries with invalid URLs are skipped with a warning', har.warnings.length === 1 && har.warnings[0].includes('not a url')) && allPassed;
+
+    // 4. cURL
+    console.log('\n4. Testing cURL import...');
+    const curl = importApiConfigs('curl', curlCommands);
+    const [update, search] = curl.configs;
+    allPassed = check('Each curl command becomes a config', curl.configs.length === 2) && allPassed;
+    allPassed = check('Line continuations and quotes are honoured', update && update.method === 'PUT' && update.endpoint === '/users/1' && update.headers.Authorization === 'Bearer token') && allPassed;
+    allPassed = check('JSON data keeps its body type', update && update.body_type === 'json' && update.body_content === '{"name": "Bob"}') && allPassed;
+    allPassed = check('Data without -X implies POST', search && search.method === 'POST' && search.environment_vars.base_url === 'http://api.example.com') && allPassed;
+    allPassed = check('-u becomes a Basic Authorization header', search && search.headers.Authorization === `Basic ${Buffer.from('alice:secret').toString('base64')}`) && allPassed;
+    allPassed = check('Form data is merged into fields', search && JSON.parse(search.body_content).q === 'search terms' && JSON.parse(search.body_content).page === '2') && allPassed;
+    allPassed = check('Escaped quotes stay inside double-quoted arguments', shellSplit('curl -d "say \\"hi\\""')[2] === 'say "hi"') && allPassed;
+
+    // 5. Format detection
+    console.log('\n5. Testing format detection...');
+    allPassed = check('OpenAPI is detected', detectFormat(openApiYaml) === 'openapi') && allPassed;
+    allPassed = check('Postman is detected', detectFormat(JSON.stringify(postmanCollection)) === 'postman') && allPassed;
+    allPassed = check('HAR is detected', detectFormat(harLog) === 'har') && allPassed;
+    allPassed = check('cURL is detected', detectFormat(curlCommands) === 'curl') && allPassed;
+    allPassed = check('"auto" imports with the detected format', importApiConfigs('auto', harLog).format === 'har') && allPassed;
+
+    // 6. Malformed input
+    console.log('\n6. Testing malformed input...');
+    allPassed = rejects('Empty content is rejected', () => importApiConfigs('openapi', '   '), /empty/) && allPassed;
+    allPassed = rejects('Invalid JSON and YAML is rejected', () => importApiConfigs('postman', '{"item": [}'), /neither valid JSON nor YAML/) && allPassed;
+    allPassed = rejects('Swagger 2.0 is rejected', () => importApiConfigs('openapi', { swagger: '2.0', paths: {} }), /Swagger 2\.0 is not supported/) && allPassed;
+    allPassed = rejects('A collection without items is not Postman', () => importApiConfigs('postman', { info: {} }), /Not a Postman collection/) && allPassed;
+    allPassed = rejects('A document without entries is not HAR', () => importApiConfigs('har', { log: {} }), /Not a HAR file/) && allPassed;
+    allPassed = rejects('Unterminated quotes are rejected', () => importApiConfigs('curl', "curl 'https://api.example.com"), /Unterminated quote/) && allPassed;
+    allPassed = rejects('Text without a curl command is rejected', () => importApiConfigs('curl', '  '), /No cURL command found/) && allPassed;
+    allPassed = rejects('Unknown documents cannot be detected', () => detectFormat('{"hello": "world"}'), /Could not detect import format/) && allPassed;
+    allPassed = rejects('Unknown formats are rejected', () => importApiConfigs('wsdl', openApiYaml), /Unsupported import format/) && allPassed;
+
+    console.log(allPassed ? '\n🎉 All API importer tests passed' : '\n❌ Some API importer tests failed');
+    process.exitCode = allPassed ? 0 : 1;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+testApiImporters();
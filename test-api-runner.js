@@ -0,0 +1,197 @@
+const http = require('http');
+const { runConfig, runScenario } = require('./backend/src/services/api-test-runner');
+
+// Test the server-side API test runner against a local stub HTTP server
+function startStubServer() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      if (req.method === 'GET' && req.url === '/api/users/42') {
+        res.writeHead(200, { 'Content-Type': 'application/json', 'X-Request-Id': 'stub-1' });
+        res.end(JSON.stringify({ data: { id: 42, name: 'Alice', roles: ['admin', 'writer'] } }));
+      } else if (req.method === 'POST' && req.url === '/api/login') {
+        const credentials = JSON.parse(body || '{}');
+        res.writeHead(credentials.password === 'secret' ? 200 : 401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ token: credentials.password === 'secret' ? 'abc123' : null }));
+      } else if (req.method === 'GET' && req.url === '/api/profile') {
+        const authorized = req.headers.authorization === 'Bearer abc123';
+        res.writeHead(authorized ? 200 : 401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(authorized ? { username: 'alice' } : { error: 'Unauthorized' }));
+      } else if (req.url === '/redos') {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end(`${'a'.repeat(40)}!`);
+      } else if (req.url === '/slow') {
+        setTimeout(() => {
+          res.writeHead(200, { 'Content-Type': 'text/plain' });
+          res.end('done');
+        }, 300);
+      } else {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Not found' }));
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  return condition;
+}
+
+async function testApiRunner() {
+  console.log('🧪 Testing Server-side API Test Runner...\n');
+
+  const server = await startStubServer();
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  let allPassed = true;
+  // The stub server is on loopback, which is only reachable when allowlisted
+  process.env.API_TEST_ALLOWED_HOSTS = '127.0.0.1';
+
+  try {
+    // 1. Status, JSONPath, JSON Schema, header and expected_response assertions
+    console.log('1. Testing a passing GET config...');
+    const getResult = await runConfig({
+      method: 'GET',
+      endpoint: '/api/users/{{user_id}}',
+      headers: {},
+      body_type: 'none',
+      expected_status: 200,
+      expected_response: '{"data": {"name": "Alice"}}',
+      environment_vars: { user_id: 42 },
+      assertions: [
+        { type: 'jsonpath', path: '$.data.id', operator: 'equals', value: 42 },
+        { type: 'jsonpath', path: '$.data.roles', operator: 'contains', value: 'writer' },
+        { type: 'json_schema', schema: { type: 'object', required: ['data'], properties: { data: { type: 'object', required: ['id', 'name'] } } } },
+        { type: 'header', name: 'x-request-id', operator: 'equals', value: 'stub-1' },
+        { type: 'latency', max_ms: 2000 }
+      ]
+    }, { baseUrl });
+    allPassed = check(`All ${getResult.assertions.length} assertions pass`, getResult.passed) && allPassed;
+
+    // 2. Body substitution and failing assertions
+    console.log('\n2. Testing a failing POST config...');
+    const postResult = await runConfig({
+      method: 'POST',
+      endpoint: '/api/login',
+      headers: {},
+      body_type: 'json',
+      body_content: '{"username": "alice", "password": "{{password}}"}',
+      expected_status: 200,
+      assertions: [{ type: 'jsonpath', path: 'token', operator: 'exists' }]
+    }, { baseUrl, variables: { password: 'wrong' } });
+    allPassed = check('Run is reported as failed', !postResult.passed) && allPassed;
+    allPassed = check('Status assertion reports actual 401', postResult.assertions[0].actual === 401) && allPassed;
+
+    // 3. Latency budget
+    console.log('\n3. Testing latency budget...');
+    const slowResult = await runConfig({
+      method: 'GET',
+      endpoint: '/slow',
+      expected_status: 200,
+      assertions: [{ type: 'latency', max_ms: 100 }]
+    }, { baseUrl });
+    allPassed = check('Latency assertion fails for a 300ms response', !slowResult.assertions[1].passed) && allPassed;
+
+    // 4. Transport errors are captured instead of thrown
+    console.log('\n4. Testing request timeout...');
+    const timeoutResult = await runConfig({
+      method: 'GET',
+      endpoint: '/slow',
+      expected_status: 200
+    }, { baseUrl, timeoutMs: 100 });
+    allPassed = check(`Timeout is recorded (${timeoutResult.error})`, !timeoutResult.passed && /timed out/.test(timeoutResult.error)) && allPassed;
+
+    // 5. Chained scenario: log in, capture the token, fetch the profile with it
+    console.log('\n5. Testing chained scenario with variable extraction...');
+    const login = {
+      method: 'POST',
+      endpoint: '/api/login',
+      body_type: 'json',
+      body_content: '{"username": "alice", "password": "{{password}}"}',
+      expected_status: 200,
+      extractions: [{ variable: 'token', source: 'body', path: '$.token' }]
+    };
+    const profile = {
+      method: 'GET',
+      endpoint: '/api/profile',
+      headers: { Authorization: 'Bearer {{token}}' },
+      expected_status: 200,
+      assertions: [{ type: 'jsonpath', path: '$.username', operator: 'equals', value: 'alice' }]
+    };
+    const scenario = await runScenario([login, profile], { baseUrl, variables: { password: 'secret' } });
+    allPassed = check('Token is extracted and reused by the next step', scenario.passed && scenario.variables.token === 'abc123') && allPassed;
+
+    const failedScenario = await runScenario([login, profile], { baseUrl, variables: { password: 'wrong' }, stopOnFailure: true });
+    allPassed = check('Steps after a failure are skipped', !failedScenario.passed && failedScenario.steps[1].skipped) && allPassed;
+
+    // 6. Without an allowlist, private and loopback addresses are refused
+    console.log('\n6. Testing private network protection...');
+    delete process.env.API_TEST_ALLOWED_HOSTS;
+    const port = server.address().port;
+    for (const url of [
+      `http://127.0.0.1:${port}/api/users/42`,
+      `http://[::ffff:127.0.0.1]:${port}/api/users/42`,
+      `http://2130706433:${port}/api/users/42`,
+      'http://169.254.169.254/latest/meta-data/',
+      'http://10.0.0.1/'
+    ]) {
+      const result = await runConfig({ method: 'GET', endpoint: url, expected_status: 200 });
+      allPassed = check(`${url} is refused`, !result.passed && result.request === null && /private address/.test(result.error)) && allPassed;
+    }
+    const resolvedResult = await runConfig({ method: 'GET', endpoint: `http://localhost:${port}/api/users/42`, expected_status: 200 });
+    allPassed = check(
+      `Host names resolving to loopback are refused (${resolvedResult.error})`,
+      !resolvedResult.passed && resolvedResult.response === null && /private address/.test(resolvedResult.error)
+    ) && allPassed;
+
+    process.env.API_TEST_ALLOWED_HOSTS = 'api.example.com';
+    const unlistedResult = await runConfig({ method: 'GET', endpoint: '/api/users/42', expected_status: 200 }, { baseUrl });
+    allPassed = check('Hosts outside the allowlist are refused', /not in API_TEST_ALLOWED_HOSTS/.test(unlistedResult.error)) && allPassed;
+    process.env.API_TEST_ALLOWED_HOSTS = '127.0.0.1';
+
+    // 7. `matches` patterns are capped and time-limited
+    console.log('\n7. Testing matches assertions...');
+    const matchResult = await runConfig({
+      method: 'GET',
+      endpoint: '/api/users/42',
+      expected_status: 200,
+      assertions: [
+        { type: 'jsonpath', path: '$.data.name', operator: 'matches', value: '^Al' },
+        { type: 'jsonpath', path: '$.data.name', operator: 'matches', value: '(a' },
+        { type: 'jsonpath', path: '$.data.name', operator: 'matches', value: 'A'.repeat(201) }
+      ]
+    }, { baseUrl });
+    allPassed = check('Matching pattern passes', matchResult.assertions[1].passed) && allPassed;
+    allPassed = check('Invalid pattern fails with a message', !matchResult.assertions[2].passed && /Invalid pattern/.test(matchResult.assertions[2].message)) && allPassed;
+    allPassed = check('Overlong pattern is rejected', !matchResult.assertions[3].passed && /longer than 200/.test(matchResult.assertions[3].message)) && allPassed;
+
+    const startedAt = Date.now();
+    const redosResult = await runConfig({
+      method: 'GET',
+      endpoint: '/redos',
+      expected_status: 200,
+      assertions: [{ type: 'body', operator: 'matches', value: '^(a+)+$' }]
+    }, { baseUrl });
+    allPassed = check(
+      `Catastrophic backtracking is cut off (${Date.now() - startedAt}ms)`,
+      !redosResult.assertions[1].passed && /took longer than/.test(redosResult.assertions[1].message) && Date.now() - startedAt < 2000
+    ) && allPassed;
+
+    console.log(allPassed ? '\n🎉 All API runner tests passed' : '\n❌ Some API runner tests failed');
+    process.exitCode = allPassed ? 0 : 1;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+testApiRunner();
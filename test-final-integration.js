@@ -109,8 +109,7 @@ async function testFinalIntegration() {
           title: 'Document finalTestFunction',
           description: 'Final integration test task',
           code_annotator_id: codeAuthor.id,
-          writer1_id: docAuthor.id,
-          writer2_id: teamMember.id,
+          writer_ids: [docAuthor.id, teamMember.id],
           deadline: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString()
         };
         
@@ -0,0 +1,72 @@
+const { lintMarkdown, validateLinks, measureReadability } = require('./backend/src/services/markdown-analysis');
+
+// Test the line-level markdown checks used by the quality pipeline and editor
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  return condition;
+}
+
+const rulesAt = (issues, rule) => issues.filter(issue => issue.rule === rule).map(issue => issue.line);
+
+function testMarkdownAnalysis() {
+  console.log('🧪 Testing Markdown Analysis...\n');
+  let allPassed = true;
+
+  // 1. Structure
+  console.log('1. Testing markdown structure lint...');
+  const structure = [
+    '# Title',
+    '',
+    '## Overview',
+    'Text.',
+    '',
+    '#### Details',
+    'More text.',
+    '',
+    '## Empty',
+    '',
+    '## Code',
+    '```python',
+    '# not a heading',
+    'print(1)'
+  ].join('\n');
+  const lint = lintMarkdown(structure);
+  allPassed = check('Heading level jump is reported on its line', rulesAt(lint.issues, 'heading-increment').join() === '6') && allPassed;
+  allPassed = check('Empty section is reported', rulesAt(lint.issues, 'empty-section').join() === '9') && allPassed;
+  allPassed = check('Unclosed fence is an error at the opening line', lint.issues.some(issue => issue.rule === 'unclosed-fence' && issue.line === 12 && issue.severity === 'error')) && allPassed;
+  allPassed = check('Headings inside code are ignored', lint.headings === 5) && allPassed;
+
+  // 2. Links, anchors and images
+  console.log('\n2. Testing link and image validation...');
+  const links = [
+    '## Getting Started',
+    'See [start](#getting-started), [missing](#nowhere) and [docs][ref].',
+    '![diagram](https://example.com/flow.png) ![](https://example.com/a.png)',
+    '[bad](javascript:alert(1)) ![local](images/flow.png) `[code](#ignored)`',
+    '',
+    '[ref]: https://example.com/docs'
+  ].join('\n');
+  const linkResult = validateLinks(links, { imageExtensions: ['png'] });
+  allPassed = check('Valid anchor and reference pass', !linkResult.issues.some(issue => issue.line === 2 && issue.column === 5)) && allPassed;
+  allPassed = check('Broken anchor is an error', rulesAt(linkResult.issues, 'broken-anchor').join() === '2') && allPassed;
+  allPassed = check('Missing alt text is reported', rulesAt(linkResult.issues, 'image-alt').join() === '3') && allPassed;
+  allPassed = check('Unsupported scheme is rejected', rulesAt(linkResult.issues, 'invalid-url').join() === '4') && allPassed;
+  allPassed = check('Relative image path is reported', rulesAt(linkResult.issues, 'relative-path').join() === '4') && allPassed;
+  allPassed = check('Links in inline code are ignored', linkResult.links === 4) && allPassed;
+  allPassed = check('Undefined reference is reported', validateLinks('[x][nope]').issues[0]?.rule === 'undefined-reference') && allPassed;
+
+  // 3. Readability
+  console.log('\n3. Testing readability...');
+  const english = measureReadability('The cat sat on the mat. It was a good day.');
+  allPassed = check('Simple English scores as easy', english.english.flesch_reading_ease > 80) && allPassed;
+  const long = measureReadability(`Intro.\n\nFirst line of a long sentence ${'word '.repeat(40)}ends here.`, { maxSentenceWords: 35 });
+  allPassed = check('Long English sentence is reported at its line', rulesAt(long.issues, 'long-sentence').join() === '3') && allPassed;
+  const chinese = measureReadability(`简短的句子。\n${'这是一个很长的句子'.repeat(10)}。`, { maxSentenceChars: 80 });
+  allPassed = check('Chinese sentences are measured in characters', chinese.chinese.sentences === 2 && rulesAt(chinese.issues, 'long-sentence').join() === '2') && allPassed;
+  allPassed = check('Code blocks are not prose', measureReadability('```\nconst x = 1. y = 2.\n```').english === null) && allPassed;
+
+  console.log(allPassed ? '\n🎉 All markdown analysis tests passed' : '\n❌ Some markdown analysis tests failed');
+  process.exitCode = allPassed ? 0 : 1;
+}
+
+testMarkdownAnalysis();
@@ -95,8 +95,7 @@ async function testMergedInterface() {
           title: 'Document validateUserInput Function',
           description: 'Create comprehensive documentation for the validateUserInput function',
           code_annotator_id: codeAuthor.id,
-          writer1_id: docAuthor.id,
-          writer2_id: teamMember.id,
+          writer_ids: [docAuthor.id, teamMember.id],
           deadline: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString()
         }, adminToken);
         
@@ -0,0 +1,72 @@
+const { endpointPath, compileRoutes, matchRoute, buildMockResponse } = require('./backend/src/services/mock-server');
+const { escapeRegExp } = require('./backend/src/services/regexp');
+
+// Test serving API configs as a mock API
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  return condition;
+}
+
+const configs = [
+  { name: 'Get user', method: 'GET', endpoint: '{{base_url}}/api/users/{{id}}?verbose=1', expected_status: 200, expected_response: '{"id": "{{id}}", "tab": "{{tab}}"}' },
+  { name: 'Current user', method: 'GET', endpoint: 'https://api.example.com/api/users/me', expected_status: 200, expected_response: '{"id": "me"}' },
+  { name: 'Delete user', method: 'DELETE', endpoint: '/api/users/:id', expected_status: 204, expected_response: '' },
+  { name: 'File', method: 'GET', endpoint: '/files/{name}/raw', expected_status: 200, expected_response: 'file {{name}}' }
+];
+
+function testMockServer() {
+  console.log('🧪 Testing Mock Server...\n');
+  let allPassed = true;
+
+  try {
+    // 1. Endpoints become path templates
+    console.log('1. Testing endpoint paths...');
+    allPassed = check('Base URL variables and query strings are dropped', endpointPath(configs[0].endpoint) === '/api/users/{{id}}') && allPassed;
+    allPassed = check('Scheme and host are dropped', endpointPath(configs[1].endpoint) === '/api/users/me') && allPassed;
+    allPassed = check('Trailing slashes are dropped', endpointPath('users/') === '/users') && allPassed;
+
+    // 2. Matching requests
+    console.log('\n2. Testing route matching...');
+    const routes = compileRoutes(configs);
+    const byId = matchRoute(routes, 'get', '/api/users/42');
+    allPassed = check('{{name}} parameters are captured', byId.match && byId.match.route.config.name === 'Get user' && byId.match.params.id === '42') && allPassed;
+    const me = matchRoute(routes, 'GET', '/api/users/me');
+    allPassed = check('Literal paths win over parameters', me.match && me.match.route.config.name === 'Current user') && allPassed;
+    const file = matchRoute(routes, 'GET', '/files/a%2Fb.txt/raw');
+    allPassed = check('Encoded slashes stay inside one parameter', file.match && file.match.params.name === 'a/b.txt') && allPassed;
+    const wrongMethod = matchRoute(routes, 'PUT', '/api/users/42');
+    allPassed = check('Other methods on a known path are listed', !wrongMethod.match && wrongMethod.allowed.join() === 'GET,DELETE') && allPassed;
+    allPassed = check('Unknown paths match nothing', matchRoute(routes, 'GET', '/nothing').allowed.length === 0) && allPassed;
+    const malformed = matchRoute(routes, 'GET', '/api/users/%E0%A4%A');
+    allPassed = check('Malformed percent-encoding matches nothing instead of throwing', !malformed.match && malformed.allowed.length === 0) && allPassed;
+    allPassed = check('Regex characters in literal segments are matched literally', !matchRoute(compileRoutes([{ method: 'GET', endpoint: '/a.b' }]), 'GET', '/axb').match) && allPassed;
+
+    // 3. Responses
+    console.log('\n3. Testing mock responses...');
+    const response = buildMockResponse(configs[0], { id: '42', tab: 'posts' });
+    allPassed = check('Path and query values are echoed into JSON', response.status === 200 && response.json.id === '42' && response.json.tab === 'posts') && allPassed;
+    const text = buildMockResponse(configs[3], { name: 'notes.md' });
+    allPassed = check('Non-JSON responses are served as text', text.json === undefined && text.text === 'file notes.md') && allPassed;
+    const empty = buildMockResponse(configs[2]);
+    allPassed = check('Empty responses keep their status', empty.status === 204 && empty.text === '') && allPassed;
+    const quoted = buildMockResponse(configs[0], { id: '42", "admin": true, "x": "', tab: 'say "hi"' });
+    allPassed = check('Quotes in values stay inside the JSON string', quoted.json && quoted.json.id === '42", "admin": true, "x": "' && !('admin' in quoted.json) && quoted.json.tab === 'say "hi"') && allPassed;
+    const unquoted = { expected_status: 200, expected_response: '{"id": {{id}}}' };
+    allPassed = check('Unquoted placeholders become JSON values', buildMockResponse(unquoted, { id: '42' }).json.id === 42) && allPassed;
+    const injected = buildMockResponse(unquoted, { id: '1, "admin": true' });
+    allPassed = check('Unquoted placeholders cannot add keys', injected.json === undefined) && allPassed;
+
+    // 4. Shared escaping
+    console.log('\n4. Testing RegExp escaping...');
+    const special = 'a.b*c+d?e^f$g{h}i(j)k|l[m]n\\o';
+    allPassed = check('Every special character is escaped', new RegExp(`^${escapeRegExp(special)}$`).test(special)) && allPassed;
+
+    console.log(allPassed ? '\n🎉 All mock server tests passed' : '\n❌ Some mock server tests failed');
+    process.exitCode = allPassed ? 0 : 1;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+testMockServer();
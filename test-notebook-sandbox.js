@@ -0,0 +1,170 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { executeNotebook, ISOLATION } = require('./backend/src/services/notebook-executor');
+const { fromIpynb, toIpynb, buildCellScript, applyRunOutputs, cellsToContent, mergeContentIntoCells } = require('./backend/src/services/notebook-cells');
+const { splitStatements, parseScript } = require('./backend/src/services/notebook-sql-runner');
+
+// Test the notebook sandbox: output capture, error reporting and limits
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  return condition;
+}
+
+async function testNotebookSandbox() {
+  console.log('🧪 Testing Notebook Sandbox...\n');
+  let allPassed = true;
+
+  try {
+    console.log('1. Testing JavaScript execution...');
+    const js = await executeNotebook('javascript', 'console.log([1, 2, 3].map(n => n * 2).join(","))');
+    allPassed = check('stdout is captured', js.status === 'success' && js.stdout === '2,4,6\n') && allPassed;
+
+    const jsError = await executeNotebook('javascript', 'throw new Error("boom")');
+    allPassed = check('Errors set a non-zero exit code', jsError.status === 'error' && /boom/.test(jsError.stderr)) && allPassed;
+
+    const jsNetwork = await executeNotebook('javascript', 'this.constructor.constructor("return process")().mainModule.require("http")');
+    allPassed = check('Network modules are blocked', jsNetwork.status === 'error' && /not available/.test(jsNetwork.stderr)) && allPassed;
+
+    const jsEnv = await executeNotebook('javascript', 'console.log(this.constructor.constructor("return process")().env.JWT_SECRET)');
+    allPassed = check('Server environment is not visible', jsEnv.stdout === 'undefined\n') && allPassed;
+
+    console.log('\n2. Testing Python execution...');
+    const py = await executeNotebook('python', 'print(sum(range(10)))');
+    allPassed = check('stdout is captured', py.status === 'success' && py.stdout === '45\n') && allPassed;
+
+    const pyNetwork = await executeNotebook('python', 'import socket\nsocket.create_connection(("example.com", 80))');
+    allPassed = check('Sockets are disabled', pyNetwork.status === 'error' && /PermissionError/.test(pyNetwork.stderr)) && allPassed;
+
+    const pyMemory = await executeNotebook('python', 'data = bytearray(2 * 1024 * 1024 * 1024)');
+    allPassed = check('Memory limit is enforced', pyMemory.status === 'error' && /MemoryError/.test(pyMemory.stderr)) && allPassed;
+
+    // Escapes from the runners' own guards must still hit the OS-level isolation
+    console.log('\n2b. Testing isolation against sandbox escapes...');
+    if (ISOLATION === 'none') {
+      console.log('⚠️  NOTEBOOK_ISOLATION=none, skipping');
+    } else {
+      let connections = 0;
+      const server = net.createServer(socket => {
+        connections++;
+        socket.destroy();
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      const { port } = server.address();
+
+      const jsEscape = await executeNotebook('javascript', `
+        const net = this.constructor.constructor('return process')().getBuiltinModule('net');
+        const socket = net.connect(${port}, '127.0.0.1', () => console.log('connected'));
+        socket.on('error', error => console.log(error.code));
+      `);
+      allPassed = check('Builtin modules reached through process cannot connect', !/connected/.test(jsEscape.stdout)) && allPassed;
+
+      const pyRawSocket = await executeNotebook('python', `import socket
+s = socket._socket.socket()
+s.connect(("127.0.0.1", ${port}))
+print("connected")`);
+      allPassed = check('Raw _socket sockets cannot connect', !/connected/.test(pyRawSocket.stdout) && pyRawSocket.status === 'error') && allPassed;
+
+      const outsideFile = path.join(os.tmpdir(), `sandbox-wrote-${process.pid}.txt`);
+      const pyCtypes = await executeNotebook('python', [
+        'import ctypes',
+        'libc = ctypes.CDLL(None)',
+        `print("open", libc.open(${JSON.stringify(outsideFile)}.encode(), 0o101, 0o644))`,
+        'print("fork", libc.fork())'
+      ].join('\n'));
+      allPassed = check('libc through ctypes cannot write outside the work dir or fork',
+        /open -1/.test(pyCtypes.stdout) && /fork -1/.test(pyCtypes.stdout) && !fs.existsSync(outsideFile)) && allPassed;
+
+      const pyRead = await executeNotebook('python', `print(open(${JSON.stringify(path.resolve(__dirname, 'backend', 'package.json'))}).read())`);
+      allPassed = check('Server files are not readable', pyRead.status === 'error' && !/codepedia-backend/.test(pyRead.stdout)) && allPassed;
+
+      const pyWrite = await executeNotebook('python', `open(${JSON.stringify(outsideFile)}, "w").write("x")`);
+      allPassed = check('Files outside the work dir cannot be written', pyWrite.status === 'error' && !fs.existsSync(outsideFile)) && allPassed;
+
+      const pyWork = await executeNotebook('python', 'open("scratch.txt", "w").write("ok")\nprint(open("scratch.txt").read())');
+      allPassed = check('The work dir stays writable', pyWork.status === 'success' && pyWork.stdout === 'ok\n') && allPassed;
+
+      allPassed = check('No connection reached the host', connections === 0) && allPassed;
+      server.close();
+    }
+
+    console.log('\n3. Testing unsupported languages...');
+    try {
+      await executeNotebook('bash', 'echo hi');
+      allPassed = check('bash is rejected', false) && allPassed;
+    } catch (error) {
+      allPassed = check('bash is rejected', error.code === 'UNSUPPORTED_LANGUAGE') && allPassed;
+    }
+
+    console.log('\n4. Testing cell-based notebooks...');
+    const ipynb = {
+      cells: [
+        { cell_type: 'markdown', id: 'intro', metadata: {}, source: ['# Sum demo\n', 'Adds numbers.'] },
+        { cell_type: 'code', id: 'define', metadata: { tags: ['setup'] }, execution_count: 1, outputs: [], source: ['total = sum(range(5))\n', 'print(total)'] },
+        { cell_type: 'code', id: 'reuse', metadata: {}, execution_count: 2, outputs: [], source: ['print(total * 2)'] }
+      ],
+      metadata: { kernelspec: { name: 'python3', display_name: 'Python 3', language: 'python' }, language_info: { name: 'python' } },
+      nbformat: 4,
+      nbformat_minor: 5
+    };
+    const imported = fromIpynb(JSON.stringify(ipynb));
+    const exported = toIpynb({ ...imported, notebook_metadata: imported.metadata });
+    allPassed = check('.ipynb import/export round-trips', JSON.stringify(exported) === JSON.stringify(ipynb)) && allPassed;
+
+    const marker = '__TEST_CELL';
+    const cellRun = await executeNotebook('python', buildCellScript('python', imported.cells, marker));
+    const cells = applyRunOutputs(imported.cells, cellRun, marker);
+    allPassed = check('Cells share state and get their own outputs',
+      cells[1].outputs[0].text.join('') === '10\n' && cells[2].outputs[0].text.join('') === '20\n') && allPassed;
+
+    const unterminated = [
+      { cell_type: 'code', id: 'partial', source: "print('no newline', end='')" },
+      { cell_type: 'code', id: 'after', source: "print('next')" }
+    ];
+    const unterminatedRun = await executeNotebook('python', buildCellScript('python', unterminated, marker));
+    const unterminatedCells = applyRunOutputs(unterminated, unterminatedRun, marker);
+    allPassed = check('Output without a trailing newline stays with its cell',
+      unterminatedCells[0].outputs[0]?.text.join('') === 'no newline' && unterminatedCells[1].outputs[0]?.text.join('') === 'next\n') && allPassed;
+
+    const asyncCells = [
+      { cell_type: 'code', id: 'timer', source: "setTimeout(() => console.log('late'), 50)" },
+      { cell_type: 'code', id: 'awaited', source: "(async () => { await new Promise(resolve => setTimeout(resolve, 20)); console.error('awaited') })()" },
+      { cell_type: 'code', id: 'sync', source: "console.log('now')" }
+    ];
+    const asyncRun = await executeNotebook('javascript', buildCellScript('javascript', asyncCells, marker));
+    const asyncOutputs = applyRunOutputs(asyncCells, asyncRun, marker);
+    allPassed = check('Asynchronous JavaScript output goes to the cell that scheduled it',
+      asyncOutputs[0].outputs[0]?.text.join('') === 'late\n' &&
+      asyncOutputs[1].outputs[0]?.name === 'stderr' && asyncOutputs[1].outputs[0].text.join('') === 'awaited\n' &&
+      asyncOutputs[2].outputs.length === 1 && asyncOutputs[2].outputs[0].text.join('') === 'now\n') && allPassed;
+
+    const unchanged = mergeContentIntoCells(imported.cells, cellsToContent(imported.cells));
+    allPassed = check('Saving unchanged content keeps every cell', unchanged === imported.cells) && allPassed;
+    const merged = mergeContentIntoCells(imported.cells, 'print(42)');
+    allPassed = check('Saving new content keeps markdown cells',
+      merged.length === 2 && merged[0].id === 'intro' && merged[1].cell_type === 'code' && merged[1].source === 'print(42)') && allPassed;
+
+    console.log('\n5. Testing SQL statement checks...');
+    const statements = splitStatements("CREATE TABLE t (v text);\nINSERT INTO t VALUES ('a;b'), ($$c;d$$); /* ; */ SELECT * FROM t");
+    allPassed = check('Statements split on top-level semicolons only',
+      statements.length === 3 && statements[2].text === 'SELECT * FROM t' && statements[2].line === 2) && allPassed;
+
+    for (const sql of ['COMMIT', 'select 1; rollback', '/* /* */ */ SET ROLE postgres', 'COPY t TO STDOUT']) {
+      try {
+        parseScript(sql);
+        allPassed = check(`"${sql}" is rejected`, false) && allPassed;
+      } catch (error) {
+        allPassed = check(`"${sql}" is rejected`, error.code === 'SQL_STATEMENT_NOT_ALLOWED') && allPassed;
+      }
+    }
+
+    console.log(allPassed ? '\n🎉 All notebook sandbox tests passed' : '\n❌ Some notebook sandbox tests failed');
+    process.exitCode = allPassed ? 0 : 1;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+testNotebookSandbox();
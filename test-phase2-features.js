@@ -118,8 +118,7 @@ async function testPhase2Features() {
       title: 'Document getUserProfile API',
       description: 'Create comprehensive documentation for getUserProfile function',
       code_annotator_id: codeAuthor.id,
-      writer1_id: docAuthor1.id,
-      writer2_id: teamMember.id,
+      writer_ids: [docAuthor1.id, teamMember.id],
       deadline: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString()
     }, adminToken);
     
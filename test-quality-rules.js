@@ -0,0 +1,162 @@
+const {
+  registerRule,
+  listRules,
+  validateRuleOverrides,
+  resolveConfig,
+  runQualityChecks,
+  summarizeChecks
+} = require('./backend/src/services/quality-rules');
+
+// Test the quality rule registry: registration, category overrides and running checks
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  return condition;
+}
+
+function throws(fn, pattern) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return pattern.test(error.message);
+  }
+}
+
+// Config with only the given rules enabled, so the built-in rules stay out of the way
+function onlyRules(ruleIds, categoryConfigs = []) {
+  const config = resolveConfig(categoryConfigs);
+  for (const [ruleId, settings] of Object.entries(config.rules)) {
+    settings.enabled = settings.enabled && ruleIds.includes(ruleId);
+  }
+  return config;
+}
+
+// Stand-in for the database holding the task's code annotations
+function annotationDb(rows) {
+  return { query: async () => ({ rows }) };
+}
+
+const annotations = [
+  { file_paths: ['./src/services/user.js', 'lib/db.js'], key_methods: ['UserService.createUser'] },
+  { file_paths: ['lib/db.js'], key_methods: ['hashPassword()'] }
+];
+
+async function runCoverage(document, notebooks, categoryConfigs = [], rows = annotations) {
+  const checks = await runQualityChecks(
+    { document: { task_id: 'task-1', ...document }, notebooks, db: annotationDb(rows) },
+    onlyRules(['annotation_coverage'], categoryConfigs)
+  );
+  return checks[0];
+}
+
+async function testQualityRules() {
+  console.log('🧪 Testing Quality Rule Registry...\n');
+  let allPassed = true;
+
+  try {
+    // 1. Registration
+    console.log('1. Testing rule registration...');
+    registerRule({
+      id: 'test_passes',
+      title: 'Always passes',
+      group: 'Test',
+      severity: 'warning',
+      defaults: { minimum: 3, words: ['alpha'] },
+      check: (context, params) => ({ status: 'pass', message: `minimum ${params.minimum}`, score: 100 })
+    });
+    registerRule({
+      id: 'test_throws',
+      title: 'Always throws',
+      group: 'Test',
+      severity: 'error',
+      check: async () => {
+        throw new Error('lookup failed');
+      }
+    });
+    registerRule({ id: 'test_skips', title: 'Never applies', group: 'Test', severity: 'warning', check: () => null });
+    allPassed = check('Registered rules are listed', ['test_passes', 'test_throws', 'test_skips'].every(id => listRules().some(rule => rule.id === id))) && allPassed;
+    allPassed = check('Rules need a check function', throws(() => registerRule({ id: 'test_broken', severity: 'error' }), /check function/)) && allPassed;
+    allPassed = check('Rules need a known severity', throws(() => registerRule({ id: 'test_bad', severity: 'fatal', check: () => null }), /invalid severity/)) && allPassed;
+    allPassed = check('Rule ids are unique', throws(() => registerRule({ id: 'test_passes', severity: 'error', check: () => null }), /already registered/)) && allPassed;
+
+    // 2. Category overrides
+    console.log('\n2. Testing category overrides...');
+    allPassed = check('Valid overrides are accepted', !throws(() => validateRuleOverrides({ test_passes: { enabled: false, severity: 'error', params: { minimum: 5 } } }), /./)) && allPassed;
+    allPassed = check('Unknown rules are rejected', throws(() => validateRuleOverrides({ test_missing: {} }), /Unknown quality rule/)) && allPassed;
+    allPassed = check('Unknown parameters are rejected', throws(() => validateRuleOverrides({ test_passes: { params: { maximum: 1 } } }), /no parameter "maximum"/)) && allPassed;
+    allPassed = check('Parameters keep the default type', throws(() => validateRuleOverrides({ test_passes: { params: { minimum: 'many' } } }), /must be a number/)) && allPassed;
+    allPassed = check('Array parameters keep the item type', throws(() => validateRuleOverrides({ test_passes: { params: { words: [1] } } }), /must be an array/)) && allPassed;
+
+    const config = resolveConfig([
+      { category_id: 'root', rules: { test_passes: { params: { minimum: 5 } } }, min_submit_score: 70 },
+      { category_id: 'leaf', rules: { test_passes: { severity: 'error' }, test_removed: { enabled: false } }, min_submit_score: null }
+    ]);
+    const passes = config.rules.test_passes;
+    allPassed = check('Descendant settings merge over ancestors', passes.severity === 'error' && passes.params.minimum === 5 && passes.params.words[0] === 'alpha') && allPassed;
+    allPassed = check('The deepest category is the source', passes.source === 'leaf') && allPassed;
+    allPassed = check('Minimum score comes from the nearest category that sets it', config.min_submit_score === 70 && config.min_submit_score_source === 'root') && allPassed;
+    allPassed = check('Settings for removed rules are ignored', !('test_removed' in config.rules)) && allPassed;
+
+    // 3. Running checks
+    console.log('\n3. Testing rule runs...');
+    const originalError = console.error;
+    console.error = () => {};
+    let checks;
+    try {
+      checks = await runQualityChecks({ document: {} }, onlyRules(['test_passes', 'test_throws', 'test_skips']));
+    } finally {
+      console.error = originalError;
+    }
+    allPassed = check('Rules that do not apply are left out', checks.length === 2 && !checks.some(item => item.type === 'test_skips')) && allPassed;
+    allPassed = check('Params reach the rule', checks[0].status === 'pass' && checks[0].message === 'minimum 3') && allPassed;
+    const failed = checks.find(item => item.type === 'test_throws');
+    allPassed = check('A rule that throws is reported as failed', failed && failed.status === 'error' && failed.score === 0) && allPassed;
+    allPassed = check('The failure carries the error', failed && /lookup failed/.test(failed.message) && failed.details.error === 'lookup failed') && allPassed;
+
+    const summary = summarizeChecks(checks, onlyRules([]));
+    allPassed = check('A failed rule blocks submission', !summary.can_submit && summary.blocking_issues.length === 1) && allPassed;
+
+    console.error = () => {};
+    let warningChecks;
+    try {
+      warningChecks = await runQualityChecks({ document: {} }, onlyRules(['test_throws'], [
+        { category_id: 'root', rules: { test_throws: { severity: 'warning' } } }
+      ]));
+    } finally {
+      console.error = originalError;
+    }
+    allPassed = check('A failed warning rule does not block submission', warningChecks.length === 1 && warningChecks[0].status === 'warning') && allPassed;
+
+    // 4. Annotation coverage thresholds
+    console.log('\n4. Testing annotation coverage...');
+    const half = { title: 'Users', content: 'user.js calls createUser() and checks createuser.' };
+    const atDefault = await runCoverage(half, []);
+    allPassed = check('Half the annotated items meet the default 50% minimum with a warning', atDefault.status === 'warning' && atDefault.score === 50) && allPassed;
+    allPassed = check('Duplicate annotations are counted once', atDefault.details.files_total === 2 && atDefault.details.methods_total === 2) && allPassed;
+    allPassed = check('Method names are matched case-sensitively', atDefault.details.uncovered.some(item => item.value === 'hashPassword()')) && allPassed;
+
+    const strict = await runCoverage(half, [], [{ category_id: 'root', rules: { annotation_coverage: { params: { min_coverage: 75 } } } }]);
+    allPassed = check('Coverage below a raised minimum fails', strict.status === 'error' && /minimum 75%/.test(strict.message)) && allPassed;
+
+    const lenient = await runCoverage({ title: 'Users', content: 'See db.js.' }, [], [{ category_id: 'root', rules: { annotation_coverage: { params: { min_coverage: 25 } } } }]);
+    allPassed = check('Coverage at a lowered minimum passes with a warning', lenient.status === 'warning' && lenient.score === 25) && allPassed;
+    const belowDefault = await runCoverage({ title: 'Users', content: 'See db.js.' }, []);
+    allPassed = check('The same coverage fails the default minimum', belowDefault.status === 'error' && belowDefault.score === 25) && allPassed;
+
+    const notebooks = [{ title: 'Script', cells: [{ cell_type: 'markdown', source: 'Walk through lib/db.js and hashPassword' }] }];
+    const full = await runCoverage(half, notebooks);
+    allPassed = check('Notebook markdown counts towards full coverage', full.status === 'pass' && full.score === 100) && allPassed;
+    allPassed = check('Covered items list where they are explained', full.details.covered.some(item => item.value === 'hashPassword()' && item.found_in[0] === 'notebook: Script')) && allPassed;
+
+    const unannotated = await runCoverage(half, [], [], []);
+    allPassed = check('Tasks without annotations are not measured', unannotated === undefined) && allPassed;
+
+    console.log(allPassed ? '\n🎉 All quality rule tests passed' : '\n❌ Some quality rule tests failed');
+    process.exitCode = allPassed ? 0 : 1;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+testQualityRules();
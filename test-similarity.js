@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('./backend/src/config/database');
+const { tokenize, compareTexts, fingerprint, estimateJaccard } = require('./backend/src/services/similarity');
+const { analyzeTask } = require('./backend/src/services/similarity-analysis');
+
+// Test shingle-based similarity detection between submissions
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  return condition;
+}
+
+// Columns of entry_submissions as created by the phase 3 migration
+function entrySubmissionColumns() {
+  const sql = fs.readFileSync(path.join(__dirname, 'backend/src/database/phase3_migration.sql'), 'utf8');
+  const table = sql.match(/CREATE TABLE IF NOT EXISTS entry_submissions \(([\s\S]*?)\n\);/)[1];
+  return new Set(table.split('\n')
+    .map(line => line.trim().match(/^([a-z_]+)\s+[A-Z]/))
+    .filter(Boolean)
+    .map(match => match[1]));
+}
+
+// Stand-in for the database: answers the analysis queries for one task and
+// records every statement it was sent
+function stubDatabase(submissions) {
+  const statements = [];
+  db.query = async (text, params) => {
+    statements.push(text);
+    if (/FROM entry_submissions es/.test(text) && /WHERE ed\.task_id = \$1/.test(text)) {
+      return { rows: submissions };
+    }
+    if (/INSERT INTO similarity_reports/.test(text)) {
+      const [task_id, submission_a_id, submission_b_id, comparison_type, source_type, trigger, similarity, jaccard, containment_a, containment_b, is_flagged, passages] = params;
+      return { rows: [{ task_id, submission_a_id, submission_b_id, comparison_type, source_type, trigger, similarity, jaccard, containment_a, containment_b, is_flagged, passages }] };
+    }
+    if (/FROM users WHERE role = 'admin'/.test(text)) {
+      return { rows: [{ id: 'admin-1' }] };
+    }
+    return { rows: [] };
+  };
+  return statements;
+}
+
+async function testSimilarity() {
+  console.log('🧪 Testing Submission Similarity Detection...\n');
+  let allPassed = true;
+
+  const original = 'Quicksort picks a pivot element and partitions the array so that smaller elements come before the pivot and larger ones after it, then recursively sorts the partitions. Its average complexity is n log n.';
+  const copied = `## Overview\n\n${original.replace('Quicksort', 'QuickSort')}\n\nStability is discussed in the next section.`;
+  const independent = 'Merge sort divides the input into two halves, sorts each half recursively and merges the sorted halves back together in linear time.';
+
+  // 1. Tokenization keeps offsets and splits CJK text per character
+  console.log('1. Testing tokenization...');
+  const tokens = tokenize('Hello, 快速排序 world');
+  allPassed = check('Words and CJK characters become tokens', tokens.map(token => token.value).join(' ') === 'hello 快 速 排 序 world') && allPassed;
+  allPassed = check('Token offsets point into the source text', tokens[5].start === 12 && tokens[5].end === 17) && allPassed;
+
+  // 2. Copied passages are detected and located in both texts
+  console.log('\n2. Testing copied content...');
+  const copyResult = compareTexts(original, copied);
+  allPassed = check('Embedded copy is fully contained', copyResult.containment_a === 1 && copyResult.similarity === 1) && allPassed;
+  allPassed = check('Longer text is only partly shared', copyResult.containment_b < 1) && allPassed;
+  const passage = copyResult.passages[0];
+  allPassed = check(
+    'Passage offsets match in both texts',
+    passage && original.slice(passage.a_start, passage.a_end).toLowerCase() === copied.slice(passage.b_start, passage.b_end).toLowerCase()
+  ) && allPassed;
+
+  // 3. Independent writing is not flagged
+  console.log('\n3. Testing independent content...');
+  const independentResult = compareTexts(original, independent);
+  allPassed = check('Unrelated texts share no shingles', independentResult.similarity === 0 && independentResult.passages.length === 0) && allPassed;
+  allPassed = check('Texts shorter than a shingle compare as 0', compareTexts('short text', 'short text').similarity === 0) && allPassed;
+
+  // 4. Chinese text
+  console.log('\n4. Testing Chinese content...');
+  const chinese = '快速排序选择一个基准元素，然后将数组划分为两部分，较小的元素放在前面，较大的放在后面。';
+  const chineseResult = compareTexts(`前言。${chinese}`, `${chinese}结束语。`);
+  allPassed = check('Copied Chinese sentences are detected', chineseResult.similarity > 0.8) && allPassed;
+
+  // 5. MinHash estimates used to pre-filter completed entries
+  console.log('\n5. Testing MinHash signatures...');
+  const originalPrint = fingerprint(original);
+  allPassed = check('Identical texts have identical signatures', estimateJaccard(originalPrint.signature, fingerprint(original).signature) === 1) && allPassed;
+  allPassed = check('Copies share signature values', estimateJaccard(originalPrint.signature, fingerprint(copied).signature) > 0.3) && allPassed;
+  allPassed = check('Unrelated texts share none', estimateJaccard(originalPrint.signature, fingerprint(independent).signature) === 0) && allPassed;
+
+  // 6. Task analysis against a stubbed database
+  console.log('\n6. Testing task analysis queries...');
+  const statements = stubDatabase([
+    { id: 'sub-1', submitted_by: 'writer-1', task_id: 'task-1', submission_content: { document: { content: original } } },
+    { id: 'sub-2', submitted_by: 'writer-2', task_id: 'task-1', submission_content: { document: { content: copied } } }
+  ]);
+  let summary = null;
+  try {
+    summary = await analyzeTask('task-1', 'manual');
+  } catch (error) {
+    console.log(`   analyzeTask failed: ${error.message}`);
+  }
+  allPassed = check('Task analysis completes', summary !== null) && allPassed;
+  allPassed = check('Copied peer document is flagged', summary && summary.flagged === 1 && summary.compared === 2) && allPassed;
+  allPassed = check('Admins are notified', statements.some(text => /INSERT INTO task_notifications/.test(text))) && allPassed;
+
+  const columns = entrySubmissionColumns();
+  const unknown = statements
+    .flatMap(text => [...text.matchAll(/\bes\.([a-z_]+)/g)].map(match => match[1]))
+    .filter(column => !columns.has(column));
+  allPassed = check('Queries only use existing entry_submissions columns', columns.has('submitted_at') && unknown.length === 0) && allPassed;
+  allPassed = check(
+    'Task submissions are ordered by submission time',
+    statements.some(text => /WHERE ed\.task_id = \$1\s+ORDER BY es\.submitted_at/.test(text))
+  ) && allPassed;
+
+  console.log(allPassed ? '\n🎉 All similarity tests passed' : '\n❌ Some similarity tests failed');
+  process.exitCode = allPassed ? 0 : 1;
+}
+
+testSimilarity();
@@ -0,0 +1,60 @@
+const { checkSpelling } = require('./backend/src/services/spelling');
+const { findTerminologyIssues, closestTerm, glossaryWords } = require('./backend/src/services/glossary');
+
+// Test offline spell checking and glossary enforcement
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  return condition;
+}
+
+const glossary = [
+  { term: 'Codepedia', variants: ['Code Pedia', 'CodePedia'], case_sensitive: true },
+  { term: 'GitHub', variants: [], case_sensitive: true },
+  { term: 'PostgreSQL', variants: ['Postgre SQL'], case_sensitive: false }
+];
+
+async function testSpelling() {
+  console.log('🧪 Testing Spelling & Terminology...\n');
+  let allPassed = true;
+
+  try {
+    // 1. Dictionary spelling
+    console.log('1. Testing spell checking...');
+    const content = [
+      'We recieve the data and store it.',
+      'Call `recieveData()` with user_name, getUserName or README.md over HTTP.',
+      '```',
+      'teh code is not prose',
+      '```'
+    ].join('\n');
+    const spelling = await checkSpelling(content);
+    allPassed = check('Misspelling is found with its position', spelling.length === 1 && spelling[0].line === 1 && spelling[0].column === 4) && allPassed;
+    allPassed = check('Dictionary suggestions are offered', spelling[0]?.suggestions[0] === 'receive') && allPassed;
+    allPassed = check('Code, identifiers and acronyms are skipped', !spelling.some(issue => issue.line > 1)) && allPassed;
+    const known = await checkSpelling('Codepedia stores entries.', { knownWords: glossaryWords(glossary) });
+    allPassed = check('Glossary words are not misspellings', known.length === 0) && allPassed;
+
+    // 2. Glossary terms
+    console.log('\n2. Testing glossary terminology...');
+    const text = 'Code  Pedia syncs with Github and Postgre SQL. Codepedia and GitHub are fine.';
+    const terminology = findTerminologyIssues(text, glossary);
+    const found = terminology.map(issue => `${issue.text}->${issue.suggestions[0]}`).join(', ');
+    allPassed = check('Forbidden variants are flagged with the canonical term', found.includes('Code  Pedia->Codepedia') && found.includes('Postgre SQL->PostgreSQL')) && allPassed;
+    allPassed = check('Wrong capitalisation of a case-sensitive term is flagged', found.includes('Github->GitHub')) && allPassed;
+    allPassed = check('Canonical spellings are not flagged', terminology.length === 3) && allPassed;
+    allPassed = check('Issue columns point at the matched text', terminology.every(issue => text.substr(issue.column - 1, issue.length) === issue.text)) && allPassed;
+
+    // 3. Near misses of glossary terms
+    console.log('\n3. Testing glossary suggestions for misspellings...');
+    allPassed = check('Near miss maps to the glossary term', closestTerm('Codepdia', glossary) === 'Codepedia') && allPassed;
+    allPassed = check('Unrelated words do not', closestTerm('database', glossary) === null) && allPassed;
+
+    console.log(allPassed ? '\n🎉 All spelling tests passed' : '\n❌ Some spelling tests failed');
+    process.exitCode = allPassed ? 0 : 1;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+testSpelling();
@@ -0,0 +1,194 @@
+const { TASK_STATES, TASK_TRANSITIONS, canTransition, transitionTask } = require('./backend/src/services/task-lifecycle');
+const { reminderOffsets, validateReminderConfig } = require('./backend/src/services/scheduled-jobs');
+const { versionOptions, versionVoteCounts, writersError } = require('./backend/src/services/task-writers');
+const { scoreCandidate, rankCandidates, recommendWriters, autoAssignWriters } = require('./backend/src/services/writer-recommendations');
+
+// Test the wiki task state machine against an in-memory task
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  return condition;
+}
+
+const admin = { id: 'admin-1', role: 'admin' };
+const writer = { id: 'writer-1', role: 'doc_author' };
+const outsider = { id: 'user-9', role: 'team_member' };
+
+// Answers the few statements transitionTask issues and records the rest
+function fakeClient(task) {
+  const log = { events: [], notifications: [] };
+  const client = {
+    log,
+    async query(sql, params) {
+      if (sql.includes('FROM wiki_tasks') && sql.includes('FOR UPDATE')) {
+        return { rows: task ? [{ ...task }] : [] };
+      }
+      if (sql.includes('FROM wiki_task_assignments')) {
+        return { rows: task.writer_ids.map(writer_id => ({ writer_id })) };
+      }
+      if (sql.includes('UPDATE wiki_tasks')) {
+        task.status = params[1];
+        const columns = [...sql.matchAll(/, (\w+) = \$(\d+)/g)];
+        for (const [, column, index] of columns) task[column] = params[index - 1];
+        return { rows: [{ ...task }] };
+      }
+      if (sql.includes('INSERT INTO wiki_task_events')) {
+        log.events.push({ action: params[1], from: params[2], to: params[3], actor: params[4] });
+        return { rows: [] };
+      }
+      if (sql.includes("role = 'admin'")) {
+        return { rows: [{ id: admin.id }] };
+      }
+      if (sql.includes('INSERT INTO task_notifications')) {
+        log.notifications.push({ recipient: params[1], type: params[2], message: params[4] });
+        return { rows: [] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+  return client;
+}
+
+const newTask = () => ({
+  id: 'task-1',
+  title: 'Payments API',
+  status: 'not_started',
+  writer_count: 2,
+  writer_ids: [writer.id, 'writer-2'],
+  code_annotator_id: 'annotator-1',
+  voting_session_id: null
+});
+
+async function rejects(code, run) {
+  try {
+    await run();
+    return false;
+  } catch (error) {
+    return error.code === code;
+  }
+}
+
+async function testTaskLifecycle() {
+  console.log('🧪 Testing Task Lifecycle...\n');
+  let allPassed = true;
+
+  try {
+    // 1. Transition table
+    console.log('1. Testing the transition table...');
+    allPassed = check('Every transition moves between known states', Object.values(TASK_TRANSITIONS).every(transition =>
+      TASK_STATES.includes(transition.to) && transition.from.every(state => TASK_STATES.includes(state))
+    )) && allPassed;
+    allPassed = check('Completed tasks cannot move on', Object.keys(TASK_TRANSITIONS).every(action => !canTransition('completed', action))) && allPassed;
+    allPassed = check('Reassignment only follows a rejected vote', canTransition('pending_reassignment', 'reassign') && !canTransition('pending_vote', 'reassign')) && allPassed;
+
+    // 2. A full round through voting
+    console.log('\n2. Testing a task through voting...');
+    const task = newTask();
+    const client = fakeClient(task);
+    await transitionTask(client, task.id, 'start', { actor: writer });
+    await transitionTask(client, task.id, 'submissions_ready', { actor: writer });
+    allPassed = check('Ready submissions notify the admins', client.log.notifications.some(item => item.recipient === admin.id && item.type === 'voting_started')) && allPassed;
+    await transitionTask(client, task.id, 'start_voting', { actor: admin, changes: { voting_session_id: 'session-1' } });
+    allPassed = check('Starting a vote links the session', task.status === 'voting' && task.voting_session_id === 'session-1') && allPassed;
+    await transitionTask(client, task.id, 'reject_all');
+    allPassed = check('The scheduler can reject every version', task.status === 'pending_reassignment') && allPassed;
+    allPassed = check('Writers and the annotator hear about the result', client.log.notifications.filter(item => item.type === 'task_completed').length === 3) && allPassed;
+    task.writer_ids = ['writer-3', 'writer-4', 'writer-5'];
+    await transitionTask(client, task.id, 'reassign', { actor: admin, changes: { writer_count: 3, voting_session_id: null, status: 'completed' } });
+    allPassed = check('Reassignment restarts the task with new writers', task.status === 'not_started' && task.writer_count === 3 && task.voting_session_id === null) && allPassed;
+    allPassed = check('Every transition is recorded', client.log.events.map(event => event.action).join() === 'start,submissions_ready,start_voting,reject_all,reassign') && allPassed;
+    allPassed = check('System transitions have no actor', client.log.events[3].actor === null && client.log.events[4].actor === admin.id) && allPassed;
+
+    // 3. Enforcement
+    console.log('\n3. Testing enforcement...');
+    const votingTask = { ...newTask(), status: 'voting' };
+    allPassed = check('Illegal moves are rejected', await rejects('INVALID_TASK_TRANSITION', () =>
+      transitionTask(fakeClient(votingTask), votingTask.id, 'submissions_ready', { actor: writer })
+    )) && allPassed;
+    allPassed = check('Writers cannot decide a vote', await rejects('TASK_TRANSITION_FORBIDDEN', () =>
+      transitionTask(fakeClient(votingTask), votingTask.id, 'select_winner', { actor: writer })
+    )) && allPassed;
+    allPassed = check('Users outside the task cannot start it', await rejects('TASK_TRANSITION_FORBIDDEN', () =>
+      transitionTask(fakeClient(newTask()), 'task-1', 'start', { actor: outsider })
+    )) && allPassed;
+    allPassed = check('Missing tasks are reported', await rejects('TASK_NOT_FOUND', () =>
+      transitionTask(fakeClient(null), 'task-1', 'start', { actor: writer })
+    )) && allPassed;
+    allPassed = check('A rejected move leaves the task as it was', votingTask.status === 'voting') && allPassed;
+
+    // 4. Overdue tasks and the scheduled jobs
+    console.log('\n4. Testing overdue tasks...');
+    const overdueTask = { ...newTask(), status: 'in_progress' };
+    const overdueClient = fakeClient(overdueTask);
+    allPassed = check('Writers cannot mark their own task overdue', await rejects('TASK_TRANSITION_FORBIDDEN', () =>
+      transitionTask(overdueClient, overdueTask.id, 'mark_overtime', { actor: writer })
+    )) && allPassed;
+    await transitionTask(overdueClient, overdueTask.id, 'mark_overtime');
+    allPassed = check('The scheduler marks overdue tasks', overdueTask.status === 'overtime') && allPassed;
+    allPassed = check('Participants are told the deadline passed', overdueClient.log.notifications.filter(item => item.type === 'task_overtime').length === 3) && allPassed;
+    await transitionTask(overdueClient, overdueTask.id, 'submissions_ready', { actor: writer });
+    allPassed = check('Late submissions still move the task to voting', overdueTask.status === 'pending_vote') && allPassed;
+    allPassed = check('Reminder offsets are used furthest first', reminderOffsets({ offsets_hours: [24, 72, 24] }).join() === '72,24') && allPassed;
+    allPassed = check('Reminder offsets default to three days and one day', reminderOffsets({}).join() === '72,24') && allPassed;
+    allPassed = check('Invalid reminder offsets are rejected',
+      validateReminderConfig({ offsets_hours: [] }) !== null &&
+      validateReminderConfig({ offsets_hours: [1.5] }) !== null &&
+      validateReminderConfig({ offsets_hours: [48, 6] }) === null
+    ) && allPassed;
+
+    // 5. Writers and their versions
+    console.log('\n5. Testing task writers...');
+    allPassed = check('Each submitted version gets a vote option', versionOptions(3).join() === 'version_a,version_b,version_c') && allPassed;
+    const counts = await versionVoteCounts({
+      async query(sql) {
+        if (sql.includes('FROM wiki_contents')) return { rows: [{ count: '3' }] };
+        return { rows: [{ vote_option: 'version_b', count: '2' }, { vote_option: 'neither_satisfactory', count: '1' }] };
+      }
+    }, 'task-1');
+    allPassed = check('Versions nobody voted for count as zero', JSON.stringify(counts) === JSON.stringify({ version_a: 0, version_b: 2, version_c: 0, neither_satisfactory: 1 })) && allPassed;
+    const noUsers = { async query() { throw new Error('Users should not be looked up'); } };
+    allPassed = check('Tasks need between one and six distinct writers',
+      await writersError(noUsers, []) !== null &&
+      await writersError(noUsers, Array.from({ length: 7 }, (_, i) => `writer-${i}`)) !== null &&
+      await writersError(noUsers, ['writer-1', 'writer-1']) !== null
+    ) && allPassed;
+    const users = { async query() { return { rows: [{ id: 'writer-1', role: 'doc_author' }, { id: 'admin-1', role: 'admin' }] }; } };
+    allPassed = check('Administrators cannot be writers', (await writersError(users, ['writer-1', 'admin-1'])) === 'Administrators cannot be assigned as writers') && allPassed;
+
+    // 6. Writer recommendations
+    console.log('\n6. Testing writer recommendations...');
+    const candidate = (id, open_tasks, wins, candidacies, category_tasks) => ({ id, username: id, open_tasks, wins, candidacies, category_tasks });
+    allPassed = check('Idle writers outrank busy ones', scoreCandidate(candidate('a', 0, 0, 0, 0)).score > scoreCandidate(candidate('b', 3, 0, 0, 0)).score) && allPassed;
+    allPassed = check('New writers start at an even win rate', scoreCandidate(candidate('a', 0, 0, 0, 0)).win_rate === 0.5) && allPassed;
+    allPassed = check('Winning and familiar writers rank higher',
+      scoreCandidate(candidate('a', 1, 4, 4, 3)).score > scoreCandidate(candidate('b', 1, 0, 4, 0)).score
+    ) && allPassed;
+    const ranking = rankCandidates(
+      [candidate('carol', 0, 0, 0, 0), candidate('alice', 0, 0, 0, 0), candidate('bob', 2, 0, 0, 0), candidate('dave', 0, 5, 5, 5)],
+      new Map([['dave', 'Wrote the previous round']])
+    );
+    allPassed = check('Conflicted writers are left out with a reason', ranking.excluded.length === 1 && ranking.excluded[0].reason === 'Wrote the previous round') && allPassed;
+    allPassed = check('Equal scores fall back to the username', ranking.recommendations.map(writer => writer.id).join() === 'alice,carol,bob') && allPassed;
+    const recommendationDb = {
+      async query(sql) {
+        if (sql.includes('FROM functions')) return { rows: [{ id: 'fn-1', category_id: 'cat-1', created_by: 'alice' }] };
+        if (sql.includes('FROM wiki_task_assignments WHERE task_id')) return { rows: [{ writer_id: 'carol' }] };
+        return { rows: [candidate('alice', 0, 0, 0, 0), candidate('bob', 1, 0, 0, 0), candidate('carol', 0, 0, 0, 0), candidate('erin', 0, 0, 0, 0)] };
+      }
+    };
+    const recommended = await recommendWriters(recommendationDb, { functionId: 'fn-1', codeAnnotatorId: 'erin', taskId: 'task-1' });
+    allPassed = check('Function creator, annotator and previous writers are excluded',
+      recommended.recommendations.map(writer => writer.id).join() === 'bob' && recommended.excluded.length === 3
+    ) && allPassed;
+    allPassed = check('Auto-assign refuses when too few writers are left', await rejects('NOT_ENOUGH_WRITERS', () =>
+      autoAssignWriters(recommendationDb, { functionId: 'fn-1', codeAnnotatorId: 'erin', taskId: 'task-1' }, 2)
+    )) && allPassed;
+
+    console.log(allPassed ? '\n🎉 All task lifecycle tests passed' : '\n❌ Some task lifecycle tests failed');
+    process.exitCode = allPassed ? 0 : 1;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+testTaskLifecycle();
@@ -0,0 +1,104 @@
+const { quorumStatus, deadlineAction, closeSession } = require('./backend/src/services/voting-lifecycle');
+
+// Test quorum and deadline decisions against a stub database
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  return condition;
+}
+
+const users = ['u1', 'u2', 'u3', 'u4', 'u5', 'u6', 'u7', 'u8', 'u9', 'u10']
+  .map(id => ({ id, username: id, role: 'team_member' }));
+
+// Stand-in for a pg client: ten eligible users, the given votes and candidates
+function stubQueryable({ votes = [], candidateIds = ['cand-a', 'cand-b'] } = {}) {
+  const statements = [];
+  return {
+    statements,
+    async query(text) {
+      statements.push(text);
+      if (/FROM users ORDER BY username/.test(text)) return { rows: users };
+      if (/SELECT COUNT\(\*\) as count FROM votes/.test(text)) return { rows: [{ count: String(votes.length) }] };
+      if (/SELECT id FROM voting_candidates/.test(text)) return { rows: candidateIds.map(id => ({ id })) };
+      if (/SELECT choice_type, candidate_id, ballot/.test(text)) return { rows: votes };
+      return { rows: [] };
+    }
+  };
+}
+
+const session = (settings = {}) => ({
+  id: 'session-1',
+  task_id: 'task-1',
+  title: 'Entry for quicksort',
+  voting_method: 'plurality',
+  method_config: {},
+  eligibility: {},
+  quorum_min_ballots: null,
+  quorum_percent: null,
+  quorum_action: 'extend',
+  extensions_used: 0,
+  max_extensions: 2,
+  ...settings
+});
+
+const vote = candidateId => ({ choice_type: 'candidate', candidate_id: candidateId, ballot: null });
+const repeatVotes = count => Array.from({ length: count }, () => vote('cand-a'));
+
+async function testVotingLifecycle() {
+  console.log('🧪 Testing Voting Lifecycle...\n');
+  let allPassed = true;
+
+  try {
+    // 1. Quorum math
+    console.log('1. Testing quorum status...');
+    const empty = await quorumStatus(stubQueryable(), session());
+    allPassed = check('No quorum rule and no ballots is not quorum', empty.required === 0 && !empty.met) && allPassed;
+    const single = await quorumStatus(stubQueryable({ votes: [vote('cand-a')] }), session());
+    allPassed = check('No quorum rule is met by one ballot', single.met && single.eligible === 10) && allPassed;
+
+    const percent = session({ quorum_percent: 25 });
+    const short = await quorumStatus(stubQueryable({ votes: [vote('cand-a'), vote('cand-b')] }), percent);
+    allPassed = check('25% of 10 eligible rounds up to 3 ballots', short.required === 3 && !short.met) && allPassed;
+    const enough = await quorumStatus(stubQueryable({ votes: [vote('cand-a'), vote('cand-b'), vote('cand-a')] }), percent);
+    allPassed = check('3 ballots meet a 25% quorum', enough.met) && allPassed;
+
+    const both = await quorumStatus(stubQueryable({ votes: repeatVotes(4) }), session({ quorum_percent: 30, quorum_min_ballots: 5 }));
+    allPassed = check('With both rules the stricter one applies', both.required === 5 && !both.met) && allPassed;
+
+    // 2. What happens at the deadline
+    console.log('\n2. Testing deadline decisions...');
+    const missed = { ballots: 2, required: 3, met: false };
+    const none = { ballots: 0, required: 0, met: false };
+    allPassed = check('Sessions with quorum close', deadlineAction(session(), { ballots: 3, required: 3, met: true }) === 'close') && allPassed;
+    allPassed = check('Missed quorum extends while extensions remain', deadlineAction(session(), missed) === 'extend') && allPassed;
+    allPassed = check('Missed quorum escalates once extensions run out', deadlineAction(session({ extensions_used: 2 }), missed) === 'escalate') && allPassed;
+    allPassed = check('Escalate sessions escalate on missed quorum', deadlineAction(session({ quorum_action: 'escalate' }), missed) === 'escalate') && allPassed;
+    allPassed = check('Close sessions close short of quorum', deadlineAction(session({ quorum_action: 'close' }), missed) === 'close') && allPassed;
+    allPassed = check('Close sessions without ballots escalate', deadlineAction(session({ quorum_action: 'close' }), none) === 'escalate') && allPassed;
+    allPassed = check('Sessions without ballots extend while they can', deadlineAction(session(), none) === 'extend') && allPassed;
+
+    // 3. Closing a session
+    console.log('\n3. Testing closing without a decision...');
+    const noBallots = stubQueryable();
+    let error = null;
+    try {
+      await closeSession(noBallots, session(), { closedBy: 'admin', actorId: 'admin-1' });
+    } catch (caught) {
+      error = caught;
+    }
+    allPassed = check('A count without ballots is refused', error && error.code === 'NO_DECISION') && allPassed;
+    allPassed = check('Nothing is written before refusing', !noBallots.statements.some(text => /UPDATE|INSERT/.test(text))) && allPassed;
+
+    const level = stubQueryable({ votes: [vote('cand-a'), vote('cand-b')] });
+    const tied = await closeSession(level, session(), { closedBy: 'scheduler' });
+    allPassed = check('A level count is left tie_pending', tied.status === 'tie_pending' && tied.tiedCandidateIds.length === 2) && allPassed;
+    allPassed = check('The tie is logged', level.statements.some(text => /INSERT INTO voting_session_events/.test(text))) && allPassed;
+
+    console.log(allPassed ? '\n🎉 All voting lifecycle tests passed' : '\n❌ Some voting lifecycle tests failed');
+    process.exitCode = allPassed ? 0 : 1;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+testVotingLifecycle();
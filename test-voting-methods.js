@@ -0,0 +1,188 @@
+const { methodConfig, buildBallot, tally, tiedCandidates, sameTally } = require('./backend/src/services/voting-methods');
+const { rubricScoreRows, summarizeRubric } = require('./backend/src/services/voting-rubrics');
+const { eligibilityConfig, ineligibilityReason } = require('./backend/src/services/voting-eligibility');
+const { candidateLabels, redactAuthors, anonymousWriters } = require('./backend/src/services/voting-blind');
+const { feedbackRows, feedbackRevealed, summarizeFeedback } = require('./backend/src/services/vote-feedback');
+
+// Test the counting rules behind voting sessions
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  return condition;
+}
+
+const [A, B, C] = ['cand-a', 'cand-b', 'cand-c'];
+const candidates = [A, B, C];
+
+const ranked = (...rankings) => ({ choice_type: 'candidate', candidate_id: rankings[0], ballot: { rankings } });
+const scored = scores => ({ choice_type: 'candidate', candidate_id: null, ballot: { scores } });
+const none = () => ({ choice_type: 'none_satisfied', candidate_id: null, ballot: null });
+const repeat = (count, make) => Array.from({ length: count }, make);
+
+function testVotingMethods() {
+  console.log('🧪 Testing Voting Methods...\n');
+  let allPassed = true;
+
+  try {
+    // 1. Session and ballot validation
+    console.log('1. Testing ballot validation...');
+    allPassed = check('Alternative methods need more than two candidates', (() => {
+      try { methodConfig('irv', 2); return false; } catch { return true; }
+    })()) && allPassed;
+    allPassed = check('Score voting defaults to a 0-5 scale', methodConfig('score', 3).max_score === 5) && allPassed;
+    const ballot = buildBallot('irv', candidates, { choice_type: 'candidate', rankings: [B, A] });
+    allPassed = check('Ranked ballot keeps the full ranking and the top choice', ballot.candidate_id === B && ballot.ballot.rankings.length === 2) && allPassed;
+    allPassed = check('Duplicate rankings are rejected', (() => {
+      try { buildBallot('borda', candidates, { choice_type: 'candidate', rankings: [A, A] }); return false; } catch { return true; }
+    })()) && allPassed;
+    allPassed = check('Score ballots must score every candidate', (() => {
+      try { buildBallot('score', candidates, { choice_type: 'candidate', scores: { [A]: 3 } }, { max_score: 5 }); return false; } catch { return true; }
+    })()) && allPassed;
+
+    // 2. Instant runoff
+    console.log('\n2. Testing instant runoff...');
+    const irvVotes = [
+      ...repeat(4, () => ranked(A, B)),
+      ...repeat(3, () => ranked(B, A)),
+      ...repeat(2, () => ranked(C, B)),
+      none()
+    ];
+    const irv = tally('irv', candidates, irvVotes);
+    allPassed = check('C is eliminated first and its ballots transfer to B', irv.rounds[0].eliminated === C && irv.rounds[0].transfers[B] === 2) && allPassed;
+    allPassed = check('B wins the runoff despite trailing on first preferences', irv.winner_candidate_id === B && irv.rounds[1].counts[B] === 5) && allPassed;
+    allPassed = check('Plurality would have picked A', tally('plurality', candidates, irvVotes).winner_candidate_id === A) && allPassed;
+    const rejected = tally('irv', candidates, [...repeat(2, () => ranked(A)), ranked(B), ...repeat(4, none)]);
+    allPassed = check('A majority of "none satisfied" ballots rejects every candidate', rejected.none_satisfied_wins && rejected.winner_candidate_id === null) && allPassed;
+
+    // 3. Borda count and score voting
+    console.log('\n3. Testing Borda count and score voting...');
+    const borda = tally('borda', candidates, [...repeat(3, () => ranked(A, B, C)), ...repeat(2, () => ranked(C, B, A)), ranked(B, C, A)]);
+    allPassed = check('Borda rewards the broadly preferred candidate', borda.winner_candidate_id === B && borda.totals[B] === 7) && allPassed;
+    const score = tally('score', candidates, [
+      scored({ [A]: 5, [B]: 4, [C]: 0 }),
+      scored({ [A]: 0, [B]: 4, [C]: 5 }),
+      scored({ [A]: 2, [B]: 3, [C]: 1 })
+    ], { max_score: 5 });
+    allPassed = check('Highest average score wins', score.winner_candidate_id === B && score.totals[B] === 3.67) && allPassed;
+
+    // 4. Recount
+    console.log('\n4. Testing recount...');
+    // Stored JSONB comes back with its keys reordered
+    const reorder = value => (value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.fromEntries(Object.entries(value).reverse().map(([key, item]) => [key, reorder(item)]))
+      : value);
+    allPassed = check('Recount matches the stored tally regardless of key order', sameTally(reorder(irv), tally('irv', candidates, irvVotes))) && allPassed;
+    allPassed = check('A changed ballot changes the recount', !sameTally(irv, tally('irv', candidates, [...irvVotes.slice(1), ranked(C, A)]))) && allPassed;
+
+    // 5. Rubric scores
+    console.log('\n5. Testing rubric scores...');
+    const rubric = [
+      { key: 'accuracy', label: 'Accuracy', max_score: 5, weight: 2 },
+      { key: 'code_readability', label: 'Code readability', max_score: 10, weight: 1 }
+    ];
+    const rows = rubricScoreRows(rubric, [A, B], {
+      [A]: { accuracy: 5, code_readability: 4 },
+      [B]: { accuracy: 3, code_readability: 10 }
+    });
+    allPassed = check('One score row per candidate and criterion', rows.length === 4 && rows[1].max_score === 10) && allPassed;
+    allPassed = check('Missing or out-of-range rubric scores are rejected', (() => {
+      try { rubricScoreRows(rubric, [A, B], { [A]: { accuracy: 5, code_readability: 11 } }); return false; } catch { return true; }
+    })()) && allPassed;
+    allPassed = check('Sessions without a rubric need no scores', rubricScoreRows([], [A, B], undefined).length === 0) && allPassed;
+    const summary = summarizeRubric(rubric, [
+      { candidate_id: A, criterion_key: 'accuracy', average_score: '5.00', ratings: '2' },
+      { candidate_id: A, criterion_key: 'code_readability', average_score: '4.00', ratings: '2' }
+    ]);
+    allPassed = check('Overall rubric score is weighted and normalized to 0-100', summary[0].overall_score === 80) && allPassed;
+
+    // 6. Voter eligibility
+    console.log('\n6. Testing voter eligibility...');
+    allPassed = check('Candidate authors are excluded by default', eligibilityConfig().exclude_authors === true) && allPassed;
+    allPassed = check('Unknown roles are rejected', (() => {
+      try { eligibilityConfig({ roles: ['reviewer'] }); return false; } catch { return true; }
+    })()) && allPassed;
+    const context = {
+      config: eligibilityConfig({ exclude_annotator: true, roles: ['team_member'] }),
+      authors: new Set(['writer']),
+      annotators: new Set(['annotator']),
+      allowed: new Set(['writer', 'guest']),
+      denied: new Set(['banned']),
+      categoryMembers: null,
+      categoryName: null
+    };
+    const reason = (id, role = 'team_member') => ineligibilityReason(context, { id, role });
+    allPassed = check('Team members may vote', reason('member') === null) && allPassed;
+    allPassed = check('The allow list does not override a conflict of interest', reason('writer') !== null) && allPassed;
+    allPassed = check('The annotator is excluded when the session asks for it', reason('annotator') !== null) && allPassed;
+    allPassed = check('The deny list excludes any user', reason('banned') !== null) && allPassed;
+    allPassed = check('Other roles are excluded unless allowed', reason('author', 'doc_author') !== null && reason('guest', 'doc_author') === null) && allPassed;
+    allPassed = check('Category restriction excludes non-members', ineligibilityReason(
+      { ...context, config: eligibilityConfig(), categoryMembers: new Set(['member']), categoryName: 'Payments' },
+      { id: 'outsider', role: 'team_member' }
+    ).includes('Payments')) && allPassed;
+
+    // 7. Blind voting
+    console.log('\n7. Testing blind candidate labels...');
+    const blindSession = { id: 'session-1', blind: true, status: 'active' };
+    const labelOrder = voterId => [...candidateLabels(blindSession, voterId, candidates).entries()]
+      .sort((a, b) => a[1].localeCompare(b[1])).map(([id]) => id).join();
+    allPassed = check('Labels are stable for a voter', labelOrder('voter-1') === labelOrder('voter-1')) && allPassed;
+    allPassed = check('Voters do not all share one order', new Set(['voter-1', 'voter-2', 'voter-3', 'voter-4', 'voter-5'].map(labelOrder)).size > 1) && allPassed;
+    allPassed = check('Open sessions keep creation order', candidateLabels({ id: 'session-1', blind: false }, 'voter-1', candidates).get(A) === 'A') && allPassed;
+    const redacted = redactAuthors({
+      id: 'cand-alice', author_name: 'alice', author_id: 'user-1',
+      document: { title: 'Payments', content: 'Written by Alice (alice@example.com)' },
+      notebooks: [{ notebook_metadata: { authors: [{ name: 'Alice Smith' }] } }]
+    }, ['alice', 'alice@example.com']);
+    allPassed = check('Author fields are dropped', redacted.author_name === undefined && redacted.author_id === undefined) && allPassed;
+    allPassed = check('Author names and emails are redacted from content', !/alice/i.test(redacted.document.content) && redacted.id === 'cand-alice') && allPassed;
+    allPassed = check('Notebook author metadata is dropped', redacted.notebooks[0].notebook_metadata.authors === undefined) && allPassed;
+    const writers = anonymousWriters([{ id: 'user-1', username: 'alice' }, { id: 'user-2', username: 'bob' }]);
+    allPassed = check('Task writers become anonymous slots', writers.length === 2 && writers.every(writer => writer.id === null && writer.username !== 'alice' && writer.username !== 'bob')) && allPassed;
+
+    // 8. Ties left for a runoff or a deciding vote
+    console.log('\n8. Testing tie detection...');
+    const levelPlurality = tally('plurality', candidates, [...repeat(2, () => ranked(A)), ...repeat(2, () => ranked(B)), ranked(C)]);
+    allPassed = check('Level plurality leaders are a tie', tiedCandidates(levelPlurality).join() === [A, B].join()) && allPassed;
+    const bordaByFirsts = tally('borda', candidates, [ranked(A, B, C), ranked(A, C, B), ranked(B, C, A), ranked(C, B, A)]);
+    allPassed = check('Level Borda totals split by first preferences are not a tie', tiedCandidates(bordaByFirsts).length === 0 && bordaByFirsts.winner_candidate_id === A) && allPassed;
+    const irvFinal = tally('irv', candidates, [...repeat(2, () => ranked(A, B)), ...repeat(2, () => ranked(B, A))]);
+    allPassed = check('Instant runoff finalists never separated are a tie', tiedCandidates(irvFinal).join() === [A, B].join()) && allPassed;
+    const irvFirstRound = tally('irv', candidates, [ranked(A, B), ranked(B, A), ranked(C, A)]);
+    allPassed = check('An unbreakable elimination tie that decides the winner is a tie', tiedCandidates(irvFirstRound).join() === [A, B].join()) && allPassed;
+    const irvHarmless = tally('irv', candidates, [...repeat(2, () => ranked(A)), ranked(B, A), ranked(C, A)]);
+    allPassed = check('An elimination tie that does not change the winner is not', tiedCandidates(irvHarmless).length === 0 && irvHarmless.winner_candidate_id === A) && allPassed;
+    allPassed = check('A clear winner is not a tie', tiedCandidates(tally('irv', candidates, irvVotes)).length === 0) && allPassed;
+    allPassed = check('Rejecting every candidate is not a tie', tiedCandidates(rejected).length === 0) && allPassed;
+
+    // 9. Reviewer feedback
+    console.log('\n9. Testing reviewer feedback...');
+    const documents = new Map([[A, '# Title\nline two\nline three'], [B, 'only line']]);
+    const [anchored] = feedbackRows(documents, [{ candidate_id: A, category: 'accuracy', comment: ' Wrong type ', line_start: 2, line_end: 3 }]);
+    allPassed = check('Line feedback quotes the lines it refers to', anchored.excerpt === 'line two\nline three' && anchored.comment === 'Wrong type') && allPassed;
+    allPassed = check('A single line can be given on its own', feedbackRows(documents, [{ candidate_id: B, comment: 'Vague', line_start: 1 }])[0].line_end === 1) && allPassed;
+    allPassed = check('Lines past the end of the document are rejected', (() => {
+      try { feedbackRows(documents, [{ candidate_id: B, comment: 'Missing', line_start: 1, line_end: 2 }]); return false; } catch { return true; }
+    })()) && allPassed;
+    allPassed = check('Empty comments and unknown candidates are rejected', [
+      [{ candidate_id: A, comment: '  ' }],
+      [{ candidate_id: C, comment: 'Not in this session' }]
+    ].every(input => { try { feedbackRows(documents, input); return false; } catch { return true; } })) && allPassed;
+    allPassed = check('Feedback stays private until the session ends', !feedbackRevealed({ status: 'active' }, { role: 'team_member' }) &&
+      feedbackRevealed({ status: 'completed' }, { role: 'team_member' }) && feedbackRevealed({ status: 'active' }, { role: 'admin' })) && allPassed;
+    const digest = summarizeFeedback([
+      { id: 'f1', parent_id: null, candidate_id: A, author_name: 'alice', category: 'accuracy', comment: 'Wrong type', reviewer_name: 'bob' },
+      { id: 'f2', parent_id: null, candidate_id: B, author_name: 'carol', category: 'examples', comment: 'No example', reviewer_name: 'bob' },
+      { id: 'f3', parent_id: 'f1', candidate_id: A, category: null, comment: 'Fixed upstream', reviewer_name: 'alice' }
+    ]);
+    allPassed = check('Digest groups threads per candidate and category', digest.total_comments === 2 && digest.by_category.accuracy === 1 && digest.candidates.length === 2) && allPassed;
+    allPassed = check('Digest keeps replies under their comment', digest.candidates[0].comments[0].replies[0].author === 'alice') && allPassed;
+
+    console.log(allPassed ? '\n🎉 All voting method tests passed' : '\n❌ Some voting method tests failed');
+    process.exitCode = allPassed ? 0 : 1;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+testVotingMethods();